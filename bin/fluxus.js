@@ -5,6 +5,7 @@
  * This file is the entry point for global installations
  */
 
+import '../src/cli/stdio-guard.js';
 import { fileURLToPath } from 'url';
 import { dirname, resolve, join } from 'path';
 
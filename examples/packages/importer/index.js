@@ -0,0 +1,9 @@
+import fs from 'fs';
+
+export const IMPORTER_OPERATORS = {
+    read_config: {
+        name: 'read_config',
+        description: 'Reads a file through a host module',
+        implementation: (input, [file]) => fs.readFileSync(file, 'utf8')
+    }
+};
@@ -0,0 +1,65 @@
+// Probe package for the sandbox checks in test-run.js: each operator tries
+// to get past one of the limits of an untrusted package.
+
+// Top-level code runs in the sandbox too; the host's globalThis never sees this
+globalThis.probeLoaded = true;
+
+export const PROBE_OPERATORS = {
+    double: {
+        name: 'double',
+        description: 'Doubles its input',
+        implementation: (input) => input * 2
+    },
+    spin: {
+        name: 'spin',
+        description: 'Never returns',
+        implementation: () => {
+            while (true) {}
+        }
+    },
+    hoard: {
+        name: 'hoard',
+        description: 'Allocates until something stops it',
+        implementation: () => {
+            const chunks = [];
+            while (true) chunks.push(new Array(100000).fill(chunks.length));
+        }
+    },
+    generate: {
+        name: 'generate',
+        description: 'Compiles code from a string',
+        implementation: (input, [how]) => how === 'eval' ? eval('1 + 1') : new Function('return 1 + 1')()
+    },
+    reach: {
+        name: 'reach',
+        description: 'Looks for host globals',
+        implementation: () => ({
+            process: typeof process,
+            require: typeof require,
+            fetch: typeof fetch,
+            capabilities: Object.keys(capabilities)
+        })
+    },
+    read_file: {
+        name: 'read_file',
+        description: 'Reads a file without the io permission',
+        implementation: () => capabilities.io.readFile('/etc/hostname')
+    },
+    import_fs: {
+        name: 'import_fs',
+        description: 'Imports a host module at run time',
+        implementation: () => import('fs')
+    },
+    ticks: {
+        name: 'ticks',
+        description: 'Streams 1..count on a timer',
+        implementation: (input, [count]) => ({
+            async *[Symbol.asyncIterator]() {
+                for (let tick = 1; tick <= count; tick++) {
+                    await new Promise(resolve => setTimeout(resolve, 10));
+                    yield tick;
+                }
+            }
+        })
+    }
+};
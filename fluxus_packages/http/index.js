@@ -1,6 +1,4 @@
 // Enhanced HTTP & MQTT Operators for IoT
-import { createSocket } from 'net';
-import { connect } from 'tls';
 
 export const NetworkOperators = {
     // Enhanced HTTP client with streaming support
@@ -1,18 +1,46 @@
 // FILENAME: src/cli.js
 // Fluxus CLI v5.0 - COMPLETE DOMAIN SUPPORT
 
+import './cli/stdio-guard.js';
 import fs from 'fs';
 import path from 'path';
 import { fileURLToPath } from 'url';
 
 import { GraphParser } from './core/parser.js';
+import { FluxusParser, createParser } from './frontend/index.js';
+import { formatDiagnostic, diagnosticToJSON } from './frontend/diagnostics.js';
+import { TypeChecker } from './frontend/analysis/type-checker.js';
+import { Formatter } from './frontend/formatter.js';
 import { Compiler } from './core/compiler.js';
+import { ModuleBuilder, STANDALONE_RUNTIME_DIRECTORY, STANDALONE_RUNTIME_FILES } from './core/module-builder.js';
 import { RuntimeEngine } from './core/engine.js';
+import { ENGINE_BACKENDS, lowerProgram, optimizeProgram } from './core/ir-engine.js';
+import { formatOptimizationReport } from './intermediate/optimizer/explain.js';
+import { printIR, parseIR } from './intermediate/ir/text/index.js';
+import { FluxusDashboard } from './dashboard.js';
+import { VirtualClock } from './runtime/scheduler/clock.js';
 import { FluxusREPL } from './repl.js';
 import { FluxusPackageManager } from './package-manager.js';
+import { DebugSession, DebuggerCLI, DapServer } from './cli/tools/debugger/index.js';
+import { LanguageServer } from './cli/tools/lsp/index.js';
+import { ArtifactCache } from './cli/tools/cache/index.js';
+import { TestRunner, findTestFiles, summarize, formatConsole, formatTap, formatJUnit } from './cli/tools/testing/index.js';
+import { SpanRecorder, toChromeTrace, toFoldedStacks, operatorPercentiles } from './cli/tools/profiler/index.js';
 
 const __dirname = path.dirname(fileURLToPath(import.meta.url));
 
+// Exit codes: 1 when the command fails (a missing file included), 2 when it is called wrong
+const EXIT_FAILURE = 1;
+const EXIT_USAGE = 2;
+
+// A failure the user can fix (a missing file, ...): one line on stderr, no stack trace
+class CliError extends Error {
+    constructor(message, exitCode = EXIT_FAILURE) {
+        super(message);
+        this.exitCode = exitCode;
+    }
+}
+
 class FluxusCLI {
     constructor() {
         this.version = '5.0.0';
@@ -36,15 +64,22 @@ class FluxusCLI {
         const commandHandlers = {
             'run': () => this.handleRun(filename, options),
             'compile': () => this.handleCompile(filename, options),
+            'build': () => this.handleBuild(filename, options),
             'parse': () => this.handleParse(filename, options),
+            'check': () => this.handleCheck(filename, options),
+            'fmt': () => this.handleFmt([filename, ...options].filter(Boolean)),
+            'debug': () => this.handleDebug(filename, options),
+            'dap': () => this.handleDap(),
+            'lsp': () => this.handleLsp(),
             'repl': () => this.handleRepl(options),
             'tutorial': () => this.handleTutorial(),
-            'dashboard': () => this.handleDashboard(),
+            'dashboard': () => this.handleDashboard(filename, options),
             'profile': () => this.handleProfile(filename, options),
-            'test': () => this.handleTest(options),
+            'test': () => this.handleTest([filename, ...options].filter(Boolean)),
             'libraries': () => this.handleLibraries(filename, options),
             'domains': () => this.handleDomains(filename, options),
             'packages': () => this.handlePackages(filename, options),
+            'cache': () => this.handleCache(filename, options),
             'doctor': () => this.handleDoctor(),
             'benchmark': () => this.handleBenchmark(),
             'version': () => this.handleVersion(),
@@ -60,14 +95,52 @@ class FluxusCLI {
 
     async handleRun(filename, options) {
         if (!filename) {
-            this.showUsageError('run <file.flux>');
+            this.showUsageError('run <file.flux|file.fir>');
             return;
         }
 
         this.showBanner('EXECUTION');
-        const source = this.loadSourceFile(filename);
+        let source = this.loadSourceFile(filename);
+        const errorFormat = this.getOptionValue(options, '--error-format') || 'text';
+
+        // A .fir file is IR already (fluxus compile --emit-ir); errors point into the program it was built from
+        let ir = null;
+        let ast = null;
+        let bindings = null;
+        if (filename.endsWith('.fir')) {
+            ir = this.parseIRFile(filename, source, errorFormat);
+            if (!ir) return;
+            source = this.programSource(ir);
+        } else {
+            ({ ast, bindings } = this.loadProgram(filename, source, options, errorFormat));
+        }
         
-        const engine = new RuntimeEngine({
+        // -O<n> and --explain-opt are about the IR the optimizer rewrites, so they run on the IR backend
+        const optimizationLevel = this.getOptimizationLevel(options);
+        if (optimizationLevel === false) return;
+        const optimizing = ir !== null || optimizationLevel !== null || options.includes('--explain-opt');
+        const backend = this.getOptionValue(options, '--backend') || (optimizing ? 'ir' : 'graph');
+        if (!ENGINE_BACKENDS[backend]) {
+            console.error(`❌ Unknown backend: ${backend} (expected graph or ir)`);
+            process.exitCode = 1;
+            return;
+        }
+        if (optimizing && backend !== 'ir') {
+            console.error(`❌ .fir files, -O and --explain-opt need the IR backend; the graph backend runs the program unoptimized`);
+            process.exitCode = 1;
+            return;
+        }
+
+        if (options.includes('--strict') && ast) {
+            const { errors } = this.typeCheck(ast, source, errorFormat);
+            if (errors.length > 0) {
+                console.error(`❌ ${filename}: ${errors.length} type error(s); not running (--strict)`);
+                process.exitCode = 1;
+                return;
+            }
+        }
+        
+        const engine = new ENGINE_BACKENDS[backend]({
             debugMode: options.includes('--debug'),
             quietMode: options.includes('--quiet'),
             enableSmartLibrarySelection: !options.includes('--no-smart-libs'),
@@ -77,24 +150,52 @@ class FluxusCLI {
             enableAnalyticsDomains: !options.includes('--no-analytics'),
             enableNetworkDomains: !options.includes('--no-network'),
             enableSecurityDomains: !options.includes('--no-security'),
-            logLevel: options.includes('--debug') ? 'DEBUG' : 'INFO'
+            fsRoot: this.getOptionValue(options, '--fs-root') || undefined,
+            // Only the libraries the program imports or uses are registered and loaded
+            libraryBindings: bindings,
+            // Timers fire as soon as the program is idle, at their exact virtual times
+            clock: options.includes('--virtual-time') ? new VirtualClock({ autoAdvance: true }) : undefined,
+            logLevel: options.includes('--debug') ? 'DEBUG' : 'INFO',
+            optimizationLevel: optimizationLevel ?? undefined
         });
-
-        const parser = new GraphParser();
-        const ast = parser.parse(source);
         
-        const compiler = new Compiler();
-        const compiledAst = compiler.compile(ast);
+        // Runtime failures are mapped back to the .flux source
+        engine.on('runtime:error', (error) => {
+            console.error(errorFormat === 'json'
+                ? JSON.stringify(diagnosticToJSON(error))
+                : formatDiagnostic(error, source));
+        });
 
         console.log(`📁 File: ${filename}`);
-        console.log(`📊 AST: ${ast.nodes?.length || 0} nodes`);
-        console.log(`🧠 Engine: Complete Domain Support`);
+        console.log(ast ? `📊 AST: ${ast.nodes?.length || 0} nodes` : `📊 IR: ${ir.instructions.length} instructions`);
+        console.log(`🧠 Engine: Complete Domain Support${backend === 'ir' ? ` (IR backend, -O${engine.optimizationLevel})` : ''}`);
         console.log(`   Smart Library: ${options.includes('--no-smart-libs') ? '❌ Disabled' : '✅ Enabled'}`);
         console.log(`   IoT Domain: ${options.includes('--no-iot') ? '❌ Disabled' : '✅ Enabled'}`);
         console.log(`   Health Domain: ${options.includes('--no-health') ? '❌ Disabled' : '✅ Enabled'}`);
         console.log(`   Analytics Domain: ${options.includes('--no-analytics') ? '❌ Disabled' : '✅ Enabled'}`);
+
+        const program = backend !== 'ir' ? null : ir ? engine.optimize(ir) : engine.lower(ast);
+        if (options.includes('--explain-opt')) {
+            console.log('');
+            formatOptimizationReport(program, source).forEach(line => console.log(line));
+            console.log('');
+        }
         
-        await engine.start(ast);
+        // Ctrl+C stops live sources so the program can finish cleanly
+        const stopOnSignal = () => engine.shutdown();
+        process.once('SIGINT', stopOnSignal);
+        process.once('SIGTERM', stopOnSignal);
+
+        try {
+            await (program ? engine.startProgram(program, ast?.metadata) : engine.start(ast));
+        } catch (error) {
+            if (errorFormat !== 'json') throw error;
+            console.error(JSON.stringify(diagnosticToJSON(error)));
+            process.exitCode = 1;
+        } finally {
+            process.removeListener('SIGINT', stopOnSignal);
+            process.removeListener('SIGTERM', stopOnSignal);
+        }
         
         if (options.includes('--metrics')) {
             const stats = engine.getEngineStats();
@@ -105,6 +206,96 @@ class FluxusCLI {
         }
     }
 
+    async handleCheck(filename, options) {
+        if (!filename) {
+            this.showUsageError('check <file.flux>');
+            return;
+        }
+
+        const source = this.loadSourceFile(filename);
+        const errorFormat = this.getOptionValue(options, '--error-format') || 'text';
+        const parser = this.createParser(filename, options, { errorFormat });
+        const ast = parser.parse(source);
+        ast.metadata.filename ??= filename;
+
+        const parseErrors = parser.errors?.length || 0;
+        const { errors, warnings } = this.typeCheck(ast, source, errorFormat);
+
+        if (errorFormat !== 'json') {
+            if (parseErrors + errors.length === 0) {
+                console.log(`✅ ${filename}: no type errors${warnings.length ? ` (${warnings.length} warning(s))` : ''}`);
+            } else {
+                console.log(`❌ ${filename}: ${parseErrors} parse error(s), ${errors.length} type error(s), ${warnings.length} warning(s)`);
+            }
+        }
+        if (parseErrors + errors.length > 0) process.exitCode = 1;
+    }
+
+    // Runs the static type checker and prints its diagnostics
+    typeCheck(ast, source, errorFormat = 'text') {
+        const result = new TypeChecker().checkLegacyAST(ast);
+        for (const diagnostic of [...result.errors, ...result.warnings]) {
+            console.error(errorFormat === 'json'
+                ? JSON.stringify(diagnosticToJSON(diagnostic))
+                : formatDiagnostic(diagnostic, source));
+        }
+        return result;
+    }
+
+    // Formats files in place; `--check` only lists unformatted files and fails on any
+    async handleFmt(args) {
+        const check = args.includes('--check');
+        const targets = args.filter(arg => !arg.startsWith('--'));
+        const files = this.collectFluxFiles(targets.length > 0 ? targets : ['.']);
+
+        let unformatted = 0;
+        let failed = 0;
+        for (const file of files) {
+            const source = this.loadSourceFile(file);
+            const formatter = new Formatter({ filename: file });
+            const formatted = formatter.format(source);
+
+            if (formatted === null) {
+                failed++;
+                for (const error of formatter.errors) console.error(formatDiagnostic(error, source));
+                continue;
+            }
+            if (formatted === source) continue;
+
+            unformatted++;
+            if (check) {
+                console.log(`❌ ${file} is not formatted`);
+            } else {
+                fs.writeFileSync(file, formatted);
+                console.log(`✨ Formatted ${file}`);
+            }
+        }
+
+        const summary = check ? `${unformatted} of ${files.length} file(s) need formatting` : `${unformatted} of ${files.length} file(s) reformatted`;
+        console.log(`${failed > 0 || (check && unformatted > 0) ? '❌' : '✅'} ${summary}${failed > 0 ? `, ${failed} could not be parsed` : ''}`);
+        if (failed > 0 || (check && unformatted > 0)) process.exitCode = 1;
+    }
+
+    // .flux files named directly or found under directories (skipping node_modules and dot directories)
+    collectFluxFiles(targets) {
+        const files = [];
+        const walk = (target) => {
+            if (!fs.existsSync(target)) throw new CliError(`File not found: ${target}`);
+            if (!fs.statSync(target).isDirectory()) {
+                files.push(target);
+                return;
+            }
+            for (const entry of fs.readdirSync(target, { withFileTypes: true }).sort((a, b) => a.name.localeCompare(b.name))) {
+                if (entry.name === 'node_modules' || entry.name.startsWith('.')) continue;
+                const entryPath = path.join(target, entry.name);
+                if (entry.isDirectory()) walk(entryPath);
+                else if (entry.name.endsWith('.flux')) files.push(entryPath);
+            }
+        };
+        targets.forEach(walk);
+        return files;
+    }
+
     async handleDomains(subcommand, options) {
         this.showBanner('DOMAIN MANAGEMENT');
 
@@ -149,22 +340,76 @@ class FluxusCLI {
     }
 
     async handleCompile(filename, options) {
+        // Flags may come first: fluxus compile --emit-ir app.flux
+        const args = [filename, ...options].filter(Boolean);
+        const fileIndex = args.findIndex((arg, index) => !arg.startsWith('-') && args[index - 1] !== '-o');
+        filename = args[fileIndex];
+        options = args.filter((arg, index) => index !== fileIndex);
         if (!filename) {
-            this.showUsageError('compile <file.flux>');
+            this.showUsageError('compile <file.flux|file.fir> [-O0|-O1|-O2] [--emit-ir [-o out.fir]] [--explain-opt]');
             return;
         }
 
         this.showBanner('COMPILATION');
-        const source = this.loadSourceFile(filename);
-        
-        const parser = new GraphParser();
-        const ast = parser.parse(source);
-        
-        const compiler = new Compiler();
-        const compiled = compiler.compile(ast);
+        let source = this.loadSourceFile(filename);
 
-        console.log('📦 Compiled Program:');
-        console.log(JSON.stringify(compiled, null, 2));
+        const optimizationLevel = this.getOptimizationLevel(options);
+        if (optimizationLevel === false) return;
+
+        let ast = null;
+        let ir = null;
+        if (filename.endsWith('.fir')) {
+            ir = this.parseIRFile(filename, source);
+            if (!ir) return;
+            source = this.programSource(ir);
+        } else {
+            const parser = this.createParser(filename, options);
+            ast = parser.parse(source);
+            ast.metadata.filename ??= filename;
+        }
+
+        // --emit-ir: the IR as text, unoptimized unless -O<n> says otherwise
+        if (options.includes('--emit-ir')) {
+            const level = optimizationLevel ?? 0;
+            const program = ir ? optimizeProgram(ir, level) : lowerProgram(ast, level);
+            const outputIndex = options.indexOf('-o');
+            const output = (outputIndex !== -1 ? options[outputIndex + 1] : null)
+                || this.getOptionValue(options, '--output')
+                || (ir ? filename.replace(/(\.O\d)?\.fir$/, `.O${level}.fir`) : filename.replace(/\.flux$/, '') + '.fir');
+            if (path.resolve(output) === path.resolve(filename)) {
+                console.error(`❌ Not overwriting ${filename} with its own IR; choose another file with -o`);
+                process.exitCode = 1;
+                return;
+            }
+
+            fs.mkdirSync(path.dirname(path.resolve(output)), { recursive: true });
+            fs.writeFileSync(output, printIR(program));
+            const sections = new Set(program.instructions.map(instruction => instruction.section)).size;
+            console.log(`📦 Wrote ${output} (-O${level}: ${program.instructions.length} instructions in ${sections} sections)`);
+            if (options.includes('--explain-opt')) {
+                console.log('');
+                formatOptimizationReport(program, source).forEach(line => console.log(line));
+            }
+            return;
+        }
+
+        // -O<n> or a .fir file: the IR `fluxus run` executes, instead of the compiled graph
+        if (ir || optimizationLevel !== null || options.includes('--explain-opt')) {
+            const program = ir ? optimizeProgram(ir, optimizationLevel ?? 1) : lowerProgram(ast, optimizationLevel ?? 1);
+            console.log(`📦 IR Program (-O${optimizationLevel ?? 1}):`);
+            console.log(JSON.stringify(program.instructions, null, 2));
+            if (options.includes('--explain-opt')) {
+                console.log('');
+                formatOptimizationReport(program, source).forEach(line => console.log(line));
+            }
+        } else {
+            const compiler = new Compiler();
+            const compiled = compiler.compile(ast);
+
+            console.log('📦 Compiled Program:');
+            console.log(JSON.stringify(compiled, null, 2));
+        }
+        if (!ast) return;
         
         console.log('\n🔍 Library Analysis:');
         const libraryAnalysis = this.analyzeLibraryUsage(ast);
@@ -175,6 +420,67 @@ class FluxusCLI {
         }
     }
 
+    /**
+     * `fluxus build app.flux -o app.mjs` writes the program as an ES module
+     * that runs with plain `node app.mjs` on the standalone runtime. A copy
+     * of the runtime goes next to it in fluxus-runtime/, unless
+     * --runtime=<specifier> (e.g. @fluxus-lang/core/src/runtime/standalone)
+     * names where the module imports it from instead.
+     */
+    async handleBuild(filename, options) {
+        if (!filename) {
+            this.showUsageError('build <file.flux> [-o out.mjs] [--runtime=specifier]');
+            return;
+        }
+
+        this.showBanner('BUILD');
+        const source = this.loadSourceFile(filename);
+        const errorFormat = this.getOptionValue(options, '--error-format') || 'text';
+        const parser = this.createParser(filename, options, { errorFormat });
+        const ast = parser.parse(source);
+
+        if (parser.errors?.length > 0) {
+            console.error(`❌ ${filename}: ${parser.errors.length} parse error(s); nothing built`);
+            process.exitCode = 1;
+            return;
+        }
+
+        const outputIndex = options.indexOf('-o');
+        const output = (outputIndex !== -1 ? options[outputIndex + 1] : null)
+            || this.getOptionValue(options, '--output')
+            || filename.replace(/\.flux$/, '') + '.mjs';
+        const runtimeOption = this.getOptionValue(options, '--runtime');
+        const runtime = runtimeOption || `./${STANDALONE_RUNTIME_DIRECTORY}/standalone`;
+
+        const { code, operators, errors } = new ModuleBuilder({ filename, source, runtime }).build(ast);
+        if (errors.length > 0) {
+            for (const error of errors) {
+                console.error(errorFormat === 'json' ? JSON.stringify(diagnosticToJSON(error)) : formatDiagnostic(error, source));
+            }
+            console.error(`❌ ${filename}: ${errors.length} build error(s); nothing built`);
+            process.exitCode = 1;
+            return;
+        }
+
+        const outputDir = path.dirname(path.resolve(output));
+        fs.mkdirSync(outputDir, { recursive: true });
+        if (!runtimeOption) this.copyStandaloneRuntime(outputDir);
+        fs.writeFileSync(output, code);
+        console.log(`📦 Built ${output} (${operators.length} operator(s)${operators.length ? `: ${operators.join(', ')}` : ''})`);
+        console.log(`   Run it with: node ${output}`);
+    }
+
+    // The standalone runtime and the modules it imports, copied into <outputDir>/fluxus-runtime/
+    copyStandaloneRuntime(outputDir) {
+        const target = path.join(outputDir, STANDALONE_RUNTIME_DIRECTORY);
+        for (const file of STANDALONE_RUNTIME_FILES) {
+            fs.mkdirSync(path.dirname(path.join(target, file)), { recursive: true });
+            fs.copyFileSync(path.join(__dirname, 'runtime', file), path.join(target, file));
+        }
+        // The copies are ES modules wherever the build goes
+        fs.writeFileSync(path.join(target, 'package.json'), `${JSON.stringify({ type: 'module' }, null, 2)}\n`);
+    }
+
     async handleParse(filename, options) {
         if (!filename) {
             this.showUsageError('parse <file.flux>');
@@ -184,13 +490,55 @@ class FluxusCLI {
         this.showBanner('PARSING');
         const source = this.loadSourceFile(filename);
         
-        const parser = new GraphParser();
+        const parser = this.createParser(filename, options);
         const ast = parser.parse(source);
 
         console.log('📖 AST Structure:');
         console.log(JSON.stringify(ast, null, 2));
     }
 
+    async handleDebug(filename, options) {
+        if (!filename) {
+            this.showUsageError('debug <file.flux>');
+            return;
+        }
+
+        this.showBanner('DEBUGGER');
+        const source = this.loadSourceFile(filename);
+        const parser = this.createParser(filename, options);
+        const ast = parser.parse(source);
+        ast.metadata.filename ??= filename;
+
+        const engine = new RuntimeEngine({
+            debugMode: options.includes('--debug'),
+            quietMode: true,
+            fsRoot: this.getOptionValue(options, '--fs-root') || undefined
+        });
+        engine.on('runtime:error', (error) => console.error(formatDiagnostic(error, source)));
+
+        const session = new DebugSession(engine, { filename }).attach();
+        const breakLines = this.getOptionValue(options, '--break');
+        breakLines?.split(',').map(Number).filter(Number.isInteger).forEach(line => session.addBreakpoint(line));
+
+        const debuggerCLI = new DebuggerCLI(session, { source });
+        await debuggerCLI.start(() => engine.start(ast));
+        await engine.shutdown();
+    }
+
+    // Debug Adapter Protocol over stdio; the editor sends `launch` with the program
+    async handleDap() {
+        const server = new DapServer({ captureConsole: true });
+        await server.closed;
+        process.exit(0);
+    }
+
+    // Language Server Protocol over stdio; exits with 0 only after a `shutdown` request
+    async handleLsp() {
+        const server = new LanguageServer();
+        const exitCode = await server.closed;
+        process.exit(exitCode);
+    }
+
     async handleRepl(options) {
         this.showBanner('INTERACTIVE REPL');
         const repl = new FluxusREPL({
@@ -231,8 +579,13 @@ Run: fluxus run examples/comprehensive-working.flux --metrics
         `);
     }
 
-    async handleDashboard() {
+    async handleDashboard(filename, options = []) {
         this.showBanner('DASHBOARD');
+        if (filename) {
+            await this.runWithDashboard(filename, options);
+            return;
+        }
+
         const engine = new RuntimeEngine({ quietMode: true });
         const stats = engine.getEngineStats();
         
@@ -257,6 +610,36 @@ Run 'fluxus run examples/comprehensive-working.flux --metrics' for detailed anal
         `);
     }
 
+    // Run a program with the web dashboard attached; it keeps serving after the program ends
+    async runWithDashboard(filename, options) {
+        const source = this.loadSourceFile(filename);
+        const parser = this.createParser(filename, options);
+        const ast = parser.parse(source);
+        ast.metadata.filename ??= filename;
+
+        const engine = new RuntimeEngine({
+            quietMode: options.includes('--quiet'),
+            fsRoot: this.getOptionValue(options, '--fs-root') || undefined
+        });
+        engine.on('runtime:error', (error) => console.error(formatDiagnostic(error, source)));
+
+        const port = Number(this.getOptionValue(options, '--port')) || 3000;
+        const token = this.getOptionValue(options, '--token') || process.env.FLUXUS_DASHBOARD_TOKEN;
+        const dashboard = new FluxusDashboard(engine, port, { token }).start();
+
+        const stop = () => {
+            engine.shutdown();
+            dashboard.stop();
+        };
+        process.once('SIGINT', stop);
+        process.once('SIGTERM', stop);
+
+        await engine.start(ast);
+        if (!dashboard.stopped) {
+            console.log('📊 Program finished; the dashboard keeps its final state. Press Ctrl+C to stop.');
+        }
+    }
+
     async handleProfile(filename, options) {
         if (!filename) {
             this.showUsageError('profile <file.flux>');
@@ -266,7 +649,7 @@ Run 'fluxus run examples/comprehensive-working.flux --metrics' for detailed anal
         this.showBanner('PROFILING');
         const source = this.loadSourceFile(filename);
         
-        const parser = new GraphParser();
+        const parser = this.createParser(filename, options);
         const ast = parser.parse(source);
         
         const compiler = new Compiler();
@@ -280,10 +663,15 @@ Run 'fluxus run examples/comprehensive-working.flux --metrics' for detailed anal
         
         console.log(`📊 Profiling: ${filename}`);
         
+        const recorder = new SpanRecorder(engine).attach();
         const startTime = Date.now();
         const startMemory = process.memoryUsage().heapUsed;
         
-        await engine.start(ast);
+        try {
+            await engine.start(ast);
+        } finally {
+            recorder.detach();
+        }
         
         const endTime = Date.now();
         const endMemory = process.memoryUsage().heapUsed;
@@ -295,9 +683,99 @@ Run 'fluxus run examples/comprehensive-working.flux --metrics' for detailed anal
         console.log(`   Operator Calls: ${stats.metrics.operatorCalls}`);
         console.log(`   Library Selections:`, stats.metrics.librarySelections);
         console.log(`   Domain Operations:`, stats.intelligence.domainOperations);
+
+        this.printOperatorLatencies(recorder);
+
+        const traceFile = this.getOptionValue(options, '--trace');
+        if (traceFile) {
+            fs.writeFileSync(traceFile, JSON.stringify(toChromeTrace(recorder.spans, { name: path.basename(filename) })));
+            console.log(`\n🧵 Chrome trace written to ${traceFile} (open in chrome://tracing or ui.perfetto.dev)`);
+        }
+        const foldedFile = this.getOptionValue(options, '--folded');
+        if (foldedFile) {
+            fs.writeFileSync(foldedFile, toFoldedStacks(recorder.spans));
+            console.log(`🔥 Folded stacks written to ${foldedFile} (flamegraph.pl or speedscope)`);
+        }
     }
 
-    async handleTest(options) {
+    // Wall time per call is CPU (running) plus wait (timers, I/O, other pipelines)
+    printOperatorLatencies(recorder) {
+        const rows = operatorPercentiles(recorder.spans);
+        const pipelines = recorder.spans.filter(span => span.kind === 'pipeline').length;
+        console.log(`\n⏱️ Operator Latency (${pipelines} pipeline runs, ${recorder.spans.length - pipelines} operator spans):`);
+        if (rows.length === 0) {
+            console.log('   No operators ran');
+            return;
+        }
+
+        const ms = (value) => `${value.toFixed(3)}ms`;
+        const width = Math.min(32, Math.max(8, ...rows.map(row => `${row.name}:${row.line}`.length)));
+        console.log(`   ${'operator'.padEnd(width)} ${'calls'.padStart(6)} ${'p50'.padStart(10)} ${'p95'.padStart(10)} ${'p99'.padStart(10)} ${'cpu'.padStart(10)} ${'wait'.padStart(10)}`);
+        for (const row of rows) {
+            const label = `${row.name}:${row.line ?? '?'}`;
+            console.log(`   ${(label.length > width ? label.slice(0, width - 1) + '…' : label).padEnd(width)} ${String(row.count).padStart(6)} ${ms(row.p50).padStart(10)} ${ms(row.p95).padStart(10)} ${ms(row.p99).padStart(10)} ${ms(row.cpu).padStart(10)} ${ms(row.wait).padStart(10)}`);
+        }
+        if (recorder.dropped > 0) {
+            console.log(`   ⚠️ ${recorder.dropped} spans dropped after the first ${recorder.maxSpans}`);
+        }
+    }
+
+    /**
+     * `fluxus test <files|dirs|globs>` runs the TEST blocks of .test.flux
+     * files; without targets it runs the engine self-test below. The exit
+     * code is 1 when a test fails, a file does not parse or nothing ran.
+     */
+    async handleTest(args) {
+        const targets = args.filter(arg => !arg.startsWith('--'));
+        if (targets.length === 0) {
+            await this.handleEngineTest(args);
+            return;
+        }
+
+        const reporter = this.getOptionValue(args, '--reporter') || 'console';
+        const output = this.getOptionValue(args, '--output');
+        if (!['console', 'tap', 'junit'].includes(reporter)) {
+            console.error(`❌ Unknown reporter: ${reporter} (expected console, tap or junit)`);
+            process.exitCode = 1;
+            return;
+        }
+        const backend = this.getOptionValue(args, '--backend') || 'graph';
+        if (!ENGINE_BACKENDS[backend]) {
+            console.error(`❌ Unknown backend: ${backend} (expected graph or ir)`);
+            process.exitCode = 1;
+            return;
+        }
+
+        const files = findTestFiles(targets);
+        const runner = new TestRunner({
+            timeout: Number(this.getOptionValue(args, '--timeout')) || undefined,
+            filter: this.getOptionValue(args, '--grep'),
+            realTime: args.includes('--real-time'),
+            backend
+        });
+
+        // With a TAP or JUnit report on stdout, stdio-guard.js sends these console lines to stderr
+        this.showBanner('TEST');
+        const results = await runner.runFiles(files, result => console.log(formatConsole(result)));
+        const summary = summarize(results);
+
+        if (reporter !== 'console') {
+            const report = reporter === 'tap' ? formatTap(results) : formatJUnit(results);
+            if (output) {
+                fs.writeFileSync(output, report);
+                console.log(`📝 ${reporter.toUpperCase()} report written to ${output}`);
+            } else {
+                process.stdout.write(report);
+            }
+        }
+
+        const failed = summary.failed > 0 || summary.tests === 0;
+        console.log(`\n${failed ? '❌' : '✅'} ${summary.passed} passed, ${summary.failed} failed in ${files.length} file(s) (${summary.duration.toFixed(0)}ms)`);
+        if (summary.tests === 0) console.log('⚠️ No tests found');
+        if (failed) process.exitCode = 1;
+    }
+
+    async handleEngineTest(options) {
         this.showBanner('TEST SUITE');
         console.log('🧪 Running Complete Engine Test Suite...\n');
         
@@ -415,6 +893,71 @@ Run 'fluxus run examples/comprehensive-working.flux --metrics' for detailed anal
         }
     }
 
+    /**
+     * The parsed graph of a .flux file and its library bindings from the
+     * Compiler, as { ast, bindings }. Unless --no-cache, both come from
+     * .fluxus-cache/ when the source, the Fluxus version, the parser and the
+     * installed packages are the ones they were built from, and go there
+     * after a clean parse otherwise.
+     */
+    loadProgram(filename, source, options, errorFormat = 'text') {
+        const cache = options.includes('--no-cache') ? null : new ArtifactCache({ version: this.version });
+        const cacheOptions = { parser: options.includes('--legacy-parser') ? 'legacy' : 'token' };
+
+        const artifact = cache?.load(filename, source, cacheOptions);
+        if (artifact) {
+            const libraries = [...artifact.bindings.imported, ...artifact.bindings.detected];
+            console.log(`⚡ Cached artifact: ${path.relative(process.cwd(), artifact.path)} (parsed graph${libraries.length ? `, libraries: ${libraries.join(', ')}` : ''})`);
+            return { ast: artifact.graph, bindings: artifact.bindings };
+        }
+
+        const parser = this.createParser(filename, options, { errorFormat });
+        const ast = parser.parse(source);
+        ast.metadata.filename ??= filename;
+        const { bindings } = new Compiler().compile(ast);
+
+        // Recovered parse errors are reported again on every run, so those programs are not cached
+        if (cache && !parser.errors?.length && !ast.metadata.errors?.length) {
+            cache.store(filename, source, cacheOptions, { graph: ast, bindings });
+        }
+        return { ast, bindings };
+    }
+
+    // fluxus cache stats | clear
+    handleCache(subcommand) {
+        const cache = new ArtifactCache({ version: this.version });
+        const kilobytes = bytes => `${(bytes / 1024).toFixed(1)} KB`;
+
+        switch (subcommand) {
+            case 'stats': {
+                const stats = cache.stats();
+                console.log(`🗄️  Artifact cache: ${stats.directory}`);
+                console.log(`   Artifacts: ${stats.entries.length} (${kilobytes(stats.bytes)}), ${stats.stale} stale`);
+                console.log(`   Runs: ${stats.hits} hit(s), ${stats.misses} miss(es), ${stats.invalidations} invalidated`);
+                for (const entry of stats.entries) {
+                    const file = entry.file ? path.relative(process.cwd(), entry.file) : path.basename(entry.path);
+                    console.log(`   ${entry.current ? '✅' : '♻️ '} ${file} (${kilobytes(entry.bytes)}${entry.current ? '' : ', stale'})`);
+                }
+                break;
+            }
+
+            case 'clear': {
+                const removed = cache.clear();
+                console.log(`🧹 Removed ${removed} artifact(s) from ${cache.directory}`);
+                break;
+            }
+
+            default:
+                console.log('🗄️  Cache Commands:');
+                console.log('  fluxus cache stats     Artifacts, their size and hit/miss counts');
+                console.log('  fluxus cache clear     Remove .fluxus-cache/');
+                if (subcommand) {
+                    console.error(`❌ Unknown cache command: ${subcommand}`);
+                    process.exitCode = 1;
+                }
+        }
+    }
+
     async handlePackages(subcommand, options) {
         const pm = new FluxusPackageManager();
         this.showBanner('PACKAGE MANAGEMENT');
@@ -507,7 +1050,8 @@ Run 'fluxus run examples/comprehensive-working.flux --metrics' for detailed anal
                     }
                 } 
             },
-            { name: 'Core Parser', check: () => new GraphParser() ? '✅ OK' : '❌ Failed' },
+            { name: 'Core Parser', check: () => new FluxusParser() ? '✅ OK' : '❌ Failed' },
+            { name: 'Legacy Parser', check: () => new GraphParser() ? '✅ OK' : '❌ Failed' },
             { name: 'Compiler', check: () => new Compiler() ? '✅ OK' : '❌ Failed' },
             { name: 'Package Manager', check: () => new FluxusPackageManager() ? '✅ OK' : '❌ Failed' },
             { name: 'REPL System', check: () => new FluxusREPL() ? '✅ OK' : '❌ Failed' }
@@ -544,7 +1088,7 @@ Run 'fluxus run examples/comprehensive-working.flux --metrics' for detailed anal
         for (const example of examples) {
             try {
                 const source = this.loadSourceFile(example);
-                const parser = new GraphParser();
+                const parser = new FluxusParser({ filename: example });
                 const ast = parser.parse(source);
                 const compiler = new Compiler();
                 const compiledAst = compiler.compile(ast);
@@ -588,7 +1132,25 @@ Run 'fluxus run examples/comprehensive-working.flux --metrics' for detailed anal
         console.log('  fluxus run <file> --no-iot       Disable IoT domain');
         console.log('  fluxus run <file> --no-health    Disable health domain');
         console.log('  fluxus run <file> --no-analytics Disable analytics domain');
+        console.log('  fluxus run <file> --fs-root=<dir> Scope file operators to a directory');
+        console.log('  fluxus run <file> --virtual-time Run timers on virtual time, without waiting');
+        console.log('  fluxus run <file> --legacy-parser Use the line-based GraphParser');
+        console.log('  fluxus run <file> --error-format=json Print errors as JSON lines');
+        console.log('  fluxus run <file> --strict       Refuse to run programs with type errors');
+        console.log('  fluxus run <file> --backend=ir   Run the optimized IR instead of walking the graph');
+        console.log('  fluxus run <file> -O0|-O1|-O2    Run the IR at an optimization level (default -O1)');
+        console.log('  fluxus run <file> --explain-opt  Show each optimizer rewrite with its source lines');
+        console.log('  fluxus run <file> --no-cache     Parse again instead of using .fluxus-cache/');
+        console.log('  fluxus check <file.flux>         Type-check without running');
+        console.log('  fluxus fmt [files|dirs] [--check] Format .flux files in place (--check: fail if unformatted)');
+        console.log('  fluxus debug <file> [--break=3,7] Step through a program at breakpoints');
+        console.log('  fluxus dap                       Debug Adapter Protocol server on stdio');
+        console.log('  fluxus lsp                       Language Server Protocol server on stdio');
         console.log('  fluxus compile <file.flux>       Compile to IR');
+        console.log('  fluxus compile <file> -O2 [--explain-opt] Show the optimized IR and its rewrites');
+        console.log('  fluxus compile --emit-ir <file> [-O2] [-o out.fir] Write the IR as a .fir text file');
+        console.log('  fluxus run <file.fir> [-O0|-O1|-O2] Run a .fir file on the IR backend');
+        console.log('  fluxus build <file> [-o out.mjs] [--runtime=specifier] Build a standalone ES module');
         console.log('  fluxus parse <file.flux>         Parse and show AST');
         console.log('  fluxus repl                      Start interactive REPL');
         console.log('');
@@ -601,10 +1163,15 @@ Run 'fluxus run examples/comprehensive-working.flux --metrics' for detailed anal
         console.log('📚 DEVELOPMENT:');
         console.log('  fluxus tutorial                  Show language tutorial');
         console.log('  fluxus dashboard                 Show runtime dashboard');
+        console.log('  fluxus dashboard <file> [--port=3000] [--token=secret] Run a program with the web dashboard');
+        console.log('  fluxus profile <file> [--trace=out.json] [--folded=out.folded] Profile pipelines and operators');
         console.log('  fluxus test                      Run complete engine tests');
+        console.log('  fluxus test <files|dirs|globs>   Run TEST blocks in .test.flux files');
+        console.log('  fluxus test <...> --reporter=tap|junit [--output=file] [--grep=text] [--timeout=ms] [--real-time] [--backend=ir]');
         console.log('  fluxus libraries list            List available libraries');
         console.log('  fluxus libraries stats           Show library selection stats');
         console.log('  fluxus packages list             List installed packages');
+        console.log('  fluxus cache stats|clear         Show or remove the cached parsed programs');
         console.log('');
         
         console.log('🧪 TESTING & QUALITY:');
@@ -624,11 +1191,57 @@ Run 'fluxus run examples/comprehensive-working.flux --metrics' for detailed anal
         console.log('  fluxus doctor');
     }
 
+    // Token frontend by default; GraphParser with --legacy-parser
+    createParser(filename, options = [], parserOptions = {}) {
+        return createParser({ ...parserOptions, filename, legacy: options.includes('--legacy-parser') });
+    }
+
+    // Value of a `--name=value` option, or null
+    getOptionValue(options, name) {
+        const option = options.find(opt => opt.startsWith(`${name}=`));
+        return option ? option.slice(name.length + 1) : null;
+    }
+
+    // 0, 1 or 2 for -O0..-O2, null without the flag; false (reported) for any other -O
+    getOptimizationLevel(options) {
+        const flag = options.filter(opt => /^-O/.test(opt)).pop();
+        if (!flag) return null;
+        const match = /^-O([0-2])$/.exec(flag);
+        if (!match) {
+            console.error(`❌ Unknown optimization level: ${flag} (expected -O0, -O1 or -O2)`);
+            process.exitCode = 1;
+            return false;
+        }
+        return Number(match[1]);
+    }
+
+    // A .fir file as an IR program, or null after reporting where it is malformed
+    parseIRFile(filename, source, errorFormat = 'text') {
+        try {
+            return parseIR(source, { filename });
+        } catch (error) {
+            if (!error.isFluxusError) throw error;
+            console.error(errorFormat === 'json' ? JSON.stringify(diagnosticToJSON(error)) : formatDiagnostic(error, source));
+            process.exitCode = 1;
+            return null;
+        }
+    }
+
+    // The .flux source an IR program was built from, for code frames, or null when it is not around
+    programSource(program) {
+        try {
+            return program.metadata?.filename ? fs.readFileSync(program.metadata.filename, 'utf-8') : null;
+        } catch (error) {
+            return null;
+        }
+    }
+
     loadSourceFile(filePath) {
         try {
             return fs.readFileSync(filePath, 'utf-8');
         } catch (error) {
-            throw new Error(`Could not read file: ${filePath}`);
+            if (error.code === 'ENOENT') throw new CliError(`File not found: ${filePath}`);
+            throw new CliError(`Could not read file: ${filePath} (${error.code || error.message})`);
         }
     }
 
@@ -670,9 +1283,14 @@ Run 'fluxus run examples/comprehensive-working.flux --metrics' for detailed anal
 
     showUsageError(usage) {
         console.error(`❌ Usage: fluxus ${usage}`);
+        process.exitCode = EXIT_USAGE;
     }
 
     handleFatalError(error) {
+        if (error instanceof CliError) {
+            console.error(`❌ ${error.message}`);
+            process.exit(error.exitCode);
+        }
         console.error('💥 Fluxus CLI Fatal Error:');
         console.error(error);
         process.exit(1);
@@ -2,7 +2,7 @@
 // Compile Command for compiling Fluxus programs to IR
 
 import { BaseCommand } from './BaseCommand.js';
-import { GraphParser } from '../../core/parser.js';
+import { createParser } from '../../frontend/index.js';
 import { Compiler } from '../../core/compiler.js';
 
 export class CompileCommand extends BaseCommand {
@@ -19,7 +19,7 @@ export class CompileCommand extends BaseCommand {
         
         try {
             const source = this.cli.loadSourceFile(filename);
-            const parser = new GraphParser();
+            const parser = createParser({ filename, legacy: options.includes('--legacy-parser') });
             const ast = parser.parse(source);
             
             const compiler = new Compiler();
@@ -29,7 +29,7 @@ export class CompileCommand extends BaseCommand {
             console.log(JSON.stringify(compiled, null, 2));
             
             if (options.includes('--output')) {
-                const runtimeCode = compiler.generateRuntimeCode(compiled);
+                const runtimeCode = compiler.generateRuntimeCode(ast, { filename, source });
                 this.log('Generated Runtime Code:', 'info');
                 console.log(runtimeCode);
             }
@@ -45,7 +45,7 @@ export class CompileCommand extends BaseCommand {
 Usage: fluxus compile <file.flux> [options]
 
 Options:
-  --output    Generate runtime JavaScript code
+  --output    Print the program as a standalone ES module (see fluxus build)
 
 Examples:
   fluxus compile examples/hello.flux
@@ -1,6 +1,7 @@
 // FILENAME: src/cli/commands/RunCommand.js
 import { BaseCommand } from './BaseCommand.js';
-import { GraphParser } from '../../core/parser.js';
+import { createParser } from '../../frontend/index.js';
+import { formatDiagnostic, diagnosticToJSON } from '../../frontend/diagnostics.js';
 import { Compiler } from '../../core/compiler.js';
 import { RuntimeEngine } from '../../core/engine.js'; // SMART ENGINE
 
@@ -18,6 +19,7 @@ export class RunCommand extends BaseCommand {
 
         try {
             const source = this.cli.loadSourceFile(filename);
+            const errorFormat = options.find(opt => opt.startsWith('--error-format='))?.split('=')[1] || 'text';
             
             // USE SMART ENGINE WITH OPTIONS
             const engine = new RuntimeEngine({
@@ -28,8 +30,15 @@ export class RunCommand extends BaseCommand {
                 logLevel: options.includes('--debug') ? 'DEBUG' : 'INFO'
             });
 
-            const parser = new GraphParser();
+            const parser = createParser({ filename, errorFormat, legacy: options.includes('--legacy-parser') });
             const ast = parser.parse(source);
+            ast.metadata.filename ??= filename;
+
+            engine.on('runtime:error', (error) => {
+                console.error(errorFormat === 'json'
+                    ? JSON.stringify(diagnosticToJSON(error))
+                    : formatDiagnostic(error, source));
+            });
 
             const compiler = new Compiler();
             compiler.compile(ast); // Compile for validation
@@ -64,6 +73,8 @@ Options:
   --quiet          Enable quiet mode  
   --no-smart-libs  Disable smart library selection
   --metrics        Show engine metrics
+  --legacy-parser  Parse with the line-based GraphParser
+  --error-format=json  Print parse and runtime errors as JSON lines
 
 Examples:
   fluxus run examples/hello.flux
@@ -2,21 +2,32 @@
 // Test Command for running Fluxus test suite
 
 import { BaseCommand } from './BaseCommand.js';
+import { TestRunner, findTestFiles, summarize, formatConsole } from '../tools/testing/index.js';
 
 export class TestCommand extends BaseCommand {
     constructor(cli) {
         super(cli);
-        this.description = 'Run Fluxus language test suite';
+        this.description = 'Run .test.flux files, or the example suite when no files are given';
     }
 
     async execute(args = []) {
+        const targets = args.filter(arg => !arg.startsWith('--'));
+
         try {
-            this.log('Running Fluxus Language Test Suite...', 'info');
-            
-            // Import and run the test runner
-            const { runAllTests } = await import('../../../test-run.js');
-            await runAllTests();
-            
+            if (targets.length === 0) {
+                this.log('Running Fluxus Language Test Suite...', 'info');
+
+                // Import and run the test runner
+                const { runAllTests } = await import('../../../test-run.js');
+                await runAllTests();
+                return;
+            }
+
+            const results = await new TestRunner({ realTime: args.includes('--real-time') }).runFiles(findTestFiles(targets), result => console.log(formatConsole(result)));
+            const summary = summarize(results);
+            this.log(`${summary.passed} passed, ${summary.failed} failed`, summary.failed > 0 || summary.tests === 0 ? 'error' : 'success');
+            if (summary.failed > 0 || summary.tests === 0) process.exitCode = 1;
+
         } catch (error) {
             this.log(`Test suite failed: ${error.message}`, 'error');
             throw error;
@@ -25,13 +36,17 @@ export class TestCommand extends BaseCommand {
 
     showHelp() {
         console.log(`
-Usage: fluxus test
+Usage: fluxus test [files|dirs|globs] [--reporter=tap|junit] [--output=file] [--real-time]
 
 Description:
-  Runs the complete test suite to verify all Fluxus examples work correctly.
+  Runs the TEST blocks of .test.flux files, each test on a fresh engine
+  and on virtual time unless --real-time is given.
+  Without files, runs the complete suite to verify all Fluxus examples work correctly.
 
 Examples:
   fluxus test
+  fluxus test examples/user_functions.test.flux
+  fluxus test "src/**/*.test.flux" --reporter=junit --output=results.xml
         `);
     }
 }
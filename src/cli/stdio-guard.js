@@ -0,0 +1,30 @@
+// FILENAME: src/cli/stdio-guard.js
+// Keeps stdout free for the protocol servers (`fluxus dap`, `fluxus lsp`) and test reports
+
+import { format } from 'util';
+
+/**
+ * Imported before anything else by the CLI entry points. Modules log while
+ * they load, and for protocol commands stdout carries nothing but protocol
+ * messages, so console output goes to stderr instead. The same holds for
+ * `fluxus test --reporter=tap|junit` when the report is not written to a
+ * file with --output.
+ */
+const PROTOCOL_COMMANDS = new Set(['dap', 'lsp']);
+
+const args = process.argv.slice(2);
+const reportOnStdout = args[0] === 'test' &&
+    args.some(arg => /^--reporter=(tap|junit)$/.test(arg)) &&
+    !args.some(arg => arg.startsWith('--output='));
+
+export const protocolMode = PROTOCOL_COMMANDS.has(args[0]) || reportOnStdout;
+
+if (protocolMode) {
+    const toStderr = (...args) => process.stderr.write(`${format(...args)}\n`);
+    console.log = toStderr;
+    console.info = toStderr;
+    console.warn = toStderr;
+    console.debug = toStderr;
+}
+
+export default protocolMode;
@@ -0,0 +1,189 @@
+// FILENAME: src/cli/tools/cache/ArtifactCache.js
+// Artifact Cache - parsed programs kept between `fluxus run`s
+
+import fs from 'fs';
+import path from 'path';
+import { createHash } from 'crypto';
+import { FluxusPackageManager } from '../../../package-manager.js';
+
+export const CACHE_DIRECTORY = '.fluxus-cache';
+
+// Bumped when the artifact layout changes, so old artifacts stop matching
+const ARTIFACT_FORMAT = 2;
+const STATS_FILE = 'stats.json';
+
+const sha256 = text => createHash('sha256').update(text).digest('hex');
+
+/**
+ * Precompiled programs in `.fluxus-cache/`: the parsed graph of a .flux
+ * file and the library each of its operators resolves to, so `fluxus run`
+ * can skip parsing and analysis when nothing changed.
+ *
+ * There is one artifact per source file, named after its path. It holds
+ * the key it was built under, a hash of the source, the Fluxus version,
+ * the parser and the installed package set (fluxus_packages/installed.json).
+ * When any of those change the key no longer matches: load() reports a
+ * miss and the next store() replaces the artifact.
+ *
+ * The cache is an optimization only: unreadable or corrupt artifacts are
+ * misses, and failing to write one never fails a run.
+ */
+export class ArtifactCache {
+    constructor(options = {}) {
+        this.root = options.root || process.cwd();
+        this.directory = path.join(this.root, CACHE_DIRECTORY);
+        this.version = options.version || 'unknown';
+        this.packagesDir = options.packagesDir || path.join(this.root, 'fluxus_packages');
+    }
+
+    key(source, { parser = 'token' } = {}) {
+        return sha256(JSON.stringify([ARTIFACT_FORMAT, this.version, parser, this.packageSet(), source]));
+    }
+
+    // Installed packages and their manifests, in a stable order
+    packageSet() {
+        if (this.packages === undefined) {
+            const { installedPackages } = new FluxusPackageManager(null, { packagesDir: this.packagesDir });
+            this.packages = JSON.stringify([...installedPackages].sort(([a], [b]) => a.localeCompare(b)));
+        }
+        return this.packages;
+    }
+
+    artifactPath(filename) {
+        return path.join(this.directory, `${sha256(path.resolve(filename)).slice(0, 16)}.json`);
+    }
+
+    /**
+     * The artifact for `filename` built from this `source`, as
+     * { graph, bindings, path }, or null (and counted as a miss).
+     */
+    load(filename, source, options = {}) {
+        const artifactPath = this.artifactPath(filename);
+        const artifact = this.readArtifact(artifactPath);
+        if (!artifact) {
+            this.count('misses');
+            return null;
+        }
+        if (artifact.key !== this.key(source, options)) {
+            this.count('invalidations');
+            return null;
+        }
+
+        this.count('hits');
+        return { graph: artifact.graph, bindings: artifact.bindings, path: artifactPath };
+    }
+
+    store(filename, source, options, { graph, bindings }) {
+        const artifact = {
+            format: ARTIFACT_FORMAT,
+            key: this.key(source, options),
+            file: path.resolve(filename),
+            parser: options.parser || 'token',
+            version: this.version,
+            createdAt: new Date().toISOString(),
+            bindings,
+            graph
+        };
+
+        try {
+            fs.mkdirSync(this.directory, { recursive: true });
+            const artifactPath = this.artifactPath(filename);
+            // Written aside and renamed, so a concurrent run never reads half an artifact
+            const temporary = `${artifactPath}.${process.pid}.tmp`;
+            fs.writeFileSync(temporary, JSON.stringify(artifact, encodeCollections));
+            fs.renameSync(temporary, artifactPath);
+            return artifactPath;
+        } catch (error) {
+            return null;
+        }
+    }
+
+    readArtifact(artifactPath) {
+        try {
+            const artifact = JSON.parse(fs.readFileSync(artifactPath, 'utf-8'), decodeCollections);
+            return artifact.format === ARTIFACT_FORMAT ? artifact : null;
+        } catch (error) {
+            return null;
+        }
+    }
+
+    artifactFiles() {
+        if (!fs.existsSync(this.directory)) return [];
+        return fs.readdirSync(this.directory).filter(file => file.endsWith('.json') && file !== STATS_FILE).sort();
+    }
+
+    /**
+     * Every artifact with its source file and size, and whether it still
+     * matches that file (`current`), plus the hit and miss counts since the
+     * cache was last cleared.
+     */
+    stats() {
+        const entries = this.artifactFiles().map(file => {
+            const artifactPath = path.join(this.directory, file);
+            const bytes = fs.statSync(artifactPath).size;
+            const artifact = this.readArtifact(artifactPath);
+            if (!artifact) return { path: artifactPath, file: null, bytes, current: false };
+
+            let current = false;
+            try {
+                current = artifact.key === this.key(fs.readFileSync(artifact.file, 'utf-8'), { parser: artifact.parser });
+            } catch (error) {
+                // The source file is gone
+            }
+            return { path: artifactPath, file: artifact.file, bytes, createdAt: artifact.createdAt, current };
+        });
+
+        return {
+            directory: this.directory,
+            entries,
+            bytes: entries.reduce((total, entry) => total + entry.bytes, 0),
+            stale: entries.filter(entry => !entry.current).length,
+            ...this.readCounts()
+        };
+    }
+
+    // Removes the cache directory; returns how many artifacts it held
+    clear() {
+        const removed = this.artifactFiles().length;
+        fs.rmSync(this.directory, { recursive: true, force: true });
+        return removed;
+    }
+
+    readCounts() {
+        try {
+            return { hits: 0, misses: 0, invalidations: 0, ...JSON.parse(fs.readFileSync(path.join(this.directory, STATS_FILE), 'utf-8')) };
+        } catch (error) {
+            return { hits: 0, misses: 0, invalidations: 0 };
+        }
+    }
+
+    count(outcome) {
+        try {
+            const { hits, misses, invalidations } = this.readCounts();
+            const counts = { hits, misses, invalidations };
+            counts[outcome]++;
+            fs.mkdirSync(this.directory, { recursive: true });
+            fs.writeFileSync(path.join(this.directory, STATS_FILE), JSON.stringify(counts));
+        } catch (error) {
+            // Counting is best effort, like the rest of the cache
+        }
+    }
+}
+
+// The parsed graph keeps a few Sets (metadata.standardLibrary.usedLibraries); JSON has no word for them
+function encodeCollections(key, value) {
+    if (value instanceof Set) return { $set: [...value] };
+    if (value instanceof Map) return { $map: [...value] };
+    return value;
+}
+
+function decodeCollections(key, value) {
+    if (value && typeof value === 'object' && !Array.isArray(value)) {
+        const keys = Object.keys(value);
+        if (keys.length === 1 && keys[0] === '$set' && Array.isArray(value.$set)) return new Set(value.$set);
+        if (keys.length === 1 && keys[0] === '$map' && Array.isArray(value.$map)) return new Map(value.$map);
+    }
+    return value;
+}
+
+export default ArtifactCache;
@@ -0,0 +1,7 @@
+// FILENAME: src/cli/tools/cache/index.js
+// Artifact Cache Entry Point
+
+import { ArtifactCache, CACHE_DIRECTORY } from './ArtifactCache.js';
+
+export { ArtifactCache, CACHE_DIRECTORY };
+export default { ArtifactCache, CACHE_DIRECTORY };
@@ -0,0 +1,317 @@
+// FILENAME: src/cli/tools/debugger/DapServer.js
+// Debug Adapter Protocol server for Fluxus programs
+
+import fs from 'fs';
+import path from 'path';
+import { format } from 'util';
+import { DebugSession } from './DebugSession.js';
+import { MessageTransport } from '../protocol/MessageTransport.js';
+import { createParser } from '../../../frontend/index.js';
+import { formatDiagnostic, truncateValue } from '../../../frontend/diagnostics.js';
+import { RuntimeEngine } from '../../../core/engine.js';
+
+/**
+ * Debug adapter over a DebugSession. Editors launch `fluxus dap` and talk
+ * DAP over stdio; scripts can pass any input/output stream pair.
+ *
+ * Mapping:
+ * - threads: top-level pipeline runs currently executing
+ * - stack frames: the paused node and the stages that led to it, back to the
+ *   pipeline's source, then the same for each pipeline that called into a FUNC body or lens
+ * - scopes: the frame's in-flight value, FUNC parameters, every tidal pool
+ * - evaluate: lens expressions over the frame's value (see DebugSession.evaluateExpression)
+ *
+ * Program output arrives as 'output' events when `captureConsole` is set.
+ */
+export class DapServer {
+    constructor(options = {}) {
+        this.transport = new MessageTransport(options.input || process.stdin, options.output || process.stdout);
+        this.captureConsole = options.captureConsole || false;
+        this.engineOptions = options.engineOptions || {};
+        this.seq = 0;
+
+        this.engine = null;
+        this.session = null;
+        this.ast = null;
+        this.program = null;
+        this.running = null;
+
+        // Per-stop handles: stack frame ids and variable references
+        this.frames = new Map();
+        this.references = new Map();
+        this.nextHandle = 1;
+
+        this.closed = new Promise(resolve => { this.resolveClosed = resolve; });
+        this.transport.on('message', message => this.dispatch(message));
+        this.transport.on('error', error => this.sendEvent('output', { category: 'stderr', output: `${error.message}\n` }));
+        this.transport.on('close', () => this.close());
+    }
+
+    async dispatch(message) {
+        if (message.type !== 'request') return;
+
+        const handler = this[`on${message.command[0].toUpperCase()}${message.command.slice(1)}Request`];
+        if (!handler) {
+            this.sendResponse(message, null, `Unsupported request: ${message.command}`);
+            return;
+        }
+
+        try {
+            const body = await handler.call(this, message.arguments || {});
+            this.sendResponse(message, body);
+        } catch (error) {
+            this.sendResponse(message, null, error.message);
+        }
+    }
+
+    sendResponse(request, body = null, errorMessage = null) {
+        const response = {
+            seq: ++this.seq,
+            type: 'response',
+            request_seq: request.seq,
+            command: request.command,
+            success: !errorMessage
+        };
+        if (errorMessage) response.message = errorMessage;
+        if (body) response.body = body;
+        this.transport.send(response);
+    }
+
+    sendEvent(event, body = {}) {
+        this.transport.send({ seq: ++this.seq, type: 'event', event, body });
+    }
+
+    // ==================== LIFECYCLE ====================
+
+    onInitializeRequest() {
+        setImmediate(() => this.sendEvent('initialized'));
+        return {
+            supportsConfigurationDoneRequest: true,
+            supportsEvaluateForHovers: true,
+            supportsTerminateRequest: true,
+            supportsSteppingGranularity: false
+        };
+    }
+
+    onLaunchRequest(args) {
+        if (!args.program) throw new Error('launch requires "program"');
+
+        const filename = path.resolve(args.cwd || process.cwd(), args.program);
+        const source = fs.readFileSync(filename, 'utf-8');
+        const parser = createParser({ filename, quiet: true, legacy: args.legacyParser });
+
+        this.program = { filename, source, stopOnEntry: args.stopOnEntry || false };
+        this.ast = parser.parse(source);
+        this.ast.metadata.filename ??= filename;
+
+        if (this.captureConsole) this.redirectConsole();
+        for (const error of parser.errors || []) {
+            this.sendEvent('output', { category: 'stderr', output: `${formatDiagnostic(error, source)}\n` });
+        }
+
+        this.engine = new RuntimeEngine({ quietMode: true, fsRoot: args.fsRoot, ...this.engineOptions });
+        this.engine.on('runtime:error', error => {
+            this.sendEvent('output', { category: 'stderr', output: `${formatDiagnostic(error, source)}\n` });
+        });
+
+        this.session = new DebugSession(this.engine, { filename, quiet: true }).attach();
+        this.session.on('paused', stop => this.onPaused(stop));
+        this.session.on('resumed', () => this.resetHandles());
+        this.session.on('thread:started', thread => this.sendEvent('thread', { reason: 'started', threadId: thread.id }));
+        this.session.on('thread:exited', thread => this.sendEvent('thread', { reason: 'exited', threadId: thread.id }));
+    }
+
+    onConfigurationDoneRequest() {
+        if (!this.session || this.running) return;
+        if (this.program.stopOnEntry) this.session.pause('entry');
+
+        this.running = Promise.resolve()
+            .then(() => this.engine.start(this.ast))
+            .then(() => 0, (error) => {
+                this.sendEvent('output', { category: 'stderr', output: `❌ ${error.message}\n` });
+                return 1;
+            })
+            .then(exitCode => {
+                this.sendEvent('exited', { exitCode });
+                this.sendEvent('terminated');
+            });
+    }
+
+    async onDisconnectRequest() {
+        await this.shutdownProgram();
+        setImmediate(() => this.close());
+    }
+
+    async onTerminateRequest() {
+        await this.shutdownProgram();
+        this.sendEvent('terminated');
+    }
+
+    async shutdownProgram() {
+        if (!this.session) return;
+        this.session.detach();
+        await this.engine.shutdown();
+    }
+
+    close() {
+        if (this.isClosed) return;
+        this.isClosed = true;
+        this.transport.close();
+        this.restoreConsole();
+        this.resolveClosed();
+    }
+
+    // ==================== BREAKPOINTS & EXECUTION ====================
+
+    onSetBreakpointsRequest(args) {
+        const lines = (args.breakpoints || args.lines?.map(line => ({ line })) || []).map(bp => bp.line);
+        const stageLines = new Set((this.ast?.nodes || []).map(node => node.line));
+
+        this.session?.setBreakpoints(lines);
+        return {
+            breakpoints: lines.map((line, index) => ({
+                id: index + 1,
+                line,
+                verified: stageLines.has(line),
+                ...(stageLines.has(line) ? {} : { message: 'No pipeline stage on this line' })
+            }))
+        };
+    }
+
+    onThreadsRequest() {
+        const threads = this.session?.getThreads() || [];
+        // Clients expect at least one thread to ask about
+        return { threads: threads.length > 0 ? threads : [{ id: 0, name: 'main' }] };
+    }
+
+    // Execution requests answer first, so the next 'stopped' follows the response
+    onContinueRequest() {
+        setImmediate(() => this.session.resume());
+        return { allThreadsContinued: true };
+    }
+
+    onNextRequest() {
+        setImmediate(() => this.session.stepOver());
+    }
+
+    onStepInRequest() {
+        setImmediate(() => this.session.stepInto());
+    }
+
+    onStepOutRequest() {
+        setImmediate(() => this.session.stepOut());
+    }
+
+    onPauseRequest() {
+        this.session.pause();
+    }
+
+    onPaused(stop) {
+        this.resetHandles();
+        this.sendEvent('stopped', {
+            reason: stop.reason,
+            threadId: stop.frame.thread.id,
+            allThreadsStopped: true
+        });
+    }
+
+    // ==================== INSPECTION ====================
+
+    onStackTraceRequest(args) {
+        const stop = this.session.current;
+        if (!stop || stop.frame.thread.id !== args.threadId) return { stackFrames: [], totalFrames: 0 };
+
+        const stackFrames = this.session.getCallStack(stop).map(frame => {
+            const id = this.handle(this.frames, { value: frame.value, scope: frame.scope, frame: frame.frame });
+            return {
+                id,
+                name: frame.function === 'main' ? frame.operator : `${frame.function}: ${frame.operator}`,
+                source: { name: path.basename(this.program.filename), path: this.program.filename },
+                line: frame.line || 0,
+                column: frame.column || 1
+            };
+        });
+        return { stackFrames, totalFrames: stackFrames.length };
+    }
+
+    onScopesRequest(args) {
+        const frame = this.frames.get(args.frameId);
+        if (!frame) throw new Error(`Unknown frame ${args.frameId}`);
+
+        const scopes = [{
+            name: 'Value',
+            presentationHint: 'locals',
+            variablesReference: this.handle(this.references, { '.': frame.value }),
+            expensive: false
+        }];
+        if (frame.scope?.bindings && Object.keys(frame.scope.bindings).length > 0) {
+            scopes.push({
+                name: 'Parameters',
+                presentationHint: 'arguments',
+                variablesReference: this.handle(this.references, { ...frame.scope.bindings }),
+                expensive: false
+            });
+        }
+        scopes.push({
+            name: 'Tidal Pools',
+            variablesReference: this.handle(this.references, this.session.getPoolSnapshot()),
+            expensive: false
+        });
+        return { scopes };
+    }
+
+    onVariablesRequest(args) {
+        const container = this.references.get(args.variablesReference);
+        if (container === undefined) return { variables: [] };
+
+        const entries = Array.isArray(container)
+            ? container.map((value, index) => [String(index), value])
+            : Object.entries(container ?? {});
+        return { variables: entries.map(([name, value]) => this.toVariable(name, value)) };
+    }
+
+    async onEvaluateRequest(args) {
+        const frame = args.frameId !== undefined ? this.frames.get(args.frameId) : this.session?.current?.frame;
+        const value = await this.session.evaluateExpression(args.expression, frame ? { value: frame.value, frame } : null);
+        const variable = this.toVariable(args.expression, value);
+        return { result: variable.value, type: variable.type, variablesReference: variable.variablesReference };
+    }
+
+    toVariable(name, value) {
+        const expandable = value !== null && typeof value === 'object';
+        return {
+            name,
+            value: truncateValue(value, 200),
+            type: Array.isArray(value) ? 'Array' : value === null ? 'null' : typeof value,
+            variablesReference: expandable ? this.handle(this.references, value) : 0
+        };
+    }
+
+    handle(table, value) {
+        const id = this.nextHandle++;
+        table.set(id, value);
+        return id;
+    }
+
+    resetHandles() {
+        this.frames.clear();
+        this.references.clear();
+    }
+
+    // ==================== PROGRAM OUTPUT ====================
+
+    redirectConsole() {
+        if (this.originalConsole) return;
+        this.originalConsole = { log: console.log, error: console.error };
+        console.log = (...args) => this.sendEvent('output', { category: 'stdout', output: `${format(...args)}\n` });
+        console.error = (...args) => this.sendEvent('output', { category: 'stderr', output: `${format(...args)}\n` });
+    }
+
+    restoreConsole() {
+        if (!this.originalConsole) return;
+        Object.assign(console, this.originalConsole);
+        this.originalConsole = null;
+    }
+}
+
+export default DapServer;
@@ -1,39 +1,96 @@
 // FILENAME: src/cli/tools/debugger/DebugSession.js
 // Debug Session Manager for Fluxus
 
-export class DebugSession {
-    constructor(program, options = {}) {
-        this.program = program;
+import { EventEmitter } from 'events';
+
+/**
+ * Suspends engine pipelines at breakpoints and steps through them node by
+ * node. Attached to a RuntimeEngine, the session is awaited before every
+ * node (`beforeNode`); pausing means not resolving until the user resumes.
+ *
+ * One stop is active at a time: other pipelines reaching a node while the
+ * session is paused wait until it resumes. Each top-level pipeline run is a
+ * thread (`frame.thread`); stepping follows the thread that stopped, and
+ * FUNC bodies or lens calls entered from a node are child frames of it.
+ *
+ * Events: 'paused' (stop), 'resumed', 'breakpoint:added', 'breakpoint:removed',
+ * 'thread:started' and 'thread:exited' (thread).
+ */
+export class DebugSession extends EventEmitter {
+    constructor(engine, options = {}) {
+        super();
+        this.engine = engine;
         this.options = options;
+        this.filename = options.filename || engine?.ast?.metadata?.filename || '<anonymous>';
         this.breakpoints = new Set();
         this.watchExpressions = new Map();
         this.isPaused = false;
         this.currentStep = 0;
+
+        // Stop state
+        this.current = null;
+        this.stepMode = null;
+        this.stepDepth = 0;
+        this.stepThread = null;
+        this.stepReason = 'step';
+        this.release = null;
+        this.resumed = Promise.resolve();
+        this.watchCounter = 0;
+
+        // Threads: one per top-level pipeline run, keyed by its root frame
+        this.threads = new Map();
+        this.threadCounter = 0;
+        this.onPipelineEnd = ({ pipelineId }) => this.endThread(pipelineId);
+    }
+
+    attach() {
+        this.engine.attachDebugger(this);
+        this.engine.on('pipeline:completed', this.onPipelineEnd);
+        this.engine.on('pipeline:failed', this.onPipelineEnd);
+        return this;
+    }
+
+    detach() {
+        this.breakpoints.clear();
+        this.stepMode = null;
+        this.engine.detachDebugger();
+        this.engine.removeListener('pipeline:completed', this.onPipelineEnd);
+        this.engine.removeListener('pipeline:failed', this.onPipelineEnd);
+        if (this.isPaused) this.resume();
+    }
+
+    setBreakpoints(lines) {
+        this.breakpoints = new Set(lines);
     }
 
     addBreakpoint(lineNumber) {
         this.breakpoints.add(lineNumber);
-        console.log(`🔴 Breakpoint set at line ${lineNumber}`);
+        this.log(`🔴 Breakpoint set at line ${lineNumber}`);
+        this.emit('breakpoint:added', lineNumber);
     }
 
     removeBreakpoint(lineNumber) {
         this.breakpoints.delete(lineNumber);
-        console.log(`⚪ Breakpoint removed at line ${lineNumber}`);
+        this.log(`⚪ Breakpoint removed at line ${lineNumber}`);
+        this.emit('breakpoint:removed', lineNumber);
     }
 
     addWatchExpression(expression) {
-        const id = `watch_${Date.now()}`;
+        const id = `watch_${++this.watchCounter}`;
         this.watchExpressions.set(id, expression);
-        console.log(`👀 Watch expression added: ${expression}`);
+        this.log(`👀 Watch expression added: ${expression}`);
         return id;
     }
 
-    evaluateWatchExpressions(context) {
+    removeWatchExpression(id) {
+        return this.watchExpressions.delete(id);
+    }
+
+    async evaluateWatchExpressions(context = this.current) {
         const results = new Map();
         for (const [id, expression] of this.watchExpressions) {
             try {
-                // Simple evaluation - in real implementation, use proper expression parser
-                const value = this.evaluateExpression(expression, context);
+                const value = await this.evaluateExpression(expression, context);
                 results.set(id, { expression, value });
             } catch (error) {
                 results.set(id, { expression, error: error.message });
@@ -42,52 +99,197 @@ export class DebugSession {
         return results;
     }
 
-    evaluateExpression(expression, context) {
-        // Basic expression evaluation
-        // In enterprise version, this would use the Fluxus expression parser
-        if (expression.startsWith('$')) {
-            const varName = expression.slice(1);
-            return context[varName] || `undefined: ${varName}`;
+    /**
+     * Evaluates a lens expression against the in-flight value (`.`), with
+     * pools and FUNC parameters bound by name: `.score * 2`, `total + 1`,
+     * `. | round()`. `$name` reads a pool or parameter directly.
+     */
+    async evaluateExpression(expression, context = this.current) {
+        const bindings = { ...this.getPoolSnapshot(), ...(context?.frame?.scope?.bindings || {}) };
+        const source = expression.trim();
+
+        if (/^\$[A-Za-z_]\w*$/.test(source)) {
+            const name = source.slice(1);
+            if (!Object.hasOwn(bindings, name)) throw new Error(`Unknown name '${name}'`);
+            return bindings[name];
         }
-        return `Cannot evaluate: ${expression}`;
+
+        return await this.engine.lensEvaluator.evaluate(source, context?.value, {
+            bindings,
+            callOperator: (name, input, args) =>
+                this.engine.callOperatorByName(name, input, args, context?.frame?.scope || null)
+        });
     }
 
-    pause() {
+    /**
+     * Engine hook: decides whether to stop before `node` runs.
+     */
+    async beforeNode(node, value, frame) {
+        if (!frame.parent && !frame.thread.id) this.startThread(frame, node);
+        while (this.isPaused) await this.resumed;
+
+        const depth = this.frameDepth(frame);
+        const reason = this.stopReason(node, frame, depth);
+        frame.lastLine = node.line;
+        if (!reason) return;
+
+        await this.suspend({ node, value, frame, depth, reason });
+    }
+
+    stopReason(node, frame, depth) {
+        const stepping = this.stepThread === null || frame.thread === this.stepThread;
+        if (stepping && this.stepMode === 'into') return this.stepReason;
+        if (stepping && this.stepMode === 'next' && depth <= this.stepDepth) return this.stepReason;
+        if (stepping && this.stepMode === 'out' && depth < this.stepDepth) return this.stepReason;
+        // A line holding several stages stops once per pass through it
+        if (this.breakpoints.has(node.line) && frame.lastLine !== node.line) return 'breakpoint';
+        return null;
+    }
+
+    suspend(stop) {
         this.isPaused = true;
-        console.log('⏸️  Debugger paused');
+        this.currentStep++;
+        this.current = stop;
+        this.resumed = new Promise(resolve => { this.release = resolve; });
+        this.emit('paused', stop);
+        return this.resumed;
+    }
+
+    // Resolves at the next stop, or with null once `running` settles
+    nextStop(running = null) {
+        return new Promise(resolve => {
+            const onPaused = (stop) => resolve(stop);
+            this.once('paused', onPaused);
+            running?.then(() => {
+                this.removeListener('paused', onPaused);
+                resolve(null);
+            }, () => {
+                this.removeListener('paused', onPaused);
+                resolve(null);
+            });
+        });
+    }
+
+    frameDepth(frame) {
+        let depth = 0;
+        for (let parent = frame.parent; parent; parent = parent.parent) depth++;
+        return depth;
+    }
+
+    startThread(frame, node) {
+        frame.id = ++this.threadCounter;
+        frame.name = `${this.engine.describeNode(node)} (line ${node.line})`;
+        this.threads.set(frame.pipelineId, frame);
+        this.emit('thread:started', frame);
+    }
+
+    endThread(pipelineId) {
+        const thread = this.threads.get(pipelineId);
+        if (!thread) return;
+        this.threads.delete(pipelineId);
+        if (this.stepThread === thread) this.stepThread = null;
+        this.emit('thread:exited', thread);
+    }
+
+    getThreads() {
+        return [...this.threads.values()].map(({ id, name }) => ({ id, name }));
+    }
+
+    // Stop before the next node any pipeline runs ('entry' before the program starts)
+    pause(reason = 'pause') {
+        this.stepMode = 'into';
+        this.stepThread = null;
+        this.stepReason = reason;
     }
 
     resume() {
-        this.isPaused = false;
-        console.log('▶️  Debugger resumed');
+        this.stepMode = null;
+        this.continueExecution();
     }
 
+    // Step to the next node of this thread at this call depth or shallower
     stepOver() {
-        this.currentStep++;
-        console.log(`👣 Step ${this.currentStep}`);
+        this.stepMode = 'next';
+        this.stepReason = 'step';
+        this.stepDepth = this.current?.depth ?? 0;
+        this.stepThread = this.current?.frame.thread ?? null;
+        this.continueExecution();
     }
 
-    getCallStack() {
-        return [
-            { function: 'main', line: 1, file: 'program.flux' },
-            { function: 'parse', line: 15, file: 'parser.js' }
-        ];
+    // Step to the very next node of this thread, entering FUNC bodies and lens calls
+    stepInto() {
+        this.stepMode = 'into';
+        this.stepReason = 'step';
+        this.stepThread = this.current?.frame.thread ?? null;
+        this.continueExecution();
     }
 
-    getVariables() {
-        return {
-            globals: {
-                'streams': 3,
-                'pools': 2,
-                'operations': 15
-            },
-            locals: {
-                'currentValue': 42,
-                'isActive': true,
-                'message': 'Hello Debugger'
+    // Step until the current FUNC body (or lens call) returns to its caller
+    stepOut() {
+        this.stepMode = 'out';
+        this.stepReason = 'step';
+        this.stepDepth = this.current?.depth ?? 0;
+        this.stepThread = this.current?.frame.thread ?? null;
+        this.continueExecution();
+    }
+
+    continueExecution() {
+        if (!this.isPaused) return;
+        this.isPaused = false;
+        this.current = null;
+        const release = this.release;
+        this.release = null;
+        this.emit('resumed');
+        release();
+    }
+
+    /**
+     * Innermost first: the paused node and the stages before it in its
+     * pipeline, back to the source, then the same for the pipeline whose
+     * node called into each enclosing frame. Every entry carries the value
+     * its stage received.
+     */
+    getCallStack(stop = this.current) {
+        const frames = [];
+        for (let frame = stop?.frame; frame?.node; frame = frame.parent) {
+            const trail = frame.trail?.length > 0 ? frame.trail : [{ node: frame.node, value: frame.value }];
+            for (let index = trail.length - 1; index >= 0; index--) {
+                const { node, value } = trail[index];
+                frames.push({
+                    function: frame.scope?.function || 'main',
+                    operator: this.engine.describeNode(node),
+                    nodeId: node.id,
+                    line: node.line,
+                    column: node.column || 1,
+                    file: this.filename,
+                    value,
+                    scope: frame.scope,
+                    frame
+                });
             }
+        }
+        return frames;
+    }
+
+    getVariables(stop = this.current) {
+        return {
+            value: stop?.value,
+            bindings: { ...(stop?.frame.scope?.bindings || {}) },
+            pools: this.getPoolSnapshot()
         };
     }
+
+    getPoolSnapshot() {
+        const snapshot = {};
+        for (const [name, pool] of this.engine.pools || []) {
+            snapshot[name] = pool.value;
+        }
+        return snapshot;
+    }
+
+    log(message) {
+        if (!this.options.quiet) console.log(message);
+    }
 }
 
 export default DebugSession;
@@ -2,129 +2,266 @@
 // Debugger Command Line Interface
 
 import { DebugSession } from './DebugSession.js';
+import { formatCodeFrame, truncateValue } from '../../../frontend/diagnostics.js';
 
+/**
+ * Readline front end for a DebugSession. `start(runProgram)` opens the
+ * prompt; the program starts on `run` (or the first `step`). Commands are
+ * handled one at a time, and run/step/next/continue return at the next
+ * stop, so a piped command script behaves like an interactive session.
+ */
 export class DebuggerCLI {
-    constructor(session) {
+    constructor(session, options = {}) {
         this.session = session;
+        this.source = options.source || '';
         this.commands = new Map();
+        this.running = null;
+        this.finished = false;
+        this.queue = Promise.resolve();
         this.setupCommands();
     }
 
     setupCommands() {
-        this.commands.set('break', this.setBreakpoint.bind(this));
-        this.commands.set('watch', this.setWatch.bind(this));
-        this.commands.set('step', this.stepOver.bind(this));
-        this.commands.set('continue', this.continue.bind(this));
-        this.commands.set('variables', this.showVariables.bind(this));
-        this.commands.set('callstack', this.showCallStack.bind(this));
-        this.commands.set('help', this.showHelp.bind(this));
-        this.commands.set('quit', this.quit.bind(this));
+        const commands = [
+            [['break', 'b'], this.setBreakpoint],
+            [['delete', 'd'], this.removeBreakpoint],
+            [['watch', 'w'], this.setWatch],
+            [['run', 'r'], this.run],
+            [['step', 's'], this.stepInto],
+            [['next', 'n'], this.stepOver],
+            [['continue', 'c'], this.continue],
+            [['print', 'p'], this.print],
+            [['variables', 'vars'], this.showVariables],
+            [['callstack', 'where', 'bt'], this.showCallStack],
+            [['help', 'h'], this.showHelp],
+            [['quit', 'q'], this.quit]
+        ];
+        for (const [names, handler] of commands) {
+            names.forEach(name => this.commands.set(name, handler.bind(this)));
+        }
     }
 
-    async start() {
+    async start(runProgram) {
+        this.runProgram = runProgram;
         console.log('🐛 Fluxus Debugger Started');
-        console.log('Type "help" for available commands\n');
+        console.log('Type "help" for available commands, "run" to start\n');
 
-        const readline = (await import('readline')).createInterface({
+        this.readline = (await import('readline')).createInterface({
             input: process.stdin,
             output: process.stdout,
             prompt: '(fluxus-debug) '
         });
 
-        readline.prompt();
+        this.readline.prompt();
+
+        this.readline.on('line', (line) => {
+            this.queue = this.queue.then(() => this.handleLine(line));
+        });
 
-        readline.on('line', async (line) => {
-            const input = line.trim();
-            const [command, ...args] = input.split(' ');
+        await new Promise(resolve => this.readline.on('close', resolve));
+        await this.queue;
+        await this.finish();
+        console.log('👋 Debugger session ended');
+    }
 
+    async handleLine(line) {
+        if (this.closed) return;
+        const input = line.trim();
+        const [command, ...args] = input.split(/\s+/);
+
+        try {
             if (this.commands.has(command)) {
-                await this.commands.get(command)(args, readline);
+                await this.commands.get(command)(args);
             } else if (command) {
                 console.log(`Unknown command: ${command}. Type "help" for available commands.`);
             }
+        } catch (error) {
+            console.log(`❌ ${error.message}`);
+        }
 
-            if (command !== 'quit') {
-                readline.prompt();
-            }
-        });
-
-        readline.on('close', () => {
-            console.log('👋 Debugger session ended');
-        });
+        if (!this.closed) this.readline.prompt();
     }
 
     setBreakpoint(args) {
-        if (args.length === 0) {
+        const lineNumber = parseInt(args[0], 10);
+        if (!Number.isInteger(lineNumber)) {
             console.log('Usage: break <line-number>');
             return;
         }
-        const lineNumber = parseInt(args[0]);
         this.session.addBreakpoint(lineNumber);
     }
 
+    removeBreakpoint(args) {
+        const lineNumber = parseInt(args[0], 10);
+        if (!Number.isInteger(lineNumber)) {
+            console.log('Usage: delete <line-number>');
+            return;
+        }
+        this.session.removeBreakpoint(lineNumber);
+    }
+
     setWatch(args) {
         if (args.length === 0) {
             console.log('Usage: watch <expression>');
             return;
         }
-        const expression = args.join(' ');
-        this.session.addWatchExpression(expression);
+        this.session.addWatchExpression(args.join(' '));
+    }
+
+    async run() {
+        if (this.running) {
+            console.log('Program is already running; use "continue"');
+            return;
+        }
+        await this.advance(() => {
+            this.running = Promise.resolve().then(() => this.runProgram());
+        });
+    }
+
+    async stepInto() {
+        if (!this.running) {
+            this.session.pause();
+            return this.run();
+        }
+        await this.advance(() => this.session.stepInto());
+    }
+
+    async stepOver() {
+        if (!this.running) {
+            this.session.pause();
+            return this.run();
+        }
+        await this.advance(() => this.session.stepOver());
+    }
+
+    async continue() {
+        if (!this.running) return this.run();
+        await this.advance(() => this.session.resume());
+    }
+
+    // Lets the program move on, then reports where it stopped
+    async advance(proceed) {
+        if (this.finished) {
+            console.log('Program has finished');
+            return;
+        }
+        if (this.running && !this.session.isPaused) {
+            console.log('Program is running');
+            return;
+        }
+
+        // Pipelines only move on after a microtask, so the stop can't be missed
+        proceed();
+        const stop = await this.session.nextStop(this.running);
+
+        if (stop) {
+            await this.showStop(stop);
+        } else {
+            this.finished = true;
+            try {
+                await this.running;
+                console.log('🏁 Program finished');
+            } catch (error) {
+                console.log(`❌ Program failed: ${error.message}`);
+            }
+        }
     }
 
-    stepOver() {
-        this.session.stepOver();
-        this.showCurrentState();
+    async showStop(stop) {
+        const { node, reason } = stop;
+        console.log(`\n⏸️  ${reason === 'breakpoint' ? 'Breakpoint' : 'Step'} at ${this.session.filename}:${node.line}:${node.column || 1} — ${this.session.engine.describeNode(node)}`);
+        const frame = formatCodeFrame(this.source, node.line, node.column, { contextLines: 1, span: node.name?.length || 1 });
+        if (frame) console.log(frame);
+
+        const variables = this.session.getVariables(stop);
+        console.log(`   value: ${truncateValue(variables.value)}`);
+        if (Object.keys(variables.pools).length > 0) {
+            console.log(`   pools: ${truncateValue(variables.pools)}`);
+        }
+        if (Object.keys(variables.bindings).length > 0) {
+            console.log(`   params: ${truncateValue(variables.bindings)}`);
+        }
+
+        const watches = await this.session.evaluateWatchExpressions(stop);
+        for (const { expression, value, error } of watches.values()) {
+            console.log(`   👀 ${expression} = ${error ? `<error: ${error}>` : truncateValue(value)}`);
+        }
     }
 
-    continue() {
-        this.session.resume();
-        console.log('▶️  Program continued');
+    async print(args) {
+        if (args.length === 0) {
+            console.log('Usage: print <expression>');
+            return;
+        }
+        if (!this.session.isPaused) {
+            console.log('Not paused');
+            return;
+        }
+        const value = await this.session.evaluateExpression(args.join(' '));
+        console.log(truncateValue(value, 400));
     }
 
     showVariables() {
         const variables = this.session.getVariables();
         console.log('\n📊 Variables:');
-        console.log('Globals:', variables.globals);
-        console.log('Locals:', variables.locals);
+        console.log(`   value: ${truncateValue(variables.value)}`);
+        console.log(`   params: ${truncateValue(variables.bindings)}`);
+        console.log(`   pools: ${truncateValue(variables.pools, 400)}`);
     }
 
     showCallStack() {
         const callStack = this.session.getCallStack();
+        if (callStack.length === 0) {
+            console.log('Not paused');
+            return;
+        }
         console.log('\n📞 Call Stack:');
         callStack.forEach((frame, index) => {
-            console.log(`  ${index + 1}. ${frame.function} at ${frame.file}:${frame.line}`);
+            console.log(`  ${index + 1}. ${frame.function}: ${frame.operator} at ${frame.file}:${frame.line ?? '?'}`);
         });
     }
 
-    showCurrentState() {
-        console.log(`\n🔄 Current State - Step ${this.session.currentStep}`);
-        this.showVariables();
-        this.showCallStack();
-    }
-
     showHelp() {
         console.log(`
 🐛 Fluxus Debugger Commands:
 
-  break <line>     Set breakpoint at line number
-  watch <expr>     Watch expression value
-  step             Step over next operation
-  continue         Continue program execution
-  variables        Show current variables
-  callstack        Show call stack
+  break <line>     (b) Set breakpoint at line number
+  delete <line>    (d) Remove breakpoint
+  watch <expr>     (w) Watch a lens expression, shown at every stop
+  run              (r) Start the program
+  step             (s) Step to the next node, entering FUNC bodies
+  next             (n) Step to the next node in this pipeline
+  continue         (c) Run to the next breakpoint
+  print <expr>     (p) Evaluate a lens expression on the paused value
+  variables        Show the paused value, FUNC parameters and pools
+  callstack        (bt) Show the stages and FUNC calls leading here
   help             Show this help message
-  quit             Exit debugger
+  quit             (q) Exit debugger
 
-Examples:
-  break 15         Set breakpoint at line 15
-  watch $counter   Watch variable 'counter'
-  step             Step to next operation
+Expressions are lenses over the paused value; pools and FUNC
+parameters are available by name:
+  watch .score * 2
+  print total + 1
+  print . | round()
         `);
     }
 
-    quit(readline) {
+    quit() {
         console.log('👋 Ending debug session');
-        readline.close();
+        this.readline.close();
+    }
+
+    // Lets the rest of the program run without stopping
+    async finish() {
+        this.closed = true;
+        this.session.detach();
+        if (this.running && !this.finished) {
+            try {
+                await this.running;
+            } catch (error) {
+                console.log(`❌ Program failed: ${error.message}`);
+            }
+        }
     }
 }
 
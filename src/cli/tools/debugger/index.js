@@ -3,6 +3,7 @@
 
 import { DebugSession } from './DebugSession.js';
 import { DebuggerCLI } from './DebuggerCLI.js';
+import { DapServer } from './DapServer.js';
 
-export { DebugSession, DebuggerCLI };
-export default { DebugSession, DebuggerCLI };
+export { DebugSession, DebuggerCLI, DapServer };
+export default { DebugSession, DebuggerCLI, DapServer };
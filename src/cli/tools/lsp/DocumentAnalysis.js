@@ -0,0 +1,174 @@
+// FILENAME: src/cli/tools/lsp/DocumentAnalysis.js
+// Per-document analysis for the language server: diagnostics, symbols, references
+
+import { FluxusParser } from '../../../frontend/index.js';
+import { TypeChecker } from '../../../frontend/analysis/type-checker.js';
+import { SymbolTable } from '../../../frontend/analysis/symbol-table.js';
+
+const IDENTIFIER = /[A-Za-z_]\w*/g;
+
+const SEVERITY = { ERROR: 1, WARNING: 2 };
+
+/**
+ * One parse and type check of a document's text. Pools and FUNC
+ * declarations go into a SymbolTable located at their names; every pool
+ * read (`name -> ...` subscriptions) and write (`to_pool(name)`) is kept
+ * as a reference.
+ *
+ * Positions follow the frontend: 1-based lines and columns. The language
+ * server converts them to LSP ranges.
+ */
+export class DocumentAnalysis {
+    constructor(text, options = {}) {
+        this.text = text;
+        this.lines = text.split('\n');
+        this.filename = options.filename || '<anonymous>';
+
+        const parser = new FluxusParser({ filename: this.filename, quiet: true });
+        this.ast = parser.parse(text);
+        this.ast.metadata.filename ??= this.filename;
+        this.parseErrors = parser.errors;
+        this.parseWarnings = parser.warnings || [];
+        this.typeResult = new TypeChecker().checkLegacyAST(this.ast, { filename: this.filename });
+
+        this.symbols = new SymbolTable({ gcThreshold: 0, enableCaching: false });
+        this.references = new Map();
+        this.collectSymbols();
+        this.collectReferences();
+    }
+
+    collectSymbols() {
+        for (const pool of Object.values(this.ast.pools || {})) {
+            const declaration = pool.declarationNode || pool;
+            const location = this.locateName(pool.name, declaration.line, 1);
+            this.define(() => this.symbols.definePool(pool.name, { initialValue: pool.initial }, location, {
+                valueType: pool.type || declaration.valueType
+            }));
+        }
+
+        for (const func of Object.values(this.ast.functions || {})) {
+            const location = this.locateName(func.name, func.line, func.column);
+            const parameters = (func.parameters || []).map(name => ({ name }));
+            this.define(() => this.symbols.defineFunction(func.name, parameters, null, location));
+        }
+    }
+
+    // Redeclarations are already reported by the parser; the first one wins here
+    define(definition) {
+        try {
+            definition();
+        } catch {
+            // Keep the existing symbol
+        }
+    }
+
+    collectReferences() {
+        for (const node of this.ast.nodes || []) {
+            if (node.type === 'POOL_ACCESS') {
+                this.addReference(node.poolName, node, 'subscription');
+            } else if (node.type === 'POOL_WRITE' && node.targetPool) {
+                this.addReference(node.targetPool, node, 'sink');
+            }
+        }
+    }
+
+    addReference(name, node, kind) {
+        if (!this.references.has(name)) this.references.set(name, []);
+        this.references.get(name).push({ ...this.locateName(name, node.line, node.column), kind });
+    }
+
+    /**
+     * Location of `name` on `line`, searching from `column`: nodes are
+     * located at their stage (`to_pool(...)`) or keyword (`let`, `FUNC`),
+     * not at the identifier itself.
+     */
+    locateName(name, line, column = 1) {
+        const text = this.lines[line - 1] || '';
+        const pattern = new RegExp(`\\b${name}\\b`, 'g');
+        pattern.lastIndex = Math.max(0, column - 1);
+        const match = pattern.exec(text);
+        return {
+            filename: this.filename,
+            line,
+            column: match ? match.index + 1 : column,
+            length: name.length
+        };
+    }
+
+    // ==================== QUERIES ====================
+
+    get diagnostics() {
+        const diagnostics = [];
+        for (const error of this.parseErrors) {
+            diagnostics.push(this.diagnostic(error, 'ERROR'));
+        }
+        for (const warning of this.parseWarnings) {
+            diagnostics.push(this.diagnostic(warning, 'WARNING'));
+        }
+        for (const error of this.typeResult.errors) {
+            diagnostics.push(this.diagnostic(error, 'ERROR'));
+        }
+        for (const warning of this.typeResult.warnings) {
+            diagnostics.push(this.diagnostic(warning, 'WARNING'));
+        }
+        return diagnostics;
+    }
+
+    diagnostic(error, severity) {
+        const line = error.line || 1;
+        const column = error.column || 1;
+        const length = error.span || this.wordAt(line, column)?.length || 1;
+        return {
+            line,
+            column,
+            length,
+            severity: SEVERITY[error.severity || severity],
+            source: error.phase === 'typechecker' ? 'fluxus-types' : 'fluxus',
+            message: error.message
+        };
+    }
+
+    // Identifier under (line, column), or null
+    wordAt(line, column) {
+        const text = this.lines[line - 1] || '';
+        for (const match of text.matchAll(IDENTIFIER)) {
+            const start = match.index + 1;
+            if (column >= start && column <= start + match[0].length) {
+                return { name: match[0], line, column: start, length: match[0].length };
+            }
+        }
+        return null;
+    }
+
+    definition(name) {
+        const symbol = this.symbols.resolve(name);
+        return symbol && (symbol.kind === 'pool' || symbol.kind === 'function') ? symbol : null;
+    }
+
+    // Subscriptions and sinks of a pool, plus its declaration when asked for
+    poolReferences(name, includeDeclaration = true) {
+        const symbol = this.definition(name);
+        if (symbol?.kind !== 'pool' && !this.references.has(name)) return [];
+
+        const references = [...(this.references.get(name) || [])];
+        if (includeDeclaration && symbol) {
+            references.unshift({ ...symbol.location, kind: 'declaration' });
+        }
+        return references;
+    }
+
+    getPools() {
+        return this.symbols.getSymbolsByKind('pool');
+    }
+
+    getFunctions() {
+        return this.symbols.getSymbolsByKind('function');
+    }
+
+    // Text of `line` up to (not including) `column`
+    linePrefix(line, column) {
+        return (this.lines[line - 1] || '').slice(0, column - 1);
+    }
+}
+
+export default DocumentAnalysis;
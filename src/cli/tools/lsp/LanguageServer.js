@@ -0,0 +1,340 @@
+// FILENAME: src/cli/tools/lsp/LanguageServer.js
+// Language Server Protocol server for Fluxus source files
+
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { MessageTransport } from '../protocol/MessageTransport.js';
+import { DocumentAnalysis } from './DocumentAnalysis.js';
+import { operatorsRegistry } from '../../../lib/index.js';
+import { FluxusPackageManager } from '../../../package-manager.js';
+
+const ERROR_CODES = {
+    METHOD_NOT_FOUND: -32601,
+    INTERNAL_ERROR: -32603,
+    SERVER_NOT_INITIALIZED: -32002
+};
+
+// LSP CompletionItemKind / SymbolKind values
+const COMPLETION_KIND = { FUNCTION: 3, VARIABLE: 6, KEYWORD: 14 };
+const SYMBOL_KIND = { FUNCTION: 12, VARIABLE: 13 };
+
+// Stages the engine runs itself rather than through the operator registry
+const BUILT_IN_STAGES = {
+    to_pool: 'Write the stream value into a tidal pool',
+    map: 'Transform each value with a lens: map { . * 2 }',
+    filter: 'Keep values matching a lens: filter { . > 2 }',
+    reduce: 'Fold an array with a lens: reduce { acc, x -> add(acc, x) }',
+    split: 'Route values to TRUE_FLOW / FALSE_FLOW branches'
+};
+
+/**
+ * Language server over stdio (`fluxus lsp`) or any stream pair.
+ *
+ * - diagnostics: parser errors and TypeChecker errors/warnings, published
+ *   on open and on every change
+ * - completion: operators from the live OperatorsRegistry, installed
+ *   packages, built-in stages, FUNCs and pools of the document
+ * - hover: operator metadata (category, complexity, ...), FUNC and pool declarations
+ * - definition: pools and FUNCs through the document's SymbolTable
+ * - references: a pool's declaration, `->` subscriptions and `to_pool` sinks
+ *
+ * Documents are synced in full; each change re-analyzes the whole text.
+ */
+export class LanguageServer {
+    constructor(options = {}) {
+        this.transport = new MessageTransport(options.input || process.stdin, options.output || process.stdout);
+        this.rootPath = options.rootPath || process.cwd();
+        this.documents = new Map();
+        this.initialized = false;
+        this.shutdownRequested = false;
+
+        this.handlers = new Map([
+            ['initialize', this.onInitialize],
+            ['initialized', () => {}],
+            ['shutdown', this.onShutdown],
+            ['exit', this.onExit],
+            ['textDocument/didOpen', this.onDidOpen],
+            ['textDocument/didChange', this.onDidChange],
+            ['textDocument/didSave', () => {}],
+            ['textDocument/didClose', this.onDidClose],
+            ['textDocument/completion', this.onCompletion],
+            ['textDocument/hover', this.onHover],
+            ['textDocument/definition', this.onDefinition],
+            ['textDocument/references', this.onReferences],
+            ['textDocument/documentSymbol', this.onDocumentSymbol]
+        ].map(([method, handler]) => [method, handler.bind(this)]));
+
+        this.closed = new Promise(resolve => { this.resolveClosed = resolve; });
+        this.transport.on('message', message => this.dispatch(message));
+        this.transport.on('error', error => this.logMessage(error.message));
+        this.transport.on('close', () => this.close(this.shutdownRequested ? 0 : 1));
+    }
+
+    async dispatch(message) {
+        const isRequest = message.id !== undefined;
+        const handler = this.handlers.get(message.method);
+
+        if (!handler) {
+            // Unknown notifications (`$/cancelRequest`, ...) are ignored
+            if (isRequest) this.sendError(message.id, ERROR_CODES.METHOD_NOT_FOUND, `Unsupported method: ${message.method}`);
+            return;
+        }
+        if (!this.initialized && isRequest && message.method !== 'initialize') {
+            this.sendError(message.id, ERROR_CODES.SERVER_NOT_INITIALIZED, 'Server not initialized');
+            return;
+        }
+
+        try {
+            const result = await handler(message.params || {});
+            if (isRequest) this.transport.send({ jsonrpc: '2.0', id: message.id, result: result ?? null });
+        } catch (error) {
+            if (isRequest) this.sendError(message.id, ERROR_CODES.INTERNAL_ERROR, error.message);
+            else this.logMessage(`${message.method} failed: ${error.message}`);
+        }
+    }
+
+    sendError(id, code, message) {
+        this.transport.send({ jsonrpc: '2.0', id, error: { code, message } });
+    }
+
+    notify(method, params) {
+        this.transport.send({ jsonrpc: '2.0', method, params });
+    }
+
+    logMessage(message) {
+        this.notify('window/logMessage', { type: 1, message });
+    }
+
+    // ==================== LIFECYCLE ====================
+
+    onInitialize(params) {
+        const root = params.rootUri ? fileURLToPath(params.rootUri) : params.rootPath;
+        if (root) this.rootPath = root;
+
+        this.operators = this.loadOperatorCatalog();
+        this.initialized = true;
+
+        return {
+            capabilities: {
+                textDocumentSync: { openClose: true, change: 1 },
+                completionProvider: { triggerCharacters: ['|', '('] },
+                hoverProvider: true,
+                definitionProvider: true,
+                referencesProvider: true,
+                documentSymbolProvider: true
+            },
+            serverInfo: { name: 'fluxus-lsp' }
+        };
+    }
+
+    onShutdown() {
+        this.shutdownRequested = true;
+        this.documents.clear();
+    }
+
+    onExit() {
+        this.close(this.shutdownRequested ? 0 : 1);
+    }
+
+    close(exitCode) {
+        if (this.isClosed) return;
+        this.isClosed = true;
+        this.transport.close();
+        this.resolveClosed(exitCode);
+    }
+
+    /**
+     * Operator name -> { metadata, source } from the live registry, the
+     * workspace's installed packages and the engine's built-in stages.
+     */
+    loadOperatorCatalog() {
+        const catalog = new Map();
+
+        for (const [name, description] of Object.entries(BUILT_IN_STAGES)) {
+            catalog.set(name, { name, metadata: { category: 'stage', description }, source: 'built-in' });
+        }
+        for (const operator of operatorsRegistry.getAllOperators()) {
+            catalog.set(operator.name, { name: operator.name, metadata: operator.metadata, source: 'registry' });
+        }
+
+        const packages = new FluxusPackageManager(null, { packagesDir: path.join(this.rootPath, 'fluxus_packages') });
+        for (const [packageName, manifest] of packages.installedPackages) {
+            for (const name of manifest.operators || []) {
+                if (catalog.has(name)) continue;
+                catalog.set(name, {
+                    name,
+                    metadata: { category: manifest.type || 'package', description: packages.getOperatorDescription(name) },
+                    source: `package ${packageName}`
+                });
+            }
+        }
+
+        return catalog;
+    }
+
+    // ==================== DOCUMENTS ====================
+
+    onDidOpen({ textDocument }) {
+        this.analyze(textDocument.uri, textDocument.text);
+    }
+
+    onDidChange({ textDocument, contentChanges }) {
+        // Full sync: the last change holds the whole text
+        const change = contentChanges[contentChanges.length - 1];
+        if (change) this.analyze(textDocument.uri, change.text);
+    }
+
+    onDidClose({ textDocument }) {
+        this.documents.delete(textDocument.uri);
+        this.notify('textDocument/publishDiagnostics', { uri: textDocument.uri, diagnostics: [] });
+    }
+
+    analyze(uri, text) {
+        const analysis = new DocumentAnalysis(text, { filename: this.filenameOf(uri) });
+        this.documents.set(uri, analysis);
+        this.notify('textDocument/publishDiagnostics', {
+            uri,
+            diagnostics: analysis.diagnostics.map(diagnostic => ({
+                range: this.toRange(diagnostic),
+                severity: diagnostic.severity,
+                source: diagnostic.source,
+                message: diagnostic.message
+            }))
+        });
+        return analysis;
+    }
+
+    document(uri) {
+        const analysis = this.documents.get(uri);
+        if (!analysis) throw new Error(`Document not open: ${uri}`);
+        return analysis;
+    }
+
+    // ==================== LANGUAGE FEATURES ====================
+
+    onCompletion({ textDocument, position }) {
+        const analysis = this.document(textDocument.uri);
+        const prefix = analysis.linePrefix(position.line + 1, position.character + 1);
+
+        const pools = analysis.getPools().map(pool => ({
+            label: pool.name,
+            kind: COMPLETION_KIND.VARIABLE,
+            detail: `tidal pool (line ${pool.location.line})`
+        }));
+
+        // `to_pool(` argument or the start of a `pool -> ...` subscription
+        if (/to_pool\(\s*\w*$/.test(prefix) || /^\s*\w*$/.test(prefix)) {
+            return { isIncomplete: false, items: pools };
+        }
+
+        const functions = analysis.getFunctions().map(func => ({
+            label: func.name,
+            kind: COMPLETION_KIND.FUNCTION,
+            detail: `FUNC ${this.signatureOf(func)}`
+        }));
+        const operators = [...this.operators.values()].map(operator => ({
+            label: operator.name,
+            kind: operator.source === 'built-in' ? COMPLETION_KIND.KEYWORD : COMPLETION_KIND.FUNCTION,
+            detail: `${operator.metadata.category || 'operator'} · ${operator.source}`,
+            documentation: operator.metadata.description || undefined
+        }));
+
+        return { isIncomplete: false, items: [...functions, ...operators] };
+    }
+
+    onHover({ textDocument, position }) {
+        const analysis = this.document(textDocument.uri);
+        const word = analysis.wordAt(position.line + 1, position.character + 1);
+        if (!word) return null;
+
+        const symbol = analysis.definition(word.name);
+        let contents = null;
+        if (symbol?.kind === 'function') {
+            contents = `\`\`\`fluxus\nFUNC ${this.signatureOf(symbol)}\n\`\`\`\nDeclared on line ${symbol.location.line}`;
+        } else if (symbol?.kind === 'pool') {
+            const references = analysis.poolReferences(word.name, false);
+            contents = `\`\`\`fluxus\nlet ${symbol.name} = <|> ${symbol.attributes.initialValue ?? ''}\n\`\`\`\n` +
+                `Tidal pool${symbol.attributes.valueType ? ` (${symbol.attributes.valueType})` : ''}: ` +
+                `${references.filter(ref => ref.kind === 'subscription').length} subscription(s), ` +
+                `${references.filter(ref => ref.kind === 'sink').length} writer(s)`;
+        } else if (this.operators.has(word.name)) {
+            contents = this.describeOperator(this.operators.get(word.name));
+        }
+
+        if (!contents) return null;
+        return { contents: { kind: 'markdown', value: contents }, range: this.toRange(word) };
+    }
+
+    describeOperator(operator) {
+        const { metadata } = operator;
+        const lines = [`**${operator.name}** — ${metadata.category || 'operator'}`];
+        if (metadata.description) lines.push('', metadata.description);
+
+        const details = [
+            ['Complexity', metadata.complexity],
+            ['Domain', metadata.domain],
+            ['Library', metadata.library],
+            ['Async', metadata.async ? 'yes' : null],
+            ['Stream safe', metadata.streamSafe ? 'yes' : null],
+            ['Source', operator.source]
+        ].filter(([, value]) => value);
+        if (details.length > 0) {
+            lines.push('', details.map(([label, value]) => `${label}: \`${value}\``).join(' · '));
+        }
+        return lines.join('\n');
+    }
+
+    onDefinition({ textDocument, position }) {
+        const analysis = this.document(textDocument.uri);
+        const word = analysis.wordAt(position.line + 1, position.character + 1);
+        const symbol = word && analysis.definition(word.name);
+        if (!symbol) return null;
+        return { uri: textDocument.uri, range: this.toRange(symbol.location) };
+    }
+
+    onReferences({ textDocument, position, context }) {
+        const analysis = this.document(textDocument.uri);
+        const word = analysis.wordAt(position.line + 1, position.character + 1);
+        if (!word) return [];
+
+        return analysis.poolReferences(word.name, context?.includeDeclaration ?? true)
+            .map(reference => ({ uri: textDocument.uri, range: this.toRange(reference) }));
+    }
+
+    onDocumentSymbol({ textDocument }) {
+        const analysis = this.document(textDocument.uri);
+        const symbols = [
+            ...analysis.getPools().map(pool => [pool, SYMBOL_KIND.VARIABLE, 'tidal pool']),
+            ...analysis.getFunctions().map(func => [func, SYMBOL_KIND.FUNCTION, `FUNC ${this.signatureOf(func)}`])
+        ];
+        return symbols.map(([symbol, kind, detail]) => ({
+            name: symbol.name,
+            detail,
+            kind,
+            range: this.toRange(symbol.location),
+            selectionRange: this.toRange(symbol.location)
+        }));
+    }
+
+    // ==================== HELPERS ====================
+
+    signatureOf(func) {
+        return `${func.name}(${(func.attributes.parameters || []).map(param => param.name).join(', ')})`;
+    }
+
+    // 1-based frontend location -> 0-based LSP range
+    toRange({ line, column, length = 1 }) {
+        const start = { line: Math.max(0, line - 1), character: Math.max(0, column - 1) };
+        return { start, end: { line: start.line, character: start.character + length } };
+    }
+
+    filenameOf(uri) {
+        try {
+            return path.relative(this.rootPath, fileURLToPath(uri)) || uri;
+        } catch {
+            return uri;
+        }
+    }
+}
+
+export default LanguageServer;
@@ -0,0 +1,8 @@
+// FILENAME: src/cli/tools/lsp/index.js
+// Language Server Entry Point
+
+import { LanguageServer } from './LanguageServer.js';
+import { DocumentAnalysis } from './DocumentAnalysis.js';
+
+export { LanguageServer, DocumentAnalysis };
+export default { LanguageServer, DocumentAnalysis };
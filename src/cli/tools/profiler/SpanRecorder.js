@@ -0,0 +1,117 @@
+// FILENAME: src/cli/tools/profiler/SpanRecorder.js
+// Per-pipeline span recording for `fluxus profile`
+
+import { AsyncLocalStorage, createHook } from 'async_hooks';
+import { performance } from 'perf_hooks';
+
+const SOURCE_NODES = new Set(['STREAM_SOURCE_FINITE', 'STREAM_SOURCE_LIVE', 'STREAM_SOURCE_REACTIVE', 'POOL_SOURCE']);
+
+/**
+ * Records a span for every pipeline run (one per emission) and every
+ * operator inside it. Operators of a FUNC body nest under the operator that
+ * called the FUNC, so spans form source → operator → operator trees.
+ *
+ * Each span keeps wall time (start to settle) and CPU time: the time its
+ * code actually ran on the thread, measured over the synchronous part of
+ * the call and every async continuation in its context. Wall minus CPU is
+ * time spent waiting (timers, I/O, other pipelines).
+ *
+ * Spans: { id, parentId, kind: 'pipeline'|'operator', name, nodeId, line,
+ *          start, end, cpu, stack } with times in ms since recording began.
+ */
+export class SpanRecorder {
+    constructor(engine, options = {}) {
+        this.engine = engine;
+        this.maxSpans = options.maxSpans ?? 100000;
+        this.spans = [];
+        this.dropped = 0;
+        this.nextId = 1;
+        this.origin = performance.now();
+        this.storage = new AsyncLocalStorage();
+        // Open run segments, innermost last; a nested segment's time is excluded from the outer one
+        this.segments = [];
+        this.hook = createHook({
+            before: () => this.enterSegment(this.storage.getStore() || null),
+            after: () => this.exitSegment()
+        });
+        this.restore = null;
+    }
+
+    attach() {
+        const engine = this.engine;
+        const executeNode = engine.executeNode;
+        const executePipelineFromNode = engine.executePipelineFromNode;
+
+        engine.executeNode = (node, input, scope) => {
+            if (SOURCE_NODES.has(node.type)) return executeNode.call(engine, node, input, scope);
+            return this.trace('operator', node, () => executeNode.call(engine, node, input, scope));
+        };
+        engine.executePipelineFromNode = (node, input, scope) => {
+            // FUNC bodies run inside the calling operator's span
+            if (scope) return executePipelineFromNode.call(engine, node, input, scope);
+            return this.trace('pipeline', node, () => executePipelineFromNode.call(engine, node, input, scope));
+        };
+
+        this.restore = () => {
+            delete engine.executeNode;
+            delete engine.executePipelineFromNode;
+        };
+        this.origin = performance.now();
+        this.hook.enable();
+        return this;
+    }
+
+    detach() {
+        this.hook.disable();
+        if (this.restore) this.restore();
+        this.restore = null;
+        this.segments = [];
+        return this;
+    }
+
+    trace(kind, node, run) {
+        const parent = this.storage.getStore() || null;
+        const name = this.engine.describeNode(node);
+        const span = {
+            id: this.nextId++,
+            parentId: parent?.id ?? null,
+            kind,
+            name,
+            nodeId: node.id,
+            line: node.line ?? null,
+            start: performance.now() - this.origin,
+            end: null,
+            cpu: 0,
+            stack: parent ? [...parent.stack, name] : [name]
+        };
+
+        let result;
+        this.enterSegment(span);
+        try {
+            result = this.storage.run(span, run);
+        } finally {
+            this.exitSegment();
+        }
+
+        return Promise.resolve(result).finally(() => {
+            span.end = performance.now() - this.origin;
+            if (this.spans.length < this.maxSpans) this.spans.push(span);
+            else this.dropped++;
+        });
+    }
+
+    enterSegment(span) {
+        this.segments.push({ span, start: performance.now(), excluded: 0 });
+    }
+
+    exitSegment() {
+        const segment = this.segments.pop();
+        if (!segment) return;
+        const elapsed = performance.now() - segment.start;
+        if (segment.span) segment.span.cpu += elapsed - segment.excluded;
+        const outer = this.segments[this.segments.length - 1];
+        if (outer) outer.excluded += elapsed;
+    }
+}
+
+export default SpanRecorder;
@@ -3,6 +3,8 @@
 
 import { PerformanceProfiler } from './PerformanceProfiler.js';
 import { ProfilerIntegration } from './ProfilerIntegration.js';
+import { SpanRecorder } from './SpanRecorder.js';
+import { toChromeTrace, toFoldedStacks, operatorPercentiles } from './trace-formats.js';
 
-export { PerformanceProfiler, ProfilerIntegration };
-export default { PerformanceProfiler, ProfilerIntegration };
+export { PerformanceProfiler, ProfilerIntegration, SpanRecorder, toChromeTrace, toFoldedStacks, operatorPercentiles };
+export default { PerformanceProfiler, ProfilerIntegration, SpanRecorder, toChromeTrace, toFoldedStacks, operatorPercentiles };
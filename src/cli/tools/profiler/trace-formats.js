@@ -0,0 +1,129 @@
+// FILENAME: src/cli/tools/profiler/trace-formats.js
+// Span exports - Chrome trace events, folded stacks and per-operator latency percentiles
+
+const PERCENTILES = [50, 95, 99];
+
+const micros = (ms) => Math.round(ms * 1000);
+const wallOf = (span) => span.end - span.start;
+
+/**
+ * Chrome trace-event JSON (chrome://tracing, Perfetto, speedscope).
+ * Every span becomes a complete ('X') event. Pipelines that overlap in time
+ * (live emissions waiting on timers) go to separate lanes so each lane stays
+ * a proper nesting of source → operator → operator.
+ */
+export function toChromeTrace(spans, options = {}) {
+    const pid = options.pid ?? 1;
+    const children = childrenOf(spans);
+    const events = [{ name: 'process_name', ph: 'M', pid, tid: 0, args: { name: options.name || 'fluxus' } }];
+
+    const laneEnds = [];
+    for (const root of spans.filter(span => span.parentId === null).sort((a, b) => a.start - b.start)) {
+        let lane = laneEnds.findIndex(end => end <= root.start);
+        if (lane === -1) {
+            lane = laneEnds.length;
+            events.push({ name: 'thread_name', ph: 'M', pid, tid: lane + 1, args: { name: `pipelines ${lane + 1}` } });
+        }
+        laneEnds[lane] = root.end;
+
+        const visit = (span) => {
+            events.push({
+                name: span.name,
+                cat: span.kind,
+                ph: 'X',
+                ts: micros(span.start),
+                dur: micros(wallOf(span)),
+                pid,
+                tid: lane + 1,
+                args: { line: span.line, cpuMs: round(span.cpu), waitMs: round(wallOf(span) - span.cpu) }
+            });
+            (children.get(span.id) || []).forEach(visit);
+        };
+        visit(root);
+    }
+
+    return { traceEvents: events, displayTimeUnit: 'ms' };
+}
+
+/**
+ * Folded stacks ("~ sensor;map;filter 1234"), the input of flamegraph.pl and
+ * speedscope. A stage's stack is the chain that led to it: the source, every
+ * stage before it in its pipeline and, inside a FUNC, the calling stage's
+ * chain and the body stages before it. Each stack is weighted by its spans'
+ * self time in microseconds: wall time minus the time spent in nested operators.
+ */
+export function toFoldedStacks(spans) {
+    const children = childrenOf(spans);
+    const byId = new Map(spans.map(span => [span.id, span]));
+    const chains = new Map();
+    const chainOf = (span) => {
+        if (!chains.has(span.id)) {
+            const parent = byId.get(span.parentId);
+            if (!parent) {
+                chains.set(span.id, [span.name]);
+            } else {
+                const siblings = children.get(parent.id);
+                const earlier = siblings.slice(0, siblings.indexOf(span)).map(sibling => sibling.name);
+                chains.set(span.id, [...chainOf(parent), ...earlier, span.name]);
+            }
+        }
+        return chains.get(span.id);
+    };
+    const weights = new Map();
+
+    for (const span of spans) {
+        const nested = (children.get(span.id) || []).reduce((sum, child) => sum + wallOf(child), 0);
+        const self = micros(Math.max(0, wallOf(span) - nested));
+        if (self === 0) continue;
+        const stack = chainOf(span).map(frame => frame.replace(/;/g, ':').replace(/\s+/g, ' ')).join(';');
+        weights.set(stack, (weights.get(stack) || 0) + self);
+    }
+
+    return [...weights].map(([stack, weight]) => `${stack} ${weight}`).join('\n') + (weights.size ? '\n' : '');
+}
+
+/**
+ * Latency per operator (grouped by name and source line): call count and
+ * nearest-rank p50/p95/p99 of wall time, plus total CPU and wait time.
+ * Sorted by p99, slowest first.
+ */
+export function operatorPercentiles(spans) {
+    const groups = new Map();
+    for (const span of spans) {
+        if (span.kind !== 'operator') continue;
+        const key = `${span.name}@${span.line}`;
+        if (!groups.has(key)) groups.set(key, { name: span.name, line: span.line, wall: [], cpu: 0, wait: 0 });
+        const group = groups.get(key);
+        group.wall.push(wallOf(span));
+        group.cpu += span.cpu;
+        group.wait += wallOf(span) - span.cpu;
+    }
+
+    return [...groups.values()].map(group => {
+        const sorted = group.wall.sort((a, b) => a - b);
+        const stats = { name: group.name, line: group.line, count: sorted.length };
+        for (const p of PERCENTILES) {
+            stats[`p${p}`] = sorted[Math.max(0, Math.ceil(p / 100 * sorted.length) - 1)];
+        }
+        stats.cpu = group.cpu;
+        stats.wait = Math.max(0, group.wait);
+        return stats;
+    }).sort((a, b) => b.p99 - a.p99);
+}
+
+function childrenOf(spans) {
+    const children = new Map();
+    for (const span of spans) {
+        if (span.parentId === null) continue;
+        if (!children.has(span.parentId)) children.set(span.parentId, []);
+        children.get(span.parentId).push(span);
+    }
+    for (const list of children.values()) list.sort((a, b) => a.start - b.start);
+    return children;
+}
+
+function round(ms) {
+    return Math.round(ms * 1000) / 1000;
+}
+
+export default { toChromeTrace, toFoldedStacks, operatorPercentiles };
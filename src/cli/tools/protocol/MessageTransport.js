@@ -0,0 +1,68 @@
+// FILENAME: src/cli/tools/protocol/MessageTransport.js
+// Content-Length framed JSON messages (Debug Adapter / Language Server Protocol)
+
+import { EventEmitter } from 'events';
+
+const HEADER_END = '\r\n\r\n';
+
+/**
+ * Reads and writes `Content-Length: N\r\n\r\n{json}` messages over a pair
+ * of streams (stdin/stdout for editors, PassThrough streams in scripts).
+ *
+ * Events: 'message' (parsed JSON), 'error' (malformed body), 'close'.
+ */
+export class MessageTransport extends EventEmitter {
+    constructor(input, output) {
+        super();
+        this.input = input;
+        this.output = output;
+        this.buffer = Buffer.alloc(0);
+
+        this.onData = (chunk) => this.receive(chunk);
+        this.onEnd = () => this.emit('close');
+        input.on('data', this.onData);
+        input.on('end', this.onEnd);
+    }
+
+    receive(chunk) {
+        this.buffer = Buffer.concat([this.buffer, Buffer.from(chunk)]);
+
+        while (true) {
+            const headerEnd = this.buffer.indexOf(HEADER_END);
+            if (headerEnd === -1) return;
+
+            const header = this.buffer.subarray(0, headerEnd).toString('ascii');
+            const length = /Content-Length:\s*(\d+)/i.exec(header);
+            const bodyStart = headerEnd + HEADER_END.length;
+            if (!length) {
+                // Not a header we understand: drop it and resynchronize
+                this.buffer = this.buffer.subarray(bodyStart);
+                continue;
+            }
+
+            const bodyEnd = bodyStart + Number(length[1]);
+            if (this.buffer.length < bodyEnd) return;
+
+            const body = this.buffer.subarray(bodyStart, bodyEnd).toString('utf8');
+            this.buffer = this.buffer.subarray(bodyEnd);
+
+            try {
+                this.emit('message', JSON.parse(body));
+            } catch (error) {
+                this.emit('error', new Error(`Malformed message: ${error.message}`));
+            }
+        }
+    }
+
+    send(message) {
+        const body = JSON.stringify(message);
+        this.output.write(`Content-Length: ${Buffer.byteLength(body, 'utf8')}${HEADER_END}${body}`);
+    }
+
+    close() {
+        this.input.removeListener('data', this.onData);
+        this.input.removeListener('end', this.onEnd);
+    }
+}
+
+export default MessageTransport;
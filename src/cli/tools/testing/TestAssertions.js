@@ -0,0 +1,168 @@
+// FILENAME: src/cli/tools/testing/TestAssertions.js
+// Assertion sinks for .test.flux files
+
+import { isDeepStrictEqual } from 'util';
+import { AssertionError } from '../../../frontend/errors.js';
+import { truncateValue } from '../../../frontend/diagnostics.js';
+import { parseMarble, renderMarble, listEvents } from '../../../runtime/streams/marbles.js';
+
+export const ASSERTION_OPERATORS = ['expect_equal', 'expect_emits', 'expect_pool', 'expect_marble'];
+
+/**
+ * The `expect_*` operators of one test, installed on that test's engine:
+ *
+ *   | expect_equal(value)      every value reaching the sink equals `value`
+ *   | expect_emits([a, b])     the sink receives exactly these values, in order
+ *   | expect_pool(pool, value) once reached, the pool holds `value` when the program ends
+ *   | expect_marble("-a--b", { a: 1, b: 2 })
+ *                            the sink receives exactly these values at these
+ *                            milliseconds of engine.clock time since the start
+ *
+ * Assertions pass values through and record failures instead of throwing,
+ * so one test reports every failed expectation. `expect_equal` and
+ * `expect_pool` also fail when no value ever reaches them.
+ */
+export class TestAssertions {
+    constructor(engine, ast) {
+        this.engine = engine;
+        this.filename = ast.metadata?.filename;
+        this.failures = [];
+        this.sinks = new Map();
+        this.finalPools = null;
+        this.origin = engine.clock.now();
+
+        // The engine clears its pools on shutdown; keep their last values for expect_pool
+        engine.once('shutdown:initiated', () => {
+            this.finalPools = new Map([...engine.pools].map(([name, pool]) => [name, pool.value]));
+        });
+
+        for (const node of ast.nodes || []) {
+            if (node.type === 'FUNCTION_OPERATOR' && ASSERTION_OPERATORS.includes(node.name)) {
+                this.sinks.set(node.id, { node, received: [], times: [], args: null });
+            }
+        }
+    }
+
+    install() {
+        for (const name of ASSERTION_OPERATORS) {
+            this.engine.operators.set(name, (input, args, context) => this.receive(name, input, args, context));
+        }
+        return this;
+    }
+
+    receive(name, input, args, context = {}) {
+        const sink = this.sinks.get(context.streamId);
+        if (!sink) {
+            // Called from a lens: no stage to collect into, so check right away
+            this.check(name, { node: { name, line: null, column: null }, received: [input], times: [this.elapsed()], args });
+            return input;
+        }
+
+        sink.args = args;
+        sink.received.push(input);
+        sink.times.push(this.elapsed());
+        if (name === 'expect_equal') this.checkEqual(sink, input);
+        return input;
+    }
+
+    elapsed() {
+        return this.engine.clock.now() - this.origin;
+    }
+
+    // Runs after the test's program has finished
+    finish() {
+        for (const sink of this.sinks.values()) {
+            this.check(sink.node.name, sink);
+        }
+        return this.failures;
+    }
+
+    check(name, sink) {
+        const { node, received } = sink;
+        if (name === 'expect_emits') {
+            const expected = this.argumentsOf(sink)[0] ?? [];
+            if (!isDeepStrictEqual(received, expected)) {
+                this.fail(node, `expected emissions ${truncateValue(expected)}, received ${truncateValue(received)}`, expected, received);
+            }
+            return;
+        }
+        if (name === 'expect_marble') {
+            this.checkMarble(sink);
+            return;
+        }
+
+        if (received.length === 0) {
+            this.fail(node, `${node.value || name} never received a value`);
+            return;
+        }
+
+        if (name === 'expect_equal' && !this.sinks.has(node.id)) {
+            this.checkEqual(sink, received[0]);
+        } else if (name === 'expect_pool') {
+            this.checkPool(sink);
+        }
+    }
+
+    // A sink nothing reached has no evaluated arguments yet
+    argumentsOf(sink) {
+        return sink.args || (sink.node.args || []).map(arg => this.engine.parseLiteralValue(String(arg)));
+    }
+
+    /**
+     * Values are compared by time and deep equality. A `|` in the expected
+     * diagram is allowed for readability; `#` is not, sinks never see errors.
+     */
+    checkMarble(sink) {
+        const [diagram = '', values = null] = this.argumentsOf(sink);
+        let expected;
+        try {
+            expected = parseMarble(diagram, values).filter(event => event.kind !== 'complete');
+        } catch (error) {
+            this.fail(sink.node, `expect_marble: ${error.message}`);
+            return;
+        }
+        if (expected.some(event => event.kind === 'error')) {
+            this.fail(sink.node, 'expect_marble: errors (#) cannot be expected at a sink, runtime errors fail the test');
+            return;
+        }
+
+        const actual = sink.received.map((value, index) => ({ time: sink.times[index], kind: 'next', value }));
+        const matches = expected.length === actual.length && expected.every((event, index) =>
+            event.time === actual[index].time && isDeepStrictEqual(event.value, actual[index].value));
+        if (!matches) {
+            const drawn = renderMarble(actual, values, isDeepStrictEqual);
+            const received = drawn === null ? listEvents(actual) : `"${drawn}" (${listEvents(actual)})`;
+            this.fail(sink.node, `expected marble "${diagram}", received ${received}`, diagram, drawn ?? listEvents(actual));
+        }
+    }
+
+    checkEqual(sink, actual) {
+        const expected = sink.args?.[0];
+        if (!isDeepStrictEqual(actual, expected)) {
+            this.fail(sink.node, `expected ${truncateValue(expected)}, received ${truncateValue(actual)}`, expected, actual);
+        }
+    }
+
+    checkPool(sink) {
+        const [poolName, expected] = sink.args || [];
+        const pools = this.finalPools || new Map([...this.engine.pools].map(([name, pool]) => [name, pool.value]));
+        if (!pools.has(poolName)) {
+            this.fail(sink.node, `expect_pool: unknown pool '${poolName}'`);
+            return;
+        }
+        const actual = pools.get(poolName);
+        if (!isDeepStrictEqual(actual, expected)) {
+            this.fail(sink.node, `expected pool ${poolName} to hold ${truncateValue(expected)}, found ${truncateValue(actual)}`, expected, actual);
+        }
+    }
+
+    fail(node, message, expected, actual) {
+        this.failures.push(new AssertionError(message, this.filename, node.line, node.column, {
+            operator: node.name,
+            expected,
+            actual
+        }));
+    }
+}
+
+export default TestAssertions;
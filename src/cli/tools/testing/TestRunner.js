@@ -0,0 +1,219 @@
+// FILENAME: src/cli/tools/testing/TestRunner.js
+// Runs the TEST blocks of .test.flux files, one engine per test
+
+import fs from 'fs';
+import path from 'path';
+import { format } from 'util';
+import { performance } from 'perf_hooks';
+import { FluxusParser, GraphBuilder } from '../../../frontend/index.js';
+import { FluxusError } from '../../../frontend/errors.js';
+import { ENGINE_BACKENDS } from '../../../core/ir-engine.js';
+import { VirtualClock } from '../../../runtime/scheduler/clock.js';
+import { TestAssertions } from './TestAssertions.js';
+
+const DEFAULT_TIMEOUT = 5000;
+
+/**
+ * Each TEST block runs as its own program on a fresh RuntimeEngine: the
+ * file's top-level statements (FLOW imports, pools, FUNCs, shared
+ * pipelines) followed by the block's statements. A test passes when that
+ * program finishes within the timeout without runtime errors or failed
+ * assertions. Program output is captured per test.
+ *
+ * Tests run on virtual time: a VirtualClock that jumps to the next timer
+ * whenever the program is idle, so delays cost no wall time and emission
+ * times are exact. `realTime: true` runs them on the system clock instead;
+ * the timeout is always wall time. `backend: 'ir'` runs them on the IR
+ * engine instead of the graph engine.
+ *
+ * Results:
+ *   { filename, tests: [{ name, line, status, failures, output, duration }], errors }
+ * `status` is 'passed' or 'failed'; `errors` holds syntax errors, which
+ * fail the whole file.
+ */
+export class TestRunner {
+    constructor(options = {}) {
+        this.timeout = options.timeout || DEFAULT_TIMEOUT;
+        this.engineOptions = options.engineOptions || {};
+        this.filter = options.filter || null;
+        this.realTime = options.realTime || false;
+        this.backend = options.backend || 'graph';
+        if (!ENGINE_BACKENDS[this.backend]) throw new Error(`Unknown backend: ${this.backend}`);
+    }
+
+    async runFiles(files, onResult = null) {
+        const results = [];
+        for (const filename of files) {
+            const result = await this.runFile(filename);
+            results.push(result);
+            if (onResult) onResult(result);
+        }
+        return results;
+    }
+
+    async runFile(filename) {
+        const source = fs.readFileSync(filename, 'utf-8');
+        const parser = new FluxusParser({ filename, quiet: true });
+        // The program itself never runs, so GraphParser's validation report is dropped
+        const capture = this.captureConsole();
+        try {
+            parser.parse(source);
+        } finally {
+            capture.restore();
+        }
+
+        const result = { filename, source, tests: [], errors: parser.errors };
+        if (parser.errors.length > 0) return result;
+
+        const program = parser.syntaxTree;
+        const tests = program.statements
+            .filter(statement => statement.type === 'TestDeclaration')
+            .filter(test => !this.filter || test.name.includes(this.filter));
+
+        for (const test of tests) {
+            result.tests.push(await this.runTest(filename, source, program, test));
+        }
+        return result;
+    }
+
+    async runTest(filename, source, program, test) {
+        const started = performance.now();
+        const result = { name: test.name, line: test.location.line, status: 'passed', failures: [], output: '', duration: 0 };
+
+        const builder = new GraphBuilder({ filename });
+        const capture = this.captureConsole();
+        try {
+            const ast = builder.buildTest(program, test, source.split('\n').length);
+            result.failures.push(...builder.errors);
+            if (builder.errors.length === 0) {
+                result.failures.push(...await this.execute(ast, test, capture));
+            }
+        } finally {
+            result.output = capture.restore();
+        }
+
+        result.status = result.failures.length > 0 ? 'failed' : 'passed';
+        result.duration = performance.now() - started;
+        return result;
+    }
+
+    // `capture` keeps only what the program prints, not the engine's startup report
+    async execute(ast, test, capture) {
+        const clock = this.realTime ? undefined : new VirtualClock({ autoAdvance: true });
+        const engine = new ENGINE_BACKENDS[this.backend]({ quietMode: true, clock, ...this.engineOptions });
+        const initialized = new Promise(resolve => engine.once('engine:initialized', resolve));
+        const assertions = new TestAssertions(engine, ast).install();
+        const failures = [];
+        engine.on('runtime:error', error => failures.push(error));
+
+        let timer;
+        const timedOut = new Promise(resolve => {
+            timer = setTimeout(() => resolve(true), this.timeout);
+        });
+
+        try {
+            const finished = initialized
+                .then(() => {
+                    capture.clear();
+                    return engine.start(ast);
+                })
+                .then(() => false);
+            if (await Promise.race([finished, timedOut])) {
+                failures.push(new FluxusError(`Test timed out after ${this.timeout}ms`, ast.metadata.filename, test.location.line, test.location.column));
+            }
+        } catch (error) {
+            failures.push(error);
+        } finally {
+            clearTimeout(timer);
+            await engine.shutdown();
+        }
+
+        return [...failures, ...assertions.finish()];
+    }
+
+    captureConsole() {
+        const original = { log: console.log, info: console.info, warn: console.warn, error: console.error };
+        const lines = [];
+        const record = (...args) => lines.push(format(...args));
+        Object.assign(console, { log: record, info: record, warn: record, error: record });
+        return {
+            clear: () => {
+                lines.length = 0;
+            },
+            restore: () => {
+                Object.assign(console, original);
+                return lines.join('\n');
+            }
+        };
+    }
+}
+
+/**
+ * Test files for the CLI targets: files as given, `*.test.flux` files
+ * under directories, and glob patterns (`*`, `**`, `?`) matched against
+ * paths below the pattern's fixed leading directories.
+ */
+export function findTestFiles(targets) {
+    const files = new Set();
+
+    for (const target of targets) {
+        if (/[*?]/.test(target)) {
+            const pattern = path.normalize(target).split(path.sep).join('/');
+            const matcher = globToRegExp(pattern);
+            walk(globBase(pattern), file => {
+                if (matcher.test(file.split(path.sep).join('/'))) files.add(file);
+            });
+        } else if (!fs.existsSync(target)) {
+            throw new Error(`No such file or directory: ${target}`);
+        } else if (fs.statSync(target).isDirectory()) {
+            walk(target, file => {
+                if (file.endsWith('.test.flux')) files.add(file);
+            });
+        } else {
+            files.add(target);
+        }
+    }
+
+    return [...files];
+}
+
+function walk(directory, visit) {
+    if (!fs.existsSync(directory)) return;
+    for (const entry of fs.readdirSync(directory, { withFileTypes: true }).sort((a, b) => a.name.localeCompare(b.name))) {
+        if (entry.name === 'node_modules' || entry.name.startsWith('.')) continue;
+        const entryPath = path.join(directory, entry.name);
+        if (entry.isDirectory()) walk(entryPath, visit);
+        else visit(entryPath);
+    }
+}
+
+// Leading path segments without wildcards
+function globBase(pattern) {
+    const fixed = [];
+    for (const segment of pattern.split('/')) {
+        if (/[*?]/.test(segment)) break;
+        fixed.push(segment);
+    }
+    return fixed.join('/') || (pattern.startsWith('/') ? '/' : '.');
+}
+
+// `**/` matches any number of directories, `*` and `?` stay within one path segment
+function globToRegExp(pattern) {
+    let source = '';
+    for (let i = 0; i < pattern.length; i++) {
+        const char = pattern[i];
+        if (char === '*' && pattern[i + 1] === '*') {
+            source += pattern[i + 2] === '/' ? '(?:.*/)?' : '.*';
+            i += pattern[i + 2] === '/' ? 2 : 1;
+        } else if (char === '*') {
+            source += '[^/]*';
+        } else if (char === '?') {
+            source += '[^/]';
+        } else {
+            source += char.replace(/[.+^${}()|[\]\\]/g, '\\$&');
+        }
+    }
+    return new RegExp(`^${source}$`);
+}
+
+export default TestRunner;
@@ -0,0 +1,186 @@
+// FILENAME: src/cli/tools/testing/differential.js
+// Differential testing: one program on two engine backends, outputs compared
+
+import fs from 'fs';
+import { execFileSync } from 'child_process';
+import { format } from 'util';
+import { AsyncLocalStorage } from 'async_hooks';
+import { createParser } from '../../../frontend/index.js';
+import { ENGINE_BACKENDS } from '../../../core/ir-engine.js';
+import { parseIR } from '../../../intermediate/ir/text/index.js';
+import { VirtualClock } from '../../../runtime/scheduler/clock.js';
+
+export const DEFAULT_HORIZON = 5000;
+const CAPTURE_PREFIX = 'FLUXUS_CAPTURE ';
+
+/**
+ * Run a program on one backend and return what it printed, runtime errors
+ * included, as `{ origin, text }` lines. A .fir file runs on the IR backend
+ * only, optimized at the engine's level. `origin` is the source location
+ * of the pipeline run that printed the line (`line:column` of its first
+ * stage), or of the error.
+ *
+ * Time is virtual and advanced by hand to `horizon`, then the engine shuts
+ * down, so live sources that never complete still end. Math.random is
+ * seeded per pipeline and operator stage, so random operators draw the
+ * same numbers however the pipelines interleave and whichever stages the
+ * optimizer removed (every operator call draws for its execution id).
+ */
+export async function captureProgram(filename, { backend = 'graph', horizon = DEFAULT_HORIZON, engineOptions = {} } = {}) {
+    const Engine = ENGINE_BACKENDS[backend];
+    if (!Engine) throw new Error(`Unknown backend '${backend}' (expected ${Object.keys(ENGINE_BACKENDS).join(' or ')})`);
+
+    const origins = new AsyncLocalStorage();
+    const lines = [];
+    const record = (...args) => lines.push({ origin: origins.getStore()?.origin ?? null, text: format(...args) });
+    const original = { log: console.log, info: console.info, warn: console.warn, error: console.error };
+    const random = Math.random;
+    const generators = new Map();
+    Math.random = () => {
+        const { origin = null, stage = null } = origins.getStore() ?? {};
+        const key = `${origin}@${stage}`;
+        if (!generators.has(key)) generators.set(key, seededRandom(1));
+        return generators.get(key)();
+    };
+    Object.assign(console, { log: record, info: record, warn: record, error: record });
+
+    try {
+        const source = fs.readFileSync(filename, 'utf-8');
+        const ir = filename.endsWith('.fir');
+        if (ir && !Engine.prototype.startProgram) throw new Error(`The ${backend} backend cannot run IR files`);
+        const parser = ir ? null : createParser({ filename });
+        const program = ir ? parseIR(source, { filename }) : parser.parse(source);
+        if (parser?.errors?.length > 0) throw parser.errors[0];
+        if (!ir) program.metadata.filename ??= filename;
+
+        const clock = new VirtualClock();
+        const engine = new Engine({ quietMode: true, clock, ...engineOptions });
+        await new Promise(resolve => engine.once('engine:initialized', resolve));
+        lines.length = 0;
+
+        // Every top-level run (a stream, an emission, a subscription) is an origin; FUNC bodies run with a scope
+        const executePipeline = engine.executePipelineFromNode.bind(engine);
+        engine.executePipelineFromNode = (node, data, scope = null) => scope
+            ? executePipeline(node, data, scope)
+            : origins.run({ origin: `${node.line ?? '?'}:${node.column ?? '?'}` }, () => executePipeline(node, data, scope));
+        const applyOperator = engine.applyOperator.bind(engine);
+        engine.applyOperator = (name, node, ...rest) => origins.run(
+            { ...origins.getStore(), stage: `${node?.line ?? '?'}:${node?.column ?? '?'}` },
+            () => applyOperator(name, node, ...rest)
+        );
+
+        engine.on('runtime:error', error => {
+            const location = error.line ? ` (line ${error.line}:${error.column})` : '';
+            lines.push({ origin: `error ${error.line ?? '?'}:${error.column ?? '?'}`, text: `❌ ${error.message}${location}` });
+        });
+        const started = (ir ? engine.startProgram(engine.optimize(program)) : engine.start(program))
+            .catch(error => console.error(`❌ ${error.message}`));
+        await clock.advanceTo(horizon);
+        await engine.shutdown();
+        await started;
+    } finally {
+        Object.assign(console, original);
+        Math.random = random;
+    }
+
+    return lines;
+}
+
+/**
+ * Run `filename` on each backend and compare what they printed. Every run
+ * gets a process of its own (`entry --capture=<backend> file`): libraries
+ * and registries keep state per process, which would leak between runs.
+ *
+ * Returns { filename, status, outputs, diff }. `status` is 'same', or
+ * 'reordered' when every pipeline printed the same lines but concurrent
+ * pipelines interleaved differently (fewer stages finish sooner), or
+ * 'different'.
+ */
+export function compareBackends(filename, { backends = ['graph', 'ir'], args = [], ...options } = {}) {
+    return compareRuns(filename, backends.map(backend => ({ name: backend, backend, args })), options);
+}
+
+/**
+ * compareBackends for any two runs `{ name, backend, args }`, e.g. one .fir
+ * file on the IR backend at -O0 and at -O2. `outputs` is keyed by name.
+ */
+export function compareRuns(filename, runs, { entry, horizon = DEFAULT_HORIZON, timeout = 60000 } = {}) {
+    const outputs = {};
+    for (const { name, backend, args = [] } of runs) {
+        const stdout = execFileSync(process.execPath, [entry, `--capture=${backend}`, `--horizon=${horizon}`, ...args, filename], {
+            encoding: 'utf-8',
+            timeout,
+            maxBuffer: 64 * 1024 * 1024,
+            stdio: ['ignore', 'pipe', 'ignore']
+        });
+        const line = stdout.split('\n').reverse().find(l => l.startsWith(CAPTURE_PREFIX));
+        if (!line) throw new Error(`${name} run produced no capture for ${filename}`);
+        outputs[name] = JSON.parse(line.slice(CAPTURE_PREFIX.length));
+    }
+
+    const [expected, actual] = runs.map(run => outputs[run.name]);
+    const texts = lines => lines.map(line => line.text);
+    let status = 'same';
+    if (texts(expected).join('\n') !== texts(actual).join('\n')) {
+        status = samePerOrigin(expected, actual) ? 'reordered' : 'different';
+    }
+
+    return { filename, status, outputs, diff: status === 'same' ? [] : diffLines(texts(expected), texts(actual)) };
+}
+
+function samePerOrigin(expected, actual) {
+    const byOrigin = lines => {
+        const groups = {};
+        for (const { origin, text } of lines) (groups[origin] ??= []).push(text);
+        return groups;
+    };
+    const a = byOrigin(expected);
+    const b = byOrigin(actual);
+    const origins = new Set([...Object.keys(a), ...Object.keys(b)]);
+    return [...origins].every(origin => (a[origin] || []).join('\n') === (b[origin] || []).join('\n'));
+}
+
+// Child side of compareBackends: print the capture where the parent finds it
+export async function printCapture(filename, options) {
+    const lines = await captureProgram(filename, options);
+    process.stdout.write(`\n${CAPTURE_PREFIX}${JSON.stringify(lines)}\n`);
+}
+
+/**
+ * Line diff by longest common subsequence: '  ' kept, '- ' only in the
+ * first output, '+ ' only in the second.
+ */
+export function diffLines(a, b) {
+    const lengths = Array.from({ length: a.length + 1 }, () => new Array(b.length + 1).fill(0));
+    for (let i = a.length - 1; i >= 0; i--) {
+        for (let j = b.length - 1; j >= 0; j--) {
+            lengths[i][j] = a[i] === b[j] ? lengths[i + 1][j + 1] + 1 : Math.max(lengths[i + 1][j], lengths[i][j + 1]);
+        }
+    }
+
+    const diff = [];
+    let i = 0;
+    let j = 0;
+    while (i < a.length || j < b.length) {
+        if (i < a.length && j < b.length && a[i] === b[j]) {
+            diff.push(`  ${a[i++]}`);
+            j++;
+        } else if (j < b.length && (i === a.length || lengths[i][j + 1] >= lengths[i + 1][j])) {
+            diff.push(`+ ${b[j++]}`);
+        } else {
+            diff.push(`- ${a[i++]}`);
+        }
+    }
+    return diff;
+}
+
+// Park-Miller: small, and the same sequence on every backend and run
+function seededRandom(seed) {
+    let state = seed;
+    return () => {
+        state = (state * 16807) % 2147483647;
+        return (state - 1) / 2147483646;
+    };
+}
+
+export default { captureProgram, compareBackends, compareRuns, printCapture, diffLines };
@@ -0,0 +1,9 @@
+// FILENAME: src/cli/tools/testing/index.js
+// Test Framework Entry Point
+
+import { TestRunner, findTestFiles } from './TestRunner.js';
+import { TestAssertions, ASSERTION_OPERATORS } from './TestAssertions.js';
+import { summarize, formatConsole, formatTap, formatJUnit } from './reporters.js';
+
+export { TestRunner, TestAssertions, ASSERTION_OPERATORS, findTestFiles, summarize, formatConsole, formatTap, formatJUnit };
+export default { TestRunner, TestAssertions, findTestFiles };
@@ -0,0 +1,147 @@
+// FILENAME: src/cli/tools/testing/reporters.js
+// Test result reporters: console summary, TAP 13 and JUnit XML
+
+import path from 'path';
+import { formatDiagnostic } from '../../../frontend/diagnostics.js';
+
+/**
+ * Totals over TestRunner results. A file with syntax errors counts as one
+ * failed test, so it cannot pass CI unnoticed.
+ */
+export function summarize(results) {
+    const summary = { files: results.length, tests: 0, passed: 0, failed: 0, duration: 0 };
+    for (const result of results) {
+        if (result.errors.length > 0) {
+            summary.tests++;
+            summary.failed++;
+        }
+        for (const test of result.tests) {
+            summary.tests++;
+            summary[test.status]++;
+            summary.duration += test.duration;
+        }
+    }
+    return summary;
+}
+
+// One file's results for the terminal, failures with code frames
+export function formatConsole(result) {
+    const lines = [`📄 ${result.filename}`];
+
+    for (const error of result.errors) {
+        lines.push(indent(formatDiagnostic(error, result.source), 3));
+    }
+    for (const test of result.tests) {
+        lines.push(`   ${test.status === 'passed' ? '✅' : '❌'} ${test.name} (${test.duration.toFixed(0)}ms)`);
+        for (const failure of test.failures) {
+            lines.push(indent(formatDiagnostic(failure, result.source), 6));
+        }
+    }
+    if (result.errors.length === 0 && result.tests.length === 0) {
+        lines.push('   ⚠️ No TEST blocks');
+    }
+    return lines.join('\n');
+}
+
+/**
+ * TAP version 13: one test point per TEST block (and per file that does
+ * not parse), failures as YAML diagnostics, captured output as comments.
+ */
+export function formatTap(results) {
+    const points = [];
+    for (const result of results) {
+        if (result.errors.length > 0) {
+            points.push({ ok: false, name: `${result.filename}: syntax errors`, failures: result.errors });
+        }
+        for (const test of result.tests) {
+            points.push({ ok: test.status === 'passed', name: `${result.filename} > ${test.name}`, failures: test.failures, output: test.output, duration: test.duration });
+        }
+    }
+
+    const lines = ['TAP version 13', `1..${points.length}`];
+    points.forEach((point, index) => {
+        lines.push(`${point.ok ? 'ok' : 'not ok'} ${index + 1} - ${point.name.replace(/#/g, '\\#')}`);
+        if (point.output) {
+            lines.push(...point.output.split('\n').map(line => `# ${line}`));
+        }
+        if (!point.ok) {
+            lines.push('  ---');
+            lines.push(...point.failures.flatMap(failure => tapFailure(failure)));
+            if (point.duration !== undefined) lines.push(`  duration_ms: ${point.duration.toFixed(3)}`);
+            lines.push('  ...');
+        }
+    });
+    return `${lines.join('\n')}\n`;
+}
+
+function tapFailure(failure) {
+    const lines = [
+        `  - message: ${JSON.stringify(failure.message)}`,
+        `    at: ${JSON.stringify(`${failure.filename}:${failure.line}:${failure.column}`)}`
+    ];
+    if (failure.phase === 'test' && failure.expected !== undefined) {
+        lines.push(`    expected: ${JSON.stringify(failure.expected) ?? 'undefined'}`);
+        lines.push(`    actual: ${JSON.stringify(failure.actual) ?? 'undefined'}`);
+    }
+    return lines;
+}
+
+/**
+ * JUnit XML in the layout CI servers read: a <testsuite> per file, a
+ * <testcase> per TEST block with <failure> elements and <system-out>.
+ */
+export function formatJUnit(results) {
+    const summary = summarize(results);
+    const lines = [
+        '<?xml version="1.0" encoding="UTF-8"?>',
+        `<testsuites name="fluxus" tests="${summary.tests}" failures="${summary.failed}" time="${seconds(summary.duration)}">`
+    ];
+
+    for (const result of results) {
+        const fileSummary = summarize([result]);
+        const suiteName = result.filename;
+        const className = path.basename(result.filename).replace(/\.test\.flux$|\.flux$/, '');
+        lines.push(`  <testsuite name="${xml(suiteName)}" tests="${fileSummary.tests}" failures="${fileSummary.failed}" time="${seconds(fileSummary.duration)}">`);
+
+        if (result.errors.length > 0) {
+            lines.push(`    <testcase classname="${xml(className)}" name="syntax" time="0">`);
+            lines.push(...result.errors.map(error => junitFailure(error, 'SyntaxError')));
+            lines.push('    </testcase>');
+        }
+        for (const test of result.tests) {
+            lines.push(`    <testcase classname="${xml(className)}" name="${xml(test.name)}" time="${seconds(test.duration)}">`);
+            lines.push(...test.failures.map(failure => junitFailure(failure, failure.name)));
+            if (test.output) lines.push(`      <system-out>${xml(test.output)}</system-out>`);
+            lines.push('    </testcase>');
+        }
+        lines.push('  </testsuite>');
+    }
+
+    lines.push('</testsuites>');
+    return `${lines.join('\n')}\n`;
+}
+
+function junitFailure(failure, type) {
+    const location = `${failure.filename}:${failure.line}:${failure.column}`;
+    return `      <failure message="${xml(failure.message)}" type="${xml(type || 'Error')}">${xml(`${location}\n${failure.message}`)}</failure>`;
+}
+
+function seconds(milliseconds) {
+    return (milliseconds / 1000).toFixed(3);
+}
+
+function xml(text) {
+    return String(text)
+        .replace(/[\u0000-\u0008\u000B\u000C\u000E-\u001F]/g, '')
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;');
+}
+
+function indent(text, width) {
+    const padding = ' '.repeat(width);
+    return text.split('\n').map(line => `${padding}${line}`).join('\n');
+}
+
+export default { summarize, formatConsole, formatTap, formatJUnit };
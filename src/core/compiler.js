@@ -2,6 +2,7 @@
 // Fluxus Language Compiler v4.4 - SMART ENGINE INTEGRATION
 
 import { OperatorsRegistry } from '../lib/index.js';
+import { ModuleBuilder } from './module-builder.js';
 
 export class Compiler {
     constructor() {
@@ -74,6 +75,7 @@ export class Compiler {
         };
 
         this.resolveLibraries(ast);
+        this.compiledProgram.bindings = this.resolveBindings(ast);
         this.compileNodes(ast);
         this.optimizePipeline();
         
@@ -103,25 +105,38 @@ export class Compiler {
     }
 
     autoDetectLibraries(ast) {
-        const detectedLibs = new Set();
-        
-        if (ast.nodes) {
-            ast.nodes.forEach(node => {
-                if (node.type === 'FUNCTION_OPERATOR') {
-                    const opName = node.name.split('(')[0].trim();
-                    
-                    for (const [lib, operators] of Object.entries(this.libraryMap)) {
-                        if (operators.includes(opName) && !this.compiledProgram.libraries.has(lib)) {
-                            detectedLibs.add(lib);
-                        }
-                    }
-                }
-            });
+        const { detected } = this.resolveBindings(ast);
+        if (detected.length > 0) {
+            console.log(`🔍 Smart Engine detected libraries: ${detected.join(', ')}`);
         }
+    }
 
-        if (detectedLibs.size > 0) {
-            console.log(`🔍 Smart Engine detected libraries: ${Array.from(detectedLibs).join(', ')}`);
+    /**
+     * The libraries a program imports, the ones its operator names point to
+     * and the library each operator resolves to. Plain data, so `fluxus run`
+     * can keep it next to the parsed graph in .fluxus-cache/.
+     */
+    resolveBindings(ast) {
+        const imported = [
+            ...(ast.imports || []),
+            ...(ast.nodes || []).filter(node => node.type === 'IMPORT_STATEMENT' && node.libraryName).map(node => node.libraryName)
+        ];
+        const detected = new Set();
+        const operators = {};
+
+        for (const node of ast.nodes || []) {
+            if (node.type !== 'FUNCTION_OPERATOR') continue;
+            const opName = node.name.split('(')[0].trim();
+            operators[opName] = this.findOperatorLibrary(opName);
+
+            for (const [lib, libOperators] of Object.entries(this.libraryMap)) {
+                if (libOperators.includes(opName) && !imported.includes(lib)) {
+                    detected.add(lib);
+                }
+            }
         }
+
+        return { imported: [...new Set(imported)], detected: [...detected], operators };
     }
 
     compileNodes(ast) {
@@ -348,44 +363,14 @@ export class Compiler {
         return 'core';
     }
 
-    generateRuntimeCode(compiledProgram) {
-        const lines = [];
-
-        lines.push('// Generated Fluxus Runtime Code - Smart Engine');
-        lines.push(`// Version: ${compiledProgram.version}`);
-        lines.push(`// Smart Engine: ${compiledProgram.smartEngine ? 'Enabled' : 'Disabled'}`);
-        lines.push(`// Libraries: ${Array.from(compiledProgram.libraries).join(', ')}`);
-        lines.push('');
-
-        // Add library imports
-        if (compiledProgram.libraries.size > 0) {
-            lines.push('// Imported Libraries:');
-            for (const lib of compiledProgram.libraries) {
-                lines.push(`import * as ${lib} from './lib/${lib}.js';`);
-            }
-            lines.push('');
-        }
-
-        // Generate operator sequence
-        lines.push('// Operator Pipeline:');
-        for (const op of compiledProgram.operators) {
-            switch (op.type) {
-                case 'stream-source':
-                    lines.push(`const stream = Fluxus.${op.sourceType}Stream(${JSON.stringify(op.value)});`);
-                    break;
-                case 'transformation':
-                    lines.push(`stream.pipe(Fluxus.${op.name}(${op.args.map(arg => JSON.stringify(arg)).join(', ')}));`);
-                    break;
-                case 'pool-declaration':
-                    lines.push(`const ${op.name} = Fluxus.createPool(${JSON.stringify(op.initialValue)});`);
-                    break;
-                case 'pool-access':
-                    lines.push(`${op.poolName}.${op.operation}(${op.args.map(arg => JSON.stringify(arg)).join(', ')});`);
-                    break;
-            }
-        }
-
-        return lines.join('\n');
+    /**
+     * JavaScript for a program: the standalone ES module `fluxus build`
+     * writes (see ModuleBuilder). Throws the first build error.
+     */
+    generateRuntimeCode(ast, options = {}) {
+        const { code, errors } = new ModuleBuilder(options).build(ast);
+        if (errors.length > 0) throw errors[0];
+        return code;
     }
 
     // New method: Get operator catalog for CLI
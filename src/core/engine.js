@@ -6,7 +6,17 @@ import { FluxusLibraryLoader } from '../lib/hybrid-loader.js';
 import { OperatorsRegistry } from '../lib/index.js';
 import { EventEmitter } from 'events';
 import { UI_OPERATORS } from '../lib/domains/ui.js';
+import { LiveSourceRuntime } from '../runtime/streams/live-sources.js';
+import { systemClock } from '../runtime/scheduler/clock.js';
+import { createTemporalOperators } from '../runtime/scheduler/temporal-operators.js';
+import { MATH_OPERATORS } from '../runtime/math/math-operators.js';
+import { LensEvaluator } from '../runtime/lens/lens-evaluator.js';
+import { RuntimeError } from '../frontend/errors.js';
 import { performance } from 'perf_hooks';
+import { AsyncLocalStorage } from 'async_hooks';
+
+// Returned by a scalar filter lens to stop the current emission
+export const FILTERED = Symbol('fluxus.filtered');
 
 export class RuntimeEngine extends EventEmitter {
     constructor(userConfig = {}) {
@@ -14,6 +24,7 @@ export class RuntimeEngine extends EventEmitter {
         
         this.config = {
             maxExecutionSteps: 100000,
+            maxCallDepth: 64,
             enableMetrics: true,
             logLevel: 'INFO',
             quietMode: false,
@@ -30,14 +41,23 @@ export class RuntimeEngine extends EventEmitter {
             enableNetworkDomains: true,
             enableSecurityDomains: true,
             enableUIDomains: true,
+            // { imported, detected } from Compiler#resolveBindings: load only those libraries
+            libraryBindings: null,
             ...userConfig
         };
 
+        // Wall time unless started with `clock: new VirtualClock()`
+        this.clock = userConfig.clock || systemClock;
         this.pools = new Map();
         this.activeStreams = new Set();
         this.domainStreams = new Map();
         this.streamProcessors = new Map();
+        this.liveSources = new LiveSourceRuntime(this);
+        this.lensEvaluator = new LensEvaluator();
         this.ast = null;
+        this.runtimeErrors = [];
+        this.debugger = null;
+        this.debugFrames = new AsyncLocalStorage();
         this.replMode = userConfig.replMode || false;
         this.executionId = `exec_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
 
@@ -46,11 +66,15 @@ export class RuntimeEngine extends EventEmitter {
         this.packageManager = new FluxusPackageManager(this);
         this.libraryLoader = new FluxusLibraryLoader(this, {
             debugMode: userConfig.debugMode || false,
-            autoDiscoverDomains: this.config.enableDomainAutoDiscovery
+            autoDiscoverDomains: this.config.enableDomainAutoDiscovery,
+            libraries: this.config.libraryBindings
+                ? [...this.config.libraryBindings.imported, ...this.config.libraryBindings.detected]
+                : null
         });
         
         this.loadedLibraries = new Set();
         this.loadedDomains = new Set();
+        this.simulatedOperators = new Set();
         this.libraryComplexity = new Map();
         this.availableLibraries = new Map();
         this.domainProcessors = new Map();
@@ -80,7 +104,9 @@ export class RuntimeEngine extends EventEmitter {
             pipelineExecutionTimes: new Map(),
             domainLoadTimes: new Map(),
             libraryLoadTimes: new Map(),
-            domainPerformance: new Map()
+            domainPerformance: new Map(),
+            // nodeId -> { executions, errors, totalTime } for monitors such as the dashboard
+            nodeStats: new Map()
         };
 
         this.errorRecovery = {
@@ -110,101 +136,9 @@ export class RuntimeEngine extends EventEmitter {
         console.log('✅ Applied critical patches');
     }
 
-    // PATCH 1: Fix Math NaN Issues
+    // PATCH 1: Fix Math NaN Issues (shared with built programs, see math-operators.js)
     applyMathOperatorsPatch() {
-        const mathOperators = {
-            'sin': (input) => {
-                const num = Number(input);
-                return isNaN(num) ? 0 : Math.sin(num);
-            },
-            'cos': (input) => {
-                const num = Number(input);
-                return isNaN(num) ? 1 : Math.cos(num);
-            },
-            'tan': (input) => {
-                const num = Number(input);
-                return isNaN(num) ? 0 : Math.tan(num);
-            },
-            'log': (input) => {
-                const num = Number(input);
-                return isNaN(num) || num <= 0 ? 0 : Math.log(num);
-            },
-            'exp': (input) => {
-                const num = Number(input);
-                return isNaN(num) ? 1 : Math.exp(num);
-            },
-            'sqrt': (input) => {
-                const num = Number(input);
-                return isNaN(num) || num < 0 ? 0 : Math.sqrt(num);
-            },
-            'pow': (input, [exponent]) => {
-                const base = Number(input);
-                const exp = Number(exponent) || 1;
-                return isNaN(base) ? 0 : Math.pow(base, exp);
-            },
-            'random': (input) => {
-                const max = Number(input) || 1;
-                return Math.random() * max;
-            },
-            'max': (input) => {
-                if (Array.isArray(input) && input.length > 0) {
-                    const numbers = input.map(Number).filter(n => !isNaN(n));
-                    return numbers.length > 0 ? Math.max(...numbers) : 0;
-                }
-                const num = Number(input);
-                return isNaN(num) ? 0 : num;
-            },
-            'min': (input) => {
-                if (Array.isArray(input) && input.length > 0) {
-                    const numbers = input.map(Number).filter(n => !isNaN(n));
-                    return numbers.length > 0 ? Math.min(...numbers) : 0;
-                }
-                const num = Number(input);
-                return isNaN(num) ? 0 : num;
-            },
-            'mean': (input) => {
-                if (Array.isArray(input) && input.length > 0) {
-                    const numbers = input.map(Number).filter(n => !isNaN(n));
-                    return numbers.length > 0 ? numbers.reduce((a, b) => a + b, 0) / numbers.length : 0;
-                }
-                const num = Number(input);
-                return isNaN(num) ? 0 : num;
-            },
-            'sum': (input) => {
-                if (Array.isArray(input)) {
-                    const numbers = input.map(Number).filter(n => !isNaN(n));
-                    return numbers.reduce((a, b) => a + b, 0);
-                }
-                const num = Number(input);
-                return isNaN(num) ? 0 : num;
-            },
-            'median': (input) => {
-                if (!Array.isArray(input) || input.length === 0) return 0;
-                const numbers = input.map(Number).filter(n => !isNaN(n));
-                if (numbers.length === 0) return 0;
-                const sorted = [...numbers].sort((a, b) => a - b);
-                const mid = Math.floor(sorted.length / 2);
-                return sorted.length % 2 !== 0 ? sorted[mid] : (sorted[mid - 1] + sorted[mid]) / 2;
-            },
-            'floor': (input) => {
-                const num = Number(input);
-                return isNaN(num) ? 0 : Math.floor(num);
-            },
-            'ceil': (input) => {
-                const num = Number(input);
-                return isNaN(num) ? 0 : Math.ceil(num);
-            },
-            'round': (input) => {
-                const num = Number(input);
-                return isNaN(num) ? 0 : Math.round(num);
-            },
-            'abs': (input) => {
-                const num = Number(input);
-                return isNaN(num) ? 0 : Math.abs(num);
-            }
-        };
-
-        for (const [name, implementation] of Object.entries(mathOperators)) {
+        for (const [name, implementation] of Object.entries(MATH_OPERATORS)) {
             this.operators.set(name, this.createProductionOperatorWrapper(name, {
                 implementation,
                 library: 'math_advanced',
@@ -213,7 +147,7 @@ export class RuntimeEngine extends EventEmitter {
             }));
         }
         
-        console.log(`   ✅ Applied ${Object.keys(mathOperators).length} robust math operators`);
+        console.log(`   ✅ Applied ${Object.keys(MATH_OPERATORS).length} robust math operators`);
     }
 
     // PATCH 2: Fix Domain Loading
@@ -401,6 +335,7 @@ export class RuntimeEngine extends EventEmitter {
                                 type: 'domain',
                                 domain: domainName
                             }));
+                            this.simulatedOperators.add(opName);
                             count++;
                         }
                     }
@@ -447,6 +382,7 @@ export class RuntimeEngine extends EventEmitter {
         try {
             await this.initializeLibrarySystem();
             await this.initializeCoreOperators();
+            this.initializeTemporalOperators();
             
             if (this.config.enableDomainAutoDiscovery) {
                 await this.initializeAllDomains();
@@ -610,6 +546,7 @@ export class RuntimeEngine extends EventEmitter {
                                     type: 'domain',
                                     domain: domainName
                                 }));
+                                this.simulatedOperators.add(opName);
                                 count++;
                             }
                         }
@@ -726,9 +663,24 @@ export class RuntimeEngine extends EventEmitter {
 
     // ========== OPERATOR EXECUTION ==========
 
-    async executeFunctionOperator(node, inputData) {
+    // Not async itself, so a stage costs the same ticks as before the split
+    executeFunctionOperator(node, inputData, scope = null) {
         const operatorName = this.cleanOperatorName(node.name);
-        const args = node.args ? node.args.map(arg => this.parseLiteralValue(arg)) : [];
+        const args = node.args ? node.args.map(arg => this.resolveArgument(arg, scope)) : [];
+        return this.applyOperator(operatorName, node, inputData, args, scope);
+    }
+
+    /**
+     * Run an operator stage on evaluated arguments: a FUNC of the program,
+     * a core operator, or a library/domain operator. `node` is the stage
+     * (its id keys per-stage operator state, its line names FUNC calls).
+     */
+    async applyOperator(operatorName, node, inputData, args, scope = null) {
+        // User-defined FUNC operators shadow library operators
+        const userFunction = this.ast?.functions?.[operatorName];
+        if (userFunction) {
+            return await this.callUserFunction(userFunction, node, inputData, args, scope);
+        }
         
         const executionContext = {
             engine: this,
@@ -741,13 +693,19 @@ export class RuntimeEngine extends EventEmitter {
             streamId: node.id
         };
 
-        try {
-            // HARDENED: Check core operators first
-            if (this.operators.has(operatorName)) {
-                const operatorWrapper = this.operators.get(operatorName);
+        // HARDENED: Check core operators first
+        if (this.operators.has(operatorName)) {
+            const operatorWrapper = this.operators.get(operatorName);
+            try {
                 return await operatorWrapper(inputData, args, executionContext);
+            } catch (error) {
+                // The fallbacks look for another implementation: this one's verdict (e.g. timeout) stands
+                executionContext.failedCoreOperator = operatorWrapper;
+                return await this.executeWithFallbacks(operatorName, inputData, args, executionContext, error);
             }
+        }
 
+        try {
             // Then use library selection for domain operators
             const preferredLibrary = await this.selectOptimalLibrary(operatorName, executionContext);
             
@@ -766,6 +724,63 @@ export class RuntimeEngine extends EventEmitter {
         }
     }
 
+    /**
+     * Run a FUNC body with its parameters bound to the call arguments.
+     * Errors surface once, at the outermost call, with the caller's line.
+     */
+    async callUserFunction(definition, callNode, inputData, args, callerScope = null) {
+        const depth = callerScope ? callerScope.depth + 1 : 0;
+        const scope = {
+            function: definition.name,
+            bindings: {},
+            depth,
+            callStack: [...(callerScope?.callStack || []), definition.name]
+        };
+
+        try {
+            if (depth >= this.config.maxCallDepth) {
+                throw new Error(`Maximum FUNC call depth of ${this.config.maxCallDepth} exceeded`);
+            }
+            if (args.length !== definition.parameters.length) {
+                throw new Error(`FUNC '${definition.name}' expects ${definition.parameters.length} argument(s), got ${args.length}`);
+            }
+
+            definition.parameters.forEach((param, index) => {
+                scope.bindings[param] = args[index];
+            });
+
+            const entryNode = definition.entry && this.ast.nodes.find(n => n.id === definition.entry);
+            if (!entryNode) return inputData;
+
+            return await this.executePipelineFromNode(entryNode, inputData, scope);
+
+        } catch (error) {
+            if (!error.functionStack?.length) error.functionStack = scope.callStack;
+            if (callerScope) throw error;
+
+            // Located inside the body: keep the body location, name the call site
+            if (error instanceof RuntimeError) {
+                error.message = `Error in FUNC '${definition.name}' called at line ${callNode.line}: ${error.message}`;
+                error.functionName = definition.name;
+                throw error;
+            }
+
+            const callError = new Error(`Error in FUNC '${definition.name}' called at line ${callNode.line}: ${error.message}`);
+            callError.line = callNode.line;
+            callError.functionName = definition.name;
+            callError.functionStack = error.functionStack;
+            callError.originalError = error;
+            throw callError;
+        }
+    }
+
+    resolveArgument(arg, scope) {
+        if (scope && typeof arg === 'string' && Object.hasOwn(scope.bindings, arg)) {
+            return scope.bindings[arg];
+        }
+        return this.parseLiteralValue(arg);
+    }
+
     async selectOptimalLibrary(operatorName, context = {}) {
         if (!this.config.enableSmartLibrarySelection) return 'auto';
 
@@ -868,7 +883,7 @@ export class RuntimeEngine extends EventEmitter {
         }
 
         const operatorWrapper = this.operators.get(operatorName);
-        if (operatorWrapper) {
+        if (operatorWrapper && operatorWrapper !== context.failedCoreOperator) {
             return await operatorWrapper(inputData, args, context);
         }
 
@@ -877,7 +892,14 @@ export class RuntimeEngine extends EventEmitter {
 
     // ========== CORE OPERATOR INITIALIZATION ==========
 
+    initializeTemporalOperators() {
+        for (const [name, operator] of Object.entries(createTemporalOperators(this, FILTERED))) {
+            this.operators.set(name, operator);
+        }
+    }
+
     async initializeCoreOperators() {
+        this.operatorsRegistry.initialize();
         const allOperators = this.operatorsRegistry.getAllOperators();
         for (const operator of allOperators) {
             this.operators.set(operator.name, this.createProductionOperatorWrapper(operator.name, operator));
@@ -949,12 +971,10 @@ export class RuntimeEngine extends EventEmitter {
                 enhancedError.domain = operatorDef.library;
                 enhancedError.executionId = executionId;
                 enhancedError.originalError = error;
+                enhancedError.retryable = operatorDef.retryable !== false;
 
+                // Reported once, by whoever handles the error (a fallback may still succeed)
                 this.emit('operator:failed', { name, executionTime, error: enhancedError.message, domain: operatorDef.library, executionId });
-
-                if (!this.config.quietMode) {
-                    console.error(`❌ Operator '${name}' failed:`, error.message);
-                }
                 throw enhancedError;
             }
         };
@@ -1003,7 +1023,14 @@ export class RuntimeEngine extends EventEmitter {
         return successfulImpls[0].result;
     }
 
+    /**
+     * Try the library and the custom implementation of an operator that
+     * failed. Failures of non-retryable operators (file writes and other
+     * side effects that may have partly happened) are final.
+     */
     async executeWithFallbacks(operatorName, inputData, args, context, originalError) {
+        if (originalError.retryable === false) throw originalError;
+
         const fallbacks = [
             () => this.executeLibOperator(operatorName, inputData, args, context),
             () => this.executeCustomOperator(operatorName, inputData, args, context)
@@ -1082,6 +1109,7 @@ export class RuntimeEngine extends EventEmitter {
             let loadSuccess = false;
             if (libraryInfo.type === 'lib') {
                 loadSuccess = await this.libraryLoader.loadLibrary(libraryName);
+                this.registerLibraryExports(libraryName, loadSuccess);
             } else {
                 loadSuccess = true;
             }
@@ -1322,6 +1350,11 @@ export class RuntimeEngine extends EventEmitter {
                 'Finite stream execution timeout'
             );
 
+            // Live sources keep the program alive until they complete or the engine shuts down
+            if (!this.replMode) {
+                await this.liveSources.whenComplete();
+            }
+
             const totalExecutionTime = performance.now() - executionStartTime;
             
             this.emit('execution:completed', {
@@ -1359,10 +1392,43 @@ export class RuntimeEngine extends EventEmitter {
         }
     }
 
-    async loadImports() {
-        if (!this.ast?.imports) return;
+    /**
+     * Add statements to a program that is already running (REPL input,
+     * `.load`). The fragment's nodes and FUNCs join this.ast, then only its
+     * own imports, pools, streams and subscriptions start. Pools that
+     * already exist keep their value and subscribers.
+     */
+    async extend(fragment) {
+        if (!this.ast) return this.start(fragment);
+
+        const ast = this.ast;
+        ast.nodes.push(...fragment.nodes);
+        ast.connections.push(...fragment.connections);
+        Object.assign(ast.functions, fragment.functions);
+        for (const [poolName, poolDef] of Object.entries(fragment.pools)) {
+            if (!this.pools.has(poolName)) ast.pools[poolName] = poolDef;
+        }
+        ast.imports.push(...fragment.imports.filter(name => !ast.imports.includes(name)));
+        ast.liveStreams?.push(...(fragment.liveStreams || []));
+        ast.finiteStreams?.push(...(fragment.finiteStreams || []));
+
+        await this.loadImports(fragment);
+        this.initializePools(fragment, { keepExisting: true });
+        const finiteStreamPromises = this.runFiniteStreams(fragment);
+        await this.executeInitialReactiveFlows(fragment);
+        await Promise.all(this.runPoolSubscriptions(fragment));
+
+        await this.withTimeout(
+            Promise.all(finiteStreamPromises),
+            this.config.executionTimeout,
+            'Finite stream execution timeout'
+        );
+    }
+
+    async loadImports(ast = this.ast) {
+        if (!ast?.imports) return;
         
-        for (const importName of this.ast.imports) {
+        for (const importName of ast.imports) {
             try {
                 const libraryInfo = this.availableLibraries.get(importName);
                 if (libraryInfo) {
@@ -1373,6 +1439,7 @@ export class RuntimeEngine extends EventEmitter {
                 } else {
                     const success = await this.libraryLoader.loadLibrary(importName);
                     if (success) {
+                        this.registerLibraryExports(importName, success);
                         this.loadedLibraries.add(importName);
                         if (!this.config.quietMode) {
                             console.log(`   📚 Loaded library: ${importName}`);
@@ -1388,10 +1455,11 @@ export class RuntimeEngine extends EventEmitter {
         }
     }
 
-    initializePools() {
-        if (!this.ast?.pools) return;
+    initializePools(ast = this.ast, { keepExisting = false } = {}) {
+        if (!ast?.pools) return;
         
-        Object.entries(this.ast.pools).forEach(([poolName, poolDef]) => {
+        Object.entries(ast.pools).forEach(([poolName, poolDef]) => {
+            if (keepExisting && this.pools.has(poolName)) return;
             const initialValue = this.parseLiteralValue(poolDef.initial);
             this.pools.set(poolName, {
                 value: initialValue,
@@ -1425,10 +1493,11 @@ export class RuntimeEngine extends EventEmitter {
 
         this.metrics.poolUpdates++;
 
+        const runs = [];
         if (pool.subscriptions) {
             pool.subscriptions.forEach(subscriber => {
                 try {
-                    subscriber({ value: newValue, pool: poolName, updateCount: pool._updates, timestamp: Date.now() });
+                    runs.push(subscriber({ value: newValue, pool: poolName, updateCount: pool._updates, timestamp: Date.now() }));
                 } catch (error) {
                     console.warn(`⚠️ Pool subscription failed for ${poolName}:`, error.message);
                     this.metrics.warnings++;
@@ -1437,12 +1506,14 @@ export class RuntimeEngine extends EventEmitter {
         }
 
         this.emit('pool:updated', { pool: poolName, value: newValue, updateCount: pool._updates });
+        // Settles once the subscriber pipelines started by this update have run
+        return Promise.all(runs);
     }
 
-    runFiniteStreams() {
-        if (!this.ast?.nodes) return [];
+    runFiniteStreams(ast = this.ast) {
+        if (!ast?.nodes) return [];
         
-        const finiteStreams = this.ast.nodes.filter(n => n.type === 'STREAM_SOURCE_FINITE');
+        const finiteStreams = ast.nodes.filter(n => n.type === 'STREAM_SOURCE_FINITE');
         const streamPromises = finiteStreams.map(async (streamNode, index) => {
             try {
                 this.metrics.pipelineExecutions++;
@@ -1452,66 +1523,172 @@ export class RuntimeEngine extends EventEmitter {
             } catch (error) {
                 this.metrics.errors++;
                 this.emit('stream:failed', { streamId: streamNode.id, type: 'finite', error: error.message });
-                if (!this.config.quietMode) {
-                    console.error(`❌ Finite stream execution failed: ${error.message}`);
-                }
+                this.reportRuntimeError(error, 'Finite stream execution failed');
             }
         });
         return streamPromises;
     }
 
-    async executePipelineFromNode(startNode, initialData) {
+    async executePipelineFromNode(startNode, initialData, scope = null) {
         let currentNode = startNode;
         let currentData = initialData;
         let stepCount = 0;
-        let inBranch = null;
+        const path = [];
+        // Debugger frame: `parent` is the frame whose node called into this pipeline
+        const parentFrame = this.debugger ? this.debugFrames.getStore() : null;
+        const frame = { scope, path, trail: [], node: null, lastLine: null, parent: parentFrame || null };
+        frame.thread = parentFrame?.thread || frame;
 
         const pipelineId = `pipe_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
         const startTime = performance.now();
 
+        frame.pipelineId = pipelineId;
         this.emit('pipeline:started', { pipelineId, startNode: startNode.id, initialData });
 
         try {
             while (currentNode && stepCount < this.config.maxExecutionSteps) {
                 stepCount++;
-
-                if (currentNode.type === 'TRUE_FLOW' || currentNode.type === 'FALSE_FLOW') {
-                    if (currentData.__split_condition !== undefined) {
-                        const expectedCondition = currentNode.type === 'TRUE_FLOW';
-                        const actualCondition = currentData.__split_condition;
-                        if (actualCondition !== expectedCondition) {
-                            currentNode = this.findEndOfBranch(currentNode.id);
-                            continue;
-                        }
-                        delete currentData.__split_condition;
-                        inBranch = currentNode.type;
-                    } else if (inBranch !== currentNode.type) {
-                        currentNode = this.findEndOfBranch(currentNode.id);
-                        continue;
-                    }
+                path.push(this.describeNode(currentNode));
+                if (this.debugger) {
+                    frame.node = currentNode;
+                    frame.value = currentData;
+                    // The stages this run took so far, each with the value it received
+                    frame.trail.push({ node: currentNode, value: currentData });
+                    await this.debugger.beforeNode(currentNode, currentData, frame);
+                    const node = currentNode, input = currentData;
+                    currentData = await this.debugFrames.run(frame, () => this.executeNode(node, input, scope));
+                } else {
+                    currentData = await this.executeNode(currentNode, currentData, scope);
                 }
+                if (currentData === FILTERED || this.isTerminalNode(currentNode)) break;
 
-                currentData = await this.executeNode(currentNode, currentData);
-                if (this.isTerminalNode(currentNode)) break;
-                
-                const nextConnection = this.ast.connections.find(c => c.from === currentNode.id && c.type === 'PIPE_FLOW');
-                if (!nextConnection) break;
-                currentNode = this.ast.nodes.find(n => n.id === nextConnection.to);
-                if (!currentNode) break;
+                currentNode = currentNode.branches
+                    ? await this.selectBranch(currentNode, currentData, scope)
+                    : this.findNextNode(currentNode);
             }
 
             const executionTime = performance.now() - startTime;
             this.emit('pipeline:completed', { pipelineId, executionTime, steps: stepCount, success: true });
-            return currentData;
+            // FUNC bodies hand a filtered emission back so the caller stops as well
+            return currentData === FILTERED && !scope ? undefined : currentData;
 
         } catch (error) {
             const executionTime = performance.now() - startTime;
             this.emit('pipeline:failed', { pipelineId, executionTime, steps: stepCount, error: error.message });
-            throw error;
+            throw this.locateRuntimeError(error, currentNode, currentData, path);
+        }
+    }
+
+    /**
+     * Attach the failing node's source location, the stages taken to reach
+     * it and the value it received. An error already located inside a FUNC
+     * body keeps its location and gains the caller's path.
+     */
+    locateRuntimeError(error, node, input, path) {
+        if (error instanceof RuntimeError) {
+            if (path.length > 0 && error.path[0] !== path[0]) {
+                error.path = [...path, ...error.path];
+            }
+            return error;
+        }
+        if (!node) return error;
+
+        const located = new RuntimeError(error.message, this.ast?.metadata?.filename, node.line, node.column, {
+            nodeId: node.id,
+            operator: node.name,
+            span: node.type === 'FUNCTION_OPERATOR' || node.type === 'LENS_OPERATOR' ? node.name.length : 1,
+            path: [...path],
+            input,
+            cause: error
+        });
+        located.stack = error.stack;
+        return located;
+    }
+
+    describeNode(node) {
+        switch (node.type) {
+            case 'STREAM_SOURCE_FINITE': return `~ ${node.value}`;
+            case 'STREAM_SOURCE_LIVE':
+            case 'STREAM_SOURCE_REACTIVE': return `~? ${node.value ?? node.name}`;
+            case 'POOL_ACCESS': return `${node.poolName} ->`;
+            case 'CASE_FLOW': return `CASE ${node.label}`;
+            case 'FUNCTION_OPERATOR':
+            case 'LENS_OPERATOR':
+            case 'POOL_WRITE': return node.value || node.name;
+            default: return node.name || node.type;
+        }
+    }
+
+    /**
+     * Runtime errors go to 'runtime:error' listeners (the CLI renders code
+     * frames there); without a listener they are logged as before.
+     */
+    reportRuntimeError(error, context) {
+        this.runtimeErrors.push(error);
+        if (this.runtimeErrors.length > 100) this.runtimeErrors.shift();
+
+        if (this.listenerCount('runtime:error') > 0) {
+            this.emit('runtime:error', error);
+        } else if (!this.config.quietMode) {
+            console.error(`❌ ${context}: ${error.message}`);
+        }
+    }
+
+    /**
+     * A debugger's `beforeNode(node, value, frame)` is awaited before every
+     * node runs; returning later suspends that pipeline.
+     */
+    attachDebugger(session) {
+        this.debugger = session;
+    }
+
+    detachDebugger() {
+        this.debugger = null;
+    }
+
+    findNextNode(node) {
+        const nextConnection = this.ast.connections.find(c => c.from === node.id && c.type === 'PIPE_FLOW');
+        return nextConnection ? this.ast.nodes.find(n => n.id === nextConnection.to) || null : null;
+    }
+
+    /**
+     * Branch points route the unchanged value into one flow: `split` by the
+     * truth of its lens, `switch` by the lens value matched against CASE labels.
+     * Without a matching flow the value skips to the MERGE, or stops there.
+     */
+    async selectBranch(node, data, scope) {
+        const selector = await this.evaluateLens(node.args?.[0], data, scope);
+        const label = node.name === 'split' ? String(Boolean(selector)) : String(selector);
+        const flowId = node.branches[label] ?? node.branches['*'];
+
+        this.emit('branch:selected', { nodeId: node.id, label: flowId ? label : null, line: node.line });
+
+        const targetId = flowId ?? node.mergeNodeId;
+        return targetId ? this.ast.nodes.find(n => n.id === targetId) || null : null;
+    }
+
+    async evaluateLens(expression, data, scope = null, lambdaArguments = null) {
+        return await this.lensEvaluator.evaluate(expression, data, {
+            bindings: scope?.bindings,
+            arguments: lambdaArguments,
+            callOperator: (name, input, args) => this.callOperatorByName(name, input, args, scope)
+        });
+    }
+
+    async callOperatorByName(name, input, args, scope = null) {
+        const userFunction = this.ast?.functions?.[name];
+        if (userFunction) {
+            return await this.callUserFunction(userFunction, { name, line: null }, input, args, scope);
+        }
+        const operator = this.operators.get(name);
+        if (operator) {
+            return await operator(input, args, { engine: this, operator: name });
         }
+        return await this.executeWithFallbacks(name, input, args, { engine: this, operator: name },
+            new Error(`Unknown operator: ${name}`));
     }
 
-    async executeNode(node, inputData) {
+    async executeNode(node, inputData, scope = null) {
         const nodeStartTime = performance.now();
         try {
             let result;
@@ -1519,15 +1696,23 @@ export class RuntimeEngine extends EventEmitter {
                 case 'STREAM_SOURCE_FINITE':
                 case 'POOL_SOURCE':
                 case 'STREAM_SOURCE_REACTIVE':
+                case 'STREAM_SOURCE_LIVE':
                 case 'TRUE_FLOW':
                 case 'FALSE_FLOW':
+                case 'CASE_FLOW':
+                case 'DEFAULT_FLOW':
+                case 'MERGE':
                     result = inputData;
                     break;
                 case 'FUNCTION_OPERATOR':
-                    result = await this.executeFunctionOperator(node, inputData);
+                    result = await this.executeFunctionOperator(node, inputData, scope);
                     break;
                 case 'LENS_OPERATOR':
-                    result = this.executeLensOperator(node, inputData);
+                    result = await this.executeLensOperator(node, inputData, scope);
+                    break;
+                case 'POOL_WRITE':
+                    this.updatePool(node.targetPool, inputData);
+                    result = inputData;
                     break;
                 default:
                     result = inputData;
@@ -1535,18 +1720,36 @@ export class RuntimeEngine extends EventEmitter {
 
             const executionTime = performance.now() - nodeStartTime;
             this.performance.operatorExecutionTimes.set(node.id, executionTime);
+            this.recordNodeExecution(node.id, executionTime, false);
             return result;
 
         } catch (error) {
             const executionTime = performance.now() - nodeStartTime;
+            this.recordNodeExecution(node.id, executionTime, true);
             this.emit('node:failed', { nodeId: node.id, nodeType: node.type, executionTime, error: error.message });
             throw error;
         }
     }
 
-    runPoolSubscriptions() {
-        if (!this.ast?.nodes) return;
-        const subscriptions = this.ast.nodes.filter(n => n.type === 'POOL_SUBSCRIPTION');
+    recordNodeExecution(nodeId, executionTime, failed) {
+        let stats = this.performance.nodeStats.get(nodeId);
+        if (!stats) {
+            stats = { executions: 0, errors: 0, totalTime: 0 };
+            this.performance.nodeStats.set(nodeId, stats);
+        }
+        stats.executions++;
+        stats.totalTime += executionTime;
+        if (failed) stats.errors++;
+    }
+
+    /**
+     * `pool -> stages` pipelines run with the pool's current value, then
+     * again on every update. Returns the initial runs.
+     */
+    runPoolSubscriptions(ast = this.ast) {
+        if (!ast?.nodes) return [];
+        const subscriptions = ast.nodes.filter(n => n.type === 'POOL_ACCESS' || n.type === 'POOL_SUBSCRIPTION');
+        const initialRuns = [];
         
         subscriptions.forEach(subNode => {
             try {
@@ -1554,19 +1757,22 @@ export class RuntimeEngine extends EventEmitter {
                 const pool = this.pools.get(poolName);
                 if (!pool) return;
 
+                const connection = ast.connections.find(c => c.from === subNode.id && c.to !== subNode.id);
+                const downstreamNode = connection && ast.nodes.find(n => n.id === connection.to);
+                if (!downstreamNode) return;
+
                 const subscriber = async (newPoolState) => {
-                    const connection = this.ast.connections.find(c => c.from === subNode.id);
-                    if (connection) {
-                        const downstreamNode = this.ast.nodes.find(n => n.id === connection.to);
-                        if (downstreamNode) {
-                            this.metrics.pipelineExecutions++;
-                            await this.executePipelineFromNode(downstreamNode, newPoolState.value);
-                        }
+                    try {
+                        this.metrics.pipelineExecutions++;
+                        await this.executePipelineFromNode(downstreamNode, newPoolState.value);
+                    } catch (error) {
+                        this.metrics.errors++;
+                        this.reportRuntimeError(error, `Subscription to pool '${poolName}' failed`);
                     }
                 };
 
                 pool.subscriptions.add(subscriber);
-                subscriber(pool);
+                initialRuns.push(subscriber(pool));
                 
             } catch (error) {
                 this.metrics.errors++;
@@ -1575,30 +1781,25 @@ export class RuntimeEngine extends EventEmitter {
                 }
             }
         });
+
+        return initialRuns;
     }
 
-    async executeInitialReactiveFlows() {
-        if (!this.ast?.nodes) return;
+    async executeInitialReactiveFlows(ast = this.ast) {
+        if (!ast?.nodes) return;
 
-        const reactiveStreams = this.ast.nodes.filter(n => n.type === 'STREAM_SOURCE_REACTIVE');
+        const reactiveStreams = ast.nodes.filter(n => this.isLiveSourceNode(n));
         this.metrics.streamActivations = reactiveStreams.length;
 
         for (const streamNode of reactiveStreams) {
-            const sourceName = this.cleanOperatorName(streamNode.name);
+            const sourceName = this.liveSources.parseSourceExpression(streamNode.value ?? streamNode.name).name;
             
             try {
                 this.activeStreams.add(streamNode.id);
                 const domain = this.classifyStreamDomain(sourceName, streamNode);
                 this.domainStreams.set(streamNode.id, domain);
                 await this.initializeStreamProcessor(streamNode.id, domain, streamNode);
-
-                this.emit('stream:activated', {
-                    streamId: streamNode.id,
-                    type: 'reactive', 
-                    source: sourceName,
-                    domain: domain,
-                    timestamp: Date.now()
-                });
+                await this.liveSources.activateNode(streamNode);
 
             } catch (error) {
                 console.warn(`⚠️ Reactive stream activation failed for ${sourceName}:`, error.message);
@@ -1611,6 +1812,28 @@ export class RuntimeEngine extends EventEmitter {
         }
     }
 
+    isLiveSourceNode(node) {
+        return node.type === 'STREAM_SOURCE_REACTIVE' || node.type === 'STREAM_SOURCE_LIVE';
+    }
+
+    async processLiveEmission(streamNode, value) {
+        const processor = this.streamProcessors.get(streamNode.id);
+        const handler = processor?.handlers.get('data');
+
+        try {
+            const data = handler ? await handler(value) : value;
+            this.metrics.pipelineExecutions++;
+            return await this.executePipelineFromNode(streamNode, data);
+        } catch (error) {
+            if (processor) processor.metrics.errors++;
+            throw error;
+        } finally {
+            if (!this.liveSources.sources.get(streamNode.id)?.active) {
+                this.activeStreams.delete(streamNode.id);
+            }
+        }
+    }
+
     classifyStreamDomain(sourceName, streamNode) {
         const domainPatterns = {
             'iot': ['sensor_', 'iot_', 'device_', 'telemetry'],
@@ -1657,6 +1880,7 @@ export class RuntimeEngine extends EventEmitter {
         return async (data) => {
             const processor = this.streamProcessors.get(streamId);
             processor.metrics.messagesProcessed++;
+            if (!this.isPlainObject(data)) return data;
             return { ...data, processed_at: Date.now(), device_status: 'online', domain: 'iot' };
         };
     }
@@ -1665,6 +1889,7 @@ export class RuntimeEngine extends EventEmitter {
         return async (data) => {
             const processor = this.streamProcessors.get(streamId);
             processor.metrics.messagesProcessed++;
+            if (!this.isPlainObject(data)) return data;
             return { ...data, processed_at: Date.now(), health_status: 'monitored', domain: 'health' };
         };
     }
@@ -1673,6 +1898,7 @@ export class RuntimeEngine extends EventEmitter {
         return async (data) => {
             const processor = this.streamProcessors.get(streamId);
             processor.metrics.messagesProcessed++;
+            if (!this.isPlainObject(data)) return data;
             return { ...data, processed_at: Date.now(), analysis_complete: true, domain: 'analytics' };
         };
     }
@@ -1685,6 +1911,10 @@ export class RuntimeEngine extends EventEmitter {
         };
     }
 
+    isPlainObject(value) {
+        return typeof value === 'object' && value !== null && !Array.isArray(value);
+    }
+
     getEngineStats() {
         const domainMetrics = {};
         for (const [domain, perf] of this.performance.domainPerformance) {
@@ -1718,7 +1948,8 @@ export class RuntimeEngine extends EventEmitter {
                 operators: this.operators.size,
                 availableLibraries: this.availableLibraries.size,
                 domainProcessors: this.domainProcessors.size,
-                streamProcessors: streamMetrics
+                streamProcessors: streamMetrics,
+                liveSources: this.liveSources.getStats()
             },
             intelligence: {
                 smartLibrarySelection: this.config.enableSmartLibrarySelection,
@@ -1776,7 +2007,8 @@ export class RuntimeEngine extends EventEmitter {
             library: metadata.domain || 'custom',
             type: metadata.type || 'domain',
             description: metadata.description || 'Custom domain operator',
-            signature: metadata.signature || { input: 'Any', output: 'Any', args: 'Any[]' }
+            signature: metadata.signature || { input: 'Any', output: 'Any', args: 'Any[]' },
+            retryable: metadata.retryable !== false
         };
 
         this.operators.set(operatorName, this.createProductionOperatorWrapper(operatorName, operatorDef));
@@ -1784,10 +2016,43 @@ export class RuntimeEngine extends EventEmitter {
         return true;
     }
 
+    /**
+     * Register a library's `*_OPERATORS` maps as engine operators and its
+     * `*_SOURCES` maps as live sources. Existing operators are kept, except
+     * the simulated domain placeholders which an imported library replaces.
+     */
+    registerLibraryExports(libraryName, exports) {
+        if (!exports || typeof exports !== 'object') return;
+
+        for (const [exportName, definitions] of Object.entries(exports)) {
+            if (!definitions || typeof definitions !== 'object') continue;
+
+            if (exportName.endsWith('_OPERATORS')) {
+                for (const [name, definition] of Object.entries(definitions)) {
+                    const implementation = typeof definition === 'function' ? definition : definition?.implementation;
+                    if (typeof implementation !== 'function') continue;
+                    if (this.operators.has(name) && !this.simulatedOperators.has(name)) continue;
+                    this.simulatedOperators.delete(name);
+                    this.registerDomainOperator(name, implementation, { ...definition?.metadata, domain: libraryName });
+                }
+            } else if (exportName.endsWith('_SOURCES')) {
+                for (const [name, definition] of Object.entries(definitions)) {
+                    if (!this.liveSources.hasSource(name)) {
+                        this.liveSources.registerSource(name, definition.factory, definition);
+                    }
+                }
+            }
+        }
+    }
+
     async shutdown() {
+        if (this.isShutdown) return;
+        this.isShutdown = true;
+
         this.emit('shutdown:initiated', { executionId: this.executionId, timestamp: Date.now() });
 
         if (this.performanceInterval) clearInterval(this.performanceInterval);
+        this.liveSources.stopAll();
         this.emit('shutdown');
 
         this.pools.clear();
@@ -1809,20 +2074,6 @@ export class RuntimeEngine extends EventEmitter {
         this.emit('shutdown:complete', { executionId: this.executionId, timestamp: Date.now() });
     }
 
-    findEndOfBranch(startNodeId) {
-        let currentId = startNodeId;
-        while (true) {
-            if (!this.ast || !this.ast.connections) return null;
-            const nextConnection = this.ast.connections.find(c => c.from === currentId && c.type === 'PIPE_FLOW');
-            if (!nextConnection) return null;
-            const nextNode = this.ast.nodes.find(n => n.id === nextConnection.to);
-            if (!nextNode || (nextNode.type !== 'FUNCTION_OPERATOR' && nextNode.type !== 'LENS_OPERATOR' && nextNode.type !== 'STREAM_SOURCE_FINITE')) {
-                return nextNode;
-            }
-            currentId = nextNode.id;
-        }
-    }
-
     parseLiteralValue(value) {
         if (value === 'null') return null;
         if (value === 'true') return true;
@@ -1831,6 +2082,13 @@ export class RuntimeEngine extends EventEmitter {
         if ((value.startsWith("'") && value.endsWith("'")) || (value.startsWith('"') && value.endsWith('"'))) {
             return value.slice(1, -1);
         }
+        if ((value.startsWith('[') && value.endsWith(']')) || (value.startsWith('{') && value.endsWith('}'))) {
+            try {
+                return this.lensEvaluator.evaluateLiteral(value);
+            } catch (error) {
+                return value;
+            }
+        }
         return value;
     }
 
@@ -1848,12 +2106,47 @@ export class RuntimeEngine extends EventEmitter {
         return terminalOperators.includes(operatorName) || node.isTerminal;
     }
 
-    executeLensOperator(node, inputData) {
-        const property = this.cleanOperatorName(node.name).slice(1);
-        if (typeof inputData === 'object' && inputData !== null && property in inputData) {
-            return inputData[property];
+    /**
+     * map/filter/reduce apply their lens per item on arrays and to the value
+     * itself otherwise; a failing scalar filter stops the emission.
+     * split/switch only route, so they pass the value through untouched.
+     */
+    async executeLensOperator(node, inputData, scope = null) {
+        const lens = node.args?.[0] ?? '';
+
+        switch (node.name) {
+            case 'map':
+                if (Array.isArray(inputData)) {
+                    const mapped = [];
+                    for (const item of inputData) mapped.push(await this.evaluateLens(lens, item, scope));
+                    return mapped;
+                }
+                return await this.evaluateLens(lens, inputData, scope);
+            case 'filter':
+                if (Array.isArray(inputData)) {
+                    const kept = [];
+                    for (const item of inputData) {
+                        if (await this.evaluateLens(lens, item, scope)) kept.push(item);
+                    }
+                    return kept;
+                }
+                return await this.evaluateLens(lens, inputData, scope) ? inputData : FILTERED;
+            case 'reduce': {
+                if (!Array.isArray(inputData)) return inputData;
+
+                // `reduce { + }` folds with a bare operator, seeded by the first item
+                const shorthand = /^(\+|-|\*|\/|%|&&|\|\|)$/.test(lens.trim());
+                const expression = shorthand ? `.acc ${lens.trim()} .item` : lens;
+                let acc = shorthand ? inputData[0] : 0;
+                for (let index = shorthand ? 1 : 0; index < inputData.length; index++) {
+                    const item = inputData[index];
+                    acc = await this.evaluateLens(expression, { acc, item, index }, scope, [acc, item, index]);
+                }
+                return acc;
+            }
+            default:
+                return inputData;
         }
-        return inputData;
     }
 
     getMathOperators() {
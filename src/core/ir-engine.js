@@ -0,0 +1,352 @@
+// FILENAME: src/core/ir-engine.js
+// Fluxus IR Runtime Engine - runs programs lowered to stream IR
+
+import { performance } from 'perf_hooks';
+import { RuntimeEngine, FILTERED } from './engine.js';
+import { IRBuilder, ParamRef } from '../intermediate/ir/builder/IRBuilder.js';
+import { OptimizerManager } from '../intermediate/optimizer/index.js';
+import { composeLenses, DROPPED } from '../intermediate/optimizer/passes/stream-fusion.js';
+
+// Instructions that start a section: they hand on the value the section was started with
+const ENTRY_OPCODES = new Set(['CREATE_STREAM', 'STREAM_SOURCE', 'READ_POOL', 'FUNC_ENTRY']);
+
+// A fused stage that has to run as the stages it replaced
+const UNFUSED = Symbol('fluxus.ir.unfused');
+
+/**
+ * An IR program optimized at `optimizationLevel` (`fluxus run -O2`): 0
+ * leaves it as is, 1 folds constants and removes dead code, 2 also fuses
+ * map and filter stages.
+ */
+export function optimizeProgram(program, optimizationLevel = 1) {
+    if (optimizationLevel === 0) return program;
+    return new OptimizerManager({ optimizationLevel }).optimize(program);
+}
+
+// A parsed program as optimized IR
+export function lowerProgram(ast, optimizationLevel = 1) {
+    return optimizeProgram(new IRBuilder().build(ast), optimizationLevel);
+}
+
+/**
+ * The IR backend (`fluxus run --backend=ir`). start(ast) lowers the graph
+ * with IRBuilder, optimizes it with OptimizerManager and runs the sections
+ * instead of walking `ast.connections`: every pipeline is a precomputed
+ * instruction list, labels are resolved once, FUNC bodies are sections of
+ * their own. Operators, pools, live sources, FUNC calls and errors go
+ * through the same RuntimeEngine code, so a program prints the same values
+ * on both backends (`node test-run.js --differential` checks the examples).
+ *
+ * startProgram(ir) runs an IR program that was not built from a graph,
+ * such as a .fir file read by IRParser (optimize it first with optimize()).
+ * The engine sees it as a graph of section entries: one node per section,
+ * which executePipelineFromNode resolves to the section's instructions.
+ */
+export class IRRuntimeEngine extends RuntimeEngine {
+    constructor(userConfig = {}) {
+        super(userConfig);
+        this.optimizationLevel = userConfig.optimizationLevel ?? 1;
+        this.program = null;
+        this.sections = new Map();
+        this.fusedLenses = new Map();
+    }
+
+    lower(ast) {
+        return lowerProgram(ast, this.optimizationLevel);
+    }
+
+    optimize(program) {
+        return optimizeProgram(program, this.optimizationLevel);
+    }
+
+    async start(ast) {
+        return this.startProgram(this.lower(ast), ast?.metadata);
+    }
+
+    async startProgram(program, metadata = {}) {
+        this.load(program);
+        return super.start(this.entryGraph(program, metadata));
+    }
+
+    /**
+     * Index the sections: instructions in order, label positions, and the
+     * stage each instruction came from (for errors, stats and operator state).
+     */
+    load(program) {
+        this.program = program;
+        this.sections = new Map();
+        this.fusedLenses = new Map();
+
+        for (const instruction of program.instructions) {
+            if (!this.sections.has(instruction.section)) {
+                this.sections.set(instruction.section, { name: instruction.section, instructions: [], labels: new Map(), stages: [] });
+            }
+            const section = this.sections.get(instruction.section);
+            if (instruction.opcode === 'LABEL') section.labels.set(instruction.operands[0], section.instructions.length);
+            if (instruction.opcode === 'LENS_FUSED') this.fusedLenses.set(instruction, composeLenses(instruction.operands[1]));
+            section.instructions.push(instruction);
+            section.stages.push(this.stageOf(instruction));
+        }
+    }
+
+    stageOf({ metadata = {} }) {
+        if (!metadata.nodeId) return null;
+        return {
+            id: metadata.nodeId,
+            type: metadata.nodeType,
+            name: metadata.name ?? metadata.nodeType,
+            line: metadata.line ?? null,
+            column: metadata.column ?? null,
+            depth: metadata.depth
+        };
+    }
+
+    // The program as RuntimeEngine.start() reads it: sources, subscriptions and FUNCs point at sections
+    entryGraph(program, metadata = {}) {
+        const graph = { nodes: [], connections: [], pools: {}, imports: [], functions: {}, metadata: { ...metadata } };
+        graph.metadata.filename ??= program.metadata?.filename ?? undefined;
+
+        for (const instruction of program.instructions) {
+            const { opcode, operands, section, metadata: meta = {} } = instruction;
+            switch (opcode) {
+                case 'IMPORT':
+                    graph.imports.push(operands[0]);
+                    break;
+                case 'DECLARE_POOL':
+                    graph.pools[operands[0]] = { name: operands[0], initial: meta.source ?? JSON.stringify(operands[1]), line: meta.line ?? null };
+                    break;
+                case 'CREATE_STREAM':
+                    graph.nodes.push({ id: section, type: 'STREAM_SOURCE_FINITE', value: meta.source ?? JSON.stringify(operands[0]), line: meta.line ?? null, column: meta.column ?? null });
+                    break;
+                case 'STREAM_SOURCE':
+                    graph.nodes.push({ id: section, type: 'STREAM_SOURCE_LIVE', value: operands[0], line: meta.line ?? null, column: meta.column ?? null });
+                    break;
+                case 'READ_POOL':
+                    graph.nodes.push({ id: `${section}_pool`, type: 'POOL_ACCESS', poolName: operands[0], line: meta.line ?? null });
+                    graph.nodes.push({ id: section, type: 'IR_SECTION', ...this.firstStageLocation(section) });
+                    graph.connections.push({ from: `${section}_pool`, to: section, type: 'PIPE_FLOW' });
+                    break;
+                case 'FUNC_ENTRY':
+                    graph.nodes.push({ id: section, type: 'IR_SECTION' });
+                    graph.functions[operands[0]] = { name: operands[0], parameters: operands[1], line: meta.line ?? null, entry: section };
+                    break;
+            }
+        }
+
+        return graph;
+    }
+
+    // Where the graph engine's run of a subscription starts: the stage after `pool ->`
+    firstStageLocation(section) {
+        const stage = this.sections.get(section)?.stages.find(Boolean);
+        return { line: stage?.line ?? null, column: stage?.column ?? null };
+    }
+
+    /**
+     * Run one section from its entry with `initialData`. Mirrors the graph
+     * walk: 'pipeline:*' events, per-stage stats, a filtered value stops the
+     * run, and errors carry the failing stage and the path taken to it.
+     */
+    async executePipelineFromNode(startNode, initialData, scope = null) {
+        const section = this.sections.get(startNode.id);
+        if (!section) return super.executePipelineFromNode(startNode, initialData, scope);
+
+        const { instructions, labels, stages } = section;
+        const registers = new Map();
+        const path = [];
+        let stepCount = 0;
+        let pc = 0;
+        let stage = null;
+        let input = initialData;
+        let value = initialData;
+        let carried = initialData;
+
+        const pipelineId = `pipe_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+        const startTime = performance.now();
+        this.emit('pipeline:started', { pipelineId, startNode: startNode.id, initialData });
+
+        try {
+            while (pc < instructions.length && stepCount < this.config.maxExecutionSteps) {
+                const instruction = instructions[pc];
+                const { opcode, operands, result } = instruction;
+                stage = stages[pc];
+                pc++;
+
+                if (opcode === 'RETURN') {
+                    value = registers.get(operands[0]);
+                    break;
+                }
+                if (opcode === 'JUMP') {
+                    carried = registers.get(operands[1]);
+                    pc = labels.get(operands[0]);
+                    continue;
+                }
+
+                if (opcode === 'LABEL') input = carried;
+                else if (ENTRY_OPCODES.has(opcode)) input = initialData;
+                else if (opcode !== 'CONSTANT') input = registers.get(operands[0]);
+
+                for (const step of instruction.metadata?.steps || []) {
+                    stepCount++;
+                    path.push(step);
+                }
+
+                // Subscription and FUNC entries are not stages: the graph starts after them
+                value = stage ? await this.executeInstruction(instruction, stage, input, scope) : input;
+                if (value === UNFUSED) {
+                    // Run the stages fusion replaced one by one, each with its own steps and location
+                    const { fusedFrom } = instruction.metadata;
+                    const fusedSteps = fusedFrom.reduce((count, original) => count + (original.metadata?.steps?.length || 0), 0);
+                    path.splice(path.length - fusedSteps);
+                    stepCount -= fusedSteps;
+                    value = input;
+                    for (const original of fusedFrom) {
+                        stage = this.stageOf(original);
+                        input = value;
+                        for (const step of original.metadata?.steps || []) {
+                            stepCount++;
+                            path.push(step);
+                        }
+                        value = await this.executeInstruction(original, stage, input, scope);
+                        if (value === FILTERED) break;
+                    }
+                }
+                if (result) registers.set(result, value);
+                if (value === FILTERED) break;
+
+                if (opcode === 'BRANCH') {
+                    const target = await this.selectSectionBranch(instruction, stage, input, scope);
+                    if (!target) break;
+                    carried = input;
+                    pc = labels.get(target);
+                }
+            }
+
+            const executionTime = performance.now() - startTime;
+            this.emit('pipeline:completed', { pipelineId, executionTime, steps: stepCount, success: true });
+            // FUNC bodies hand a filtered emission back so the caller stops as well
+            return value === FILTERED && !scope ? undefined : value;
+
+        } catch (error) {
+            const executionTime = performance.now() - startTime;
+            this.emit('pipeline:failed', { pipelineId, executionTime, steps: stepCount, error: error.message });
+            throw this.locateRuntimeError(error, stage, input, path);
+        }
+    }
+
+    /**
+     * One stage, with the timing, stats and 'node:failed' event executeNode
+     * records for graph nodes. Only operator, FUNC and lens calls await, so
+     * a stage takes as many ticks as its graph node and concurrent pipelines
+     * interleave as they do on the graph engine.
+     */
+    async executeInstruction(instruction, stage, input, scope) {
+        const { opcode, operands } = instruction;
+        const stageStartTime = performance.now();
+        try {
+            let result;
+            switch (opcode) {
+                case 'CREATE_STREAM':
+                case 'CONSTANT':
+                    result = this.constantValue(operands[0]);
+                    break;
+                case 'APPLY_OPERATOR':
+                case 'CALL_FUNC':
+                    // applyOperator runs FUNCs of the program first, as for graph nodes
+                    result = await this.applyOperator(operands[1], stage, input, this.resolveOperands(operands.slice(2), scope), scope);
+                    break;
+                case 'WRITE_POOL':
+                    this.updatePool(operands[1], input);
+                    result = input;
+                    break;
+                case 'LENS_FUSED':
+                    result = await this.executeFusedLenses(instruction, input, scope);
+                    if (result === UNFUSED) return result;
+                    break;
+                case 'STREAM_SOURCE':
+                case 'READ_POOL':
+                case 'FUNC_ENTRY':
+                case 'LABEL':
+                case 'BRANCH':
+                case 'PASS':
+                    result = input;
+                    break;
+                default:
+                    if (!opcode.startsWith('LENS_')) throw new Error(`Unknown IR instruction: ${opcode}`);
+                    result = await this.executeLensOperator({ name: opcode.slice(5).toLowerCase(), args: [operands[1]] }, input, scope);
+            }
+
+            const executionTime = performance.now() - stageStartTime;
+            this.performance.operatorExecutionTimes.set(stage.id, executionTime);
+            this.recordNodeExecution(stage.id, executionTime, false);
+            return result;
+
+        } catch (error) {
+            const executionTime = performance.now() - stageStartTime;
+            this.recordNodeExecution(stage.id, executionTime, true);
+            this.emit('node:failed', { nodeId: stage.id, nodeType: stage.type, executionTime, error: error.message });
+            throw error;
+        }
+    }
+
+    /**
+     * Every item of an array through all fused map and filter lenses in one
+     * pass. Anything but an array, or an item a lens throws on, is UNFUSED:
+     * the lenses are pure, so running them again stage by stage is safe and
+     * reports an error where the unfused program would.
+     */
+    async executeFusedLenses(instruction, input, scope) {
+        if (!Array.isArray(input)) return UNFUSED;
+
+        const fused = this.fusedLenses.get(instruction);
+        const evaluate = (lens, value) => this.evaluateLens(lens, value, scope);
+        const output = [];
+        try {
+            for (const item of input) {
+                const value = await fused(item, evaluate);
+                if (value !== DROPPED) output.push(value);
+            }
+        } catch (error) {
+            return UNFUSED;
+        }
+        return output;
+    }
+
+    // BRANCH input kind lens { label: target } merge
+    async selectSectionBranch(instruction, stage, input, scope) {
+        const [, kind, lens, targets, merge] = instruction.operands;
+        const selector = await this.evaluateLens(lens, input, scope);
+        const label = kind === 'split' ? String(Boolean(selector)) : String(selector);
+        const target = targets[label] ?? targets['*'];
+
+        this.emit('branch:selected', { nodeId: stage?.id, label: target ? label : null, line: stage?.line });
+        return target ?? merge ?? null;
+    }
+
+    resolveOperands(operands, scope) {
+        return operands.map(operand => {
+            if (!(operand instanceof ParamRef)) return this.constantValue(operand);
+            return scope && Object.hasOwn(scope.bindings, operand.param) ? scope.bindings[operand.param] : operand.param;
+        });
+    }
+
+    // Every use gets its own copy, as the engine parses literals afresh for each run
+    constantValue(value) {
+        return value !== null && typeof value === 'object' ? structuredClone(value) : value;
+    }
+
+    // Library selection weighs the stages left in the pipeline; IRBuilder counted them
+    calculatePipelineDepth(node) {
+        return node.depth ?? super.calculatePipelineDepth(node);
+    }
+}
+
+/**
+ * Engines by `--backend` name.
+ */
+export const ENGINE_BACKENDS = {
+    graph: RuntimeEngine,
+    ir: IRRuntimeEngine
+};
+
+export default IRRuntimeEngine;
@@ -0,0 +1,374 @@
+// FILENAME: src/core/module-builder.js
+// Fluxus Module Builder - compiles a program graph to a runnable ES module
+
+import * as standaloneOperators from '../runtime/standalone/operators.js';
+import { LiveSourceRuntime } from '../runtime/streams/live-sources.js';
+import { LensEvaluator } from '../runtime/lens/lens-evaluator.js';
+import { compileLens, lensOperators } from '../runtime/lens/lens-codegen.js';
+import { SemanticError } from '../frontend/errors.js';
+
+export const DEFAULT_RUNTIME = '@fluxus-lang/core/src/runtime/standalone';
+
+// `fluxus build` copies these (relative to src/runtime/) next to the module it writes
+export const STANDALONE_RUNTIME_DIRECTORY = 'fluxus-runtime';
+export const STANDALONE_RUNTIME_FILES = [
+    'standalone/index.js',
+    'standalone/program.js',
+    'standalone/operators.js',
+    'math/math-operators.js',
+    'streams/live-sources.js',
+    'streams/marbles.js',
+    'scheduler/clock.js',
+    'scheduler/temporal-operators.js'
+];
+
+const TERMINAL_OPERATORS = ['print', 'to_pool', 'ui_render'];
+const REDUCE_SHORTHAND = /^(\+|-|\*|\/|%|&&|\|\|)$/;
+const INDENT = '    ';
+
+// A FUNC parameter passed as an operator argument
+class ParamRef {
+    constructor(name) {
+        this.name = name;
+    }
+}
+
+/**
+ * Turns the graph of a parsed program into an ES module for the standalone
+ * runtime (src/runtime/standalone): pools, FUNCs, streams and subscriptions
+ * become declarations on a Program, pipelines become stage lists and lenses
+ * are compiled to JavaScript. The module imports the runtime and only the
+ * operators the program uses, so it runs without the parser or the CLI.
+ *
+ * Operators and live sources the standalone runtime does not have are
+ * build errors (SemanticError, with the stage's location), never stubs.
+ *
+ *   const { code, operators, errors } = new ModuleBuilder({ filename, source }).build(ast);
+ */
+export class ModuleBuilder {
+    constructor(options = {}) {
+        this.filename = options.filename || '<anonymous>';
+        this.source = options.source ?? null;
+        // Directory specifier of the runtime, as the generated module imports it
+        this.runtime = (options.runtime || DEFAULT_RUNTIME).replace(/\/$/, '');
+        this.lensEvaluator = new LensEvaluator();
+        // Parses `~?` expressions and knows the built-in live sources
+        this.liveSources = new LiveSourceRuntime({ parseLiteralValue: value => this.parseLiteralValue(value) });
+    }
+
+    build(ast) {
+        this.ast = ast;
+        this.nodes = new Map((ast.nodes || []).map(node => [node.id, node]));
+        this.operators = new Set();
+        this.errors = [];
+        this.usesParams = false;
+
+        const declarations = [
+            ...this.buildPools(),
+            ...this.buildFunctions(),
+            ...this.buildPipelines()
+        ];
+
+        if (this.errors.length > 0) {
+            return { code: null, operators: [...this.operators].sort(), errors: this.errors };
+        }
+
+        return {
+            code: this.emitModule(declarations),
+            operators: [...this.operators].sort(),
+            errors: []
+        };
+    }
+
+    // ========== DECLARATIONS ==========
+
+    buildPools() {
+        return Object.entries(this.ast.pools || {}).map(([name, pool]) =>
+            this.declaration(pool.line, `program.pool(${JSON.stringify(name)}, ${this.literal(this.parseLiteralValue(String(pool.initial)))});`));
+    }
+
+    buildFunctions() {
+        return Object.values(this.ast.functions || {}).map(definition => {
+            const entry = definition.entry ? this.nodes.get(definition.entry) : null;
+            const stages = entry ? this.walk(entry, { bound: definition.parameters }) : [];
+            return this.declaration(definition.line,
+                `program.func(${JSON.stringify(definition.name)}, ${JSON.stringify(definition.parameters)}, ${this.emitStages(stages, '')});`);
+        });
+    }
+
+    // Streams and subscriptions in source order; Program.run() starts them in engine order
+    buildPipelines() {
+        const declarations = [];
+
+        for (const node of this.ast.nodes || []) {
+            const location = `{ line: ${node.line ?? null} }`;
+
+            switch (node.type) {
+                case 'STREAM_SOURCE_FINITE': {
+                    const stages = this.walk(this.nextNode(node), {});
+                    const value = this.literal(this.parseLiteralValue(String(node.value)));
+                    declarations.push(this.declaration(node.line, `program.stream(${value}, ${this.emitStages(stages, '')}, ${location});`));
+                    break;
+                }
+                case 'STREAM_SOURCE_LIVE':
+                case 'STREAM_SOURCE_REACTIVE': {
+                    const source = this.resolveLiveSource(node);
+                    const stages = this.walk(this.nextNode(node), {});
+                    if (!source) break;
+                    const sourceCode = `{ name: ${JSON.stringify(source.name)}, args: ${this.literal(source.args)} }`;
+                    declarations.push(this.declaration(node.line, `program.live(${sourceCode}, ${this.emitStages(stages, '')}, ${location});`));
+                    break;
+                }
+                case 'POOL_ACCESS':
+                case 'POOL_SUBSCRIPTION': {
+                    const connection = (this.ast.connections || []).find(c => c.from === node.id && c.to !== node.id);
+                    const downstream = connection && this.nodes.get(connection.to);
+                    if (!downstream) break;
+                    const stages = this.walk(downstream, {});
+                    declarations.push(this.declaration(node.line, `program.subscribe(${JSON.stringify(node.poolName)}, ${this.emitStages(stages, '')}, ${location});`));
+                    break;
+                }
+            }
+        }
+
+        return declarations;
+    }
+
+    /**
+     * Registered sources (interval, timer, marble, pool, combine_latest),
+     * pool names and literals. Package sources need the full engine.
+     */
+    resolveLiveSource(node) {
+        const expression = node.value ?? node.name;
+        const { name, args } = this.liveSources.parseSourceExpression(expression);
+        const isPool = Object.hasOwn(this.ast.pools || {}, name) && args.length === 0;
+
+        if (this.liveSources.hasSource(name) || isPool) return { name, args };
+        // `~? "text"` emits its value once, as in the engine
+        if (!/^[A-Za-z_][\w-]*$/.test(name)) return { name: 'value', args: [this.parseLiteralValue(name)] };
+
+        this.fail(node, `Live source '${name}' is not available in built programs (use interval, timer, marble, pool, combine_latest, a pool name or a literal)`, name);
+        return null;
+    }
+
+    // ========== PIPELINES ==========
+
+    /**
+     * Follow the graph the way the engine does: pipe connections up to a
+     * terminal stage, branch points into their flows, then on after the MERGE.
+     */
+    walk(node, context, stopAt = null) {
+        const stages = [];
+        const visited = new Set();
+
+        while (node && node.id !== stopAt && !visited.has(node.id)) {
+            visited.add(node.id);
+            const stage = this.stageFor(node, context);
+
+            if (node.branches && stage) {
+                stage.flows = {};
+                for (const [label, flowId] of Object.entries(node.branches)) {
+                    stage.flows[label] = this.walk(this.nodes.get(flowId), context, node.mergeNodeId ?? stopAt);
+                }
+                stage.merge = Boolean(node.mergeNodeId);
+                stages.push(stage);
+                if (!node.mergeNodeId) break;
+                node = this.nextNode(this.nodes.get(node.mergeNodeId));
+                continue;
+            }
+
+            if (stage) stages.push(stage);
+            if (this.isTerminal(node)) {
+                if (stage) stage.terminal = true;
+                break;
+            }
+            node = this.nextNode(node);
+        }
+
+        return stages;
+    }
+
+    nextNode(node) {
+        if (!node) return null;
+        const connection = (this.ast.connections || []).find(c => c.from === node.id && c.type === 'PIPE_FLOW');
+        return connection ? this.nodes.get(connection.to) || null : null;
+    }
+
+    isTerminal(node) {
+        return TERMINAL_OPERATORS.includes(this.operatorName(node)) || Boolean(node.isTerminal);
+    }
+
+    stageFor(node, context) {
+        const location = { line: node.line ?? null, column: node.column ?? null };
+
+        switch (node.type) {
+            case 'FUNCTION_OPERATOR': {
+                const name = this.operatorName(node);
+                const args = (node.args || []).map(arg => this.argument(arg, context));
+                if (Object.hasOwn(this.ast.functions || {}, name)) {
+                    return { call: name, args, ...location };
+                }
+                this.useOperator(name, node);
+                return { op: name, args, ...location };
+            }
+            case 'LENS_OPERATOR':
+                return this.lensStage(node, context, location);
+            case 'POOL_WRITE':
+                return { write: node.targetPool ?? String(node.args?.[0]), ...location };
+            default:
+                // Sources, flow markers and MERGE pass their value on unchanged
+                return null;
+        }
+    }
+
+    lensStage(node, context, location) {
+        const lens = String(node.args?.[0] ?? '');
+        const bound = context.bound || [];
+
+        let expression = lens;
+        let seeded = false;
+        if (node.name === 'reduce' && REDUCE_SHORTHAND.test(lens.trim())) {
+            expression = `.acc ${lens.trim()} .item`;
+            seeded = true;
+        }
+
+        let fn;
+        try {
+            fn = compileLens(expression, { bound });
+            for (const name of lensOperators(expression, { bound })) {
+                if (!Object.hasOwn(this.ast.functions || {}, name)) this.useOperator(name, node);
+            }
+        } catch (error) {
+            this.fail(node, error.message, node.name);
+            fn = 'async (input) => input';
+        }
+
+        if (node.branches) return { branch: node.name, fn, ...location };
+        if (!['map', 'filter', 'reduce'].includes(node.name)) return null;
+        return seeded ? { lens: node.name, fn, seeded, ...location } : { lens: node.name, fn, ...location };
+    }
+
+    useOperator(name, node) {
+        if (Object.hasOwn(standaloneOperators, name)) {
+            this.operators.add(name);
+            return;
+        }
+        this.fail(node, `Operator '${name}' is not available in built programs; only core, math and time operators are (domain, library and package operators need \`fluxus run\`)`, name);
+    }
+
+    // FUNC parameters stay names; everything else is parsed now, as the engine would at run time
+    argument(arg, context) {
+        if (typeof arg === 'string' && (context.bound || []).includes(arg)) return new ParamRef(arg);
+        return typeof arg === 'string' ? this.parseLiteralValue(arg) : arg;
+    }
+
+    operatorName(node) {
+        const name = String(node.name ?? '');
+        const openParen = name.indexOf('(');
+        return (openParen === -1 ? name : name.substring(0, openParen)).trim();
+    }
+
+    parseLiteralValue(value) {
+        if (value === 'null') return null;
+        if (value === 'true') return true;
+        if (value === 'false') return false;
+        if (!isNaN(value) && value.trim() !== '') return parseFloat(value);
+        if ((value.startsWith("'") && value.endsWith("'")) || (value.startsWith('"') && value.endsWith('"'))) {
+            return value.slice(1, -1);
+        }
+        if ((value.startsWith('[') && value.endsWith(']')) || (value.startsWith('{') && value.endsWith('}'))) {
+            try {
+                return this.lensEvaluator.evaluateLiteral(value);
+            } catch (error) {
+                return value;
+            }
+        }
+        return value;
+    }
+
+    fail(node, message, symbol) {
+        this.errors.push(new SemanticError(message, this.filename, node.line, node.column, symbol));
+    }
+
+    // ========== EMISSION ==========
+
+    declaration(line, code) {
+        return { line: line ?? null, code };
+    }
+
+    emitModule(declarations) {
+        const operators = [...this.operators].sort();
+        const lines = [
+            `// Built by \`fluxus build\` from ${this.filename} - edit the .flux source, not this file`,
+            '// Runs on Node.js 20+ with the Fluxus standalone runtime only: no parser, no CLI',
+            '',
+            `import { Program${this.usesParams ? ', param' : ''} } from ${JSON.stringify(`${this.runtime}/index.js`)};`
+        ];
+        if (operators.length > 0) {
+            lines.push(`import { ${operators.join(', ')} } from ${JSON.stringify(`${this.runtime}/operators.js`)};`);
+        }
+
+        lines.push('', 'const program = new Program({');
+        lines.push(`${INDENT}name: ${JSON.stringify(this.filename)},`);
+        lines.push(`${INDENT}operators: { ${operators.join(', ')} }`);
+        lines.push('});');
+
+        for (const { line, code } of declarations) {
+            lines.push('');
+            const text = this.sourceLine(line);
+            if (text) lines.push(`// ${line}: ${text}`);
+            lines.push(code);
+        }
+
+        lines.push('', 'await program.run();', '');
+        return lines.join('\n');
+    }
+
+    sourceLine(line) {
+        if (this.source === null || !line) return null;
+        const text = this.source.split('\n')[line - 1];
+        return text ? text.trim() : null;
+    }
+
+    emitStages(stages, indent) {
+        if (stages.length === 0) return '[]';
+        const inner = indent + INDENT;
+        return `[\n${stages.map(stage => `${inner}${this.emitStage(stage, inner)}`).join(',\n')}\n${indent}]`;
+    }
+
+    emitStage(stage, indent) {
+        const fields = [];
+        if ('op' in stage) fields.push(`op: ${JSON.stringify(stage.op)}`, `args: ${this.literal(stage.args)}`);
+        if ('call' in stage) fields.push(`call: ${JSON.stringify(stage.call)}`, `args: ${this.literal(stage.args)}`);
+        if ('lens' in stage) fields.push(`lens: ${JSON.stringify(stage.lens)}`, `fn: ${stage.fn}`);
+        if (stage.seeded) fields.push('seeded: true');
+        if ('write' in stage) fields.push(`write: ${JSON.stringify(stage.write)}`);
+        if ('branch' in stage) {
+            const inner = indent + INDENT;
+            const flows = Object.entries(stage.flows || {})
+                .map(([label, flow]) => `${inner}${JSON.stringify(label)}: ${this.emitStages(flow, inner)}`);
+            fields.push(`branch: ${JSON.stringify(stage.branch)}`, `fn: ${stage.fn}`,
+                `flows: {\n${flows.join(',\n')}\n${indent}}`, `merge: ${Boolean(stage.merge)}`);
+        }
+        fields.push(`line: ${stage.line}`, `column: ${stage.column}`);
+        if (stage.terminal) fields.push('terminal: true');
+        return `{ ${fields.join(', ')} }`;
+    }
+
+    // JavaScript source for a constant; FUNC parameters become param("name")
+    literal(value) {
+        if (value === undefined) return 'undefined';
+        if (typeof value === 'number' && !Number.isFinite(value)) return String(value);
+        if (Array.isArray(value)) return `[${value.map(item => this.literal(item)).join(', ')}]`;
+        if (value instanceof ParamRef) {
+            this.usesParams = true;
+            return `param(${JSON.stringify(value.name)})`;
+        }
+        if (value && typeof value === 'object') {
+            return `{ ${Object.entries(value).map(([key, item]) => `${JSON.stringify(key)}: ${this.literal(item)}`).join(', ')} }`;
+        }
+        return JSON.stringify(value);
+    }
+}
+
+export default ModuleBuilder;
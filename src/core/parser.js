@@ -28,8 +28,8 @@ export class GraphParser {
             'STRING': ['capitalize', 'reverse', 'replace', 'substring', 'contains', 'starts_with', 'ends_with', 'split_lines', 'length', 'repeat'],
             'COLLECTION': ['map', 'reduce', 'filter', 'split', 'length', 'get', 'set', 'keys', 'values'],
             'COMBINATION': ['combine_latest', 'merge', 'concat'],
-            'CONTROL': ['split', 'debounce', 'throttle', 'delay'],
-            'LENS': ['map', 'reduce', 'filter', 'split'],
+            'CONTROL': ['split', 'switch', 'debounce', 'throttle', 'delay'],
+            'LENS': ['map', 'reduce', 'filter', 'split', 'switch'],
             'POOL': ['to_pool', 'combine_latest'] // NEW: Pool operations
         };
 
@@ -92,13 +92,21 @@ export class GraphParser {
 
         let currentPipeline = null;
         let pipelineStack = [];
+        let currentFunction = null;
 
         if (this.debugMode) {
             console.log('🚀 PRODUCTION PARSER: Starting parse of', lines.length, 'lines');
         }
 
-        for (const { line, lineNum } of lines) {
+        for (const { line, lineNum, indent } of lines) {
             try {
+                // Lines indented below a FUNC header form its body
+                if (currentFunction && indent > currentFunction.indent) {
+                    this.parseFunctionBodyLine(line, lineNum, ast, currentFunction);
+                    continue;
+                }
+                currentFunction = null;
+
                 // Handle imports FIRST
                 if (this.isImport(line)) {
                     this.parseImport(line, lineNum, ast);
@@ -113,7 +121,9 @@ export class GraphParser {
 
                 // Handle function definitions
                 if (this.isFunctionDefinition(line)) {
-                    this.parseFunctionDefinition(line, lineNum, ast);
+                    currentFunction = this.parseFunctionDefinition(line, lineNum, ast, indent);
+                    currentPipeline = null;
+                    pipelineStack = [];
                     continue;
                 }
 
@@ -351,9 +361,9 @@ export class GraphParser {
         }
 
         // Handle lens operators
-        const lensPattern = /^(\w+)\s*\{([^}]*)\}\s*$/;
+        const lensPattern = /^(\w+)\s*\{([\s\S]*)\}\s*$/;
         const lensMatch = part.match(lensPattern);
-        const lensOperators = ['map', 'reduce', 'filter', 'split'];
+        const lensOperators = ['map', 'reduce', 'filter', 'split', 'switch'];
 
         if (lensMatch && lensOperators.includes(lensMatch[1])) {
             name = lensMatch[1].trim();
@@ -387,12 +397,6 @@ export class GraphParser {
                 category = this.classifyOperatorWithLibrary(name);
             }
         }
-        else if (part === 'TRUE_FLOW' || part === 'FALSE_FLOW') {
-            name = part;
-            type = 'FLOW_BRANCH';
-            category = 'CONTROL';
-            args = [];
-        }
         else {
             name = part.trim();
             category = this.classifyOperatorWithLibrary(name);
@@ -515,6 +519,7 @@ export class GraphParser {
         for (let i = 0; i < lines.length; i++) {
             let line = lines[i].trim();
             if (!line) continue;
+            const indent = lines[i].length - lines[i].trimStart().length;
 
             if (inMultilineComment) {
                 if (line.includes('*/')) {
@@ -531,24 +536,41 @@ export class GraphParser {
                 if (!line) continue;
             }
 
-            const commentIndex = line.indexOf('#');
+            const commentIndex = this.indexOutsideStrings(line, '#');
             if (commentIndex !== -1) {
                 line = line.substring(0, commentIndex).trim();
             }
 
-            const jsCommentIndex = line.indexOf('//');
+            const jsCommentIndex = this.indexOutsideStrings(line, '//');
             if (jsCommentIndex !== -1) {
                 line = line.substring(0, jsCommentIndex).trim();
             }
 
             if (line) {
-                processed.push({ line, lineNum: i + 1 });
+                processed.push({ line, lineNum: i + 1, indent });
             }
         }
 
         return processed;
     }
 
+    // Comment markers inside string literals (e.g. "ws://host", "#fff") are data
+    indexOutsideStrings(line, token) {
+        let quote = null;
+        for (let i = 0; i < line.length; i++) {
+            const char = line[i];
+            if (quote) {
+                if (char === '\\') i++;
+                else if (char === quote) quote = null;
+            } else if (char === '"' || char === "'") {
+                quote = char;
+            } else if (line.startsWith(token, i)) {
+                return i;
+            }
+        }
+        return -1;
+    }
+
     isImport(line) {
         return line.startsWith('FLOW') || line.startsWith('IMPORT') || line.startsWith('FROM') || line.startsWith('import ');
     }
@@ -581,18 +603,73 @@ export class GraphParser {
         return line.startsWith('FUNC ') || line.startsWith('function ');
     }
 
-    parseFunctionDefinition(line, lineNum, ast) {
-        const funcMatch = line.match(/(?:FUNC|function)\s+([a-zA-Z_][a-zA-Z0-9_]*)\s*\(([^)]*)\)\s*:/);
-        if (funcMatch) {
-            const funcName = funcMatch[1];
-            const params = funcMatch[2].split(',').map(p => p.trim()).filter(p => p);
-            ast.functions[funcName] = {
-                id: generateUUID(),
-                name: funcName,
-                parameters: params,
-                line: lineNum,
-                body: []
-            };
+    /**
+     * FUNC name(params): followed by an indented body pipeline. The body may
+     * also start on the header line after the colon. Returns the parse context
+     * used to attach body lines.
+     */
+    parseFunctionDefinition(line, lineNum, ast, indent = 0) {
+        const funcMatch = line.match(/(?:FUNC|function)\s+([a-zA-Z_][a-zA-Z0-9_]*)\s*\(([^)]*)\)\s*:(.*)$/);
+        if (!funcMatch) {
+            throw new Error(`Malformed function definition: ${line}`);
+        }
+
+        const funcName = funcMatch[1];
+        if (ast.functions[funcName]) {
+            throw new Error(`Function '${funcName}' is already defined (line ${ast.functions[funcName].line})`);
+        }
+
+        const params = funcMatch[2].split(',').map(p => p.trim()).filter(p => p);
+        const invalidParam = params.find(p => !this.isValidIdentifier(p));
+        if (invalidParam) {
+            throw new Error(`Invalid parameter name '${invalidParam}' in function ${funcName}`);
+        }
+
+        const definition = {
+            id: generateUUID(),
+            name: funcName,
+            parameters: params,
+            line: lineNum,
+            entry: null,
+            body: []
+        };
+        ast.functions[funcName] = definition;
+
+        const context = {
+            definition,
+            indent,
+            pipeline: { id: definition.id, lastNodeId: null, lineNum }
+        };
+
+        const inlineBody = funcMatch[3].trim();
+        if (inlineBody) {
+            this.parseFunctionBodyLine(inlineBody, lineNum, ast, context);
+        }
+
+        this.logParseInfo(lineNum, `✅ PRODUCTION: Defined function ${funcName}(${params.join(', ')})`);
+        return context;
+    }
+
+    /**
+     * Body stages live in the graph like any pipeline, but have no source:
+     * the engine enters them at definition.entry with the caller's value.
+     */
+    parseFunctionBodyLine(line, lineNum, ast, context) {
+        if (line.startsWith('~') || this.isSubscription(line) || this.isPoolDeclaration(line)) {
+            throw new Error(`Only pipeline stages are allowed in the body of function ${context.definition.name}`);
+        }
+
+        const firstNewNode = ast.nodes.length;
+        context.pipeline = this.parseStreamPipeline(line, lineNum, ast, context.pipeline);
+
+        const bodyNodes = ast.nodes.slice(firstNewNode);
+        bodyNodes.forEach(node => {
+            node.functionName = context.definition.name;
+        });
+
+        context.definition.body.push(...bodyNodes);
+        if (!context.definition.entry && bodyNodes.length > 0) {
+            context.definition.entry = bodyNodes[0].id;
         }
     }
 
@@ -600,37 +677,53 @@ export class GraphParser {
         return line.includes('->') &&
                !line.startsWith('~') &&
                !line.startsWith('|') &&
-               !line.startsWith('TRUE_FLOW') &&
-               !line.startsWith('FALSE_FLOW') &&
+               !this.isFlowMarker(line) &&
                !this.isPoolDeclaration(line);
     }
 
     isStreamPipeline(line) {
         return line.startsWith('~') ||
                (line.includes('|') && !this.isSubscription(line)) ||
-               line.startsWith('TRUE_FLOW') ||
-               line.startsWith('FALSE_FLOW');
+               this.isFlowMarker(line);
     }
 
     isPipelineContinuation(line) {
-        return line.startsWith('|') ||
-               line.startsWith('TRUE_FLOW') ||
-               line.startsWith('FALSE_FLOW');
+        return line.startsWith('|') || this.isFlowMarker(line);
     }
 
     isPipelineTermination(line) {
         return line === 'END' || line.startsWith('END_FLOW');
     }
 
+    /**
+     * Flow markers open a branch of the enclosing split/switch (TRUE_FLOW,
+     * FALSE_FLOW, CASE name, DEFAULT_FLOW) or close it (MERGE).
+     */
+    isFlowMarker(part) {
+        return /^(TRUE_FLOW|FALSE_FLOW|DEFAULT_FLOW|MERGE)\b/.test(part) || /^CASE\s+\S/.test(part);
+    }
+
+    isBranchPoint(node) {
+        return node.type === 'LENS_OPERATOR' && (node.name === 'split' || node.name === 'switch');
+    }
+
     parseStreamPipeline(line, lineNum, ast, currentPipeline) {
         const pipelineId = currentPipeline?.id || generateUUID();
         let previousNodeId = currentPipeline?.lastNodeId || null;
+        let branchStack = currentPipeline?.branchStack || [];
+        let pendingBranchPoint = currentPipeline?.pendingBranchPoint || null;
 
         const parts = this.splitPipeline(line);
 
         for (let i = 0; i < parts.length; i++) {
             const part = parts[i];
 
+            // A split/switch only becomes a branch point if a flow marker follows it
+            if (pendingBranchPoint && !this.isFlowMarker(part)) {
+                branchStack = branchStack.filter(frame => frame !== pendingBranchPoint);
+            }
+            pendingBranchPoint = null;
+
             if (part.startsWith('~')) {
                 const isLive = part.startsWith('~?');
                 const valuePart = part.substring(isLive ? 2 : 1).trim();
@@ -655,31 +748,89 @@ export class GraphParser {
                 }
 
                 previousNodeId = sourceNode.id;
+                branchStack = [];
 
-            } else if (part.startsWith('TRUE_FLOW') || part.startsWith('FALSE_FLOW')) {
-                const type = part.startsWith('TRUE_FLOW') ? 'TRUE_FLOW' : 'FALSE_FLOW';
-                const flowNode = {
+            } else if (part.startsWith('MERGE')) {
+                const frame = branchStack[branchStack.length - 1];
+                if (!frame) {
+                    throw new Error('MERGE without an open split or switch');
+                }
+                frame.tails.push(previousNodeId);
+
+                const mergeNode = {
                     id: generateUUID(),
                     pipelineId: pipelineId,
-                    type: type,
-                    name: type,
+                    type: 'MERGE',
+                    name: 'MERGE',
                     value: null,
                     line: lineNum,
                     isTerminal: false,
-                    category: 'CONTROL'
+                    category: 'CONTROL',
+                    branchPoint: frame.node.id
                 };
-                ast.nodes.push(flowNode);
+                ast.nodes.push(mergeNode);
 
-                if (previousNodeId) {
+                new Set(frame.tails).forEach(tailId => {
                     ast.connections.push({
                         id: generateUUID(),
-                        from: previousNodeId,
-                        to: flowNode.id,
+                        from: tailId,
+                        to: mergeNode.id,
                         type: this.connectionTypes['|'],
                         line: lineNum
                     });
+                });
+
+                frame.node.mergeNodeId = mergeNode.id;
+                branchStack = branchStack.slice(0, -1);
+                previousNodeId = mergeNode.id;
+
+            } else if (this.isFlowMarker(part)) {
+                const flow = this.parseFlowMarker(part);
+
+                // Flows attach to the innermost open split/switch still missing that label;
+                // inner branch points passed over are closed without a merge.
+                const frameIndex = branchStack.findLastIndex(frame => !(flow.label in frame.node.branches));
+                if (frameIndex === -1) {
+                    throw new Error(`${part} without a matching split or switch`);
+                }
+                const frame = branchStack[frameIndex];
+                if (frame.currentLabel !== null && frameIndex === branchStack.length - 1) {
+                    frame.tails.push(previousNodeId);
+                }
+                branchStack = branchStack.slice(0, frameIndex + 1);
+
+                if (frame.kind === 'split' && flow.type !== 'TRUE_FLOW' && flow.type !== 'FALSE_FLOW') {
+                    throw new Error(`${part} is not valid after split; use TRUE_FLOW or FALSE_FLOW`);
                 }
+                if (frame.kind === 'switch' && (flow.type === 'TRUE_FLOW' || flow.type === 'FALSE_FLOW')) {
+                    throw new Error(`${part} is not valid after switch; use CASE or DEFAULT_FLOW`);
+                }
+
+                const flowNode = {
+                    id: generateUUID(),
+                    pipelineId: pipelineId,
+                    type: flow.type,
+                    name: flow.type,
+                    value: flow.label,
+                    label: flow.label,
+                    line: lineNum,
+                    isTerminal: false,
+                    category: 'CONTROL',
+                    branchPoint: frame.node.id
+                };
+                ast.nodes.push(flowNode);
+
+                ast.connections.push({
+                    id: generateUUID(),
+                    from: frame.node.id,
+                    to: flowNode.id,
+                    type: 'BRANCH_FLOW',
+                    label: flow.label,
+                    line: lineNum
+                });
 
+                frame.node.branches[flow.label] = flowNode.id;
+                frame.currentLabel = flow.label;
                 previousNodeId = flowNode.id;
 
             } else if (part.length > 0) {
@@ -696,6 +847,12 @@ export class GraphParser {
                     });
                 }
 
+                if (this.isBranchPoint(operatorNode)) {
+                    operatorNode.branches = {};
+                    pendingBranchPoint = { node: operatorNode, kind: operatorNode.name, tails: [], currentLabel: null };
+                    branchStack = [...branchStack, pendingBranchPoint];
+                }
+
                 previousNodeId = operatorNode.id;
             }
         }
@@ -703,10 +860,24 @@ export class GraphParser {
         return {
             id: pipelineId,
             lastNodeId: previousNodeId,
-            lineNum: lineNum
+            lineNum: lineNum,
+            branchStack,
+            pendingBranchPoint
         };
     }
 
+    parseFlowMarker(part) {
+        if (part.startsWith('TRUE_FLOW')) return { type: 'TRUE_FLOW', label: 'true' };
+        if (part.startsWith('FALSE_FLOW')) return { type: 'FALSE_FLOW', label: 'false' };
+        if (part.startsWith('DEFAULT_FLOW')) return { type: 'DEFAULT_FLOW', label: '*' };
+
+        const caseLabel = this.cleanArgument(part.slice('CASE'.length).trim());
+        if (!caseLabel || caseLabel === '*') {
+            throw new Error(`Invalid CASE label: ${part}`);
+        }
+        return { type: 'CASE_FLOW', label: caseLabel };
+    }
+
     extendPipeline(line, lineNum, ast, currentPipeline) {
         return this.parseStreamPipeline(line, lineNum, ast, currentPipeline);
     }
@@ -2,15 +2,60 @@
 // Fluxus Professional Dashboard
 
 import http from 'http';
+import crypto from 'crypto';
 import { EventEmitter } from 'events';
 
+// Engine events pushed to /api/events subscribers as they happen
+const FORWARDED_EVENTS = ['pool:updated', 'pipeline:started', 'pipeline:completed', 'pipeline:failed', 'stream:activated'];
+
+// REST routes into a running program; `mutating` routes need the bearer token
+const API_ROUTES = [
+    { method: 'GET', pattern: /^\/api\/pools\/([^/]+)$/, handler: 'getPool' },
+    { method: 'PUT', pattern: /^\/api\/pools\/([^/]+)$/, handler: 'putPool', mutating: true },
+    { method: 'POST', pattern: /^\/api\/streams\/([^/]+)\/emit$/, handler: 'emitToStream', mutating: true },
+    { method: 'POST', pattern: /^\/api\/shutdown$/, handler: 'shutdownProgram', mutating: true }
+];
+
+const MAX_BODY_BYTES = 1024 * 1024;
+
+class HttpError extends Error {
+    constructor(status, message) {
+        super(message);
+        this.status = status;
+    }
+}
+
+/**
+ * Web dashboard for a running engine. Besides the polling snapshots
+ * (/api/metrics, /api/pools, /api/streams) it streams engine events over
+ * Server-Sent Events at /api/events, and /api/graph describes the
+ * program's nodes and connections with per-node throughput and errors.
+ *
+ * The REST routes in API_ROUTES read and change pools, inject values into
+ * live sources and shut the program down. Changes require
+ * `Authorization: Bearer <token>`; without `options.token` a random token
+ * is generated and printed on start.
+ */
 export class FluxusDashboard extends EventEmitter {
-    constructor(engine, port = 3000) {
+    constructor(engine, port = 3000, options = {}) {
         super();
         this.engine = engine;
         this.port = port;
         this.server = null;
+        this.token = options.token || crypto.randomBytes(16).toString('hex');
+        this.generatedToken = !options.token;
+        this.stopped = false;
         this.metricsHistory = [];
+        this.clients = new Set();
+        this.engineListeners = [];
+        this.timers = [];
+        this.graph = null;
+        this.nodeRates = new Map();
+        this.lastSample = { time: Date.now(), executions: new Map() };
+        // Pool values outlive the engine's shutdown, so a finished program can still be inspected
+        this.lastPools = new Map();
+        // `failures` counts failed finite streams and failed live emissions
+        this.streamCounts = { completed: 0, failures: 0 };
         
         this.metrics = {
             streamExecutions: 0,
@@ -38,11 +83,50 @@ export class FluxusDashboard extends EventEmitter {
         this.server.listen(this.port, () => {
             console.log(`📊 Fluxus Dashboard running at http://localhost:${this.port}`);
             console.log(`   🌐 Open in browser to monitor streams in real-time`);
-            console.log(`   🔄 Auto-refreshes every 3 seconds`);
+            console.log(`   📡 Live engine events at http://localhost:${this.port}/api/events`);
+            if (this.generatedToken) {
+                console.log(`   🔑 API token: ${this.token} (send as Authorization: Bearer <token>)`);
+            }
         });
 
+        this.attach();
         this.startMetricsCollection();
         this.startTime = Date.now();
+        return this;
+    }
+
+    /**
+     * Listen to the engine: forwarded events go to every SSE client, the
+     * rest keep the dashboard's counters and its copy of graph and pools.
+     */
+    attach() {
+        const listen = (event, listener) => {
+            this.engine.on(event, listener);
+            this.engineListeners.push([event, listener]);
+        };
+
+        for (const event of FORWARDED_EVENTS) {
+            listen(event, payload => this.broadcast(event, payload));
+        }
+        listen('pool:updated', ({ pool, value }) => this.onPoolUpdate(pool, value));
+        listen('pipeline:started', () => this.metrics.streamExecutions++);
+        listen('stream:completed', () => this.streamCounts.completed++);
+        listen('stream:failed', () => this.streamCounts.failures++);
+        listen('execution:started', () => {
+            this.graph = this.engine.ast;
+        });
+        listen('shutdown:initiated', () => {
+            this.lastPools = this.snapshotPools();
+        });
+
+        if (this.engine.ast) this.graph = this.engine.ast;
+    }
+
+    detach() {
+        for (const [event, listener] of this.engineListeners) {
+            this.engine.removeListener(event, listener);
+        }
+        this.engineListeners = [];
     }
 
     handleHttpRequest(req, res) {
@@ -50,8 +134,8 @@ export class FluxusDashboard extends EventEmitter {
         
         // Set CORS headers for all responses
         res.setHeader('Access-Control-Allow-Origin', '*');
-        res.setHeader('Access-Control-Allow-Methods', 'GET, POST, OPTIONS');
-        res.setHeader('Access-Control-Allow-Headers', 'Content-Type');
+        res.setHeader('Access-Control-Allow-Methods', 'GET, PUT, POST, OPTIONS');
+        res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Authorization');
 
         if (req.method === 'OPTIONS') {
             res.writeHead(200);
@@ -59,6 +143,14 @@ export class FluxusDashboard extends EventEmitter {
             return;
         }
 
+        const routes = API_ROUTES.filter(route => route.pattern.test(url.pathname));
+        if (routes.length > 0) {
+            this.handleApiRequest(routes, url, req, res).catch(error => {
+                this.sendJSON(res, error.status || 500, { error: error.message });
+            });
+            return;
+        }
+
         switch (url.pathname) {
             case '/':
             case '/index.html':
@@ -67,11 +159,18 @@ export class FluxusDashboard extends EventEmitter {
                 break;
             case '/api/metrics':
                 res.writeHead(200, { 'Content-Type': 'application/json' });
-                res.end(JSON.stringify(this.getCurrentState()));
+                res.end(toJSON(this.getCurrentState()));
                 break;
             case '/api/pools':
                 res.writeHead(200, { 'Content-Type': 'application/json' });
-                res.end(JSON.stringify(this.engine.pools));
+                res.end(toJSON(this.serializePools()));
+                break;
+            case '/api/graph':
+                res.writeHead(200, { 'Content-Type': 'application/json' });
+                res.end(toJSON(this.getGraph()));
+                break;
+            case '/api/events':
+                this.openEventStream(req, res);
                 break;
             case '/api/streams':
                 res.writeHead(200, { 'Content-Type': 'application/json' });
@@ -87,13 +186,187 @@ export class FluxusDashboard extends EventEmitter {
         }
     }
 
+    async handleApiRequest(routes, url, req, res) {
+        const route = routes.find(candidate => candidate.method === req.method);
+        if (!route) {
+            res.setHeader('Allow', routes.map(candidate => candidate.method).join(', '));
+            throw new HttpError(405, `${req.method} is not allowed on ${url.pathname}`);
+        }
+        if (route.mutating) {
+            if (!this.authorized(req)) {
+                res.setHeader('WWW-Authenticate', 'Bearer realm="fluxus"');
+                throw new HttpError(401, 'Missing or invalid bearer token');
+            }
+            if (this.engine.isShutdown) {
+                throw new HttpError(409, 'The program has shut down');
+            }
+        }
+
+        const params = route.pattern.exec(url.pathname).slice(1).map(decodeParam);
+        await this[route.handler](req, res, params);
+    }
+
+    authorized(req) {
+        const match = (req.headers.authorization || '').match(/^Bearer\s+(\S+)\s*$/i);
+        if (!match) return false;
+        const given = Buffer.from(match[1]);
+        const expected = Buffer.from(this.token);
+        return given.length === expected.length && crypto.timingSafeEqual(given, expected);
+    }
+
+    // GET /api/pools/:name - value, history and counters; after shutdown, the final state
+    async getPool(req, res, [name]) {
+        const pool = this.engine.pools.has(name)
+            ? this.describePool(name, this.engine.pools.get(name))
+            : this.lastPools.get(name);
+        if (!pool) throw new HttpError(404, `Unknown tidal pool: ${name}`);
+        this.sendJSON(res, 200, pool);
+    }
+
+    // PUT /api/pools/:name { "value": ... } - through updatePool, so subscribers fire
+    async putPool(req, res, [name]) {
+        if (!this.engine.pools.has(name)) throw new HttpError(404, `Unknown tidal pool: ${name}`);
+        const { value } = await this.readValue(req);
+        this.engine.updatePool(name, value);
+        this.sendJSON(res, 200, this.describePool(name, this.engine.pools.get(name)));
+    }
+
+    // POST /api/streams/:id/emit { "value": ... } - the value runs through the source's pipeline
+    async emitToStream(req, res, [streamId]) {
+        if (!this.engine.liveSources.sources.has(streamId)) {
+            throw new HttpError(404, `Unknown live stream: ${streamId} (stream ids are listed by /api/graph)`);
+        }
+        const { value } = await this.readValue(req);
+        if (!this.engine.liveSources.inject(streamId, value)) {
+            throw new HttpError(409, `Live stream ${streamId} has completed`);
+        }
+        this.sendJSON(res, 202, { streamId, accepted: true });
+    }
+
+    // POST /api/shutdown - answers first, then stops the program and the dashboard
+    async shutdownProgram(req, res) {
+        res.once('finish', async () => {
+            await this.engine.shutdown();
+            this.stop();
+        });
+        this.sendJSON(res, 202, { status: 'shutting down' });
+    }
+
+    async readValue(req) {
+        const body = await readJSONBody(req);
+        if (!body || typeof body !== 'object' || Array.isArray(body) || !Object.hasOwn(body, 'value')) {
+            throw new HttpError(400, 'Expected a JSON body of the form { "value": ... }');
+        }
+        return body;
+    }
+
+    sendJSON(res, status, body) {
+        if (res.headersSent) {
+            res.end();
+            return;
+        }
+        res.writeHead(status, { 'Content-Type': 'application/json' });
+        res.end(toJSON(body));
+    }
+
+    // Server-Sent Events: one `event:` per engine event, plus `nodes` samples every second
+    openEventStream(req, res) {
+        res.writeHead(200, {
+            'Content-Type': 'text/event-stream',
+            'Cache-Control': 'no-cache',
+            'Connection': 'keep-alive'
+        });
+        res.write(`retry: 3000\n\n`);
+        this.clients.add(res);
+        this.send(res, 'graph', this.getGraph());
+        req.on('close', () => this.clients.delete(res));
+    }
+
+    broadcast(event, payload) {
+        for (const client of this.clients) {
+            this.send(client, event, payload);
+        }
+    }
+
+    send(client, event, payload) {
+        client.write(`event: ${event}\ndata: ${toJSON(payload)}\n\n`);
+    }
+
+    describePool(name, pool) {
+        return {
+            name,
+            value: pool.value,
+            history: [...pool.history],
+            updates: pool._updates,
+            subscribers: pool.subscriptions.size,
+            createdAt: pool.createdAt,
+            lastUpdated: pool.lastUpdated
+        };
+    }
+
+    snapshotPools() {
+        const pools = new Map();
+        for (const [name, pool] of this.engine.pools) {
+            pools.set(name, this.describePool(name, pool));
+        }
+        return pools;
+    }
+
+    // Pool listings leave out the history; GET /api/pools/:name has it
+    serializePools() {
+        const pools = this.engine.pools.size > 0 ? this.snapshotPools() : this.lastPools;
+        return Object.fromEntries([...pools].map(([name, { history, ...pool }]) => [name, pool]));
+    }
+
+    /**
+     * The program's nodes and connections. Each node carries its execution
+     * and error counts and its throughput over the last sample, in values/s.
+     */
+    getGraph() {
+        if (!this.graph?.nodes) return { nodes: [], connections: [] };
+
+        const nodeStats = this.engine.performance.nodeStats;
+        return {
+            filename: this.graph.metadata?.filename || null,
+            nodes: this.graph.nodes.map(node => {
+                const stats = nodeStats.get(node.id) || { executions: 0, errors: 0, totalTime: 0 };
+                return {
+                    id: node.id,
+                    type: node.type,
+                    label: this.engine.describeNode(node),
+                    line: node.line ?? null,
+                    executions: stats.executions,
+                    errors: stats.errors,
+                    avgTime: stats.executions > 0 ? stats.totalTime / stats.executions : 0,
+                    throughput: this.nodeRates.get(node.id) || 0
+                };
+            }),
+            connections: (this.graph.connections || []).map(({ from, to, type }) => ({ from, to, type }))
+        };
+    }
+
+    sampleNodes() {
+        const now = Date.now();
+        const seconds = Math.max((now - this.lastSample.time) / 1000, 0.001);
+        const executions = new Map();
+
+        for (const [nodeId, stats] of this.engine.performance.nodeStats) {
+            const previous = this.lastSample.executions.get(nodeId) || 0;
+            this.nodeRates.set(nodeId, (stats.executions - previous) / seconds);
+            executions.set(nodeId, stats.executions);
+        }
+        this.lastSample = { time: now, executions };
+    }
+
     getCurrentState() {
         const uptime = Date.now() - this.startTime;
+        const pools = this.serializePools();
         return {
-            pools: this.engine.pools,
+            pools,
             metrics: {
                 ...this.metrics,
-                activePools: Object.keys(this.engine.pools).length,
+                activePools: Object.keys(pools).length,
+                streams: this.getStreamStats(),
                 performance: {
                     ...this.metrics.performance,
                     totalMemory: Math.round(process.memoryUsage().heapUsed / 1024 / 1024),
@@ -106,13 +379,17 @@ export class FluxusDashboard extends EventEmitter {
     }
 
     getStreamStats() {
+        const live = this.engine.liveSources.getStats();
+        const finite = (this.graph?.nodes || []).filter(node => node.type === 'STREAM_SOURCE_FINITE').length;
         return {
-            total: this.metrics.streamExecutions,
-            active: 0, // Would track active streams in a real implementation
-            completed: this.metrics.streamExecutions,
+            total: finite + live.total,
+            active: live.active,
+            completed: this.streamCounts.completed,
+            failures: this.streamCounts.failures,
+            pipelineExecutions: this.metrics.streamExecutions,
             byType: {
-                finite: this.metrics.streamExecutions,
-                live: 0
+                finite,
+                live: live.total
             }
         };
     }
@@ -308,6 +585,61 @@ export class FluxusDashboard extends EventEmitter {
             background: #475569;
         }
         
+        .panel-wide {
+            grid-column: 1 / -1;
+        }
+        
+        .graph-view {
+            overflow-x: auto;
+            min-height: 80px;
+        }
+        
+        .graph-node rect {
+            fill: rgba(37, 99, 235, 0.15);
+            stroke: var(--primary);
+            stroke-width: 1.5;
+        }
+        
+        .graph-node.has-errors rect {
+            fill: rgba(239, 68, 68, 0.15);
+            stroke: var(--error);
+        }
+        
+        .graph-node text {
+            fill: var(--light);
+            font-size: 12px;
+            font-family: 'Courier New', monospace;
+        }
+        
+        .graph-node text.node-stats {
+            fill: var(--gray);
+            font-size: 11px;
+        }
+        
+        .graph-edge {
+            stroke: var(--gray);
+            stroke-width: 1.5;
+            fill: none;
+        }
+        
+        .event-log {
+            max-height: 260px;
+            overflow-y: auto;
+            font-family: 'Courier New', monospace;
+            font-size: 0.85rem;
+        }
+        
+        .event-item {
+            padding: 4px 8px;
+            border-bottom: 1px solid rgba(255, 255, 255, 0.05);
+            white-space: nowrap;
+            overflow: hidden;
+            text-overflow: ellipsis;
+        }
+        
+        .event-failed { color: var(--error); }
+        .event-pool { color: var(--success); }
+        
         .last-update {
             text-align: center;
             color: var(--gray);
@@ -428,6 +760,20 @@ export class FluxusDashboard extends EventEmitter {
                     </div>
                 </div>
             </div>
+            
+            <!-- Program Graph -->
+            <div class="panel panel-wide">
+                <h2>🕸️ Program Graph <span class="metric-label" id="graphFile"></span></h2>
+                <div class="graph-view">
+                    <svg id="graph" width="0" height="0"></svg>
+                </div>
+            </div>
+            
+            <!-- Live Events -->
+            <div class="panel panel-wide">
+                <h2>📡 Live Events <span class="metric-label" id="eventStatus">connecting...</span></h2>
+                <div class="event-log" id="eventLog"></div>
+            </div>
         </div>
         
         <div class="controls">
@@ -468,7 +814,7 @@ export class FluxusDashboard extends EventEmitter {
             updatePools(data.pools);
             
             // Update stream stats
-            document.getElementById('totalStreams').textContent = data.metrics.streamExecutions;
+            document.getElementById('totalStreams').textContent = data.metrics.streams.total;
             document.getElementById('activeStreams').textContent = data.metrics.streams.active;
             document.getElementById('completedStreams').textContent = data.metrics.streams.completed;
             
@@ -543,8 +889,164 @@ export class FluxusDashboard extends EventEmitter {
         }
         
         function clearData() {
-            // In a real implementation, this would clear engine data
-            console.log('Clear functionality would be implemented here');
+            document.getElementById('eventLog').innerHTML = '';
+        }
+        
+        // ========== PROGRAM GRAPH ==========
+        
+        const NODE_WIDTH = 170, NODE_HEIGHT = 44, GAP_X = 40, GAP_Y = 18;
+        const SVG_NS = 'http://www.w3.org/2000/svg';
+        let graphNodes = new Map();
+        
+        // Columns by longest path from a source, rows in discovery order
+        function layoutGraph(graph) {
+            const incoming = new Map(graph.nodes.map(node => [node.id, 0]));
+            const outgoing = new Map(graph.nodes.map(node => [node.id, []]));
+            graph.connections.forEach(edge => {
+                if (!outgoing.has(edge.from) || !incoming.has(edge.to)) return;
+                outgoing.get(edge.from).push(edge.to);
+                incoming.set(edge.to, incoming.get(edge.to) + 1);
+            });
+            
+            const column = new Map();
+            const queue = graph.nodes.filter(node => incoming.get(node.id) === 0).map(node => node.id);
+            queue.forEach(id => column.set(id, 0));
+            for (let index = 0; index < queue.length; index++) {
+                const id = queue[index];
+                for (const next of outgoing.get(id)) {
+                    if (column.has(next) && column.get(next) >= column.get(id) + 1) continue;
+                    if (column.get(id) + 1 > graph.nodes.length) continue;
+                    column.set(next, column.get(id) + 1);
+                    queue.push(next);
+                }
+            }
+            
+            const rows = new Map();
+            const positions = new Map();
+            [...new Set(queue)].forEach(id => {
+                const col = column.get(id);
+                const row = rows.get(col) || 0;
+                rows.set(col, row + 1);
+                positions.set(id, { x: col * (NODE_WIDTH + GAP_X) + 10, y: row * (NODE_HEIGHT + GAP_Y) + 10 });
+            });
+            return positions;
+        }
+        
+        function renderGraph(graph) {
+            const svg = document.getElementById('graph');
+            svg.innerHTML = '';
+            graphNodes = new Map();
+            document.getElementById('graphFile').textContent = graph.filename || '';
+            if (graph.nodes.length === 0) {
+                svg.setAttribute('width', 0);
+                svg.setAttribute('height', 0);
+                return;
+            }
+            
+            const positions = layoutGraph(graph);
+            const width = Math.max(...[...positions.values()].map(p => p.x)) + NODE_WIDTH + 10;
+            const height = Math.max(...[...positions.values()].map(p => p.y)) + NODE_HEIGHT + 10;
+            svg.setAttribute('width', width);
+            svg.setAttribute('height', height);
+            
+            graph.connections.forEach(edge => {
+                const from = positions.get(edge.from), to = positions.get(edge.to);
+                if (!from || !to) return;
+                const path = document.createElementNS(SVG_NS, 'path');
+                const x1 = from.x + NODE_WIDTH, y1 = from.y + NODE_HEIGHT / 2;
+                const x2 = to.x, y2 = to.y + NODE_HEIGHT / 2;
+                path.setAttribute('d', \`M\${x1},\${y1} C\${x1 + GAP_X / 2},\${y1} \${x2 - GAP_X / 2},\${y2} \${x2},\${y2}\`);
+                path.setAttribute('class', 'graph-edge');
+                svg.appendChild(path);
+            });
+            
+            graph.nodes.forEach(node => {
+                const position = positions.get(node.id);
+                if (!position) return;
+                const group = document.createElementNS(SVG_NS, 'g');
+                group.setAttribute('class', 'graph-node');
+                group.setAttribute('transform', \`translate(\${position.x},\${position.y})\`);
+                
+                const rect = document.createElementNS(SVG_NS, 'rect');
+                rect.setAttribute('width', NODE_WIDTH);
+                rect.setAttribute('height', NODE_HEIGHT);
+                rect.setAttribute('rx', 6);
+                const title = document.createElementNS(SVG_NS, 'title');
+                title.textContent = node.label + (node.line ? \` (line \${node.line})\` : '');
+                const label = document.createElementNS(SVG_NS, 'text');
+                label.setAttribute('x', 8);
+                label.setAttribute('y', 18);
+                label.textContent = node.label.length > 22 ? node.label.slice(0, 21) + '…' : node.label;
+                const stats = document.createElementNS(SVG_NS, 'text');
+                stats.setAttribute('x', 8);
+                stats.setAttribute('y', 35);
+                stats.setAttribute('class', 'node-stats');
+                
+                group.append(rect, title, label, stats);
+                svg.appendChild(group);
+                graphNodes.set(node.id, { group, stats });
+                updateNode(node);
+            });
+        }
+        
+        function updateNode(node) {
+            const entry = graphNodes.get(node.id);
+            if (!entry) return;
+            entry.stats.textContent = \`\${node.throughput.toFixed(1)}/s · \${node.executions} runs · \${node.errors} err\`;
+            entry.group.classList.toggle('has-errors', node.errors > 0);
+        }
+        
+        // ========== LIVE EVENTS ==========
+        
+        function logEvent(name, text, kind) {
+            const log = document.getElementById('eventLog');
+            const item = document.createElement('div');
+            item.className = 'event-item' + (kind ? ' event-' + kind : '');
+            item.textContent = \`\${new Date().toLocaleTimeString()}  \${name}  \${text}\`;
+            log.prepend(item);
+            while (log.children.length > 200) log.lastChild.remove();
+        }
+        
+        // Bursts of pool updates refresh the snapshot panels once
+        let refreshTimer = null;
+        function scheduleRefresh() {
+            if (refreshTimer) return;
+            refreshTimer = setTimeout(() => {
+                refreshTimer = null;
+                loadData();
+            }, 250);
+        }
+        
+        function connectEvents() {
+            const events = new EventSource('/api/events');
+            const status = document.getElementById('eventStatus');
+            events.onopen = () => { status.textContent = 'live'; };
+            events.onerror = () => { status.textContent = 'reconnecting...'; };
+            
+            events.addEventListener('graph', e => renderGraph(JSON.parse(e.data)));
+            events.addEventListener('nodes', e => JSON.parse(e.data).forEach(updateNode));
+            events.addEventListener('pool:updated', e => {
+                const data = JSON.parse(e.data);
+                logEvent('pool:updated', \`\${data.pool} = \${formatValue(data.value)}\`, 'pool');
+                scheduleRefresh();
+            });
+            events.addEventListener('stream:activated', e => {
+                const data = JSON.parse(e.data);
+                logEvent('stream:activated', \`\${data.source} (\${data.streamId})\`);
+                fetch('/api/graph').then(r => r.json()).then(renderGraph);
+            });
+            events.addEventListener('pipeline:started', e => {
+                const data = JSON.parse(e.data);
+                logEvent('pipeline:started', \`\${data.startNode} ← \${formatValue(data.initialData)}\`);
+            });
+            events.addEventListener('pipeline:completed', e => {
+                const data = JSON.parse(e.data);
+                logEvent('pipeline:completed', \`\${data.steps} steps in \${data.executionTime.toFixed(2)}ms\`);
+            });
+            events.addEventListener('pipeline:failed', e => {
+                const data = JSON.parse(e.data);
+                logEvent('pipeline:failed', data.error, 'failed');
+            });
         }
         
         function exportData() {
@@ -571,6 +1073,8 @@ export class FluxusDashboard extends EventEmitter {
         
         // Load initial data
         loadData();
+        fetch('/api/graph').then(r => r.json()).then(renderGraph);
+        connectEvents();
         
         // Handle visibility change to pause auto-refresh when tab is not visible
         document.addEventListener('visibilitychange', () => {
@@ -583,8 +1087,15 @@ export class FluxusDashboard extends EventEmitter {
     }
 
     startMetricsCollection() {
-        setInterval(() => {
-            this.metrics.activePools = Object.keys(this.engine.pools).length;
+        this.timers.push(setInterval(() => {
+            this.sampleNodes();
+            if (this.clients.size > 0) {
+                this.broadcast('nodes', this.getGraph().nodes);
+            }
+        }, 1000));
+
+        this.timers.push(setInterval(() => {
+            this.metrics.activePools = Object.keys(this.serializePools()).length;
             this.metrics.performance.totalMemory = Math.round(process.memoryUsage().heapUsed / 1024 / 1024);
             this.metrics.performance.uptime = Math.round((Date.now() - this.startTime) / 1000);
             
@@ -601,7 +1112,7 @@ export class FluxusDashboard extends EventEmitter {
             if (this.metricsHistory.length > 100) {
                 this.metricsHistory.shift();
             }
-        }, 2000);
+        }, 2000));
     }
 
     onPoolUpdate(poolName, newValue) {
@@ -615,9 +1126,74 @@ export class FluxusDashboard extends EventEmitter {
     }
 
     stop() {
+        if (this.stopped) return;
+        this.stopped = true;
+        this.timers.forEach(timer => clearInterval(timer));
+        this.timers = [];
+        this.detach();
+        for (const client of this.clients) client.end();
+        this.clients.clear();
+
         if (this.server) {
             this.server.close();
             console.log('📊 Dashboard stopped');
         }
     }
 }
+
+// A malformed escape (`/api/pools/%E0%A4%A`) is the client's mistake, not a server error
+function decodeParam(param) {
+    try {
+        return decodeURIComponent(param);
+    } catch {
+        throw new HttpError(400, `Malformed percent-encoding in '${param}'`);
+    }
+}
+
+function readJSONBody(req) {
+    return new Promise((resolve, reject) => {
+        const chunks = [];
+        let size = 0;
+        req.on('data', chunk => {
+            size += chunk.length;
+            if (size > MAX_BODY_BYTES) {
+                reject(new HttpError(413, `Request body exceeds ${MAX_BODY_BYTES} bytes`));
+                req.destroy();
+                return;
+            }
+            chunks.push(chunk);
+        });
+        req.on('end', () => {
+            const text = Buffer.concat(chunks).toString('utf-8').trim();
+            if (!text) {
+                resolve(undefined);
+                return;
+            }
+            try {
+                resolve(JSON.parse(text));
+            } catch (error) {
+                reject(new HttpError(400, `Invalid JSON body: ${error.message}`));
+            }
+        });
+        req.on('error', reject);
+    });
+}
+
+// JSON for values the engine holds: Maps become objects, Sets arrays, cycles are cut
+function toJSON(value) {
+    const ancestors = [];
+    return JSON.stringify(value, function (key, item) {
+        if (typeof item === 'bigint') return item.toString();
+        if (typeof item === 'function' || typeof item === 'symbol') return undefined;
+        if (item === null || typeof item !== 'object') return item;
+
+        while (ancestors.length > 0 && ancestors[ancestors.length - 1].holder !== this) ancestors.pop();
+        if (ancestors.some(ancestor => ancestor.source === item)) return '[Circular]';
+
+        const holder = item instanceof Map ? Object.fromEntries(item) : item instanceof Set ? [...item] : item;
+        ancestors.push({ source: item, holder });
+        return holder;
+    });
+}
+
+export default FluxusDashboard;
@@ -2,6 +2,16 @@
 // Fluxus Enterprise Symbol Table v4.0 - PRODUCTION GRADE
 
 import { performance } from 'perf_hooks';
+import {
+    TypeVariable,
+    FunctionType,
+    StreamType,
+    PoolType,
+    NumberType,
+    StringType,
+    BooleanType,
+    ModuleType
+} from './type-checker.js';
 
 /**
  * ENTERPRISE SYMBOL TABLE
@@ -383,7 +393,7 @@ export class SymbolTable {
             throw new Error(`Symbol '${name}' already defined in current scope`);
         }
 
-        if (!location || !location.line) {
+        if (!location || location.line == null) {
             throw new Error('Symbol definition requires location information');
         }
     }
@@ -610,15 +620,15 @@ class DependencyGraph {
 }
 
 // Re-export type system classes for consistency
-export { 
-    TypeVariable, 
-    FunctionType, 
-    StreamType, 
-    PoolType, 
-    NumberType, 
-    StringType, 
+export {
+    TypeVariable,
+    FunctionType,
+    StreamType,
+    PoolType,
+    NumberType,
+    StringType,
     BooleanType,
-    ModuleType 
-} from './type-checker.js';
+    ModuleType
+};
 
 export default SymbolTable;
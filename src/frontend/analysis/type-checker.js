@@ -2,16 +2,20 @@
 // Fluxus Enterprise Type System v4.0 - PRODUCTION GRADE
 
 import { performance } from 'perf_hooks';
+import { TypeError as FluxusTypeError } from '../errors.js';
 
 /**
  * ENTERPRISE TYPE SYSTEM
  * Features:
- * - Structural type inference with bidirectional checking
- * - Generic type variables and constraints  
- * - Row polymorphism for objects
+ * - Dataflow type inference over the graph AST
+ * - Generic type variables resolved per operator call
+ * - Pool types fixed at declaration
  * - Effect tracking for side effects
- * - Gradual typing with soundness guarantees
+ * - Gradual typing: anything unknown is `Any` and checks pass
  * - Type-driven optimizations
+ *
+ * Types describe the value flowing through a pipeline stage, so an
+ * operator signature is `(input, ...args) -> output`.
  */
 export class TypeChecker {
     constructor(config = {}) {
@@ -27,9 +31,8 @@ export class TypeChecker {
         // Enterprise state management
         this.symbolTable = new HierarchicalSymbolTable();
         this.typeEnvironment = new TypeEnvironment();
-        this.constraintSolver = new ConstraintSolver();
         this.effectSystem = new EffectSystem();
-        
+
         // Performance metrics
         this.metrics = {
             checksPerformed: 0,
@@ -45,7 +48,14 @@ export class TypeChecker {
         this.errors = new DiagnosticCollector();
         this.warnings = new DiagnosticCollector();
 
-        this.initializeTypeSystem();
+        // Per-program dataflow state
+        this.ast = null;
+        this.filename = '<anonymous>';
+        this.nodesById = new Map();
+        this.incoming = new Map();
+        this.poolTypes = new Map();
+        this.calledFunctions = new Set();
+        this.callDepth = 0;
     }
 
     /**
@@ -54,34 +64,35 @@ export class TypeChecker {
     buildTypeRegistry() {
         return new Map([
             // Primitive types
+            ['Any', { kind: 'top', representation: 'dynamic' }],
             ['Number', { kind: 'primitive', representation: 'double', size: 8 }],
             ['String', { kind: 'primitive', representation: 'utf8', size: 'dynamic' }],
             ['Boolean', { kind: 'primitive', representation: 'bool', size: 1 }],
             ['Null', { kind: 'primitive', representation: 'null', size: 0 }],
-            
+
             // Reactive types
-            ['Stream', { 
-                kind: 'higher', 
+            ['Stream', {
+                kind: 'higher',
                 parameterized: true,
                 effects: ['async', 'temporal'],
                 category: 'reactive'
             }],
-            ['Pool', { 
-                kind: 'higher', 
+            ['Pool', {
+                kind: 'higher',
                 parameterized: true,
                 effects: ['stateful', 'shared'],
-                category: 'reactive' 
+                category: 'reactive'
             }],
-            
+
             // Collection types
-            ['Array', { 
-                kind: 'higher', 
+            ['Array', {
+                kind: 'higher',
                 parameterized: true,
                 mutable: true,
                 category: 'collection'
             }],
-            ['Object', { 
-                kind: 'structural', 
+            ['Object', {
+                kind: 'structural',
                 rowPolymorphic: true,
                 category: 'collection'
             }]
@@ -90,70 +101,114 @@ export class TypeChecker {
 
     /**
      * ENTERPRISE OPERATOR SIGNATURE REGISTRY
+     *
+     * The first parameter is the stage input, the rest are the arguments.
+     * Operators without a signature are unchecked and produce `Any`;
+     * `lensOnly` signatures apply to the `{ ... }` form only.
      */
     buildOperatorSignatureRegistry() {
+        const number = new NumberType();
+        const string = new StringType();
+        const any = new AnyType();
+        const numeric = new UnionType([number, new ArrayType(any)]);
+        const text = new UnionType([string, new ArrayType(any)]);
+        const a = () => new TypeVariable('a');
+
+        const math = (effects = ['pure']) => ({
+            type: new FunctionType([number, number], number),
+            effects,
+            category: 'arithmetic',
+            optimization: 'constant_folding'
+        });
+        const unaryMath = {
+            type: new FunctionType([number], number),
+            effects: ['pure'],
+            category: 'arithmetic',
+            optimization: 'constant_folding'
+        };
+        const aggregate = {
+            type: new FunctionType([numeric], number),
+            effects: ['pure'],
+            category: 'aggregation',
+            optimization: 'vectorization'
+        };
+        const stringTransform = {
+            type: new FunctionType([text, string], text),
+            effects: ['pure'],
+            category: 'string',
+            optimization: 'inlining'
+        };
+
         return new Map([
             // STREAM OPERATORS
             ['map', {
-                type: new FunctionType(
-                    [new TypeVariable('a'), new FunctionType([new TypeVariable('a')], new TypeVariable('b'))],
-                    new StreamType(new TypeVariable('b'))
-                ),
+                lensOnly: true,
+                type: new FunctionType([any], any),
                 effects: ['pure'],
                 category: 'transform',
                 optimization: 'fusion'
             }],
             ['filter', {
-                type: new FunctionType(
-                    [new StreamType(new TypeVariable('a')), new FunctionType([new TypeVariable('a')], new BooleanType())],
-                    new StreamType(new TypeVariable('a'))
-                ),
+                lensOnly: true,
+                type: new FunctionType([a()], a()),
                 effects: ['pure'],
                 category: 'transform',
                 optimization: 'predicate_pushdown'
             }],
             ['reduce', {
-                type: new FunctionType(
-                    [new StreamType(new TypeVariable('a')), new FunctionType([new TypeVariable('b'), new TypeVariable('a')], new TypeVariable('b')), new TypeVariable('b')],
-                    new TypeVariable('b')
-                ),
+                lensOnly: true,
+                type: new FunctionType([new ArrayType(any)], any),
                 effects: ['stateful'],
                 category: 'aggregation',
                 optimization: 'incremental'
             }],
             ['combine_latest', {
-                type: new FunctionType(
-                    [new StreamType(new TypeVariable('a')), new StreamType(new TypeVariable('b'))],
-                    new StreamType(new ObjectType(new Map([['a', new TypeVariable('a')], ['b', new TypeVariable('b')]])))
-                ),
+                type: new FunctionType([any], new ObjectType(new Map())),
                 effects: ['stateful', 'async'],
                 category: 'combination',
                 optimization: 'lazy_evaluation'
             }],
+            ['print', {
+                type: new FunctionType([a(), any], a()),
+                effects: ['io'],
+                category: 'sink',
+                optimization: 'none'
+            }],
 
             // MATHEMATICAL OPERATORS
-            ['add', {
-                type: new FunctionType([new NumberType(), new NumberType()], new NumberType()),
-                effects: ['pure'],
-                category: 'arithmetic',
-                optimization: 'constant_folding'
-            }],
-            ['multiply', {
-                type: new FunctionType([new NumberType(), new NumberType()], new NumberType()),
-                effects: ['pure'],
-                category: 'arithmetic',
-                optimization: 'constant_folding'
-            }],
+            ['add', { ...math(), type: new FunctionType([numeric, number], number) }],
+            ['multiply', { ...math(), type: new FunctionType([numeric, number], number) }],
+            ['subtract', math()],
+            ['divide', math(['pure', 'throws'])],
+            ['pow', math()],
+            ['sqrt', unaryMath],
+            ['abs', unaryMath],
+            ['floor', unaryMath],
+            ['ceil', unaryMath],
+            ['round', unaryMath],
+            ['sin', unaryMath],
+            ['cos', unaryMath],
+            ['tan', unaryMath],
+            ['log', unaryMath],
+            ['exp', unaryMath],
+            ['sum', aggregate],
+            ['mean', aggregate],
+            ['median', aggregate],
+            ['max', aggregate],
+            ['min', aggregate],
 
             // STRING OPERATORS
-            ['to_upper', {
-                type: new FunctionType([new StringType()], new StringType()),
+            ['to_upper', stringTransform],
+            ['to_lower', stringTransform],
+            ['trim', stringTransform],
+            ['concat', {
+                type: new FunctionType([any, any], string),
                 effects: ['pure'],
                 category: 'string',
                 optimization: 'inlining'
             }],
-            ['trim', {
-                type: new FunctionType([new StringType()], new StringType()),
+            ['length', {
+                type: new FunctionType([text], new UnionType([number, new ArrayType(number)])),
                 effects: ['pure'],
                 category: 'string',
                 optimization: 'inlining'
@@ -161,19 +216,13 @@ export class TypeChecker {
 
             // TEMPORAL OPERATORS
             ['debounce', {
-                type: new FunctionType(
-                    [new StreamType(new TypeVariable('a')), new NumberType()],
-                    new StreamType(new TypeVariable('a'))
-                ),
+                type: new FunctionType([a(), number], a()),
                 effects: ['async', 'temporal'],
                 category: 'temporal',
                 optimization: 'batching'
             }],
             ['throttle', {
-                type: new FunctionType(
-                    [new StreamType(new TypeVariable('a')), new NumberType()],
-                    new StreamType(new TypeVariable('a'))
-                ),
+                type: new FunctionType([a(), number], a()),
                 effects: ['async', 'temporal'],
                 category: 'temporal',
                 optimization: 'rate_limiting'
@@ -181,13 +230,8 @@ export class TypeChecker {
 
             // CONTROL FLOW OPERATORS
             ['split', {
-                type: new FunctionType(
-                    [new StreamType(new TypeVariable('a')), new FunctionType([new TypeVariable('a')], new BooleanType())],
-                    new ObjectType(new Map([
-                        ['TRUE_FLOW', new StreamType(new TypeVariable('a'))],
-                        ['FALSE_FLOW', new StreamType(new TypeVariable('a'))]
-                    ]))
-                ),
+                lensOnly: true,
+                type: new FunctionType([a()], a()),
                 effects: ['conditional'],
                 category: 'control',
                 optimization: 'branch_prediction'
@@ -197,32 +241,33 @@ export class TypeChecker {
 
     /**
      * ENTERPRISE TYPE CHECKING ENTRY POINT
+     *
+     * Checks a graph AST (GraphParser / FluxusParser output). Errors and
+     * warnings are frontend `TypeError`s located at the offending stage.
      */
     checkLegacyAST(ast, options = {}) {
         const startTime = performance.now();
-        
+        this.filename = options.filename || ast.metadata?.filename || '<anonymous>';
+
         try {
             // Phase 1: Symbol collection and scope analysis
             this.collectSymbolsAndScopes(ast);
-            
-            // Phase 2: Type inference with constraint generation
+
+            // Phase 2: Type inference; each operator's constraints are solved in place
             this.inferTypesWithConstraints(ast);
-            
-            // Phase 3: Constraint solving and unification
-            this.solveConstraints();
-            
-            // Phase 4: Effect inference and validation
+
+            // Phase 3: Effect inference and validation
             this.inferEffects(ast);
-            
-            // Phase 5: Final validation and optimization hints
+
+            // Phase 4: Final validation and optimization hints
             this.finalValidation(ast);
-            
+
             const checkTime = performance.now() - startTime;
-            
+
             if (this.config.debugMode) {
                 this.reportTypeCheckingMetrics(checkTime, ast);
             }
-            
+
             return {
                 success: this.errors.count === 0,
                 errors: this.errors.getDiagnostics(),
@@ -232,15 +277,10 @@ export class TypeChecker {
                 optimizations: this.collectOptimizationHints(),
                 metrics: this.getMetrics(checkTime)
             };
-            
+
         } catch (error) {
-            this.errors.add({
-                severity: 'ERROR',
-                message: `Type checker crashed: ${error.message}`,
-                location: { line: 0, column: 0 },
-                category: 'SYSTEM'
-            });
-            
+            this.errors.add(this.diagnostic('ERROR', `Type checker crashed: ${error.message}`, null, 'SYSTEM'));
+
             return {
                 success: false,
                 errors: this.errors.getDiagnostics(),
@@ -254,12 +294,24 @@ export class TypeChecker {
      * PHASE 1: SYMBOL COLLECTION AND SCOPE ANALYSIS
      */
     collectSymbolsAndScopes(ast) {
+        this.ast = ast;
+        this.nodesById = new Map(ast.nodes.map(node => [node.id, node]));
+        this.incoming = new Map();
+        ast.connections
+            .filter(connection => connection.type === 'PIPE_FLOW' || connection.type === 'BRANCH_FLOW')
+            .forEach(connection => {
+                if (!this.incoming.has(connection.to)) this.incoming.set(connection.to, []);
+                this.incoming.get(connection.to).push(connection.from);
+            });
+
         // Enter global scope
         this.symbolTable.enterScope('global');
-        
-        // Collect pools as mutable variables
-        Object.values(ast.pools).forEach(pool => {
-            const poolType = this.inferTypeFromLiteral(pool.initial);
+
+        // Collect pools as mutable variables; a `null` initial value leaves the type open
+        Object.values(ast.pools || {}).forEach(pool => {
+            const initial = this.inferTypeFromLiteral(pool.initial);
+            const poolType = initial instanceof NullType ? new AnyType() : initial;
+            this.poolTypes.set(pool.name, poolType);
             this.symbolTable.define(pool.name, {
                 kind: 'variable',
                 type: new PoolType(poolType),
@@ -268,30 +320,31 @@ export class TypeChecker {
                 category: 'reactive'
             });
         });
-        
+
         // Collect imports as modules
-        ast.imports.forEach(imp => {
-            const importName = typeof imp === 'string' ? imp : imp.alias;
+        (ast.imports || []).forEach(imp => {
+            const importName = typeof imp === 'string' ? imp : (imp.alias || imp.name);
             this.symbolTable.define(importName, {
                 kind: 'module',
                 type: new ModuleType(importName),
-                location: { line: 0 },
+                location: { line: imp.line || 0 },
                 category: 'external'
             });
         });
-        
+
         // Collect functions
-        Object.values(ast.functions).forEach(func => {
-            const paramTypes = func.parameters.map(param => 
-                new TypeVariable(`T_${param.name}`)
+        Object.values(ast.functions || {}).forEach(func => {
+            const paramTypes = func.parameters.map(param =>
+                new TypeVariable(`T_${param.name || param}`)
             );
             const returnType = new TypeVariable(`R_${func.name}`);
-            
+
             this.symbolTable.define(func.name, {
                 kind: 'function',
                 type: new FunctionType(paramTypes, returnType),
                 location: { line: func.line },
-                category: 'user_defined'
+                category: 'user_defined',
+                definition: func
             });
         });
     }
@@ -301,165 +354,249 @@ export class TypeChecker {
      */
     inferTypesWithConstraints(ast) {
         ast.nodes.forEach(node => {
+            // FUNC bodies are checked at each call site with the caller's types
+            if (node.functionName) return;
             try {
-                const nodeType = this.inferNodeType(node, ast);
-                this.typeEnvironment.set(node.id, nodeType);
-                this.metrics.checksPerformed++;
+                this.typeOf(node);
             } catch (error) {
-                this.errors.add({
-                    severity: 'ERROR',
-                    message: `Type inference failed for node: ${error.message}`,
-                    location: { line: node.line, column: 0 },
-                    nodeId: node.id,
-                    category: 'INFERENCE'
-                });
+                this.errors.add(this.diagnostic('ERROR', `Type inference failed for node: ${error.message}`, node, 'INFERENCE'));
             }
         });
+
+        // Functions nobody calls are still checked, with `Any` parameters
+        Object.values(ast.functions || {}).forEach(func => {
+            if (!this.calledFunctions.has(func.name)) this.inferFunctionCall(func, new AnyType(), func.parameters.map(() => new AnyType()));
+        });
+    }
+
+    // Output type of a top-level node, memoized in the type environment
+    typeOf(node) {
+        const known = this.typeEnvironment.get(node.id);
+        if (known) return known;
+
+        const inputs = (this.incoming.get(node.id) || [])
+            .map(id => this.nodesById.get(id))
+            .filter(Boolean)
+            .map(from => this.typeOf(from));
+        const inputType = this.joinTypes(inputs, node);
+
+        const nodeType = this.inferNodeType(node, inputType, new Map());
+        this.typeEnvironment.set(node.id, nodeType);
+        this.metrics.checksPerformed++;
+        return nodeType;
     }
 
     /**
      * ENTERPRISE NODE TYPE INFERENCE
+     *
+     * Transfer function of one stage: the type it emits given the type it
+     * receives. `parameters` binds FUNC parameter names inside a body.
      */
-    inferNodeType(node, ast) {
+    inferNodeType(node, inputType, parameters) {
+        this.metrics.inferenceSteps++;
+
         switch (node.type) {
             case 'STREAM_SOURCE_FINITE':
             case 'STREAM_SOURCE_LIVE':
                 return this.inferStreamSourceType(node);
-                
+
             case 'FUNCTION_OPERATOR':
             case 'LENS_OPERATOR':
-                return this.inferOperatorType(node, ast);
-                
+                return this.inferOperatorType(node, inputType, parameters);
+
+            case 'POOL_WRITE':
+                return this.inferPoolWriteType(node, inputType);
+
+            case 'POOL_ACCESS':
             case 'POOL_READ':
                 return this.inferPoolReadType(node);
-                
+
             case 'TRUE_FLOW':
             case 'FALSE_FLOW':
-                return this.inferFlowControlType(node);
-                
+            case 'CASE_FLOW':
+            case 'DEFAULT_FLOW':
+            case 'MERGE':
+                return inputType;
+
             default:
-                return new TypeVariable(`T_${node.id}`);
+                return new AnyType();
         }
     }
 
     inferStreamSourceType(node) {
-        const elementType = this.inferTypeFromLiteral(node.value);
-        const streamType = new StreamType(elementType);
-        
         if (node.type === 'STREAM_SOURCE_LIVE') {
             this.effectSystem.addEffect(node.id, ['async', 'infinite']);
-        } else {
-            this.effectSystem.addEffect(node.id, ['finite']);
+            return new AnyType();
         }
-        
-        return streamType;
+
+        this.effectSystem.addEffect(node.id, ['finite']);
+        return this.inferTypeFromLiteral(node.value);
     }
 
-    inferOperatorType(node, ast) {
+    inferOperatorType(node, inputType, parameters) {
+        const argTypes = (node.args || []).map(arg =>
+            parameters.has(arg) ? parameters.get(arg) : this.inferTypeFromLiteral(arg)
+        );
+
+        // User functions shadow library operators of the same name
+        const func = this.ast.functions?.[node.name];
+        if (func && node.type === 'FUNCTION_OPERATOR') {
+            return this.inferUserFunctionCall(func, node, inputType, argTypes);
+        }
+
         const signature = this.operatorSignatures.get(node.name);
-        if (!signature) {
-            // Unknown operator - use structural inference
-            return this.structurallyInferOperatorType(node, ast);
+        if (!signature || (signature.lensOnly && node.type !== 'LENS_OPERATOR')) {
+            // Unknown operator - unchecked
+            return new AnyType();
         }
-        
-        // Generate type constraints based on signature
-        const inputTypes = this.getInputTypes(node, ast);
-        const typeConstraints = this.generateConstraints(signature.type, inputTypes, node.args || []);
-        
-        this.constraintSolver.addConstraints(typeConstraints);
+
         this.effectSystem.addEffect(node.id, signature.effects);
-        
-        return signature.type.returnType.instantiate();
-    }
-
-    structurallyInferOperatorType(node, ast) {
-        const inputTypes = this.getInputTypes(node, ast);
-        const outputType = new TypeVariable(`T_out_${node.id}`);
-        
-        // Generate constraints based on usage patterns
-        if (node.name === 'map' && node.args && node.args.length > 0) {
-            const lensType = this.inferLensType(node.args[0]);
-            this.constraintSolver.addConstraint(
-                new Constraint(
-                    outputType,
-                    new StreamType(lensType.applyTo(inputTypes[0].elementType))
-                )
-            );
+
+        const solver = new ConstraintSolver();
+        solver.addConstraints(this.generateConstraints(signature.type, inputType, node.type === 'LENS_OPERATOR' ? [] : argTypes));
+        solver.solve();
+        this.metrics.constraintResolutions += solver.solutions.size;
+
+        solver.failures.forEach(({ constraint, index }) => {
+            const message = index === 0
+                ? `'${node.name}' expects ${constraint.right} but receives ${constraint.left}`
+                : `Argument ${index} of '${node.name}' expects ${constraint.right} but got ${constraint.left}`;
+            this.errors.add(this.diagnostic('ERROR', message, node, 'TYPE_MISMATCH', {
+                expected: String(constraint.right),
+                actual: String(constraint.left)
+            }));
+        });
+
+        return solver.resolve(signature.type.returnType);
+    }
+
+    inferUserFunctionCall(func, node, inputType, argTypes) {
+        this.calledFunctions.add(func.name);
+        if (argTypes.length !== func.parameters.length) {
+            this.errors.add(this.diagnostic('ERROR',
+                `FUNC '${func.name}' expects ${func.parameters.length} argument(s) but is called with ${argTypes.length}`,
+                node, 'ARITY'));
         }
-        
-        return outputType;
+        return this.inferFunctionCall(func, inputType, argTypes);
     }
 
-    inferLensType(lensExpression) {
-        // Complex lens type inference
-        return new FunctionType([new TypeVariable('a')], new TypeVariable('b'));
+    // Runs the body stages in order; recursion beyond `inferenceDepth` is `Any`
+    inferFunctionCall(func, inputType, argTypes) {
+        if (this.callDepth >= this.config.inferenceDepth) return new AnyType();
+
+        const parameters = new Map(func.parameters.map((param, i) =>
+            [param.name || param, argTypes[i] || new AnyType()]
+        ));
+
+        this.callDepth++;
+        try {
+            return (func.body || []).reduce((current, node) => this.inferNodeType(node, current, parameters), inputType);
+        } finally {
+            this.callDepth--;
+        }
     }
 
-    /**
-     * PHASE 3: CONSTRAINT SOLVING
-     */
-    solveConstraints() {
-        const solutions = this.constraintSolver.solve();
-        
-        solutions.forEach((type, typeVar) => {
-            this.typeEnvironment.substitute(typeVar, type);
+    inferPoolWriteType(node, inputType) {
+        const poolName = node.targetPool || node.args?.[0];
+        const poolType = this.poolTypes.get(poolName);
+
+        if (!poolType) {
+            this.errors.add(this.diagnostic('ERROR', `Pool '${poolName}' is not declared`, node, 'UNDEFINED_POOL'));
+        } else if (!new ConstraintSolver().unify(inputType, poolType)) {
+            this.errors.add(this.diagnostic('ERROR',
+                `Cannot write ${inputType} into Pool<${poolType}> '${poolName}'`,
+                node, 'TYPE_MISMATCH', { expected: String(poolType), actual: String(inputType) }));
+        }
+
+        this.effectSystem.addEffect(node.id, ['stateful']);
+        return inputType;
+    }
+
+    inferPoolReadType(node) {
+        return this.poolTypes.get(node.poolName) || new AnyType();
+    }
+
+    // Type arriving at a stage with several inputs (a MERGE after branches)
+    joinTypes(types, node) {
+        if (types.length === 0) return new AnyType();
+        const [first, ...rest] = types;
+        const compatible = rest.every(type => {
+            const solver = new ConstraintSolver();
+            return solver.unify(type, first) && solver.unify(first, type);
         });
-        
-        this.metrics.constraintResolutions = solutions.size;
+        if (compatible) return first;
+
+        this.warnings.add(this.diagnostic('WARNING',
+            `Branches merge incompatible types: ${types.map(String).join(', ')}`, node, 'BRANCH_TYPES'));
+        return new AnyType();
     }
 
     /**
-     * PHASE 4: EFFECT INFERENCE
+     * PHASE 3: EFFECT INFERENCE
      */
     inferEffects(ast) {
         // Analyze effect propagation through the dataflow graph
         ast.connections.forEach(connection => {
             const fromEffects = this.effectSystem.get(connection.from);
             const toEffects = this.effectSystem.get(connection.to);
-            
+
             // Effect propagation rules
             if (fromEffects.includes('async') && !toEffects.includes('async')) {
-                this.effectSystem.addEffect(connection.to, ['async']);
+                this.effectSystem.addEffect(connection.to, [...toEffects, 'async']);
             }
-            
+
             if (fromEffects.includes('stateful') && !toEffects.includes('stateful')) {
-                this.effectSystem.addEffect(connection.to, ['stateful']);
+                this.effectSystem.addEffect(connection.to, [...this.effectSystem.get(connection.to), 'stateful']);
             }
         });
     }
 
     /**
-     * ENTERPRISE UTILITIES
+     * PHASE 4: FINAL VALIDATION
      */
-    inferTypeFromLiteral(value) {
-        if (value === null || value === 'null') return new NullType();
-        if (value === 'true' || value === 'false') return new BooleanType();
-        if (!isNaN(value) && value.trim() !== '') return new NumberType();
-        if ((value.startsWith("'") && value.endsWith("'")) || 
-            (value.startsWith('"') && value.endsWith('"'))) return new StringType();
-        if (value.startsWith('[') && value.endsWith(']')) return new ArrayType(new TypeVariable('T'));
-        if (value.startsWith('{') && value.endsWith('}')) return new ObjectType(new Map());
-        return new TypeVariable('T');
-    }
-
-    getInputTypes(node, ast) {
-        const incomingConnections = ast.connections.filter(conn => conn.to === node.id);
-        return incomingConnections.map(conn => 
-            this.typeEnvironment.get(conn.from) || new TypeVariable('T_unknown')
-        );
+    finalValidation(ast) {
+        // Subscriptions to pools that were never declared
+        ast.nodes
+            .filter(node => node.type === 'POOL_ACCESS' && !this.poolTypes.has(node.poolName))
+            .forEach(node => {
+                this.errors.add(this.diagnostic('ERROR', `Pool '${node.poolName}' is not declared`, node, 'UNDEFINED_POOL'));
+            });
     }
 
-    generateConstraints(signatureType, inputTypes, args) {
-        const constraints = [];
-        
-        // Match input types with parameter types
-        signatureType.parameterTypes.forEach((paramType, i) => {
-            if (inputTypes[i]) {
-                constraints.push(new Constraint(inputTypes[i], paramType));
-            }
-        });
-        
-        return constraints;
+    /**
+     * ENTERPRISE UTILITIES
+     */
+    inferTypeFromLiteral(value) {
+        if (value === null || value === undefined) return new NullType();
+        if (typeof value === 'number') return new NumberType();
+        if (typeof value === 'boolean') return new BooleanType();
+
+        const text = String(value).trim();
+        if (text === 'null') return new NullType();
+        if (text === 'true' || text === 'false') return new BooleanType();
+        if (text !== '' && !isNaN(text)) return new NumberType();
+        if (/^(["'`]).*\1$/s.test(text)) return new StringType();
+        if (text.startsWith('[') && text.endsWith(']')) return new ArrayType(new AnyType());
+        if (text.startsWith('{') && text.endsWith('}')) return new ObjectType(new Map());
+        return new AnyType();
+    }
+
+    generateConstraints(signatureType, inputType, argTypes) {
+        // Input against the first parameter, arguments against the rest
+        return [inputType, ...argTypes]
+            .map((type, index) => ({ type, index, parameter: signatureType.parameterTypes[index] }))
+            .filter(({ parameter }) => parameter)
+            .map(({ type, index, parameter }) => new Constraint(type, parameter, index));
+    }
+
+    diagnostic(severity, message, node, category, typeContext = null) {
+        const error = new FluxusTypeError(message, this.filename, node?.line || 0, node?.column || 1, typeContext);
+        error.severity = severity;
+        error.category = category;
+        error.nodeId = node?.id || null;
+        error.span = node?.name && node.type !== 'MERGE' ? node.name.length : 1;
+        error.location = { line: error.line, column: error.column };
+        return error;
     }
 
     /**
@@ -473,7 +610,7 @@ export class TypeChecker {
         console.log(`   🧩 Constraints resolved: ${this.metrics.constraintResolutions}`);
         console.log(`   ❌ Errors: ${this.errors.count}`);
         console.log(`   ⚠️ Warnings: ${this.warnings.count}`);
-        console.log(`   🎯 Success rate: ${((ast.nodes.length - this.errors.count) / ast.nodes.length * 100).toFixed(1)}%`);
+        console.log(`   🎯 Success rate: ${((ast.nodes.length - this.errors.count) / (ast.nodes.length || 1) * 100).toFixed(1)}%`);
     }
 
     getMetrics(checkTime) {
@@ -489,17 +626,17 @@ export class TypeChecker {
 
     collectOptimizationHints() {
         const hints = [];
-        
+
         this.typeEnvironment.forEach((type, nodeId) => {
-            if (type instanceof StreamType && type.elementType instanceof NumberType) {
+            if (type instanceof NumberType) {
                 hints.push({ nodeId, optimization: 'numeric_stream', benefit: 'high' });
             }
-            
+
             if (this.effectSystem.get(nodeId).includes('pure')) {
                 hints.push({ nodeId, optimization: 'memoization', benefit: 'medium' });
             }
         });
-        
+
         return hints;
     }
 }
@@ -545,7 +682,6 @@ class HierarchicalSymbolTable {
 class TypeEnvironment {
     constructor() {
         this.types = new Map();
-        this.substitutions = new Map();
     }
 
     set(id, type) {
@@ -553,30 +689,28 @@ class TypeEnvironment {
     }
 
     get(id) {
-        let type = this.types.get(id);
-        while (type instanceof TypeVariable && this.substitutions.has(type.name)) {
-            type = this.substitutions.get(type.name);
-        }
-        return type;
+        return this.types.get(id);
     }
 
-    substitute(typeVar, type) {
-        this.substitutions.set(typeVar.name, type);
+    forEach(callback) {
+        this.types.forEach(callback);
     }
 
     getTypeMap() {
-        const result = new Map();
-        this.types.forEach((type, id) => {
-            result.set(id, this.get(id));
-        });
-        return result;
+        return new Map(this.types);
     }
 }
 
+/**
+ * Unification with one-way assignability: `left` is the type a stage
+ * produces, `right` the type its consumer accepts. Type variables in
+ * `right` bind on first use; `Any` on either side always unifies.
+ */
 class ConstraintSolver {
     constructor() {
         this.constraints = [];
         this.solutions = new Map();
+        this.failures = [];
     }
 
     addConstraint(constraint) {
@@ -588,24 +722,42 @@ class ConstraintSolver {
     }
 
     solve() {
-        // Implement Hindley-Milner type inference algorithm
         this.constraints.forEach(constraint => {
-            this.unify(constraint.left, constraint.right);
+            if (!this.unify(constraint.left, constraint.right)) {
+                this.failures.push({ constraint, index: constraint.index });
+            }
         });
         return this.solutions;
     }
 
-    unify(type1, type2) {
-        // Type unification algorithm
-        if (type1 instanceof TypeVariable) {
-            this.solutions.set(type1.name, type2);
-        } else if (type2 instanceof TypeVariable) {
-            this.solutions.set(type2.name, type1);
-        } else if (type1.constructor === type2.constructor) {
-            // Structural unification for complex types
-        } else {
-            throw new Error(`Type mismatch: ${type1} vs ${type2}`);
+    unify(actual, expected) {
+        if (actual instanceof StreamType) actual = actual.elementType;
+        if (expected instanceof StreamType) expected = expected.elementType;
+
+        if (actual instanceof AnyType || expected instanceof AnyType) return true;
+        if (expected instanceof TypeVariable) {
+            if (this.solutions.has(expected.name)) return this.unify(actual, this.solutions.get(expected.name));
+            this.solutions.set(expected.name, actual);
+            return true;
+        }
+        if (actual instanceof TypeVariable) return true;
+        if (actual instanceof UnionType) return actual.members.every(member => this.unify(member, expected));
+        if (expected instanceof UnionType) return expected.members.some(member => this.unify(actual, member));
+        if (actual instanceof ArrayType && expected instanceof ArrayType) {
+            return this.unify(actual.elementType, expected.elementType);
+        }
+        return actual.constructor === expected.constructor;
+    }
+
+    // Return type with the solved variables substituted; unsolved ones are `Any`
+    resolve(type) {
+        if (type instanceof TypeVariable) {
+            return this.solutions.has(type.name) ? this.solutions.get(type.name) : new AnyType();
         }
+        if (type instanceof StreamType) return this.resolve(type.elementType);
+        if (type instanceof ArrayType) return new ArrayType(this.resolve(type.elementType));
+        if (type instanceof UnionType) return new UnionType(type.members.map(member => this.resolve(member)));
+        return type;
     }
 }
 
@@ -630,10 +782,15 @@ class EffectSystem {
 class DiagnosticCollector {
     constructor() {
         this.diagnostics = [];
+        this.keys = new Set();
         this.count = 0;
     }
 
+    // A FUNC body checked at several call sites reports each problem once
     add(diagnostic) {
+        const key = `${diagnostic.line}:${diagnostic.column}:${diagnostic.message}`;
+        if (this.keys.has(key)) return;
+        this.keys.add(key);
         this.diagnostics.push(diagnostic);
         this.count++;
     }
@@ -650,7 +807,7 @@ class TypeVariable {
     constructor(name) {
         this.name = name;
     }
-    
+
     toString() { return this.name; }
 }
 
@@ -659,52 +816,89 @@ class FunctionType {
         this.parameterTypes = parameterTypes;
         this.returnType = returnType;
     }
-    
+
     instantiate() {
         return new FunctionType(
             this.parameterTypes.map(t => t instanceof TypeVariable ? new TypeVariable(t.name) : t),
             this.returnType instanceof TypeVariable ? new TypeVariable(this.returnType.name) : this.returnType
         );
     }
+
+    toString() { return `(${this.parameterTypes.join(', ')}) -> ${this.returnType}`; }
 }
 
 class StreamType {
     constructor(elementType) {
         this.elementType = elementType;
     }
+
+    toString() { return `Stream<${this.elementType}>`; }
 }
 
 class PoolType {
     constructor(elementType) {
         this.elementType = elementType;
     }
+
+    toString() { return `Pool<${this.elementType}>`; }
 }
 
-class NumberType {}
-class StringType {}
-class BooleanType {}
-class NullType {}
+class AnyType { toString() { return 'Any'; } }
+class NumberType { toString() { return 'Number'; } }
+class StringType { toString() { return 'String'; } }
+class BooleanType { toString() { return 'Boolean'; } }
+class NullType { toString() { return 'Null'; } }
 class ArrayType {
     constructor(elementType) {
         this.elementType = elementType;
     }
+
+    toString() { return this.elementType instanceof AnyType ? 'Array' : `Array<${this.elementType}>`; }
 }
 class ObjectType {
     constructor(fields) {
         this.fields = fields;
     }
+
+    toString() { return 'Object'; }
+}
+class UnionType {
+    constructor(members) {
+        this.members = members;
+    }
+
+    toString() { return this.members.join('|'); }
 }
 class ModuleType {
     constructor(name) {
         this.name = name;
     }
+
+    toString() { return `Module<${this.name}>`; }
 }
 
 class Constraint {
-    constructor(left, right) {
+    constructor(left, right, index = 0) {
         this.left = left;
         this.right = right;
+        this.index = index;
     }
 }
 
+export {
+    TypeVariable,
+    FunctionType,
+    StreamType,
+    PoolType,
+    AnyType,
+    NumberType,
+    StringType,
+    BooleanType,
+    NullType,
+    ArrayType,
+    ObjectType,
+    UnionType,
+    ModuleType
+};
+
 export default TypeChecker;
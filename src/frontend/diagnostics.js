@@ -0,0 +1,105 @@
+// FILENAME: src/frontend/diagnostics.js
+// Fluxus Diagnostics - code frames and text/JSON rendering of FluxusErrors
+
+import { inspect } from 'util';
+
+const MAX_VALUE_LENGTH = 120;
+const MAX_PATH_STEP_LENGTH = 40;
+
+/**
+ * Short single-line preview of a runtime value.
+ */
+export function truncateValue(value, maxLength = MAX_VALUE_LENGTH) {
+    const text = inspect(value, { depth: 3, breakLength: Infinity, maxArrayLength: 20, maxStringLength: maxLength, compact: true });
+    return text.length > maxLength ? `${text.slice(0, maxLength - 1)}…` : text;
+}
+
+export function truncateStep(step, maxLength = MAX_PATH_STEP_LENGTH) {
+    const text = String(step).replace(/\s+/g, ' ').trim();
+    return text.length > maxLength ? `${text.slice(0, maxLength - 1)}…` : text;
+}
+
+/**
+ * Source lines around `line` with a caret under `column`:
+ *
+ *     2 | ~ 5
+ *   > 3 | | divide(0)
+ *       |   ^^^^^^
+ */
+export function formatCodeFrame(source, line, column = 1, options = {}) {
+    const { contextLines = 2, span = 1 } = options;
+    const lines = String(source ?? '').split('\n');
+    if (!line || line < 1 || line > lines.length) return '';
+
+    const first = Math.max(1, line - contextLines);
+    const last = Math.min(lines.length, line + contextLines);
+    const gutterWidth = String(last).length;
+    const frame = [];
+
+    for (let number = first; number <= last; number++) {
+        const code = lines[number - 1].replace(/\t/g, ' ').replace(/\r$/, '');
+        const gutter = String(number).padStart(gutterWidth);
+        frame.push(`${number === line ? '>' : ' '} ${gutter} | ${code}`);
+        if (number === line) {
+            const caretColumn = Math.max(1, Math.min(column || 1, code.length + 1));
+            const width = Math.max(1, Math.min(span, code.length - caretColumn + 1));
+            frame.push(`  ${' '.repeat(gutterWidth)} | ${' '.repeat(caretColumn - 1)}${'^'.repeat(width)}`);
+        }
+    }
+
+    return frame.join('\n');
+}
+
+/**
+ * Human-readable diagnostic: location, code frame and, for runtime errors,
+ * the pipeline path and the offending input.
+ */
+export function formatDiagnostic(error, source = null) {
+    const icon = error.severity === 'WARNING' ? '⚠️' : '❌';
+    const lines = [`${icon} ${error.name || 'Error'}: ${error.message}`];
+
+    if (error.isFluxusError) {
+        lines.push(`   at ${error.filename}:${error.line}:${error.column}`);
+        const frame = source !== null ? formatCodeFrame(source, error.line, error.column, { span: error.span }) : '';
+        if (frame) lines.push(frame);
+    }
+
+    if (error.path?.length) {
+        lines.push(`   path: ${error.path.map(step => truncateStep(step)).join(' → ')}`);
+    }
+    if (error.phase === 'runtime' && 'input' in error) {
+        lines.push(`   input: ${truncateValue(error.input)}`);
+    }
+    if (error.functionStack?.length) {
+        lines.push(`   in FUNC: ${error.functionStack.join(' → ')}`);
+    }
+
+    return lines.join('\n');
+}
+
+/**
+ * Machine-readable diagnostic (`--error-format=json`), one object per error.
+ */
+export function diagnosticToJSON(error) {
+    const diagnostic = {
+        type: error.name || 'Error',
+        phase: error.phase || 'runtime',
+        message: error.message,
+        file: error.filename ?? null,
+        line: error.line ?? null,
+        column: error.column ?? null
+    };
+    if (error.severity) diagnostic.severity = error.severity.toLowerCase();
+
+    if (error.phase === 'runtime') {
+        diagnostic.operator = error.operator ?? null;
+        diagnostic.nodeId = error.nodeId ?? null;
+        diagnostic.path = (error.path || []).map(step => truncateStep(step));
+        diagnostic.input = 'input' in error ? truncateValue(error.input) : null;
+        if (error.functionStack?.length) diagnostic.functionStack = error.functionStack;
+    }
+
+    return diagnostic;
+}
+
+export default { formatCodeFrame, formatDiagnostic, diagnosticToJSON, truncateValue, truncateStep };
@@ -86,6 +86,51 @@ export class SemanticError extends FluxusError {
     }
 }
 
+/**
+ * Runtime Errors mapped back to the node that failed
+ *
+ * `path` lists the pipeline stages taken up to the failing one and `input`
+ * is the value that stage received.
+ */
+export class RuntimeError extends FluxusError {
+    constructor(message, filename, line, column, details = {}) {
+        super(message, filename, line, column);
+        this.phase = 'runtime';
+        this.nodeId = details.nodeId || null;
+        this.operator = details.operator || null;
+        this.span = details.span || 1;
+        this.path = details.path || [];
+        this.input = details.input;
+        this.functionStack = details.functionStack || [];
+        this.cause = details.cause;
+    }
+
+    toJSON() {
+        return {
+            ...super.toJSON(),
+            phase: this.phase,
+            nodeId: this.nodeId,
+            operator: this.operator,
+            path: this.path,
+            functionStack: this.functionStack
+        };
+    }
+}
+
+/**
+ * Failed `expect_*` assertion in a .test.flux file
+ */
+export class AssertionError extends FluxusError {
+    constructor(message, filename, line, column, details = {}) {
+        super(message, filename, line, column);
+        this.phase = 'test';
+        this.operator = details.operator || null;
+        this.span = details.operator ? details.operator.length : 1;
+        this.expected = details.expected;
+        this.actual = details.actual;
+    }
+}
+
 /**
  * Error Recovery and Reporting System
  */
@@ -266,6 +311,8 @@ export default {
     SyntaxError,
     TypeError,
     SemanticError,
+    RuntimeError,
+    AssertionError,
     ErrorReporter,
     ErrorFactory,
     RecoveryStrategies
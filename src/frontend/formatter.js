@@ -0,0 +1,370 @@
+// FILENAME: src/frontend/formatter.js
+// Fluxus Formatter - canonical layout for .flux source through the token frontend
+
+import { Scanner } from './lexer/scanner.js';
+import { Parser } from './parser/parser.js';
+import { FluxusError } from './errors.js';
+
+const OPENERS = new Set(['LPAREN', 'LBRACKET', 'LBRACE']);
+const CLOSERS = new Set(['RPAREN', 'RBRACKET', 'RBRACE']);
+const WORDS = new Set(['IDENTIFIER', 'NUMBER', 'STRING', 'TEMPLATE_STRING', 'TRUE', 'FALSE', 'NULL']);
+const BINARY = new Set([
+    'PLUS', 'MINUS', 'STAR', 'SLASH', 'PERCENT',
+    'EQUAL', 'EQUAL_EQUAL', 'EQUAL_EQUAL_EQUAL', 'BANG_EQUAL', 'BANG_EQUAL_EQUAL',
+    'LESS', 'LESS_EQUAL', 'GREATER', 'GREATER_EQUAL',
+    'AND', 'OR', 'BIT_AND', 'QUESTION',
+    'ARROW', 'FAT_ARROW', 'LEFT_ARROW', 'PIPE', 'POOL_OPERATOR',
+    'PLUS_EQUAL', 'MINUS_EQUAL', 'STAR_EQUAL', 'SLASH_EQUAL', 'NULLISH'
+]);
+// Dots keep their source spacing: `.score`, `a?.b`, `...rest`, but `. * 2`
+const MEMBER = new Set(['DOT', 'OPTIONAL_DOT']);
+const UNARY = new Set(['MINUS', 'PLUS', 'BANG']);
+
+/**
+ * Reprints a program in canonical form:
+ *
+ *   FLOW ui
+ *
+ *   let total = <|> { count: 0, items: [] }
+ *
+ *   FUNC bonus(rate):
+ *       | multiply(rate)
+ *
+ *   ~ [1, 2, 3]
+ *       | map { . * 2 } # trailing comments stay on their line
+ *
+ *       # so do comments and blank lines between stages
+ *       | to_pool(total)
+ *
+ *   total -> print()
+ *
+ * Every stage goes on its own indented `|` line, flow markers included
+ * (TEST bodies one level under TEST). Values (sources, arguments,
+ * initializers, lens bodies) are respaced token by token, lens blocks on
+ * one line. A value or stage with a comment inside is kept as written, so
+ * the comment stays where it was. Comments before a line stay above it,
+ * `//` comments become `#`, and runs of blank lines are kept up to two.
+ * Formatting is idempotent.
+ *
+ * `format(source)` returns the formatted text, or null when the source has
+ * syntax errors (kept on `formatter.errors`).
+ */
+export class Formatter {
+    constructor(options = {}) {
+        this.filename = options.filename || '<anonymous>';
+        this.indentUnit = ' '.repeat(options.indentWidth || 4);
+        this.errors = [];
+    }
+
+    format(source) {
+        const scanned = new Scanner(source, this.filename).scanTokens();
+        const parsed = new Parser(scanned.tokens, this.filename).parse();
+        this.errors = [...scanned.errors, ...parsed.errors];
+        if (this.errors.length > 0) return null;
+
+        this.source = source;
+        this.sourceLines = source.split('\n');
+        this.tokens = scanned.tokens;
+        this.comments = scanned.comments;
+        this.nextComment = 0;
+        this.lastLine = 0;
+        this.output = [];
+
+        const statements = parsed.ast.statements;
+        statements.forEach((statement, index) => {
+            this.statement(statement, statements[index + 1]?.location.start ?? Infinity);
+        });
+        this.flushComments(Infinity, 0);
+
+        while (this.output.length > 0 && this.output[this.output.length - 1] === '') this.output.pop();
+        const formatted = this.output.length > 0 ? `${this.output.join('\n')}\n` : '';
+
+        this.verify(parsed.ast, formatted);
+        return this.errors.length > 0 ? null : formatted;
+    }
+
+    // ==================== STATEMENTS ====================
+
+    statement(statement, nextStart, depth = 0) {
+        switch (statement.type) {
+            case 'ImportDeclaration':
+                this.unit(statement.location.start, nextStart, `FLOW ${statement.library}`, depth);
+                break;
+
+            case 'PoolDeclaration': {
+                const initializer = statement.initializer ? ` ${this.valueText(statement.initializer.location.start, nextStart)}` : '';
+                this.unit(statement.location.start, nextStart, `let ${statement.name} = <|>${initializer}`, depth);
+                break;
+            }
+
+            case 'FunctionDeclaration': {
+                const parameters = statement.parameters.map(parameter => parameter.name).join(', ');
+                this.staged(statement, `FUNC ${statement.name}(${parameters}):`, statement.body, nextStart, depth);
+                break;
+            }
+
+            case 'Pipeline': {
+                const source = this.valueText(statement.source.location.start, this.stageStart(statement.stages, 0, nextStart));
+                this.staged(statement, `${statement.source.live ? '~?' : '~'} ${source}`, statement.stages, nextStart, depth);
+                break;
+            }
+
+            case 'Subscription': {
+                // The first stage stays on the `pool ->` line
+                const [first, ...rest] = statement.stages;
+                const firstText = first ? ` ${this.stageText(statement.stages, 0, nextStart)}` : '';
+                this.staged(statement, `${statement.pool} ->${firstText}`, rest, nextStart, depth);
+                break;
+            }
+
+            case 'TestDeclaration': {
+                const body = statement.statements;
+                this.unit(statement.location.start, this.stageStart(body, 0, nextStart), `TEST ${statement.text}:`, depth);
+                body.forEach((inner, index) => this.statement(inner, this.stageStart(body, index + 1, nextStart), depth + 1));
+                break;
+            }
+        }
+    }
+
+    // A header line, then every stage on its own `|` line one level under it
+    staged(statement, header, stages, nextStart, depth) {
+        this.unit(statement.location.start, this.stageStart(stages, 0, nextStart), header, depth);
+        stages.forEach((stage, index) => {
+            this.unit(stage.location.start, this.stageStart(stages, index + 1, nextStart), `| ${this.stageText(stages, index, nextStart)}`, depth + 1);
+        });
+    }
+
+    stageStart(stages, index, fallback) {
+        return index < stages.length ? stages[index].location.start : fallback;
+    }
+
+    stageText(stages, index, fallback) {
+        const stage = stages[index];
+        const nextStart = this.stageStart(stages, index + 1, fallback);
+        if (this.holdsComments(stage.location.start, nextStart)) return this.sourceText(stage.location.start, nextStart);
+
+        switch (stage.type) {
+            case 'LensOperator':
+                return stage.body ? `${stage.name} { ${this.printValue(stage.body)} }` : `${stage.name} {}`;
+            case 'FlowMarker':
+                return stage.flow === 'CASE_FLOW' ? `CASE ${this.printValue(stage.text.slice('CASE '.length))}` : stage.text;
+            default:
+                return this.printValue(stage.text);
+        }
+    }
+
+    // A value respaced, or as written when a comment sits inside it
+    valueText(start, nextStart) {
+        const text = this.sourceText(start, nextStart);
+        return this.holdsComments(start, nextStart) ? text : this.printValue(text);
+    }
+
+    // A comment between the first and the last token of [start, nextStart)
+    holdsComments(start, nextStart) {
+        return this.hasComments(start, this.unitEnd(start, nextStart).end);
+    }
+
+    /**
+     * The source of the tokens in [start, nextStart) as written, up to the
+     * end of the last one: inner line breaks and comments stay, trailing
+     * whitespace on each line goes.
+     */
+    sourceText(start, nextStart) {
+        const { end } = this.unitEnd(start, nextStart);
+        return this.source.slice(start, end).split('\n').map(line => line.replace(/\s+$/, '')).join('\n');
+    }
+
+    // ==================== LINES AND COMMENTS ====================
+
+    /**
+     * One output line for the tokens in [start, nextStart): comments before
+     * it go on their own lines above, comments inside it are part of its
+     * text, and a comment after its last token on the same source line
+     * stays at the end of the line.
+     */
+    unit(start, nextStart, text, depth) {
+        const { end, line } = this.unitEnd(start, nextStart);
+        this.flushComments(start, depth);
+        this.blankLineBefore(this.lineOf(start));
+        while (this.nextComment < this.comments.length && this.comments[this.nextComment].start < end) this.nextComment++;
+        const body = this.shiftContinuation(text, depth, this.lineOf(start));
+        this.output.push(`${this.indent(depth)}${body}${this.trailingComment(line, end, nextStart)}`);
+    }
+
+    // Continuation lines move by as much as the unit's first line did
+    shiftContinuation(text, depth, line) {
+        const [first, ...rest] = text.split('\n');
+        if (rest.length === 0) return text;
+        const shift = this.indent(depth).length - this.sourceLines[line - 1].match(/^[ \t]*/)[0].length;
+        const moved = rest.map(continuation => {
+            if (continuation === '' || shift === 0) return continuation;
+            if (shift > 0) return `${' '.repeat(shift)}${continuation}`;
+            const removable = continuation.match(/^ */)[0].length;
+            return continuation.slice(Math.min(removable, -shift));
+        });
+        return [first, ...moved].join('\n');
+    }
+
+    trailingComment(line, end, nextStart) {
+        const comment = this.comments[this.nextComment];
+        if (!comment || comment.line !== line || comment.start < end || comment.start >= nextStart) return '';
+        this.nextComment++;
+        return ` ${this.commentText(comment)}`;
+    }
+
+    // Offset after and line of the last token of a unit
+    unitEnd(start, nextStart) {
+        let last = null;
+        for (const token of this.tokens) {
+            if (token.start < start) continue;
+            if (token.start >= nextStart || token.type === 'EOF') break;
+            if (token.type === 'NEWLINE' || token.type === 'PIPE' || token.type === 'END') continue;
+            last = token;
+        }
+        return last ? { end: last.end, line: last.line } : { end: start, line: this.lineOf(start) };
+    }
+
+    flushComments(before, depth) {
+        while (this.nextComment < this.comments.length && this.comments[this.nextComment].start < before) {
+            const comment = this.comments[this.nextComment++];
+            this.blankLineBefore(comment.line);
+            this.output.push(`${this.indent(depth)}${this.commentText(comment)}`);
+        }
+    }
+
+    hasComments(start, end) {
+        return this.comments.some(comment => comment.start >= start && comment.start < end);
+    }
+
+    commentText(comment) {
+        const text = comment.text.replace(/\s+$/, '');
+        return comment.type === 'LINE_COMMENT' && text.startsWith('//') ? `#${text.slice(2)}` : text;
+    }
+
+    // Keeps the blank lines the source had before a line, two at most
+    blankLineBefore(line) {
+        if (line <= this.lastLine) return;
+        this.lastLine = line;
+        let blank = 0;
+        while (blank < 2 && this.sourceLines[line - 2 - blank]?.trim() === '') blank++;
+        if (this.output.length === 0) return;
+        while (blank-- > 0) this.output.push('');
+    }
+
+    lineOf(offset) {
+        const token = this.tokens.find(candidate => candidate.start >= offset);
+        return token ? token.line : this.sourceLines.length;
+    }
+
+    indent(depth) {
+        return this.indentUnit.repeat(depth);
+    }
+
+    // ==================== VALUES ====================
+
+    /**
+     * Canonical spacing for a value's tokens: `{ key: value }`, `[a, b]`,
+     * `f(x, key: y)`, spaces around binary operators, none after unary ones.
+     * A colon is a key's unless it closes a `?` of the same bracket.
+     */
+    printValue(text) {
+        const tokens = this.valueTokens(text);
+        const frames = [{ ternaries: 0 }];
+        let output = '';
+        let previous = null;
+
+        for (const token of tokens) {
+            const frame = frames[frames.length - 1];
+            const role = token.type !== 'COLON' ? token.type : frame.ternaries === 0 ? 'KEY_COLON' : 'TERNARY_COLON';
+            const unary = UNARY.has(token.type) && (token.type === 'BANG' || this.startsOperand(previous));
+
+            output += this.gap(previous, token, role) + token.lexeme;
+
+            if (token.type === 'QUESTION') frame.ternaries++;
+            if (role === 'TERNARY_COLON') frame.ternaries--;
+            if (OPENERS.has(token.type)) frames.push({ ternaries: 0 });
+            if (CLOSERS.has(token.type) && frames.length > 1) frames.pop();
+            previous = { ...token, role, unary };
+        }
+        return output;
+    }
+
+    // Value tokens with `?.` and `??` joined into one token each
+    valueTokens(text) {
+        const tokens = [];
+        for (const token of new Scanner(text, this.filename).scanTokens().tokens) {
+            if (token.type === 'EOF' || token.type === 'NEWLINE') continue;
+            const previous = tokens[tokens.length - 1];
+            if (previous?.type === 'QUESTION' && previous.end === token.start && (token.type === 'DOT' || token.type === 'QUESTION')) {
+                tokens[tokens.length - 1] = {
+                    ...previous,
+                    type: token.type === 'DOT' ? 'OPTIONAL_DOT' : 'NULLISH',
+                    lexeme: `?${token.lexeme}`,
+                    end: token.end
+                };
+                continue;
+            }
+            tokens.push(token);
+        }
+        return tokens;
+    }
+
+    gap(previous, token, role) {
+        if (!previous) return '';
+        const adjacent = token.start === previous.end;
+
+        if (token.type === 'COMMA' || token.type === 'SEMICOLON') return '';
+        if (token.type === 'RPAREN' || token.type === 'RBRACKET') return '';
+        if (token.type === 'RBRACE') return previous.type === 'LBRACE' ? '' : ' ';
+        if (previous.type === 'LPAREN' || previous.type === 'LBRACKET') return '';
+        if (previous.type === 'LBRACE' || previous.type === 'COMMA' || previous.type === 'SEMICOLON') return ' ';
+        if (role === 'KEY_COLON') return '';
+        if (role === 'TERNARY_COLON' || previous.role === 'KEY_COLON' || previous.role === 'TERNARY_COLON') return ' ';
+        if (MEMBER.has(token.type) || MEMBER.has(previous.type)) return adjacent ? '' : ' ';
+        if (previous.unary) return '';
+        if ((token.type === 'LPAREN' || token.type === 'LBRACKET') &&
+            (WORDS.has(previous.type) || previous.type === 'RPAREN' || previous.type === 'RBRACKET')) return '';
+        if (BINARY.has(token.type) || BINARY.has(previous.type)) return ' ';
+        return adjacent ? '' : ' ';
+    }
+
+    // Unary operators start an operand: at the start or after an operator, opener or separator
+    startsOperand(previous) {
+        return !previous || OPENERS.has(previous.type) || BINARY.has(previous.type) || previous.unary ||
+            ['COMMA', 'SEMICOLON', 'COLON'].includes(previous.type);
+    }
+
+    // ==================== SAFETY ====================
+
+    // The formatted program must parse to the same syntax tree, layout aside
+    verify(program, formatted) {
+        const scanned = new Scanner(formatted, this.filename).scanTokens();
+        const reparsed = new Parser(scanned.tokens, this.filename).parse();
+        const same = scanned.errors.length === 0 && reparsed.errors.length === 0 &&
+            JSON.stringify(withoutLayout(program)) === JSON.stringify(withoutLayout(reparsed.ast));
+        if (!same) {
+            this.errors.push(new FluxusError('Formatting would change the meaning of this file; it was left unchanged', this.filename, 1, 1));
+        }
+    }
+}
+
+/**
+ * A syntax tree without its `location` fields and with whitespace removed
+ * from its source texts, for comparing programs that differ only in layout.
+ */
+export function withoutLayout(node) {
+    if (typeof node === 'string') return node.replace(/\s+/g, '');
+    if (Array.isArray(node)) return node.map(withoutLayout);
+    if (!node || typeof node !== 'object') return node;
+    return Object.fromEntries(Object.entries(node)
+        .filter(([key]) => key !== 'location')
+        .map(([key, value]) => [key, withoutLayout(value)]));
+}
+
+export function formatSource(source, options = {}) {
+    const formatter = new Formatter(options);
+    const formatted = formatter.format(source);
+    return { formatted, errors: formatter.errors, changed: formatted !== null && formatted !== source };
+}
+
+export default Formatter;
@@ -0,0 +1,78 @@
+// FILENAME: src/frontend/index.js
+// Fluxus Frontend - scanner, parser and graph lowering behind the GraphParser interface
+
+import { Scanner } from './lexer/scanner.js';
+import { Parser } from './parser/parser.js';
+import { GraphBuilder } from './parser/graph-builder.js';
+import { GraphParser } from '../core/parser.js';
+import { formatCodeFrame, diagnosticToJSON } from './diagnostics.js';
+import { Formatter } from './formatter.js';
+
+/**
+ * Drop-in replacement for GraphParser: `parse(source)` returns the graph
+ * AST. Lexer, syntax and lowering errors are reported like GraphParser
+ * reports its line errors and parsing continues past them; they are also
+ * kept on `parser.errors` and `ast.metadata.errors`.
+ */
+export class FluxusParser {
+    constructor(options = {}) {
+        this.filename = options.filename || '<anonymous>';
+        this.quiet = options.quiet || false;
+        this.errorFormat = options.errorFormat || 'text';
+        this.debugMode = process.env.FLUXUS_PARSER_DEBUG === 'true';
+        this.errors = [];
+        this.warnings = [];
+        this.syntaxTree = null;
+    }
+
+    parse(sourceCode) {
+        const scanned = new Scanner(sourceCode, this.filename).scanTokens();
+        const parsed = new Parser(scanned.tokens, this.filename).parse();
+        const builder = new GraphBuilder({ filename: this.filename });
+        const ast = builder.build(parsed.ast, sourceCode.split('\n').length);
+
+        this.syntaxTree = parsed.ast;
+        this.errors = [...scanned.errors, ...parsed.errors, ...builder.errors]
+            .sort((a, b) => a.line - b.line || a.column - b.column);
+        this.warnings = builder.warnings;
+
+        ast.metadata.errors = this.errors;
+        ast.metadata.parserMetrics.errors = this.errors.length;
+
+        if (!this.quiet) this.report(sourceCode);
+        if (this.debugMode) {
+            const summary = new GraphParser();
+            summary.metrics = ast.metadata.parserMetrics;
+            summary.printProductionSummary(ast);
+        }
+
+        return ast;
+    }
+
+    // Text reports carry a code frame; `errorFormat: 'json'` prints one JSON object per line
+    report(sourceCode) {
+        if (this.errorFormat === 'json') {
+            for (const error of this.errors) console.error(JSON.stringify(diagnosticToJSON(error)));
+            return;
+        }
+        for (const warning of this.warnings) {
+            console.log(`⚠️ [Line ${warning.line}] ${warning.message}`);
+        }
+        for (const error of this.errors) {
+            console.error(`❌ [Line ${error.line}:${error.column}] Parse Error: ${error.message}`);
+            const frame = formatCodeFrame(sourceCode, error.line, error.column, { contextLines: 0 });
+            if (frame) console.error(frame);
+        }
+    }
+}
+
+/**
+ * Parser used by the CLI: the token frontend, or GraphParser when
+ * `legacy` is set (`--legacy-parser`).
+ */
+export function createParser(options = {}) {
+    return options.legacy ? new GraphParser() : new FluxusParser(options);
+}
+
+export { Scanner, Parser, GraphBuilder, Formatter };
+export default FluxusParser;
@@ -1,82 +1,107 @@
-// Production Lexer with Unicode & Comprehensive Error Recovery
+// FILENAME: src/frontend/lexer/scanner.js
+// Fluxus Lexer - tokens with source offsets, line/column and error recovery
 import { LexerError } from '../errors.js';
 
+/**
+ * Tokens carry `start`/`end` source offsets so the parser can hand raw
+ * source text (operator arguments, lens bodies, pool initializers) to the
+ * runtime unchanged. Newlines are significant (they end statements) and are
+ * emitted as a single NEWLINE token per run of blank or comment-only lines.
+ * Indentation is not tokenized; the parser reads it from token columns.
+ * Comments are not tokens either; they are kept on `comments` for tools
+ * that reproduce source (the formatter).
+ */
 export class Scanner {
     constructor(source, filename = '<anonymous>') {
         this.source = source;
         this.filename = filename;
         this.tokens = [];
+        this.comments = [];
         this.errors = [];
-        
+
         // Scanning state
         this.start = 0;
         this.current = 0;
         this.line = 1;
         this.column = 1;
-        this.indentation = [0]; // For Python-style indentation tracking
-        
-        // Context tracking
-        this.inTemplate = false;
-        this.braceDepth = 0;
-        this.parenDepth = 0;
+        this.startLine = 1;
+        this.startColumn = 1;
     }
 
     scanTokens() {
         try {
             while (!this.isAtEnd()) {
                 this.start = this.current;
+                this.startLine = this.line;
+                this.startColumn = this.column;
                 this.scanToken();
             }
-            
+
             // Add final tokens
+            this.start = this.current;
+            this.startLine = this.line;
+            this.startColumn = this.column;
             this.addToken('EOF', null);
-            
+
             return {
                 tokens: this.tokens,
+                comments: this.comments,
                 errors: this.errors,
                 hasErrors: this.errors.length > 0
             };
-            
+
         } catch (error) {
             this.error(`Lexer crashed: ${error.message}`);
-            return { tokens: [], errors: this.errors, hasErrors: true };
+            return { tokens: [], comments: this.comments, errors: this.errors, hasErrors: true };
         }
     }
 
     scanToken() {
         const char = this.advance();
-        
+
         switch (char) {
             // Single-character tokens
-            case '~': 
+            case '~':
                 this.addToken(this.match('?') ? 'STREAM_LIVE' : 'STREAM_FINITE');
                 break;
-            case '|': this.addToken('PIPE'); break;
-            case '(': this.addToken('LPAREN'); this.parenDepth++; break;
-            case ')': this.addToken('RPAREN'); this.parenDepth--; break;
-            case '{': this.addToken('LBRACE'); this.braceDepth++; break;
-            case '}': this.addToken('RBRACE'); this.braceDepth--; break;
+            case '(': this.addToken('LPAREN'); break;
+            case ')': this.addToken('RPAREN'); break;
+            case '{': this.addToken('LBRACE'); break;
+            case '}': this.addToken('RBRACE'); break;
             case '[': this.addToken('LBRACKET'); break;
             case ']': this.addToken('RBRACKET'); break;
             case ',': this.addToken('COMMA'); break;
             case '.': this.addToken('DOT'); break;
             case ':': this.addToken('COLON'); break;
             case ';': this.addToken('SEMICOLON'); break;
-            
+            case '?': this.addToken('QUESTION'); break;
+            case '%': this.addToken('PERCENT'); break;
+
             // Multi-character tokens
+            case '|':
+                this.addToken(this.match('|') ? 'OR' : 'PIPE');
+                break;
             case '=':
-                this.addToken(this.match('=') ? 'EQUAL_EQUAL' : 'EQUAL');
+                if (this.match('=')) {
+                    this.addToken(this.match('=') ? 'EQUAL_EQUAL_EQUAL' : 'EQUAL_EQUAL');
+                } else {
+                    this.addToken(this.match('>') ? 'FAT_ARROW' : 'EQUAL');
+                }
                 break;
             case '!':
-                this.addToken(this.match('=') ? 'BANG_EQUAL' : 'BANG');
+                if (this.match('=')) {
+                    this.addToken(this.match('=') ? 'BANG_EQUAL_EQUAL' : 'BANG_EQUAL');
+                } else {
+                    this.addToken('BANG');
+                }
                 break;
             case '<':
-                if (this.match('|')) {
-                    if (this.match('>')) {
-                        this.addToken('POOL_OPERATOR');
-                    } else {
-                        this.error('Expected ">" after "<|"');
-                    }
+                if (this.peek() === '|' && this.peekNext() === '>') {
+                    this.advance();
+                    this.advance();
+                    this.addToken('POOL_OPERATOR');
+                } else if (this.match('-')) {
+                    this.addToken('LEFT_ARROW');
                 } else {
                     this.addToken(this.match('=') ? 'LESS_EQUAL' : 'LESS');
                 }
@@ -87,50 +112,52 @@ export class Scanner {
             case '&':
                 this.addToken(this.match('&') ? 'AND' : 'BIT_AND');
                 break;
-            case '|':
-                this.addToken(this.match('|') ? 'OR' : 'BIT_OR');
-                break;
             case '+':
                 this.addToken(this.match('=') ? 'PLUS_EQUAL' : 'PLUS');
                 break;
             case '-':
-                this.addToken(this.match('=') ? 'MINUS_EQUAL' : 'MINUS');
+                if (this.match('>')) {
+                    this.addToken('ARROW');
+                } else {
+                    this.addToken(this.match('=') ? 'MINUS_EQUAL' : 'MINUS');
+                }
                 break;
             case '*':
                 this.addToken(this.match('=') ? 'STAR_EQUAL' : 'STAR');
                 break;
+            case '#':
+                this.lineComment();
+                break;
             case '/':
                 if (this.match('/')) {
-                    // Line comment
-                    while (this.peek() !== '\n' && !this.isAtEnd()) this.advance();
+                    this.lineComment();
                 } else if (this.match('*')) {
-                    // Block comment
                     this.blockComment();
                 } else {
                     this.addToken(this.match('=') ? 'SLASH_EQUAL' : 'SLASH');
                 }
                 break;
-                
+
             // Whitespace
             case ' ':
             case '\r':
             case '\t':
                 break;
-                
+
             case '\n':
-                this.handleNewline();
+                this.newline();
                 break;
-                
+
             // String literals
             case '"':
             case "'":
                 this.string(char);
                 break;
-                
+
             case '`':
                 this.templateString();
                 break;
-                
+
             // Numbers
             default:
                 if (this.isDigit(char)) {
@@ -147,7 +174,7 @@ export class Scanner {
     // Token production methods
     identifier() {
         while (this.isAlphaNumeric(this.peek())) this.advance();
-        
+
         const text = this.source.substring(this.start, this.current);
         const type = KEYWORDS.get(text) || 'IDENTIFIER';
         this.addToken(type);
@@ -164,7 +191,9 @@ export class Scanner {
         }
 
         // Scientific notation
-        if (this.peek().toLowerCase() === 'e') {
+        const next = this.peekNext();
+        if (this.peek().toLowerCase() === 'e' &&
+            (this.isDigit(next) || ((next === '+' || next === '-') && this.isDigit(this.source[this.current + 2] || '')))) {
             this.advance(); // Consume 'e'
             if (this.peek() === '+' || this.peek() === '-') {
                 this.advance(); // Consume sign
@@ -177,15 +206,15 @@ export class Scanner {
     }
 
     string(quote) {
+        let value = '';
+
         while (this.peek() !== quote && !this.isAtEnd()) {
-            if (this.peek() === '\n') {
-                this.line++;
-                this.column = 1;
-            } else if (this.peek() === '\\') {
+            if (this.peek() === '\\') {
                 this.advance(); // Consume backslash
-                this.escapeSequence();
+                value += this.escapeSequence();
+            } else {
+                value += this.advance();
             }
-            this.advance();
         }
 
         if (this.isAtEnd()) {
@@ -194,29 +223,13 @@ export class Scanner {
         }
 
         this.advance(); // Closing quote
-        
-        // Extract string value (without quotes)
-        const value = this.source.substring(this.start + 1, this.current - 1);
         this.addToken('STRING', value);
     }
 
+    // Template strings are kept whole; `${...}` is interpreted by the runtime
     templateString() {
-        this.inTemplate = true;
-        
-        while ((this.peek() !== '`' || this.peekPrevious() === '\\') && !this.isAtEnd()) {
-            if (this.peek() === '\n') {
-                this.line++;
-                this.column = 1;
-            } else if (this.peek() === '$' && this.peekNext() === '{') {
-                // Template interpolation
-                this.advance(); // Consume '$'
-                this.advance(); // Consume '{'
-                this.addToken('TEMPLATE_START');
-                return; // Return to scan expression
-            } else if (this.peek() === '\\') {
-                this.advance(); // Consume backslash
-                this.escapeSequence();
-            }
+        while (this.peek() !== '`' && !this.isAtEnd()) {
+            if (this.peek() === '\\') this.advance();
             this.advance();
         }
 
@@ -226,20 +239,20 @@ export class Scanner {
         }
 
         this.advance(); // Closing backtick
-        this.inTemplate = false;
-        
         const value = this.source.substring(this.start + 1, this.current - 1);
         this.addToken('TEMPLATE_STRING', value);
     }
 
+    lineComment() {
+        while (this.peek() !== '\n' && !this.isAtEnd()) this.advance();
+        this.addComment('LINE_COMMENT');
+    }
+
     blockComment() {
         let depth = 1;
-        
+
         while (depth > 0 && !this.isAtEnd()) {
-            if (this.peek() === '\n') {
-                this.line++;
-                this.column = 1;
-            } else if (this.peek() === '/' && this.peekNext() === '*') {
+            if (this.peek() === '/' && this.peekNext() === '*') {
                 this.advance(); // Consume '/'
                 this.advance(); // Consume '*'
                 depth++;
@@ -254,116 +267,100 @@ export class Scanner {
 
         if (depth > 0) {
             this.error('Unterminated block comment');
+            return;
         }
+        this.addComment('BLOCK_COMMENT');
     }
 
+    // Returns the decoded character; the caller has consumed the backslash
     escapeSequence() {
-        const escapeChar = this.peek();
+        if (this.isAtEnd()) return '';
+        const escapeChar = this.advance();
         switch (escapeChar) {
-            case 'n': case 'r': case 't': case '\\': case '"': case "'": case '`':
-                this.advance();
-                break;
-            case 'u':
-                // Unicode escape
-                this.advance();
-                for (let i = 0; i < 4; i++) {
-                    if (!this.isHexDigit(this.peek())) {
-                        this.error('Invalid Unicode escape sequence');
-                        break;
-                    }
-                    this.advance();
+            case 'n': return '\n';
+            case 'r': return '\r';
+            case 't': return '\t';
+            case '0': return '\0';
+            case 'u': {
+                const digits = this.source.substr(this.current, 4);
+                if (!/^[0-9a-fA-F]{4}$/.test(digits)) {
+                    this.error('Invalid Unicode escape sequence');
+                    return '';
                 }
-                break;
+                for (let i = 0; i < 4; i++) this.advance();
+                return String.fromCharCode(parseInt(digits, 16));
+            }
             default:
-                this.error(`Invalid escape sequence: \\${escapeChar}`);
-                break;
+                // \\, \", \', \` and any other escaped character stand for themselves
+                return escapeChar;
         }
     }
 
-    handleNewline() {
-        this.line++;
-        this.column = 1;
-        
-        // Handle indentation (Python-style)
-        let indent = 0;
-        while (this.peek() === ' ' && !this.isAtEnd()) {
-            this.advance();
-            indent++;
-        }
-        
-        if (this.peek() === '\t') {
-            this.error('Tabs are not allowed for indentation');
-        }
-        
-        const currentIndent = this.indentation[this.indentation.length - 1];
-        if (indent > currentIndent) {
-            this.addToken('INDENT');
-            this.indentation.push(indent);
-        } else if (indent < currentIndent) {
-            while (this.indentation.length > 1 && this.indentation[this.indentation.length - 1] > indent) {
-                this.addToken('DEDENT');
-                this.indentation.pop();
-            }
-            if (this.indentation[this.indentation.length - 1] !== indent) {
-                this.error('Indentation mismatch');
-            }
+    newline() {
+        const last = this.tokens[this.tokens.length - 1];
+        if (last && last.type !== 'NEWLINE') {
+            this.addToken('NEWLINE');
         }
     }
 
     // Utility methods
     isAtEnd() { return this.current >= this.source.length; }
-    advance() { 
-        this.column++;
-        return this.source[this.current++]; 
+    advance() {
+        const char = this.source[this.current++];
+        if (char === '\n') {
+            this.line++;
+            this.column = 1;
+        } else {
+            this.column++;
+        }
+        return char;
     }
     peek() { return this.isAtEnd() ? '\0' : this.source[this.current]; }
     peekNext() { return this.current + 1 >= this.source.length ? '\0' : this.source[this.current + 1]; }
-    peekPrevious() { return this.current === 0 ? '\0' : this.source[this.current - 1]; }
-    
+
     match(expected) {
         if (this.isAtEnd() || this.source[this.current] !== expected) return false;
-        this.current++;
-        this.column++;
+        this.advance();
         return true;
     }
-    
+
     isDigit(char) { return char >= '0' && char <= '9'; }
-    isAlpha(char) { 
-        return (char >= 'a' && char <= 'z') || 
-               (char >= 'A' && char <= 'Z') || 
-               char === '_' || 
+    isAlpha(char) {
+        return (char >= 'a' && char <= 'z') ||
+               (char >= 'A' && char <= 'Z') ||
+               char === '_' ||
                char === '$' ||
                (char.charCodeAt(0) > 127); // Unicode identifiers
     }
     isAlphaNumeric(char) { return this.isAlpha(char) || this.isDigit(char); }
-    isHexDigit(char) {
-        return (char >= '0' && char <= '9') ||
-               (char >= 'a' && char <= 'f') ||
-               (char >= 'A' && char <= 'F');
-    }
 
     addToken(type, literal = null) {
-        const text = this.source.substring(this.start, this.current);
-        const token = {
+        this.tokens.push({
             type,
-            lexeme: text,
+            lexeme: this.source.substring(this.start, this.current),
             literal,
-            line: this.line,
-            column: this.column - text.length,
+            line: this.startLine,
+            column: this.startColumn,
+            start: this.start,
+            end: this.current,
             filename: this.filename
-        };
-        this.tokens.push(token);
+        });
+    }
+
+    addComment(type) {
+        this.comments.push({
+            type,
+            text: this.source.substring(this.start, this.current),
+            line: this.startLine,
+            column: this.startColumn,
+            start: this.start,
+            end: this.current
+        });
     }
 
     error(message) {
-        const error = new LexerError(
-            message,
-            this.filename,
-            this.line,
-            this.column - (this.current - this.start)
-        );
-        this.errors.push(error);
-        
+        this.errors.push(new LexerError(message, this.filename, this.startLine, this.startColumn));
+
         // Error recovery: skip to next line
         while (this.peek() !== '\n' && !this.isAtEnd()) {
             this.advance();
@@ -371,43 +368,25 @@ export class Scanner {
     }
 }
 
-// Comprehensive keyword table
+// Reserved words of the stream language; everything else is an IDENTIFIER
 const KEYWORDS = new Map([
     // Declarations
     ['let', 'LET'],
     ['FLOW', 'FLOW'],
     ['FUNC', 'FUNC'],
-    
-    // Control flow
-    ['if', 'IF'],
-    ['else', 'ELSE'],
-    ['match', 'MATCH'],
-    ['for', 'FOR'],
-    ['while', 'WHILE'],
-    ['break', 'BREAK'],
-    ['continue', 'CONTINUE'],
-    ['return', 'RETURN'],
-    
+
     // Stream control
     ['TRUE_FLOW', 'TRUE_FLOW'],
     ['FALSE_FLOW', 'FALSE_FLOW'],
-    ['RESULT', 'RESULT'],
+    ['DEFAULT_FLOW', 'DEFAULT_FLOW'],
+    ['CASE', 'CASE'],
+    ['MERGE', 'MERGE'],
     ['END', 'END'],
-    
+
     // Literals
     ['true', 'TRUE'],
     ['false', 'FALSE'],
-    ['null', 'NULL'],
-    
-    // Types
-    ['Number', 'TYPE_NUMBER'],
-    ['String', 'TYPE_STRING'],
-    ['Boolean', 'TYPE_BOOLEAN'],
-    ['Stream', 'TYPE_STREAM'],
-    ['Pool', 'TYPE_POOL'],
-    ['Array', 'TYPE_ARRAY'],
-    ['Object', 'TYPE_OBJECT'],
-    ['Any', 'TYPE_ANY']
+    ['null', 'NULL']
 ]);
 
 export default Scanner;
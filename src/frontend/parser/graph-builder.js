@@ -0,0 +1,458 @@
+// FILENAME: src/frontend/parser/graph-builder.js
+// Fluxus Graph Builder - lowers the Program syntax tree to the engine's graph AST
+
+import { GraphParser } from '../../core/parser.js';
+import { SemanticError } from '../errors.js';
+
+const generateUUID = () => `node_${Math.random().toString(36).substring(2, 9)}_${Date.now()}`;
+
+const FLOW_LABELS = { TRUE_FLOW: 'true', FALSE_FLOW: 'false', DEFAULT_FLOW: '*' };
+
+/**
+ * Emits the same nodes, connections, pools and functions as GraphParser, so
+ * the compiler and engine need no changes. Nodes additionally carry a
+ * `column` next to their `line`. Operator classification and AST validation
+ * are shared with GraphParser.
+ *
+ * TEST blocks are not part of the program: `build` lists them on
+ * `ast.tests` and `buildTest` lowers one of them for the test runner.
+ */
+export class GraphBuilder {
+    constructor(options = {}) {
+        this.filename = options.filename || '<anonymous>';
+        this.graphRules = new GraphParser();
+        this.errors = [];
+        this.warnings = [];
+        this.metrics = {
+            poolsDeclared: 0,
+            subscriptionsCreated: 0,
+            operatorsParsed: 0,
+            errors: 0,
+            warnings: 0
+        };
+    }
+
+    build(program, sourceLines = 0) {
+        const ast = {
+            nodes: [],
+            connections: [],
+            pools: {},
+            imports: [],
+            functions: {},
+            liveStreams: [],
+            finiteStreams: [],
+            tests: [],
+            metadata: {
+                sourceLines,
+                parsedAt: new Date().toISOString(),
+                version: '8.0.0',
+                frontend: 'token',
+                filename: this.filename,
+                standardLibrary: {
+                    usedLibraries: new Set(),
+                    operatorCount: 0
+                },
+                parserMetrics: this.metrics
+            }
+        };
+
+        for (const statement of program.statements) {
+            try {
+                switch (statement.type) {
+                    case 'ImportDeclaration': this.buildImport(statement, ast); break;
+                    case 'PoolDeclaration': this.buildPool(statement, ast); break;
+                    case 'FunctionDeclaration': this.buildFunction(statement, ast); break;
+                    case 'Subscription': this.buildSubscription(statement, ast); break;
+                    case 'Pipeline': this.buildPipeline(statement, ast); break;
+                    case 'TestDeclaration': this.listTest(statement, ast); break;
+                }
+            } catch (error) {
+                if (!(error instanceof SemanticError)) throw error;
+                this.errors.push(error);
+                this.metrics.errors++;
+            }
+        }
+
+        this.graphRules.validateASTProduction(ast);
+        this.graphRules.analyzeStandardLibraryUsage(ast);
+
+        return ast;
+    }
+
+    /**
+     * Graph for one TEST block: the file's top-level statements followed by
+     * the test's own, so each test starts from freshly declared pools.
+     */
+    buildTest(program, test, sourceLines = 0) {
+        const setup = program.statements.filter(statement => statement.type !== 'TestDeclaration');
+        const ast = this.build({ ...program, statements: [...setup, ...test.statements] }, sourceLines);
+        ast.metadata.test = test.name;
+        return ast;
+    }
+
+    listTest(statement, ast) {
+        if (ast.tests.some(test => test.name === statement.name)) {
+            throw this.error(`Duplicate test name "${statement.name}"`, statement.location);
+        }
+        ast.tests.push({ name: statement.name, line: statement.location.line, column: statement.location.column });
+    }
+
+    buildImport(statement, ast) {
+        ast.imports.push(statement.library);
+        if (this.graphRules.standardLibraries[statement.library]) {
+            ast.metadata.standardLibrary.usedLibraries.add(statement.library);
+        }
+    }
+
+    buildPool(statement, ast) {
+        this.declarePool(statement.name, statement.initializer ? this.runtimeText(statement.initializer) : 'null', statement.location, ast);
+    }
+
+    declarePool(poolName, initialValue, location, ast) {
+        const poolDeclarationNode = {
+            id: generateUUID(),
+            type: 'POOL_DECLARATION',
+            name: poolName,
+            initialValue: initialValue,
+            poolName: poolName,
+            initial: initialValue,
+            line: location.line,
+            column: location.column,
+            valueType: this.graphRules.inferType(initialValue),
+            category: 'POOL',
+            isReactive: true
+        };
+
+        const tidalPoolNode = {
+            id: generateUUID(),
+            type: 'TIDAL_POOL',
+            poolName: poolName,
+            initialValue: initialValue,
+            currentValue: null,
+            line: location.line,
+            column: location.column,
+            category: 'POOL',
+            subscriptions: [],
+            updateCount: 0
+        };
+
+        ast.nodes.push(poolDeclarationNode, tidalPoolNode);
+
+        ast.pools[poolName] = {
+            id: poolDeclarationNode.id,
+            name: poolName,
+            initial: initialValue,
+            line: location.line,
+            value: null,
+            type: poolDeclarationNode.valueType,
+            declarationNode: poolDeclarationNode,
+            tidalNode: tidalPoolNode
+        };
+
+        ast.connections.push({
+            id: generateUUID(),
+            from: poolDeclarationNode.id,
+            to: tidalPoolNode.id,
+            type: 'POOL_INITIALIZATION',
+            line: location.line
+        });
+
+        this.metrics.poolsDeclared++;
+    }
+
+    buildFunction(statement, ast) {
+        const { name, location } = statement;
+        if (ast.functions[name]) {
+            throw this.error(`Function '${name}' is already defined (line ${ast.functions[name].line})`, location);
+        }
+
+        const definition = {
+            id: generateUUID(),
+            name,
+            parameters: statement.parameters.map(parameter => parameter.name),
+            line: location.line,
+            column: location.column,
+            entry: null,
+            body: []
+        };
+        ast.functions[name] = definition;
+
+        // Body stages have no source: the engine enters them at definition.entry with the caller's value
+        const firstNewNode = ast.nodes.length;
+        this.buildStages(statement.body, this.createChain(definition.id, null), ast);
+
+        const bodyNodes = ast.nodes.slice(firstNewNode);
+        bodyNodes.forEach(node => {
+            node.functionName = name;
+        });
+        definition.body.push(...bodyNodes);
+        definition.entry = bodyNodes[0]?.id || null;
+    }
+
+    buildSubscription(statement, ast) {
+        const { pool: poolName, location } = statement;
+
+        if (!ast.pools[poolName]) {
+            this.warn(`Subscription uses undeclared pool: ${poolName}. Creating implicit pool.`, location);
+            this.declarePool(poolName, 'null', location, ast);
+        }
+
+        const pipelineId = generateUUID();
+        const poolAccessNode = {
+            id: generateUUID(),
+            type: 'POOL_ACCESS',
+            poolName: poolName,
+            accessType: 'read',
+            line: location.line,
+            column: location.column,
+            pipelineId: pipelineId,
+            category: 'SOURCE',
+            isSource: true
+        };
+        ast.nodes.push(poolAccessNode);
+
+        const firstNewNode = ast.nodes.length;
+        this.buildStages(statement.stages, this.createChain(pipelineId, poolAccessNode.id), ast);
+
+        ast.pools[poolName].tidalNode.subscriptions.push({
+            subscriberPipeline: pipelineId,
+            triggerNode: poolAccessNode.id,
+            line: location.line
+        });
+
+        ast.connections.push({
+            id: generateUUID(),
+            from: poolAccessNode.id,
+            to: ast.nodes[firstNewNode]?.id || poolAccessNode.id,
+            type: this.graphRules.connectionTypes['->'],
+            line: location.line
+        });
+
+        this.metrics.subscriptionsCreated++;
+    }
+
+    buildPipeline(statement, ast) {
+        const { source } = statement;
+        const pipelineId = generateUUID();
+
+        const sourceNode = {
+            id: generateUUID(),
+            pipelineId: pipelineId,
+            type: source.live ? 'STREAM_SOURCE_LIVE' : 'STREAM_SOURCE_FINITE',
+            name: source.live ? 'LIVE_SOURCE' : 'FINITE_SOURCE',
+            value: this.runtimeText(source),
+            line: statement.location.line,
+            column: statement.location.column,
+            isTerminal: false,
+            category: 'SOURCE'
+        };
+        ast.nodes.push(sourceNode);
+        (source.live ? ast.liveStreams : ast.finiteStreams).push(sourceNode.id);
+
+        this.buildStages(statement.stages, this.createChain(pipelineId, sourceNode.id), ast);
+    }
+
+    // The runtime unquotes string literals without decoding escapes, so hand it the decoded string
+    runtimeText(expression) {
+        return expression.quote ? `${expression.quote}${expression.value}${expression.quote}` : expression.text;
+    }
+
+    createChain(pipelineId, previousNodeId) {
+        return { pipelineId, previousNodeId, branchStack: [], pendingBranchPoint: null };
+    }
+
+    /**
+     * Split/switch branching follows GraphParser: a lens split or switch is a
+     * branch point only when a flow marker follows it, flows attach to the
+     * innermost open branch point still missing that label, and MERGE closes
+     * the innermost one.
+     */
+    buildStages(stages, chain, ast) {
+        for (const stage of stages) {
+            try {
+                this.buildStage(stage, chain, ast);
+            } catch (error) {
+                if (!(error instanceof SemanticError)) throw error;
+                this.errors.push(error);
+                this.metrics.errors++;
+            }
+        }
+    }
+
+    buildStage(stage, chain, ast) {
+        const { line, column } = stage.location;
+
+        if (chain.pendingBranchPoint && stage.type !== 'FlowMarker' && stage.type !== 'Merge') {
+            chain.branchStack = chain.branchStack.filter(frame => frame !== chain.pendingBranchPoint);
+        }
+        chain.pendingBranchPoint = null;
+
+        if (stage.type === 'Merge') {
+            const frame = chain.branchStack[chain.branchStack.length - 1];
+            if (!frame) {
+                throw this.error('MERGE without an open split or switch', stage.location);
+            }
+            frame.tails.push(chain.previousNodeId);
+
+            const mergeNode = {
+                id: generateUUID(),
+                pipelineId: chain.pipelineId,
+                type: 'MERGE',
+                name: 'MERGE',
+                value: null,
+                line,
+                column,
+                isTerminal: false,
+                category: 'CONTROL',
+                branchPoint: frame.node.id
+            };
+            ast.nodes.push(mergeNode);
+
+            new Set(frame.tails).forEach(tailId => this.connect(ast, tailId, mergeNode.id, line));
+
+            frame.node.mergeNodeId = mergeNode.id;
+            chain.branchStack = chain.branchStack.slice(0, -1);
+            chain.previousNodeId = mergeNode.id;
+            return;
+        }
+
+        if (stage.type === 'FlowMarker') {
+            const flowType = stage.flow;
+            const label = stage.label ?? FLOW_LABELS[flowType];
+            if (flowType === 'CASE_FLOW' && (!label || label === '*')) {
+                throw this.error(`Invalid CASE label: ${stage.text}`, stage.location);
+            }
+
+            const frameIndex = chain.branchStack.findLastIndex(frame => !(label in frame.node.branches));
+            if (frameIndex === -1) {
+                throw this.error(`${stage.text} without a matching split or switch`, stage.location);
+            }
+            const frame = chain.branchStack[frameIndex];
+            if (frame.currentLabel !== null && frameIndex === chain.branchStack.length - 1) {
+                frame.tails.push(chain.previousNodeId);
+            }
+            chain.branchStack = chain.branchStack.slice(0, frameIndex + 1);
+
+            const binary = flowType === 'TRUE_FLOW' || flowType === 'FALSE_FLOW';
+            if (frame.kind === 'split' && !binary) {
+                throw this.error(`${stage.text} is not valid after split; use TRUE_FLOW or FALSE_FLOW`, stage.location);
+            }
+            if (frame.kind === 'switch' && binary) {
+                throw this.error(`${stage.text} is not valid after switch; use CASE or DEFAULT_FLOW`, stage.location);
+            }
+
+            const flowNode = {
+                id: generateUUID(),
+                pipelineId: chain.pipelineId,
+                type: flowType,
+                name: flowType,
+                value: label,
+                label,
+                line,
+                column,
+                isTerminal: false,
+                category: 'CONTROL',
+                branchPoint: frame.node.id
+            };
+            ast.nodes.push(flowNode);
+
+            ast.connections.push({
+                id: generateUUID(),
+                from: frame.node.id,
+                to: flowNode.id,
+                type: 'BRANCH_FLOW',
+                label,
+                line
+            });
+
+            frame.node.branches[label] = flowNode.id;
+            frame.currentLabel = label;
+            chain.previousNodeId = flowNode.id;
+            return;
+        }
+
+        const operatorNode = this.createOperatorNode(stage, chain.pipelineId);
+        ast.nodes.push(operatorNode);
+
+        if (chain.previousNodeId) {
+            this.connect(ast, chain.previousNodeId, operatorNode.id, line);
+        }
+
+        if (this.graphRules.isBranchPoint(operatorNode)) {
+            operatorNode.branches = {};
+            chain.pendingBranchPoint = { node: operatorNode, kind: operatorNode.name, tails: [], currentLabel: null };
+            chain.branchStack = [...chain.branchStack, chain.pendingBranchPoint];
+        }
+
+        chain.previousNodeId = operatorNode.id;
+    }
+
+    createOperatorNode(stage, pipelineId) {
+        this.metrics.operatorsParsed++;
+        const { name } = stage;
+        const base = {
+            id: generateUUID(),
+            pipelineId,
+            name,
+            value: stage.text,
+            line: stage.location.line,
+            column: stage.location.column
+        };
+
+        if (stage.type === 'LensOperator') {
+            return {
+                ...base,
+                type: 'LENS_OPERATOR',
+                args: [stage.body],
+                isTerminal: false,
+                category: 'LENS',
+                library: this.graphRules.detectOperatorLibrary(name)
+            };
+        }
+
+        const args = stage.arguments.map(arg => arg.value);
+
+        if (name === 'to_pool' && args.length === 1 && /^[a-zA-Z_][a-zA-Z0-9_]*$/.test(stage.arguments[0].text)) {
+            return {
+                ...base,
+                type: 'POOL_WRITE',
+                args,
+                isTerminal: true,
+                category: 'POOL',
+                library: 'core',
+                operation: 'write',
+                targetPool: args[0]
+            };
+        }
+
+        return {
+            ...base,
+            type: 'FUNCTION_OPERATOR',
+            args,
+            isTerminal: this.graphRules.isTerminalOperator(name),
+            category: this.graphRules.classifyOperatorWithLibrary(name),
+            library: this.graphRules.detectOperatorLibrary(name)
+        };
+    }
+
+    connect(ast, from, to, line) {
+        ast.connections.push({
+            id: generateUUID(),
+            from,
+            to,
+            type: this.graphRules.connectionTypes['|'],
+            line
+        });
+    }
+
+    error(message, location) {
+        return new SemanticError(message, location.filename || this.filename, location.line, location.column);
+    }
+
+    warn(message, location) {
+        this.metrics.warnings++;
+        this.warnings.push({ message, line: location.line, column: location.column });
+    }
+}
+
+export default GraphBuilder;
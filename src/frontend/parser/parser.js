@@ -1,53 +1,56 @@
-// Production Parser with Predictive Parsing and Comprehensive Error Recovery
-import { Grammar } from './grammar.js';
-import { ParserError, SyntaxError } from '../errors.js';
-
+// FILENAME: src/frontend/parser/parser.js
+// Fluxus Parser - recursive descent over scanner tokens with error recovery
+import { ParserError } from '../errors.js';
+
+const FLOW_MARKERS = new Set(['TRUE_FLOW', 'FALSE_FLOW', 'DEFAULT_FLOW', 'CASE', 'MERGE']);
+const OPENERS = { LPAREN: 'RPAREN', LBRACE: 'RBRACE', LBRACKET: 'RBRACKET' };
+const CLOSERS = new Set(Object.values(OPENERS));
+const LENS_OPERATORS = new Set(['map', 'reduce', 'filter', 'split', 'switch']);
+
+/**
+ * Produces a Program syntax tree of statements:
+ *
+ *   ImportDeclaration    FLOW name
+ *   PoolDeclaration      let name = <|> initializer
+ *   FunctionDeclaration  FUNC name(a, b): stages (same line and/or indented lines)
+ *   Pipeline             ~ source | stage ...    ~? source | stage ...
+ *   Subscription         pool -> stage | stage ...
+ *   TestDeclaration      TEST "name": statements on the indented lines below
+ *
+ * Stages are Operator, LensOperator, FlowMarker and Merge. Values the runtime
+ * evaluates (sources, arguments, lens bodies, initializers) are kept as
+ * source text with comments removed and whitespace collapsed. A pipeline
+ * continues on the next line when that line starts with `|` or a flow marker.
+ */
 export class Parser {
     constructor(tokens, filename = '<anonymous>') {
         this.tokens = tokens;
         this.filename = filename;
         this.current = 0;
         this.errors = [];
-        
-        this.grammar = new Grammar();
-        this.recoveryModes = new Set();
-        
-        // Context tracking
-        this.inStreamContext = false;
-        this.inLensContext = false;
-        this.currentFunction = null;
+        this.inTest = false;
     }
 
     parse() {
         const program = {
             type: 'Program',
             statements: [],
-            location: this.getLocation(0)
+            location: this.getLocation(this.peek())
         };
-        
+
         try {
+            this.skipNewlines();
             while (!this.isAtEnd()) {
-                try {
-                    const statement = this.statement();
-                    if (statement) {
-                        program.statements.push(statement);
-                    }
-                } catch (error) {
-                    if (error instanceof ParserError) {
-                        this.errors.push(error);
-                        this.synchronize();
-                    } else {
-                        throw error; // Re-throw internal errors
-                    }
-                }
+                this.statementWithRecovery(program.statements);
+                this.skipNewlines();
             }
-            
+
             return {
                 ast: program,
                 errors: this.errors,
                 hasErrors: this.errors.length > 0
             };
-            
+
         } catch (fatalError) {
             this.errors.push(new ParserError(
                 `Parser fatal error: ${fatalError.message}`,
@@ -59,504 +62,412 @@ export class Parser {
         }
     }
 
-    // Statement parsing
-    statement() {
+    // Parse one statement into `statements`; a syntax error is recorded and parsing resumes on a later line
+    statementWithRecovery(statements) {
         try {
-            if (this.match('FLOW')) return this.importDeclaration();
-            if (this.match('LET')) return this.poolDeclaration();
-            if (this.match('FUNC')) return this.functionDeclaration();
-            if (this.check('STREAM_FINITE') || this.check('STREAM_LIVE')) {
-                return this.streamExpression();
-            }
-            
-            // Expression statement
-            const expr = this.expression();
-            if (expr) {
-                return {
-                    type: 'ExpressionStatement',
-                    expression: expr,
-                    location: this.getLocation(this.current - 1)
-                };
+            const statement = this.statement();
+            if (statement) {
+                statements.push(statement);
             }
-            
-            throw this.error('Expected statement');
-            
+            this.endStatement();
         } catch (error) {
-            if (this.isRecoveryMode()) {
-                this.synchronize();
-                return null;
-            }
-            throw error;
+            if (!(error instanceof ParserError)) throw error;
+            this.errors.push(error);
+            this.synchronize();
+        }
+    }
+
+    // Statement parsing
+    statement() {
+        if (this.checkWord('TEST') && this.peekAt(1).type === 'STRING') {
+            if (this.inTest) throw this.error('TEST blocks cannot be nested');
+            this.advance();
+            return this.testDeclaration();
+        }
+        if (this.match('FLOW')) return this.importDeclaration();
+        if (this.checkWord('import') && this.isName(this.peekAt(1))) {
+            this.advance();
+            return this.importDeclaration();
+        }
+        if (this.match('LET')) return this.poolDeclaration();
+        if (this.check('FUNC') || (this.checkWord('function') && this.isName(this.peekAt(1)))) {
+            this.advance();
+            return this.functionDeclaration();
+        }
+        if (this.check('STREAM_FINITE') || this.check('STREAM_LIVE')) {
+            return this.pipeline();
+        }
+        if (this.isName(this.peek()) && this.peekAt(1).type === 'ARROW') {
+            return this.subscription();
+        }
+        if (this.isPipelineEnd()) {
+            this.advance();
+            return null;
+        }
+        if (this.check('PIPE') || FLOW_MARKERS.has(this.peek().type)) {
+            throw this.error('Pipeline stage without a stream source; start the pipeline with ~ or ~?');
         }
+
+        throw this.error(`Expected a statement (FLOW, let, FUNC, ~, ~? or a pool subscription), found '${this.peek().lexeme}'`);
     }
 
     importDeclaration() {
         const importToken = this.previous();
-        const library = this.consume('IDENTIFIER', 'Expected library name after FLOW');
-        
+        let library = this.consumeName('Expected library name after FLOW').lexeme;
+
+        // Package names may be hyphenated (sensors-real)
+        while (this.check('MINUS') && this.previous().end === this.peek().start && this.isName(this.peekAt(1)) &&
+               this.peek().end === this.peekAt(1).start) {
+            this.advance();
+            library += `-${this.advance().lexeme}`;
+        }
+
         return {
             type: 'ImportDeclaration',
-            library: library.lexeme,
+            library,
             location: this.getLocation(importToken)
         };
     }
 
     poolDeclaration() {
         const letToken = this.previous();
-        const name = this.consume('IDENTIFIER', 'Expected pool name after let');
-        
-        // Optional type annotation
-        let typeAnnotation = null;
-        if (this.match('COLON')) {
-            typeAnnotation = this.typeAnnotation();
-        }
-        
+        const name = this.consumeName('Expected pool name after let');
+
         this.consume('EQUAL', "Expected '=' after pool name");
         this.consume('POOL_OPERATOR', "Expected '<|>' after '='");
-        
-        const initializer = this.expression();
-        
+
+        const initializer = this.collect(['NEWLINE']);
+
         return {
             type: 'PoolDeclaration',
             name: name.lexeme,
-            typeAnnotation,
-            initializer,
+            initializer: initializer.text ? initializer : null,
             location: this.getLocation(letToken)
         };
     }
 
     functionDeclaration() {
         const funcToken = this.previous();
-        const name = this.consume('IDENTIFIER', 'Expected function name after FUNC');
-        
+        const name = this.consumeName(`Expected function name after ${funcToken.lexeme}`);
+
         this.consume('LPAREN', "Expected '(' after function name");
-        
+
         const parameters = [];
         if (!this.check('RPAREN')) {
             do {
-                parameters.push(this.parameter());
+                const parameter = this.consumeName('Expected parameter name');
+                parameters.push({
+                    type: 'Parameter',
+                    name: parameter.lexeme,
+                    location: this.getLocation(parameter)
+                });
             } while (this.match('COMMA'));
         }
-        
+
         this.consume('RPAREN', "Expected ')' after parameters");
-        
-        // Optional return type
-        let returnType = null;
-        if (this.match('COLON')) {
-            returnType = this.typeAnnotation();
-        }
-        
-        const body = this.block();
-        
+        this.consume('COLON', "Expected ':' after function parameters");
+
+        // Body stages may start on the header line; body lines are indented past the header
+        const body = this.stages({ minColumn: this.lineIndent(funcToken), bareLines: true, context: name.lexeme });
+
         return {
             type: 'FunctionDeclaration',
             name: name.lexeme,
             parameters,
-            returnType,
             body,
             location: this.getLocation(funcToken)
         };
     }
 
-    streamExpression() {
-        const streamToken = this.previous();
-        const isLive = streamToken.type === 'STREAM_LIVE';
-        
-        const previousContext = this.inStreamContext;
-        this.inStreamContext = true;
-        
+    /**
+     * The body is every following line indented past the TEST line; blank
+     * and comment lines do not end it.
+     */
+    testDeclaration() {
+        const testToken = this.previous();
+        const name = this.consume('STRING', 'Expected a test name string after TEST');
+        this.consume('COLON', "Expected ':' after test name");
+        if (!this.check('NEWLINE')) {
+            throw this.error('A TEST body goes on the indented lines after the TEST line');
+        }
+
+        const indent = this.lineIndent(testToken);
+        const statements = [];
+        this.inTest = true;
         try {
-            const source = this.expression();
-            const operators = [];
-            
-            while (this.match('PIPE')) {
-                operators.push(this.operator());
+            while (this.check('NEWLINE') && this.nextLineStart().type !== 'EOF' && this.nextLineStart().column > indent) {
+                this.skipNewlines();
+                this.statementWithRecovery(statements);
             }
-            
-            return {
-                type: 'StreamExpression',
-                source,
-                operators,
-                isLive,
-                location: this.getLocation(streamToken)
-            };
         } finally {
-            this.inStreamContext = previousContext;
+            this.inTest = false;
         }
+
+        return {
+            type: 'TestDeclaration',
+            name: name.literal,
+            text: name.lexeme,
+            statements,
+            location: this.getLocation(testToken)
+        };
     }
 
-    operator() {
-        if (this.match('LBRACE')) {
-            return this.lensExpression();
-        }
-        
-        const name = this.consume('IDENTIFIER', 'Expected operator name');
-        let args = [];
-        
-        if (this.match('LPAREN')) {
-            if (!this.check('RPAREN')) {
-                do {
-                    args.push(this.expression());
-                } while (this.match('COMMA'));
-            }
-            this.consume('RPAREN', "Expected ')' after arguments");
+    pipeline() {
+        const streamToken = this.advance();
+        const source = this.collect(['PIPE', 'NEWLINE']);
+
+        if (!source.text) {
+            throw this.error(`Expected a source value after '${streamToken.lexeme}'`, streamToken);
         }
-        
+
         return {
-            type: 'Operator',
-            name: name.lexeme,
-            arguments: args,
-            location: this.getLocation(name)
+            type: 'Pipeline',
+            source: {
+                type: 'StreamSource',
+                live: streamToken.type === 'STREAM_LIVE',
+                text: source.text,
+                value: source.value,
+                quote: source.quote,
+                location: source.location
+            },
+            stages: this.stages({ minColumn: 0 }),
+            location: this.getLocation(streamToken)
+        };
+    }
+
+    subscription() {
+        const pool = this.advance();
+        this.consume('ARROW', "Expected '->' after pool name");
+
+        return {
+            type: 'Subscription',
+            pool: pool.lexeme,
+            stages: this.stages({ minColumn: 0, leadingStage: true }),
+            location: this.getLocation(pool)
         };
     }
 
-    lensExpression() {
-        const previousContext = this.inLensContext;
-        this.inLensContext = true;
-        
+    /**
+     * Pipeline stages up to the end of the statement. `leadingStage` parses a
+     * first stage without a `|`; `bareLines` accepts continuation lines that
+     * do not start with `|` (function bodies). Continuation lines must be
+     * indented past `minColumn`.
+     */
+    stages({ minColumn = 0, leadingStage = false, bareLines = false, context = null }) {
+        const stages = [];
+        let expectStage = leadingStage || (bareLines && !this.check('NEWLINE') && !this.check('PIPE') && !this.isAtEnd());
+
+        while (true) {
+            if (expectStage || this.match('PIPE')) {
+                expectStage = false;
+                const stage = this.stageWithRecovery(context);
+                if (stage) stages.push(stage);
+                continue;
+            }
+
+            if (this.check('NEWLINE')) {
+                const next = this.peekAt(1);
+                if (next.type === 'EOF' || next.column <= minColumn) break;
+
+                if (next.type === 'PIPE') {
+                    this.advance();
+                    continue;
+                }
+                if (FLOW_MARKERS.has(next.type) || (bareLines && !this.isPipelineEnd(next))) {
+                    this.advance();
+                    expectStage = true;
+                    continue;
+                }
+                if (this.isPipelineEnd(next)) {
+                    this.advance();
+                    this.advance();
+                }
+                break;
+            }
+
+            if (this.isAtEnd()) break;
+            if (this.isPipelineEnd()) {
+                this.advance();
+                break;
+            }
+            throw this.error(`Expected '|' or end of line, found '${this.peek().lexeme}'`);
+        }
+
+        return stages;
+    }
+
+    // A malformed stage is reported and skipped; the rest of the pipeline still parses
+    stageWithRecovery(context) {
         try {
-            const steps = [];
-            
-            if (!this.check('RBRACE')) {
-                do {
-                    steps.push(this.lensStep());
-                } while (this.match('PIPE'));
+            return this.stage(context);
+        } catch (error) {
+            if (!(error instanceof ParserError)) throw error;
+            this.errors.push(error);
+            this.collect(['PIPE', 'NEWLINE']);
+            return null;
+        }
+    }
+
+    stage(context) {
+        const token = this.peek();
+
+        if (context && (token.type === 'STREAM_FINITE' || token.type === 'STREAM_LIVE' || token.type === 'LET' ||
+            (this.isName(token) && this.peekAt(1).type === 'ARROW'))) {
+            throw this.error(`Only pipeline stages are allowed in the body of function ${context}`);
+        }
+
+        if (this.match('MERGE')) {
+            this.endStage();
+            return { type: 'Merge', text: token.lexeme, location: this.getLocation(token) };
+        }
+
+        if (this.match('TRUE_FLOW', 'FALSE_FLOW', 'DEFAULT_FLOW')) {
+            this.endStage();
+            return { type: 'FlowMarker', flow: token.type, label: null, text: token.lexeme, location: this.getLocation(token) };
+        }
+
+        if (this.match('CASE')) {
+            const label = this.collect(['PIPE', 'NEWLINE']);
+            if (!label.text) {
+                throw this.error('Expected a label after CASE', token);
             }
-            
-            this.consume('RBRACE', "Expected '}' after lens expression");
-            
             return {
-                type: 'LensExpression',
-                steps,
-                location: this.getLocation(this.previous())
+                type: 'FlowMarker',
+                flow: 'CASE_FLOW',
+                label: label.value,
+                text: `CASE ${label.text}`,
+                location: this.getLocation(token)
             };
-        } finally {
-            this.inLensContext = previousContext;
         }
-    }
 
-    lensStep() {
-        if (this.match('DOT')) {
-            const field = this.consume('IDENTIFIER', 'Expected field name after dot');
+        const name = this.consumeName(`Expected an operator, found '${token.lexeme}'`);
+
+        if (this.check('LBRACE')) {
+            if (!LENS_OPERATORS.has(name.lexeme)) {
+                throw this.error(`Operator '${name.lexeme}' does not take a lens block`);
+            }
+            const open = this.advance();
+            const body = this.collect(['RBRACE']);
+            this.consume('RBRACE', "Expected '}' to close the lens block", open);
+            this.endStage();
             return {
-                type: 'FieldAccess',
-                field: field.lexeme,
-                location: this.getLocation(field)
+                type: 'LensOperator',
+                name: name.lexeme,
+                body: body.text,
+                text: this.textBetween(this.tokens.indexOf(name), this.current),
+                location: this.getLocation(name)
             };
         }
-        
-        // Function call in lens
-        const name = this.consume('IDENTIFIER', 'Expected function name in lens');
-        this.consume('LPAREN', "Expected '(' after function name in lens");
-        
+
         const args = [];
-        if (!this.check('RPAREN')) {
-            do {
-                args.push(this.expression());
-            } while (this.match('COMMA'));
+        if (this.check('LPAREN')) {
+            const open = this.advance();
+            if (!this.check('RPAREN')) {
+                do {
+                    const arg = this.collect(['COMMA', 'RPAREN']);
+                    if (arg.text) args.push(arg);
+                } while (this.match('COMMA'));
+            }
+            this.consume('RPAREN', "Expected ')' after arguments", open);
         }
-        
-        this.consume('RPAREN', "Expected ')' after lens function arguments");
-        
+        this.endStage();
+
         return {
-            type: 'FunctionCall',
+            type: 'Operator',
             name: name.lexeme,
             arguments: args,
+            text: this.textBetween(this.tokens.indexOf(name), this.current),
             location: this.getLocation(name)
         };
     }
 
-    // Expression parsing (recursive descent)
-    expression() {
-        return this.assignment();
-    }
-
-    assignment() {
-        const expr = this.or();
-        
-        if (this.match('EQUAL')) {
-            const equals = this.previous();
-            const value = this.assignment();
-            
-            if (expr.type === 'Variable') {
-                return {
-                    type: 'Assignment',
-                    name: expr.name,
-                    value,
-                    location: this.getLocation(equals)
-                };
-            }
-            
-            throw this.error('Invalid assignment target');
-        }
-        
-        return expr;
-    }
-
-    or() {
-        let expr = this.and();
-        
-        while (this.match('OR')) {
-            const operator = this.previous();
-            const right = this.and();
-            expr = {
-                type: 'LogicalExpression',
-                operator: operator.lexeme,
-                left: expr,
-                right,
-                location: this.getLocation(operator)
-            };
-        }
-        
-        return expr;
-    }
-
-    and() {
-        let expr = this.equality();
-        
-        while (this.match('AND')) {
-            const operator = this.previous();
-            const right = this.equality();
-            expr = {
-                type: 'LogicalExpression',
-                operator: operator.lexeme,
-                left: expr,
-                right,
-                location: this.getLocation(operator)
-            };
-        }
-        
-        return expr;
-    }
-
-    equality() {
-        let expr = this.comparison();
-        
-        while (this.match('EQUAL_EQUAL', 'BANG_EQUAL')) {
-            const operator = this.previous();
-            const right = this.comparison();
-            expr = {
-                type: 'BinaryExpression',
-                operator: operator.lexeme,
-                left: expr,
-                right,
-                location: this.getLocation(operator)
-            };
-        }
-        
-        return expr;
-    }
-
-    comparison() {
-        let expr = this.term();
-        
-        while (this.match('GREATER', 'GREATER_EQUAL', 'LESS', 'LESS_EQUAL')) {
-            const operator = this.previous();
-            const right = this.term();
-            expr = {
-                type: 'BinaryExpression',
-                operator: operator.lexeme,
-                left: expr,
-                right,
-                location: this.getLocation(operator)
-            };
-        }
-        
-        return expr;
-    }
-
-    term() {
-        let expr = this.factor();
-        
-        while (this.match('PLUS', 'MINUS')) {
-            const operator = this.previous();
-            const right = this.factor();
-            expr = {
-                type: 'BinaryExpression',
-                operator: operator.lexeme,
-                left: expr,
-                right,
-                location: this.getLocation(operator)
-            };
-        }
-        
-        return expr;
-    }
-
-    factor() {
-        let expr = this.unary();
-        
-        while (this.match('STAR', 'SLASH')) {
-            const operator = this.previous();
-            const right = this.unary();
-            expr = {
-                type: 'BinaryExpression',
-                operator: operator.lexeme,
-                left: expr,
-                right,
-                location: this.getLocation(operator)
-            };
-        }
-        
-        return expr;
+    endStage() {
+        if (this.check('PIPE') || this.check('NEWLINE') || this.isAtEnd()) return;
+        throw this.error(`Unexpected '${this.peek().lexeme}' after pipeline stage`);
     }
 
-    unary() {
-        if (this.match('BANG', 'MINUS')) {
-            const operator = this.previous();
-            const right = this.unary();
-            return {
-                type: 'UnaryExpression',
-                operator: operator.lexeme,
-                argument: right,
-                location: this.getLocation(operator)
-            };
-        }
-        
-        return this.call();
+    endStatement() {
+        if (this.check('NEWLINE') || this.isAtEnd()) return;
+        throw this.error(`Unexpected '${this.peek().lexeme}' at end of statement`);
     }
 
-    call() {
-        let expr = this.primary();
-        
-        while (true) {
-            if (this.match('LPAREN')) {
-                expr = this.finishCall(expr);
-            } else if (this.match('DOT')) {
-                const name = this.consume('IDENTIFIER', 'Expected property name after dot');
-                expr = {
-                    type: 'MemberExpression',
-                    object: expr,
-                    property: name.lexeme,
-                    computed: false,
-                    location: this.getLocation(name)
-                };
-            } else {
-                break;
+    /**
+     * Consume a balanced run of tokens up to (not including) one of
+     * `stopTypes` at nesting depth zero. Newlines inside brackets are part of
+     * the run. Returns its source text, the decoded value and quote of a lone
+     * string literal, and its location.
+     */
+    collect(stopTypes) {
+        const startIndex = this.current;
+        const stack = [];
+
+        while (!this.isAtEnd()) {
+            const token = this.peek();
+            if (stack.length === 0 && (stopTypes.includes(token.type) || CLOSERS.has(token.type))) break;
+
+            if (OPENERS[token.type]) {
+                stack.push(token);
+            } else if (CLOSERS.has(token.type)) {
+                const open = stack.pop();
+                if (OPENERS[open.type] !== token.type) {
+                    throw this.error(`Mismatched '${token.lexeme}' for '${open.lexeme}' at ${open.line}:${open.column}`);
+                }
             }
+            this.advance();
         }
-        
-        return expr;
-    }
 
-    finishCall(callee) {
-        const args = [];
-        if (!this.check('RPAREN')) {
-            do {
-                args.push(this.expression());
-            } while (this.match('COMMA'));
+        if (stack.length > 0) {
+            const open = stack[stack.length - 1];
+            throw this.error(`Unclosed '${open.lexeme}'`, open);
         }
-        
-        const paren = this.consume('RPAREN', "Expected ')' after arguments");
-        
+
+        const tokens = this.tokens.slice(startIndex, this.current).filter(token => token.type !== 'NEWLINE');
+        const text = this.textBetween(startIndex, this.current);
+        const string = tokens.length === 1 && tokens[0].type === 'STRING' ? tokens[0] : null;
         return {
-            type: 'CallExpression',
-            callee,
-            arguments: args,
-            location: this.getLocation(paren)
+            text,
+            value: string ? string.literal : text,
+            quote: string ? string.lexeme[0] : null,
+            location: this.getLocation(tokens[0] || this.peek())
         };
     }
 
-    primary() {
-        if (this.match('FALSE')) return { type: 'BooleanLiteral', value: false, location: this.getLocation(this.previous()) };
-        if (this.match('TRUE')) return { type: 'BooleanLiteral', value: true, location: this.getLocation(this.previous()) };
-        if (this.match('NULL')) return { type: 'NullLiteral', value: null, location: this.getLocation(this.previous()) };
-        
-        if (this.match('NUMBER', 'STRING')) {
-            return {
-                type: this.previous().type === 'NUMBER' ? 'NumberLiteral' : 'StringLiteral',
-                value: this.previous().literal,
-                location: this.getLocation(this.previous())
-            };
+    // Source text of tokens [from, to): comments dropped, whitespace runs collapsed to one space
+    textBetween(from, to) {
+        let text = '';
+        let previous = null;
+        for (let i = from; i < to; i++) {
+            const token = this.tokens[i];
+            if (token.type === 'NEWLINE') continue;
+            if (previous && token.start > previous.end) text += ' ';
+            text += token.lexeme;
+            previous = token;
         }
-        
-        if (this.match('IDENTIFIER')) {
-            return {
-                type: 'Variable',
-                name: this.previous().lexeme,
-                location: this.getLocation(this.previous())
-            };
-        }
-        
-        if (this.match('LPAREN')) {
-            const expr = this.expression();
-            this.consume('RPAREN', "Expected ')' after expression");
-            return {
-                type: 'GroupedExpression',
-                expression: expr,
-                location: this.getLocation(this.previous())
-            };
-        }
-        
-        throw this.error('Expected expression');
+        return text;
     }
 
-    // Type system
-    typeAnnotation() {
-        return this.type();
+    // Utility methods
+    isName(token) {
+        return /^[A-Za-z_$][\w$]*$/.test(token.lexeme) && !FLOW_MARKERS.has(token.type) && token.type !== 'END';
     }
 
-    type() {
-        if (this.match('TYPE_STREAM')) {
-            this.consume('LESS', "Expected '<' after Stream");
-            const elementType = this.type();
-            this.consume('GREATER', "Expected '>' after stream element type");
-            return { type: 'StreamType', elementType };
-        }
-        
-        if (this.match('TYPE_POOL')) {
-            this.consume('LESS', "Expected '<' after Pool");
-            const elementType = this.type();
-            this.consume('GREATER', "Expected '>' after pool element type");
-            return { type: 'PoolType', elementType };
-        }
-        
-        if (this.match('TYPE_ARRAY')) {
-            this.consume('LESS', "Expected '<' after Array");
-            const elementType = this.type();
-            this.consume('GREATER', "Expected '>' after array element type");
-            return { type: 'ArrayType', elementType };
-        }
-        
-        if (this.match('TYPE_OBJECT')) {
-            this.consume('LBRACE', "Expected '{' after Object");
-            const fields = this.fieldTypes();
-            this.consume('RBRACE', "Expected '}' after object fields");
-            return { type: 'ObjectType', fields };
-        }
-        
-        // Basic types
-        const basicTypes = ['TYPE_NUMBER', 'TYPE_STRING', 'TYPE_BOOLEAN', 'TYPE_ANY'];
-        for (const type of basicTypes) {
-            if (this.match(type)) {
-                return { type: 'BasicType', name: this.previous().lexeme };
-            }
-        }
-        
-        // Type variable
-        if (this.match('IDENTIFIER')) {
-            return { type: 'TypeVariable', name: this.previous().lexeme };
-        }
-        
-        throw this.error('Expected type annotation');
+    isPipelineEnd(token = this.peek()) {
+        return token.type === 'END' || /^END_FLOW/.test(token.lexeme);
     }
 
-    fieldTypes() {
-        const fields = new Map();
-        
-        if (!this.check('RBRACE')) {
-            do {
-                const name = this.consume('IDENTIFIER', 'Expected field name');
-                this.consume('COLON', "Expected ':' after field name");
-                const fieldType = this.type();
-                fields.set(name.lexeme, fieldType);
-            } while (this.match('COMMA'));
+    checkWord(word) {
+        return this.peek().type === 'IDENTIFIER' && this.peek().lexeme === word;
+    }
+
+    // Column of the first token on a token's line
+    lineIndent(token) {
+        let index = this.tokens.indexOf(token);
+        while (index > 0 && this.tokens[index - 1].line === token.line && this.tokens[index - 1].type !== 'NEWLINE') {
+            index--;
         }
-        
-        return fields;
+        return this.tokens[index].column;
     }
 
-    // Utility methods
     match(...types) {
         for (const type of types) {
             if (this.check(type)) {
@@ -568,7 +479,6 @@ export class Parser {
     }
 
     check(type) {
-        if (this.isAtEnd()) return false;
         return this.peek().type === type;
     }
 
@@ -577,11 +487,27 @@ export class Parser {
         return this.previous();
     }
 
-    consume(type, message) {
+    consume(type, message, token) {
         if (this.check(type)) return this.advance();
+        throw this.error(message, token);
+    }
+
+    consumeName(message) {
+        if (this.isName(this.peek())) return this.advance();
         throw this.error(message);
     }
 
+    // First token of the next non-blank line
+    nextLineStart() {
+        let offset = 0;
+        while (this.peekAt(offset).type === 'NEWLINE') offset++;
+        return this.peekAt(offset);
+    }
+
+    skipNewlines() {
+        while (this.check('NEWLINE')) this.advance();
+    }
+
     isAtEnd() {
         return this.peek().type === 'EOF';
     }
@@ -590,96 +516,42 @@ export class Parser {
         return this.tokens[this.current];
     }
 
+    peekAt(offset) {
+        return this.tokens[Math.min(this.current + offset, this.tokens.length - 1)];
+    }
+
     previous() {
         return this.tokens[this.current - 1];
     }
 
-    error(message) {
-        const token = this.peek();
+    error(message, token = this.peek()) {
         return new ParserError(message, this.filename, token.line, token.column);
     }
 
     getLocation(token) {
-        if (typeof token === 'number') {
-            token = this.tokens[token];
-        }
         return {
             filename: this.filename,
             line: token.line,
             column: token.column,
-            start: token.start, // Would need start/end in token
+            start: token.start,
             end: token.end
         };
     }
 
-    // Error recovery
+    // Error recovery: skip to the next line outside brackets that starts a new statement
     synchronize() {
-        this.advance();
-        
+        let depth = 0;
         while (!this.isAtEnd()) {
-            if (this.previous().type === 'SEMICOLON') return;
-            
-            switch (this.peek().type) {
-                case 'FUNC':
-                case 'LET':
-                case 'FLOW':
-                case 'STREAM_FINITE':
-                case 'STREAM_LIVE':
-                case 'IF':
-                case 'FOR':
-                case 'WHILE':
-                case 'RETURN':
-                    return;
+            const token = this.peek();
+            if (OPENERS[token.type]) depth++;
+            else if (CLOSERS.has(token.type)) depth = Math.max(0, depth - 1);
+            else if (token.type === 'NEWLINE' && depth === 0) {
+                const next = this.peekAt(1);
+                if (next.type !== 'PIPE' && !FLOW_MARKERS.has(next.type) && !CLOSERS.has(next.type)) return;
             }
-            
             this.advance();
         }
     }
-
-    enterRecoveryMode(mode) {
-        this.recoveryModes.add(mode);
-    }
-
-    exitRecoveryMode(mode) {
-        this.recoveryModes.delete(mode);
-    }
-
-    isRecoveryMode() {
-        return this.recoveryModes.size > 0;
-    }
-
-    parameter() {
-        const name = this.consume('IDENTIFIER', 'Expected parameter name');
-        let typeAnnotation = null;
-        
-        if (this.match('COLON')) {
-            typeAnnotation = this.typeAnnotation();
-        }
-        
-        return {
-            type: 'Parameter',
-            name: name.lexeme,
-            typeAnnotation,
-            location: this.getLocation(name)
-        };
-    }
-
-    block() {
-        const brace = this.consume('LBRACE', "Expected '{' before function body");
-        const statements = [];
-        
-        while (!this.check('RBRACE') && !this.isAtEnd()) {
-            statements.push(this.statement());
-        }
-        
-        this.consume('RBRACE', "Expected '}' after function body");
-        
-        return {
-            type: 'Block',
-            statements,
-            location: this.getLocation(brace)
-        };
-    }
 }
 
 export default Parser;
@@ -1,10 +1,42 @@
 // FILENAME: src/intermediate/ir/builder/IRBuilder.js
-// Main IR Builder - Production Grade
+// Main IR Builder - lowers the program graph to stream IR
 
+import { LensEvaluator } from '../../../runtime/lens/lens-evaluator.js';
+
+const TERMINAL_OPERATORS = ['print', 'to_pool', 'ui_render'];
+const LENS_OPCODES = { map: 'LENS_MAP', filter: 'LENS_FILTER', reduce: 'LENS_REDUCE' };
+
+// A FUNC parameter passed as an operator argument, resolved per call
+export class ParamRef {
+    constructor(name) {
+        this.param = name;
+    }
+}
+
+/**
+ * Lowers a parsed program to IR: one section per pipeline, each a linear
+ * list of instructions in single-assignment form. The engine runs sections
+ * with the IR backend (src/core/ir-engine.js) exactly as it walks the graph.
+ *
+ *   main              IMPORT lib, DECLARE_POOL name value
+ *   stream_N          CREATE_STREAM value 'FINITE'           `~ value`
+ *   live_N            STREAM_SOURCE expression 'LIVE'        `~? source(...)`
+ *   sub_N             READ_POOL name                         `name -> ...`
+ *   func_NAME         FUNC_ENTRY name [params]               `FUNC name(params):`
+ *
+ * followed by APPLY_OPERATOR, CALL_FUNC, LENS_MAP/FILTER/REDUCE, WRITE_POOL
+ * and RETURN. `split`/`switch` become BRANCH with a label per flow; flows
+ * end in a JUMP to the MERGE label, which carries the flow's value on.
+ *
+ * Operands are constants: literal arguments are parsed here, the way the
+ * engine parses them at run time, and FUNC parameters are ParamRefs. Each
+ * instruction's metadata keeps the graph node it came from (id, type, name,
+ * line, column) and the `steps` it stands for in an error's path, so errors
+ * and stats stay tied to the source.
+ */
 export class IRBuilder {
     constructor(config = {}) {
         this.config = {
-            optimizationLevel: config.optimizationLevel || 1,
             enableValidation: config.enableValidation !== false,
             ...config
         };
@@ -13,365 +45,315 @@ export class IRBuilder {
         this.symbolTable = new Map();
         this.labelCounter = 0;
         this.currentSection = 'main';
+        this.lensEvaluator = new LensEvaluator();
     }
 
     build(ast) {
         this.instructions = [];
         this.symbolTable.clear();
+        this.labelCounter = 0;
+        this.sectionCounters = { stream: 0, live: 0, sub: 0 };
 
         if (!ast || !ast.nodes) {
             throw new Error('Invalid AST for IR building');
         }
 
-        // Build IR from AST nodes
-        this.buildSection('main', ast.nodes);
-
-        // Apply optimizations
-        if (this.config.optimizationLevel > 0) {
-            this.optimize();
+        this.ast = ast;
+        this.nodes = new Map(ast.nodes.map(node => [node.id, node]));
+        this.outgoing = new Map();
+        for (const connection of ast.connections || []) {
+            if (!this.outgoing.has(connection.from)) this.outgoing.set(connection.from, []);
+            this.outgoing.get(connection.from).push(connection);
         }
 
-        return this.getIRProgram();
-    }
-
-    buildSection(sectionName, nodes) {
-        this.currentSection = sectionName;
-        
-        for (const node of nodes) {
-            try {
-                this.buildNode(node);
-            } catch (error) {
-                console.error(`Error building IR for node:`, node);
-                throw error;
-            }
-        }
-    }
+        this.buildDeclarations();
+        this.buildFunctions();
+        this.buildPipelines();
 
-    buildNode(node) {
-        const nodeHandler = this.getNodeHandler(node.type);
-        if (nodeHandler) {
-            nodeHandler.call(this, node);
-        } else {
-            this.buildGenericNode(node);
-        }
+        return this.getIRProgram();
     }
 
-    getNodeHandler(nodeType) {
-        const handlers = {
-            'STREAM_SOURCE_FINITE': this.buildStreamSource,
-            'STREAM_SOURCE_LIVE': this.buildLiveStreamSource,
-            'FUNCTION_OPERATOR': this.buildFunctionOperator,
-            'LENS_OPERATOR': this.buildLensOperator,
-            'POOL_READ': this.buildPoolRead,
-            'POOL_DECLARATION': this.buildPoolDeclaration
-        };
-
-        return handlers[nodeType];
-    }
+    // ========== SECTIONS ==========
 
-    buildStreamSource(node) {
-        const streamId = this.generateSymbol('stream');
-        
-        this.addInstruction('CREATE_STREAM', [
-            this.parseValue(node.value),
-            'FINITE'
-        ], streamId, { nodeType: node.type, position: node.position });
-
-        this.symbolTable.set(streamId, {
-            type: 'stream',
-            valueType: this.inferType(node.value),
-            definedAt: node.position
-        });
-    }
+    buildDeclarations() {
+        this.currentSection = 'main';
 
-    buildLiveStreamSource(node) {
-        const streamId = this.generateSymbol('live_stream');
-        const isLiveQuery = node.value.startsWith('~?');
-        const sourceValue = isLiveQuery ? node.value.substring(2) : node.value.substring(1);
+        for (const library of this.ast.imports || []) {
+            this.addInstruction('IMPORT', [library]);
+        }
 
-        this.addInstruction('CREATE_LIVE_STREAM', [
-            this.createGenerator(sourceValue),
-            100, // Default interval
-            { isLiveQuery }
-        ], streamId, { nodeType: node.type, position: node.position });
+        for (const [poolName, pool] of Object.entries(this.ast.pools || {})) {
+            this.addInstruction('DECLARE_POOL', [poolName, this.parseValue(String(pool.initial))], null, {
+                line: pool.line ?? null,
+                source: String(pool.initial)
+            });
+            this.symbolTable.set(poolName, { type: 'pool', definedAt: pool.line ?? null });
+        }
     }
 
-    buildFunctionOperator(node) {
-        const inputSymbol = this.getLastSymbol() || 'input';
-        const resultSymbol = this.generateSymbol('result');
-
-        this.addInstruction('APPLY_OPERATOR', [
-            inputSymbol,
-            node.name,
-            ...this.parseArguments(node.args)
-        ], resultSymbol, {
-            operator: node.name,
-            nodeType: node.type
-        });
-    }
+    buildFunctions() {
+        for (const definition of Object.values(this.ast.functions || {})) {
+            const section = `func_${definition.name}`;
+            this.currentSection = section;
 
-    buildLensOperator(node) {
-        const lensContent = node.args[0];
-        const inputSymbol = this.getLastSymbol() || 'input';
-
-        // Parse lens pipeline
-        const steps = this.parseLensPipeline(lensContent);
-        
-        let currentSymbol = inputSymbol;
-        for (const step of steps) {
-            const resultSymbol = this.generateSymbol('lens_step');
-            
-            this.addInstruction('LENS_STEP', [
-                currentSymbol,
-                step.operation,
-                ...step.arguments
-            ], resultSymbol, {
-                lensStep: step.raw
+            const input = this.generateSymbol();
+            this.addInstruction('FUNC_ENTRY', [definition.name, [...definition.parameters]], input, {
+                line: definition.line ?? null,
+                column: definition.column ?? null
+            });
+            this.symbolTable.set(definition.name, {
+                type: 'function',
+                parameters: [...definition.parameters],
+                section,
+                definedAt: definition.line ?? null
             });
 
-            currentSymbol = resultSymbol;
+            const entry = definition.entry ? this.nodes.get(definition.entry) : null;
+            const { value, ended } = this.buildChain(entry, input, { bound: definition.parameters });
+            if (!ended) this.addInstruction('RETURN', [value]);
         }
     }
 
-    buildPoolRead(node) {
-        const resultSymbol = this.generateSymbol('pool_read');
-        
-        this.addInstruction('READ_POOL', [
-            node.value
-        ], resultSymbol, {
-            poolName: node.value,
-            nodeType: node.type
-        });
-
-        this.symbolTable.set(node.value, {
-            type: 'pool',
-            accessed: true
-        });
+    // Streams and subscriptions in source order, as the engine finds them
+    buildPipelines() {
+        for (const node of this.ast.nodes) {
+            switch (node.type) {
+                case 'STREAM_SOURCE_FINITE':
+                    this.buildPipeline('stream', node, 'CREATE_STREAM', [this.parseValue(String(node.value)), 'FINITE'], node);
+                    break;
+                case 'STREAM_SOURCE_LIVE':
+                case 'STREAM_SOURCE_REACTIVE':
+                    this.buildPipeline('live', node, 'STREAM_SOURCE', [String(node.value ?? node.name), 'LIVE'], node);
+                    break;
+                case 'POOL_ACCESS':
+                case 'POOL_SUBSCRIPTION': {
+                    // The subscription node itself never runs: its pipeline starts downstream
+                    const connection = (this.ast.connections || []).find(c => c.from === node.id && c.to !== node.id);
+                    const downstream = connection && this.nodes.get(connection.to);
+                    if (!downstream) break;
+                    this.buildPipeline('sub', node, 'READ_POOL', [node.poolName], downstream, { step: false });
+                    break;
+                }
+            }
+        }
     }
 
-    buildPoolDeclaration(node) {
-        this.addInstruction('DECLARE_POOL', [
-            node.poolName,
-            this.parseValue(node.initialValue)
-        ], null, {
-            poolName: node.poolName,
-            nodeType: node.type
-        });
-
-        this.symbolTable.set(node.poolName, {
-            type: 'pool',
-            definedAt: node.position,
-            initialValue: node.initialValue
-        });
-    }
+    buildPipeline(kind, node, opcode, operands, start, { step = true } = {}) {
+        this.currentSection = `${kind}_${++this.sectionCounters[kind]}`;
+        const input = this.generateSymbol();
+        const metadata = step
+            ? this.nodeMetadata(node, { source: node.value == null ? null : String(node.value) })
+            : { line: node.line ?? null, column: node.column ?? null };
+        this.addInstruction(opcode, operands, input, metadata);
 
-    buildGenericNode(node) {
-        // Fallback for unhandled node types
-        this.addInstruction('GENERIC_NODE', [
-            node.type,
-            node.value || JSON.stringify(node)
-        ], this.generateSymbol('generic'), {
-            nodeType: node.type,
-            raw: node
-        });
+        const { value, ended } = this.buildChain(step ? this.nextNode(node) : start, input, {});
+        if (!ended) this.addInstruction('RETURN', [value]);
     }
 
-    // Utility methods
-    addInstruction(opcode, operands, result = null, metadata = {}) {
-        const instruction = {
-            opcode,
-            operands,
-            result,
-            section: this.currentSection,
-            metadata: {
-                ...metadata,
-                timestamp: Date.now(),
-                instructionId: this.instructions.length
+    // ========== PIPELINES ==========
+
+    /**
+     * Lower the nodes from `node` on, following pipe connections the way
+     * the engine does, until `stopAt` (a MERGE), a terminal stage or the
+     * end. `ended` is true when the chain returned on its own, `reached`
+     * when it arrived at `stopAt`.
+     */
+    buildChain(node, value, context, stopAt = null) {
+        const visited = new Set();
+
+        while (node && node.id !== stopAt && !visited.has(node.id)) {
+            visited.add(node.id);
+
+            if (node.branches) {
+                const result = this.buildBranch(node, value, context);
+                if (result.ended) return result;
+                value = result.value;
+                node = this.nextNode(this.nodes.get(node.mergeNodeId));
+                continue;
             }
-        };
 
-        this.instructions.push(instruction);
-        return instruction;
-    }
+            value = this.buildStage(node, value, context);
+            if (this.isTerminal(node)) {
+                this.addInstruction('RETURN', [value]);
+                return { value, ended: true };
+            }
+            node = this.nextNode(node);
+        }
 
-    generateSymbol(prefix = 'sym') {
-        const symbol = `${prefix}_${this.labelCounter++}`;
-        return symbol;
+        return { value, ended: false, reached: Boolean(stopAt) && node?.id === stopAt };
     }
 
-    getLastSymbol() {
-        if (this.instructions.length === 0) return null;
-        
-        const lastInstr = this.instructions[this.instructions.length - 1];
-        return lastInstr.result;
+    /**
+     * BRANCH jumps to the label of the selected flow, to the MERGE label
+     * when no flow matches, or returns without a MERGE. Every flow that
+     * reaches the MERGE jumps there with its value.
+     */
+    buildBranch(node, value, context) {
+        const mergeNode = node.mergeNodeId ? this.nodes.get(node.mergeNodeId) : null;
+        const mergeLabel = mergeNode ? this.generateLabel() : null;
+        const flows = Object.entries(node.branches).map(([label, flowId]) => ({ label, flowNode: this.nodes.get(flowId), name: this.generateLabel() }));
+
+        this.addInstruction('BRANCH', [
+            value,
+            node.name,
+            String(node.args?.[0] ?? ''),
+            Object.fromEntries(flows.map(flow => [flow.label, flow.name])),
+            mergeLabel
+        ], null, this.nodeMetadata(node));
+
+        for (const flow of flows) {
+            const flowValue = this.generateSymbol();
+            this.addInstruction('LABEL', [flow.name], flowValue, flow.flowNode ? this.nodeMetadata(flow.flowNode) : {});
+            const result = this.buildChain(flow.flowNode && this.nextNode(flow.flowNode), flowValue, context, mergeNode?.id ?? null);
+            if (result.ended) continue;
+            if (result.reached) this.addInstruction('JUMP', [mergeLabel, result.value]);
+            else this.addInstruction('RETURN', [result.value]);
+        }
+
+        if (!mergeLabel) return { value, ended: true };
+
+        const merged = this.generateSymbol();
+        this.addInstruction('LABEL', [mergeLabel], merged, this.nodeMetadata(mergeNode));
+        return { value: merged, ended: false };
     }
 
-    parseValue(value) {
-        if (typeof value === 'string') {
-            // Try to parse as number
-            const num = parseFloat(value);
-            if (!isNaN(num)) return num;
-
-            // Try to parse as array
-            if (value.startsWith('[') && value.endsWith(']')) {
-                try {
-                    return JSON.parse(value);
-                } catch {
-                    return value.slice(1, -1).split(',').map(v => this.parseValue(v.trim()));
-                }
+    buildStage(node, input, context) {
+        const result = this.generateSymbol();
+        const metadata = this.nodeMetadata(node);
+
+        switch (node.type) {
+            case 'FUNCTION_OPERATOR': {
+                const name = this.operatorName(node);
+                const args = (node.args || []).map(arg => this.parseArgument(arg, context));
+                const opcode = Object.hasOwn(this.ast.functions || {}, name) ? 'CALL_FUNC' : 'APPLY_OPERATOR';
+                this.addInstruction(opcode, [input, name, ...args], result, { ...metadata, depth: this.pipelineDepth(node) });
+                break;
             }
-
-            // Remove quotes from strings
-            if ((value.startsWith("'") && value.endsWith("'")) || 
-                (value.startsWith('"') && value.endsWith('"'))) {
-                return value.slice(1, -1);
+            case 'LENS_OPERATOR': {
+                const opcode = LENS_OPCODES[node.name] || `LENS_${String(node.name).toUpperCase()}`;
+                this.addInstruction(opcode, [input, String(node.args?.[0] ?? '')], result, metadata);
+                break;
             }
+            case 'POOL_WRITE':
+                this.addInstruction('WRITE_POOL', [input, node.targetPool ?? String(node.args?.[0])], result, metadata);
+                break;
+            default:
+                // Flow markers and other pass-through nodes still count as a step
+                this.addInstruction('PASS', [input], result, metadata);
         }
 
-        return value;
+        return result;
     }
 
-    parseArguments(args) {
-        return args.map(arg => this.parseValue(arg));
+    nextNode(node) {
+        if (!node) return null;
+        const connection = (this.outgoing.get(node.id) || []).find(c => c.type === 'PIPE_FLOW');
+        return connection ? this.nodes.get(connection.to) || null : null;
     }
 
-    parseLensPipeline(lensContent) {
-        const steps = [];
-        
-        if (lensContent.includes('|')) {
-            const parts = lensContent.split('|').map(part => part.trim());
-            
-            for (const part of parts) {
-                if (part.includes('(') && part.includes(')')) {
-                    // Function call
-                    const match = part.match(/(\w+)\(([^)]*)\)/);
-                    if (match) {
-                        const [, funcName, argsStr] = match;
-                        const args = argsStr.split(',').map(arg => arg.trim());
-                        
-                        steps.push({
-                            operation: funcName,
-                            arguments: args.map(arg => this.parseValue(arg)),
-                            raw: part
-                        });
-                    }
-                } else if (part.includes('.value')) {
-                    // Value access
-                    steps.push({
-                        operation: 'value_access',
-                        arguments: [],
-                        raw: part
-                    });
-                } else {
-                    // Unknown operation
-                    steps.push({
-                        operation: 'unknown',
-                        arguments: [part],
-                        raw: part
-                    });
-                }
-            }
+    isTerminal(node) {
+        return TERMINAL_OPERATORS.includes(this.operatorName(node)) || Boolean(node.isTerminal);
+    }
+
+    // Same count the engine reports to library selection as `pipelineDepth`
+    pipelineDepth(startNode) {
+        let depth = 0;
+        let node = startNode;
+        while (node) {
+            depth++;
+            const connection = (this.outgoing.get(node.id) || [])[0];
+            if (!connection) break;
+            node = this.nodes.get(connection.to);
+            if (!node || this.isTerminal(node)) break;
         }
+        return depth;
+    }
 
-        return steps;
+    nodeMetadata(node, extra = {}) {
+        return {
+            nodeId: node.id,
+            nodeType: node.type,
+            name: node.name ?? null,
+            line: node.line ?? null,
+            column: node.column ?? null,
+            steps: [this.describeNode(node)],
+            ...extra
+        };
     }
 
-    createGenerator(sourceValue) {
-        // Create appropriate generator based on source
-        if (sourceValue.includes('random')) {
-            return () => Math.random();
+    // The stage names the engine records in a runtime error's path
+    describeNode(node) {
+        switch (node.type) {
+            case 'STREAM_SOURCE_FINITE': return `~ ${node.value}`;
+            case 'STREAM_SOURCE_LIVE':
+            case 'STREAM_SOURCE_REACTIVE': return `~? ${node.value ?? node.name}`;
+            case 'POOL_ACCESS': return `${node.poolName} ->`;
+            case 'CASE_FLOW': return `CASE ${node.label}`;
+            case 'FUNCTION_OPERATOR':
+            case 'LENS_OPERATOR':
+            case 'POOL_WRITE': return node.value || node.name;
+            default: return node.name || node.type;
         }
-        if (sourceValue.includes('time')) {
-            return () => Date.now();
-        }
-        return () => sourceValue;
     }
 
-    inferType(value) {
-        if (typeof value === 'number') return 'number';
-        if (typeof value === 'string') return 'string';
-        if (Array.isArray(value)) return 'array';
-        if (value === null || value === undefined) return 'any';
-        return 'unknown';
+    operatorName(node) {
+        const name = String(node.name ?? '');
+        const openParen = name.indexOf('(');
+        return (openParen === -1 ? name : name.substring(0, openParen)).trim();
     }
 
-    // Optimization
-    optimize() {
-        if (this.config.optimizationLevel === 0) return;
+    // ========== VALUES ==========
 
-        this.constantFolding();
-        this.deadCodeElimination();
-        
-        if (this.config.optimizationLevel >= 2) {
-            this.inlineExpressions();
-        }
+    // FUNC parameters stay references; everything else is parsed as the engine would
+    parseArgument(arg, context) {
+        if (typeof arg !== 'string') return arg;
+        if ((context.bound || []).includes(arg)) return new ParamRef(arg);
+        return this.parseValue(arg);
     }
 
-    constantFolding() {
-        this.instructions = this.instructions.map(instr => {
-            // Fold constant expressions where possible
-            if (instr.opcode === 'APPLY_OPERATOR' && 
-                instr.operands.length >= 2) {
-                const operator = instr.operands[1];
-                const args = instr.operands.slice(2);
-
-                // Simple constant folding for arithmetic
-                if (operator === 'add' && args.length === 1 && 
-                    typeof instr.operands[0] === 'number' && 
-                    typeof args[0] === 'number') {
-                    return {
-                        ...instr,
-                        opcode: 'CONSTANT',
-                        operands: [instr.operands[0] + args[0]],
-                        metadata: {
-                            ...instr.metadata,
-                            folded: true
-                        }
-                    };
-                }
+    // RuntimeEngine.parseLiteralValue
+    parseValue(value) {
+        if (value === 'null') return null;
+        if (value === 'true') return true;
+        if (value === 'false') return false;
+        if (!isNaN(value) && value.trim() !== '') return parseFloat(value);
+        if ((value.startsWith("'") && value.endsWith("'")) || (value.startsWith('"') && value.endsWith('"'))) {
+            return value.slice(1, -1);
+        }
+        if ((value.startsWith('[') && value.endsWith(']')) || (value.startsWith('{') && value.endsWith('}'))) {
+            try {
+                return this.lensEvaluator.evaluateLiteral(value);
+            } catch (error) {
+                return value;
             }
-            return instr;
-        });
+        }
+        return value;
     }
 
-    deadCodeElimination() {
-        const usedSymbols = new Set();
-        
-        // Mark all result symbols that are used
-        this.instructions.forEach(instr => {
-            instr.operands.forEach(operand => {
-                if (typeof operand === 'string' && operand.startsWith('sym_')) {
-                    usedSymbols.add(operand);
-                }
-            });
-        });
+    // ========== INSTRUCTIONS ==========
 
-        // Remove instructions with unused results
-        this.instructions = this.instructions.filter(instr => {
-            if (instr.result && !usedSymbols.has(instr.result)) {
-                return false; // Remove unused result
+    addInstruction(opcode, operands, result = null, metadata = {}) {
+        const instruction = {
+            opcode,
+            operands,
+            result,
+            section: this.currentSection,
+            metadata: {
+                ...metadata,
+                instructionId: this.instructions.length
             }
-            return true;
-        });
+        };
+
+        this.instructions.push(instruction);
+        return instruction;
     }
 
-    inlineExpressions() {
-        // Simple inlining for very basic cases
-        const symbolValues = new Map();
-        
-        this.instructions = this.instructions.filter(instr => {
-            if (instr.opcode === 'CONSTANT' && instr.operands.length === 1) {
-                symbolValues.set(instr.result, instr.operands[0]);
-                return false; // Remove constant declaration
-            }
-            
-            // Replace symbol usage with constant values
-            instr.operands = instr.operands.map(operand => {
-                return symbolValues.get(operand) || operand;
-            });
-            
-            return true;
-        });
+    generateSymbol(prefix = 'sym') {
+        return `${prefix}_${this.labelCounter++}`;
+    }
+
+    generateLabel() {
+        return this.generateSymbol('L');
     }
 
     getIRProgram() {
@@ -380,10 +362,10 @@ export class IRBuilder {
             instructions: this.instructions,
             symbols: Array.from(this.symbolTable.entries()),
             metadata: {
+                filename: this.ast?.metadata?.filename ?? null,
                 instructionCount: this.instructions.length,
                 symbolCount: this.symbolTable.size,
-                generatedAt: new Date().toISOString(),
-                optimizationLevel: this.config.optimizationLevel
+                generatedAt: new Date().toISOString()
             }
         };
     }
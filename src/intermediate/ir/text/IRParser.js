@@ -0,0 +1,463 @@
+// FILENAME: src/intermediate/ir/text/IRParser.js
+// IR Parser - reads .fir text back into IR programs
+
+import { ParamRef } from '../builder/IRBuilder.js';
+import { ParserError } from '../../../frontend/errors.js';
+import { STAGE_DEFAULTS, stageDefaults } from './IRPrinter.js';
+
+const OPCODES = new Set([
+    'IMPORT', 'DECLARE_POOL', 'CREATE_STREAM', 'STREAM_SOURCE', 'READ_POOL', 'FUNC_ENTRY',
+    'APPLY_OPERATOR', 'CALL_FUNC', 'LENS_MAP', 'LENS_FILTER', 'LENS_REDUCE', 'LENS_FUSED',
+    'WRITE_POOL', 'CONSTANT', 'PASS', 'BRANCH', 'LABEL', 'JUMP', 'RETURN'
+]);
+const FUSABLE = { map: 'LENS_MAP', filter: 'LENS_FILTER' };
+const WORDS = { true: true, false: false, null: null, Infinity: Infinity, NaN: NaN };
+const NUMBER = /^-?(\d+\.?\d*|\.\d+)([eE][+-]?\d+)?/;
+
+/**
+ * Reads the text IRPrinter writes (see there for the format) into the
+ * program IRBuilder would have built: the same instructions, sections and
+ * metadata, ready for OptimizerManager and IRRuntimeEngine.startProgram.
+ * Stages get ids from their position (`stream_1.2`); `type=` and `name=`
+ * default per opcode.
+ *
+ * Hand-written files may leave out what the printer always writes: a
+ * LENS_FUSED without the instructions it replaced gets one LENS_MAP or
+ * LENS_FILTER per fused stage, and without a `symbols` block the pools
+ * and FUNCs are taken from DECLARE_POOL and FUNC_ENTRY.
+ *
+ * Mistakes are ParserErrors at their line and column in the .fir file.
+ */
+export class IRParser {
+    constructor(options = {}) {
+        this.filename = options.filename || '<ir>';
+    }
+
+    parse(text) {
+        this.instructions = [];
+        this.symbols = null;
+        this.programFile = null;
+        this.section = null;
+        this.fusedParent = null;
+        this.inSymbols = false;
+        this.registers = new Map();
+
+        const lines = text.split('\n');
+        for (let index = 0; index < lines.length; index++) {
+            this.lineNumber = index + 1;
+            this.parseLine(lines[index]);
+        }
+
+        this.validate();
+        const symbols = this.symbols ?? this.deriveSymbols();
+        return {
+            type: 'IR_PROGRAM',
+            instructions: this.instructions,
+            symbols,
+            metadata: {
+                filename: this.programFile,
+                instructionCount: this.instructions.length,
+                symbolCount: symbols.length
+            }
+        };
+    }
+
+    parseLine(line) {
+        const content = stripComment(line);
+        if (content.trim() === '') return;
+        const indent = content.length - content.trimStart().length;
+        const text = content.trim();
+
+        if (indent === 0) {
+            this.fusedParent = null;
+            this.inSymbols = false;
+            const [keyword, ...rest] = text.split(/\s+/);
+            switch (keyword) {
+                case 'program':
+                    this.line = content;
+                    this.position = keyword.length;
+                    this.programFile = this.readJSON();
+                    if (typeof this.programFile !== 'string' || !this.atEnd()) this.fail('Expected a file name: program "app.flux"', keyword.length + 2);
+                    return;
+                case 'symbols':
+                    this.symbols ??= [];
+                    this.inSymbols = true;
+                    return;
+                case 'section':
+                    if (rest.length !== 1 || !/^[A-Za-z_]\w*$/.test(rest[0])) this.fail('Expected a section name: section stream_1', 1);
+                    this.section = rest[0];
+                    this.registers = new Map();
+                    return;
+                default:
+                    this.fail(`Unexpected '${keyword}': expected program, symbols or section`, 1);
+            }
+        }
+
+        if (this.inSymbols) {
+            this.symbols.push(this.parseSymbol(text, indent + 1));
+            return;
+        }
+        if (!this.section) this.fail('Instruction outside a section', indent + 1);
+
+        // Lines indented below a LENS_FUSED are the instructions it replaced
+        const fused = this.fusedParent && indent > this.fusedParent.indent ? this.fusedParent.instruction : null;
+        const instruction = this.parseInstruction(content, indent, fused);
+        if (fused) {
+            if (!Object.values(FUSABLE).includes(instruction.opcode)) {
+                this.fail(`A fused stage must be LENS_MAP or LENS_FILTER, not ${instruction.opcode}`, indent + 1);
+            }
+            this.defineRegisters(instruction, this.fusedParent.registers, fused.result);
+            fused.metadata.fusedFrom.push(instruction);
+            return;
+        }
+
+        this.defineRegisters(instruction, this.registers);
+        this.instructions.push(instruction);
+        this.fusedParent = instruction.opcode === 'LENS_FUSED' ? { instruction, indent, registers: new Map() } : null;
+    }
+
+    // name: pool @3  |  name: function(a, b) in func_name @5
+    parseSymbol(text, column) {
+        const match = /^([A-Za-z_]\w*):\s*(pool|function)(?:\(([^)]*)\))?(?:\s+in\s+([A-Za-z_]\w*))?(?:\s+@(\d+))?$/.exec(text);
+        if (!match) this.fail(`Bad symbol: ${text}`, column);
+        const [, name, type, parameters, section, line] = match;
+        const symbol = { type, definedAt: line ? Number(line) : null };
+        if (type === 'function') {
+            symbol.parameters = parameters ? parameters.split(',').map(parameter => parameter.trim()).filter(Boolean) : [];
+            symbol.section = section ?? `func_${name}`;
+        }
+        return [name, symbol];
+    }
+
+    // ========== INSTRUCTIONS ==========
+
+    parseInstruction(line, indent, fused = null) {
+        this.line = line;
+        this.position = indent;
+
+        let result = null;
+        let resultColumn = null;
+        if (this.peek() === '%') {
+            resultColumn = this.position + 1;
+            result = this.readIdentifier(1);
+            this.expect('=');
+        }
+
+        const opcodeColumn = this.position + 1;
+        const opcode = this.readIdentifier();
+        if (!OPCODES.has(opcode)) this.fail(`Unknown IR instruction: ${opcode}`, opcodeColumn);
+
+        const operands = [];
+        this.reads = [];
+        if (!this.atAttributes()) {
+            operands.push(this.readOperand());
+            while (this.peek() === ',') {
+                this.position++;
+                operands.push(this.readOperand());
+            }
+        }
+
+        const attributes = {};
+        while (!this.atEnd()) this.readAttribute(attributes);
+
+        const instruction = this.buildInstruction(opcode, operands, result, attributes, opcodeColumn, fused);
+        instruction.registers = { reads: this.reads, resultColumn };
+        return instruction;
+    }
+
+    /**
+     * Registers are defined once and read after their definition, within a
+     * section. The instructions below a LENS_FUSED have a scope of their own:
+     * they read the section's registers and each other's, and the last one
+     * defines the LENS_FUSED's result again.
+     */
+    defineRegisters(instruction, scope, fusedResult = null) {
+        const { reads, resultColumn } = instruction.registers;
+        for (const { name, column } of reads) {
+            if (!scope.has(name) && !this.registers.has(name)) {
+                this.fail(`Undefined register %${name} in section ${this.section}`, column);
+            }
+        }
+
+        const result = instruction.result;
+        if (result === null) return;
+        // Below a LENS_FUSED, a section register is taken unless it is the fused result
+        const outer = fusedResult !== null && result !== fusedResult ? this.registers.get(result) : undefined;
+        const previous = scope.get(result) ?? outer;
+        if (previous !== undefined) this.fail(`Register %${result} is already defined at line ${previous}`, resultColumn);
+        scope.set(result, this.lineNumber);
+    }
+
+    buildInstruction(opcode, operands, result, attributes, column, fused) {
+        const { line, column: sourceColumn, type, name, depth, source, steps } = attributes;
+        const metadata = {};
+        if (line !== undefined) Object.assign(metadata, { line, column: sourceColumn ?? null });
+
+        // Stage opcodes always run as stages; LABEL only with a type
+        if (STAGE_DEFAULTS[opcode] || type) {
+            const defaults = stageDefaults(opcode, operands, type);
+            Object.assign(metadata, {
+                nodeId: fused ? `${fused.metadata.nodeId}.${fused.metadata.fusedFrom.length}` : `${this.section}.${this.instructions.length}`,
+                nodeType: type ?? defaults.type,
+                name: name !== undefined ? name : defaults.name
+            });
+        }
+        if (depth !== undefined) metadata.depth = depth;
+        if (source !== undefined) metadata.source = source;
+        if (steps !== undefined) metadata.steps = steps;
+        metadata.instructionId = this.instructions.length;
+
+        const instruction = { opcode, operands, result, section: this.section, metadata, line: this.lineNumber, column };
+        if (opcode === 'LENS_FUSED') {
+            if (!Array.isArray(operands[1]) || operands[1].length === 0 || !operands[1].every(stage => FUSABLE[stage?.kind] && typeof stage.lens === 'string')) {
+                this.fail('LENS_FUSED takes an input and a list of { "kind": "map" | "filter", "lens": "..." } stages', column);
+            }
+            metadata.fused = true;
+            metadata.fusedFrom = [];
+        }
+        return instruction;
+    }
+
+    // Operand: %register, $parameter, a bare label or a JSON value
+    readOperand() {
+        this.skipSpace();
+        const char = this.peek();
+        if (char === '%') {
+            const column = this.position + 1;
+            const name = this.readIdentifier(1);
+            this.reads.push({ name, column });
+            return name;
+        }
+        if (char === '$') return new ParamRef(this.readIdentifier(1));
+        if (/[A-Za-z_]/.test(char)) {
+            const word = this.readIdentifier();
+            return Object.hasOwn(WORDS, word) ? WORDS[word] : word;
+        }
+        if (char === '-' && this.line.startsWith('-Infinity', this.position)) {
+            this.position += '-Infinity'.length;
+            return -Infinity;
+        }
+        return this.readJSON();
+    }
+
+    // @line[:column] or key=value
+    readAttribute(attributes) {
+        this.skipSpace();
+        const column = this.position + 1;
+        if (this.peek() === '@') {
+            const match = /^@(\d+)(?::(\d+))?/.exec(this.line.slice(this.position));
+            if (!match) this.fail('Expected a location: @line or @line:column', column);
+            this.position += match[0].length;
+            attributes.line = Number(match[1]);
+            if (match[2] !== undefined) attributes.column = Number(match[2]);
+            return;
+        }
+
+        const key = this.readIdentifier();
+        this.expect('=');
+        switch (key) {
+            case 'type':
+                attributes.type = this.readIdentifier();
+                break;
+            case 'name':
+            case 'source':
+                attributes[key] = this.readJSON();
+                break;
+            case 'depth':
+                attributes.depth = this.readJSON();
+                if (!Number.isInteger(attributes.depth)) this.fail('depth must be an integer', column);
+                break;
+            case 'steps':
+                attributes.steps = this.readJSON();
+                if (!Array.isArray(attributes.steps) || !attributes.steps.every(step => typeof step === 'string')) {
+                    this.fail('steps must be a list of strings', column);
+                }
+                break;
+            default:
+                this.fail(`Unknown attribute '${key}' (expected type, name, depth, source or steps)`, column);
+        }
+    }
+
+    atAttributes() {
+        this.skipSpace();
+        return this.atEnd() || this.peek() === '@' || /^[A-Za-z_]\w*=/.test(this.line.slice(this.position));
+    }
+
+    // ========== TOKENS ==========
+
+    readJSON() {
+        this.skipSpace();
+        const start = this.position;
+        const char = this.peek();
+        let end;
+
+        if (char === '"') {
+            end = this.scanString(start);
+        } else if (char === '[' || char === '{') {
+            end = this.scanBrackets(start);
+        } else {
+            const match = NUMBER.exec(this.line.slice(start)) || /^(true|false|null)\b/.exec(this.line.slice(start));
+            if (!match) this.fail('Expected a value', start + 1);
+            end = start + match[0].length;
+        }
+
+        this.position = end;
+        try {
+            return JSON.parse(this.line.slice(start, end));
+        } catch (error) {
+            this.fail(`Bad value: ${error.message}`, start + 1);
+        }
+    }
+
+    scanString(start) {
+        for (let index = start + 1; index < this.line.length; index++) {
+            if (this.line[index] === '\\') index++;
+            else if (this.line[index] === '"') return index + 1;
+        }
+        this.fail('Unterminated string', start + 1);
+    }
+
+    scanBrackets(start) {
+        let depth = 0;
+        for (let index = start; index < this.line.length; index++) {
+            const char = this.line[index];
+            if (char === '"') index = this.scanString(index) - 1;
+            else if (char === '[' || char === '{') depth++;
+            else if (char === ']' || char === '}') {
+                depth--;
+                if (depth === 0) return index + 1;
+            }
+        }
+        this.fail(`Unclosed '${this.line[start]}'`, start + 1);
+    }
+
+    readIdentifier(skip = 0) {
+        this.skipSpace();
+        this.position += skip;
+        const match = /^[A-Za-z_]\w*/.exec(this.line.slice(this.position));
+        if (!match) this.fail('Expected a name', this.position + 1);
+        this.position += match[0].length;
+        return match[0];
+    }
+
+    expect(char) {
+        this.skipSpace();
+        if (this.peek() !== char) this.fail(`Expected '${char}'`, this.position + 1);
+        this.position++;
+    }
+
+    peek() {
+        this.skipSpace();
+        return this.line[this.position];
+    }
+
+    skipSpace() {
+        while (this.position < this.line.length && /\s/.test(this.line[this.position])) this.position++;
+    }
+
+    atEnd() {
+        this.skipSpace();
+        return this.position >= this.line.length;
+    }
+
+    fail(message, column) {
+        throw new ParserError(message, this.filename, this.lineNumber, column);
+    }
+
+    // ========== PROGRAM ==========
+
+    // Labels a section jumps to exist in it, and fused instructions can run unfused
+    validate() {
+        const labels = new Map();
+        for (const { opcode, operands, section } of this.instructions) {
+            if (opcode === 'LABEL') labels.set(`${section}:${operands[0]}`, true);
+        }
+
+        for (const instruction of this.instructions) {
+            const { opcode, operands, section } = instruction;
+            this.lineNumber = instruction.line;
+            const targets = opcode === 'JUMP' ? [operands[0]]
+                : opcode === 'BRANCH' ? [...Object.values(operands[3] || {}), operands[4]].filter(label => label != null)
+                    : [];
+            for (const label of targets) {
+                if (!labels.has(`${section}:${label}`)) this.fail(`Unknown label ${label} in section ${section}`, instruction.column);
+            }
+            if (opcode === 'LENS_FUSED') this.completeFusion(instruction);
+        }
+
+        for (const instruction of this.instructions) {
+            delete instruction.line;
+            delete instruction.column;
+            delete instruction.registers;
+            for (const original of instruction.metadata.fusedFrom || []) {
+                delete original.line;
+                delete original.column;
+                delete original.registers;
+            }
+        }
+    }
+
+    completeFusion(instruction) {
+        const { operands, metadata } = instruction;
+        const stages = operands[1];
+
+        if (metadata.fusedFrom.length === 0) {
+            // One stage per fused lens, each reading the last one's result and
+            // taking its own step when there is one per lens
+            const steps = metadata.steps || [];
+            const ownSteps = steps.length === stages.length;
+            let input = operands[0];
+            metadata.fusedFrom = stages.map(({ kind, lens }, index) => {
+                const result = index === stages.length - 1 ? instruction.result : `${instruction.result}_${index}`;
+                const original = {
+                    opcode: FUSABLE[kind],
+                    operands: [input, lens],
+                    result,
+                    section: instruction.section,
+                    metadata: { ...metadata, name: kind, nodeId: `${metadata.nodeId}.${index}`, steps: ownSteps ? [steps[index]] : index === 0 ? steps : [] }
+                };
+                delete original.metadata.fused;
+                delete original.metadata.fusedFrom;
+                input = result;
+                return original;
+            });
+        }
+
+        const fused = metadata.fusedFrom.map(original => ({ kind: original.opcode === 'LENS_MAP' ? 'map' : 'filter', lens: original.operands[1] }));
+        if (fused.length !== stages.length || fused.some((stage, index) => stage.kind !== stages[index].kind || stage.lens !== stages[index].lens)) {
+            this.fail('The instructions below LENS_FUSED must be its stages, in order', instruction.column);
+        }
+        // The fused stage is the first one it replaced, for stats and errors
+        metadata.nodeId = metadata.fusedFrom[0].metadata.nodeId;
+        metadata.steps ??= metadata.fusedFrom.flatMap(original => original.metadata.steps || []);
+    }
+
+    deriveSymbols() {
+        const symbols = [];
+        for (const { opcode, operands, section, metadata } of this.instructions) {
+            if (opcode === 'DECLARE_POOL') symbols.push([operands[0], { type: 'pool', definedAt: metadata.line }]);
+            if (opcode === 'FUNC_ENTRY') {
+                symbols.push([operands[0], { type: 'function', parameters: [...(operands[1] || [])], section, definedAt: metadata.line }]);
+            }
+        }
+        return symbols;
+    }
+}
+
+// Everything after a `;` that is not inside a string
+function stripComment(line) {
+    let inString = false;
+    for (let index = 0; index < line.length; index++) {
+        const char = line[index];
+        if (inString && char === '\\') index++;
+        else if (char === '"') inString = !inString;
+        else if (char === ';' && !inString) return line.slice(0, index);
+    }
+    return line;
+}
+
+export function parseIR(text, options = {}) {
+    return new IRParser(options).parse(text);
+}
+
+export default IRParser;
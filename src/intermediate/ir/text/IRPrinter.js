@@ -0,0 +1,148 @@
+// FILENAME: src/intermediate/ir/text/IRPrinter.js
+// IR Printer - writes IR programs as .fir text
+
+import { ParamRef } from '../builder/IRBuilder.js';
+
+// Operands that name a register (`%sym_3`) or a label (`L_2`) rather than hold a value
+const NO_INPUT_OPCODES = new Set(['IMPORT', 'DECLARE_POOL', 'CREATE_STREAM', 'STREAM_SOURCE', 'READ_POOL', 'FUNC_ENTRY', 'CONSTANT', 'LABEL']);
+const LABEL_OPERANDS = { LABEL: [0], JUMP: [0], BRANCH: [4] };
+
+/**
+ * The stage type and name IRBuilder gives each opcode. The printer leaves
+ * out `type=` and `name=` when they match, and IRParser fills them back in,
+ * so .fir files only spell out what is unusual. LABEL has no default: a
+ * LABEL without `type=` is not a stage (a flow with no nodes of its own).
+ */
+export const STAGE_DEFAULTS = {
+    CREATE_STREAM: () => ({ type: 'STREAM_SOURCE_FINITE', name: 'FINITE_SOURCE' }),
+    STREAM_SOURCE: () => ({ type: 'STREAM_SOURCE_LIVE', name: 'LIVE_SOURCE' }),
+    APPLY_OPERATOR: operands => ({ type: 'FUNCTION_OPERATOR', name: operands[1] }),
+    CALL_FUNC: operands => ({ type: 'FUNCTION_OPERATOR', name: operands[1] }),
+    LENS_MAP: () => ({ type: 'LENS_OPERATOR', name: 'map' }),
+    LENS_FILTER: () => ({ type: 'LENS_OPERATOR', name: 'filter' }),
+    LENS_REDUCE: () => ({ type: 'LENS_OPERATOR', name: 'reduce' }),
+    LENS_FUSED: operands => ({ type: 'LENS_OPERATOR', name: operands[1]?.[0]?.kind ?? 'map' }),
+    BRANCH: operands => ({ type: 'LENS_OPERATOR', name: operands[1] }),
+    WRITE_POOL: () => ({ type: 'POOL_WRITE', name: 'to_pool' }),
+    CONSTANT: () => ({ type: 'CONSTANT', name: 'CONSTANT' }),
+    PASS: () => ({ type: 'PASS', name: 'PASS' })
+};
+
+export function stageDefaults(opcode, operands, type = null) {
+    const defaults = STAGE_DEFAULTS[opcode]?.(operands) ?? { type: null, name: null };
+    // A stage of another type is named after its type unless it says otherwise
+    return type && type !== defaults.type ? { type, name: type } : defaults;
+}
+
+/**
+ * Text form of an IR program (`fluxus compile --emit-ir`):
+ *
+ *   program "app.flux"
+ *
+ *   symbols
+ *       counter: pool @3
+ *       scale: function(factor) in func_scale @5
+ *
+ *   section stream_1
+ *       %sym_0 = CREATE_STREAM 10, "FINITE"  @8:1 steps=["~ 10"]
+ *       %sym_1 = APPLY_OPERATOR %sym_0, "multiply", 2  @8:8 depth=2 steps=["multiply(2)"]
+ *       RETURN %sym_1
+ *
+ * Operands are `%register`, `$parameter` (a FUNC parameter), a bare label
+ * or a JSON value. After them come the source location and the metadata
+ * the engine needs: stage type and name, library-selection depth, the
+ * literal's source text and the `steps` an error's path shows. A
+ * LENS_FUSED instruction lists the instructions it replaced, indented
+ * below it. Node ids are not written: IRParser numbers the stages, so the
+ * same program always prints the same text.
+ */
+export class IRPrinter {
+    print(program) {
+        const lines = ['; Fluxus IR'];
+        const level = program.metadata?.optimization?.level;
+        if (level !== undefined) lines[0] += ` (-O${level})`;
+        if (program.metadata?.filename) lines.push(`program ${JSON.stringify(program.metadata.filename)}`);
+
+        const symbols = program.symbols || [];
+        if (symbols.length > 0) {
+            lines.push('', 'symbols');
+            for (const [name, symbol] of symbols) lines.push(`    ${this.formatSymbol(name, symbol)}`);
+        }
+
+        let section = null;
+        for (const instruction of program.instructions) {
+            if (instruction.section !== section) {
+                section = instruction.section;
+                lines.push('', `section ${section}`);
+            }
+            lines.push(`    ${this.formatInstruction(instruction)}`);
+            for (const original of instruction.opcode === 'LENS_FUSED' ? instruction.metadata?.fusedFrom || [] : []) {
+                lines.push(`        ${this.formatInstruction(original)}`);
+            }
+        }
+
+        return lines.join('\n') + '\n';
+    }
+
+    formatSymbol(name, symbol) {
+        const at = symbol.definedAt != null ? ` @${symbol.definedAt}` : '';
+        if (symbol.type === 'function') return `${name}: function(${(symbol.parameters || []).join(', ')}) in ${symbol.section}${at}`;
+        return `${name}: ${symbol.type}${at}`;
+    }
+
+    formatInstruction(instruction) {
+        const { opcode, operands = [], result } = instruction;
+        const text = [result ? `%${result} = ${opcode}` : opcode];
+
+        const formatted = operands.map((operand, index) => this.formatOperand(opcode, operand, index));
+        if (formatted.length > 0) text[0] += ` ${formatted.join(', ')}`;
+
+        const attributes = this.formatAttributes(instruction);
+        if (attributes.length > 0) text.push(attributes.join(' '));
+        return text.join('  ');
+    }
+
+    formatOperand(opcode, operand, index) {
+        if (operand instanceof ParamRef) return `$${operand.param}`;
+        if (typeof operand === 'string') {
+            const register = opcode === 'JUMP' ? index === 1 : index === 0 && !NO_INPUT_OPCODES.has(opcode);
+            if (register) return `%${operand}`;
+            if (LABEL_OPERANDS[opcode]?.includes(index) && /^[A-Za-z_]\w*$/.test(operand)) return operand;
+        }
+        return formatValue(operand);
+    }
+
+    formatAttributes({ opcode, operands = [], metadata = {} }) {
+        const attributes = [];
+        if (metadata.line != null) attributes.push(metadata.column != null ? `@${metadata.line}:${metadata.column}` : `@${metadata.line}`);
+
+        if (metadata.nodeId) {
+            if (metadata.nodeType !== stageDefaults(opcode, operands).type) attributes.push(`type=${metadata.nodeType}`);
+            if ((metadata.name ?? null) !== stageDefaults(opcode, operands, metadata.nodeType).name) attributes.push(`name=${formatValue(metadata.name ?? null)}`);
+        }
+        if (metadata.depth != null) attributes.push(`depth=${metadata.depth}`);
+        if (metadata.source != null && metadata.source !== operands[0] && metadata.source !== JSON.stringify(operands[0])) {
+            attributes.push(`source=${formatValue(metadata.source)}`);
+        }
+
+        const steps = metadata.steps || [];
+        const fusedSteps = (metadata.fusedFrom || []).flatMap(original => original.metadata?.steps || []);
+        const derived = opcode === 'LENS_FUSED' && steps.length === fusedSteps.length && steps.every((step, index) => step === fusedSteps[index]);
+        if (steps.length > 0 && !derived) attributes.push(`steps=${formatValue(steps)}`);
+
+        return attributes;
+    }
+}
+
+// JSON, except for the numbers JSON has no words for
+export function formatValue(value) {
+    if (typeof value === 'number' && !Number.isFinite(value)) return String(value);
+    if (value === undefined) return 'null';
+    return JSON.stringify(value);
+}
+
+export function printIR(program) {
+    return new IRPrinter().print(program);
+}
+
+export default IRPrinter;
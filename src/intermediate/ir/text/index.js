@@ -0,0 +1,5 @@
+// FILENAME: src/intermediate/ir/text/index.js
+// IR Text Format Index (.fir)
+
+export { IRPrinter, printIR } from './IRPrinter.js';
+export { IRParser, parseIR } from './IRParser.js';
@@ -0,0 +1,34 @@
+// FILENAME: src/intermediate/optimizer/explain.js
+// --explain-opt: what the optimizer rewrote, next to the source it came from
+
+/**
+ * Format `program.metadata.optimization` (set by OptimizerManager) as
+ * console lines. Each rewrite is followed by the source lines it touched,
+ * numbered as in the file, when `source` is given.
+ */
+export function formatOptimizationReport(program, source = '') {
+    const optimization = program.metadata?.optimization;
+    if (!optimization) return ['🔎 Optimizer: not run (-O0)'];
+
+    const sourceLines = (source ?? '').split('\n');
+    const width = String(sourceLines.length).length;
+    const { level, rewrites = [], initialInstructionCount, finalInstructionCount } = optimization;
+
+    const lines = [`🔎 Optimizer -O${level}: ${rewrites.length} rewrite(s), ${initialInstructionCount} → ${finalInstructionCount} instructions`];
+    if (rewrites.length === 0) lines.push('   Nothing to fold, remove or fuse');
+
+    for (const rewrite of rewrites) {
+        const where = rewrite.lines.length === 0 ? '' : rewrite.lines.length === 1
+            ? `, line ${rewrite.lines[0]}`
+            : `, lines ${rewrite.lines.join(', ')}`;
+        lines.push(`   • ${rewrite.pass}${where}: ${rewrite.description}`);
+        for (const line of rewrite.lines) {
+            if (sourceLines[line - 1] === undefined) continue;
+            lines.push(`     ${String(line).padStart(width)} │ ${sourceLines[line - 1].trimEnd()}`);
+        }
+    }
+
+    return lines;
+}
+
+export default formatOptimizationReport;
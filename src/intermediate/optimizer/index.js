@@ -8,13 +8,14 @@ import { StreamFusionOptimizer } from './passes/stream-fusion.js';
 export class OptimizerManager {
     constructor(config = {}) {
         this.config = {
-            optimizationLevel: config.optimizationLevel || 1,
+            optimizationLevel: config.optimizationLevel ?? 1,
             enableAll: config.enableAll !== false,
             ...config
         };
 
         this.optimizers = this.initializeOptimizers();
         this.optimizationHistory = [];
+        this.rewrites = [];
     }
 
     initializeOptimizers() {
@@ -37,6 +38,7 @@ export class OptimizerManager {
     optimize(irProgram) {
         let optimizedIR = { ...irProgram };
         this.optimizationHistory = [];
+        this.rewrites = [];
 
         for (const optimizer of this.optimizers) {
             const startTime = Date.now();
@@ -51,6 +53,7 @@ export class OptimizerManager {
                     instructionCount: optimizedIR.instructions.length,
                     changes: this.calculateChanges(previousIR, optimizedIR)
                 });
+                this.rewrites.push(...(optimizer.rewrites || []));
 
             } catch (error) {
                 console.warn(`Optimizer ${optimizer.constructor.name} failed:`, error.message);
@@ -64,6 +67,8 @@ export class OptimizerManager {
             optimization: {
                 level: this.config.optimizationLevel,
                 history: this.optimizationHistory,
+                rewrites: this.rewrites,
+                initialInstructionCount: irProgram.instructions.length,
                 finalInstructionCount: optimizedIR.instructions.length
             }
         };
@@ -72,9 +77,10 @@ export class OptimizerManager {
     }
 
     calculateChanges(previousIR, currentIR) {
+        const removed = previousIR.instructions.length - currentIR.instructions.length;
         return {
-            instructionsRemoved: previousIR.instructions.length - currentIR.instructions.length,
-            percentage: ((previousIR.instructions.length - currentIR.instructions.length) / previousIR.instructions.length * 100).toFixed(2)
+            instructionsRemoved: removed,
+            percentage: previousIR.instructions.length > 0 ? (removed / previousIR.instructions.length * 100).toFixed(2) : '0.00'
         };
     }
 
@@ -83,6 +89,7 @@ export class OptimizerManager {
             config: this.config,
             optimizers: this.optimizers.map(opt => opt.constructor.name),
             history: this.optimizationHistory,
+            rewrites: this.rewrites,
             totalOptimizations: this.optimizationHistory.length
         };
     }
@@ -1,207 +1,114 @@
 // FILENAME: src/intermediate/optimizer/passes/constant-folding.js
 // Constant Folding Optimization Pass
 
+import * as standaloneOperators from '../../../runtime/standalone/operators.js';
+import { programContext, isPureOperator } from '../purity.js';
+
+/**
+ * Replaces APPLY_OPERATOR of a pure core operator with CONSTANT when its
+ * input and arguments are known: the literal of a finite stream or an
+ * earlier folded stage. `~ 10 | multiply(2) | add(1) | print()` folds to
+ * CONSTANT 21 before print.
+ *
+ * Programs with FLOW imports are left alone, since a library may register
+ * operators under core names. An operator that throws (divide by zero) is
+ * not folded, so the error still happens at run time, at its stage.
+ */
 export class ConstantFoldingOptimizer {
     constructor(config = {}) {
         this.config = {
             aggressive: config.aggressive || false,
-            maxIterations: config.maxIterations || 10,
             ...config
         };
-        
+
         this.constantCache = new Map();
+        this.folded = [];
+        this.rewrites = [];
     }
 
     optimize(irProgram) {
-        let changed = true;
-        let iterations = 0;
-        let currentIR = { ...irProgram };
-
-        while (changed && iterations < this.config.maxIterations) {
-            changed = false;
-            iterations++;
-
-            const newInstructions = [];
-            
-            for (const instruction of currentIR.instructions) {
-                const folded = this.foldConstants(instruction, currentIR);
-                
-                if (folded !== instruction) {
-                    changed = true;
-                    newInstructions.push(folded);
-                } else {
-                    newInstructions.push(instruction);
-                }
+        this.constantCache.clear();
+        this.folded = [];
+        this.rewrites = [];
+        this.context = programContext(irProgram);
+
+        const instructions = irProgram.instructions.map(instruction => {
+            const folded = this.foldConstants(instruction);
+            const known = folded.opcode === 'CONSTANT' || folded.opcode === 'CREATE_STREAM';
+            if (known && folded.result && this.isConstant(folded.operands[0])) {
+                this.constantCache.set(folded.result, folded.operands[0]);
             }
-
-            currentIR.instructions = newInstructions;
-        }
+            return folded;
+        });
 
         return {
-            ...currentIR,
+            ...irProgram,
+            instructions,
             metadata: {
-                ...currentIR.metadata,
+                ...irProgram.metadata,
                 optimizations: {
+                    ...irProgram.metadata?.optimizations,
                     constantFolding: {
-                        iterations,
-                        constantsFolded: this.constantCache.size
+                        constantsFolded: this.folded.length
                     }
                 }
             }
         };
     }
 
-    foldConstants(instruction, irProgram) {
-        switch (instruction.opcode) {
-            case 'APPLY_OPERATOR':
-                return this.foldOperator(instruction);
-            case 'LENS_STEP':
-                return this.foldLensStep(instruction);
-            case 'CREATE_STREAM':
-                return this.foldStreamCreation(instruction);
-            default:
-                return instruction;
-        }
-    }
+    foldConstants(instruction) {
+        if (instruction.opcode !== 'APPLY_OPERATOR') return instruction;
 
-    foldOperator(instruction) {
         const [input, operator, ...args] = instruction.operands;
-        
-        // Check if all operands are constants
-        if (this.isConstant(input) && args.every(arg => this.isConstant(arg))) {
-            try {
-                const result = this.evaluateOperator(operator, input, args);
-                
-                if (result !== undefined) {
-                    this.constantCache.set(instruction.result, result);
-                    
-                    return {
-                        opcode: 'CONSTANT',
-                        operands: [result],
-                        result: instruction.result,
-                        metadata: {
-                            ...instruction.metadata,
-                            folded: true,
-                            originalOpcode: instruction.opcode
-                        }
-                    };
-                }
-            } catch (error) {
-                // If evaluation fails, keep original instruction
-                console.warn(`Constant folding failed for ${operator}:`, error.message);
-            }
+        if (!isPureOperator(operator, this.context) || !this.constantCache.has(input) || !args.every(arg => this.isConstant(arg))) {
+            return instruction;
         }
 
-        return instruction;
-    }
-
-    foldLensStep(instruction) {
-        const [input, operation, ...args] = instruction.operands;
-        
-        if (this.isConstant(input) && args.every(arg => this.isConstant(arg))) {
-            try {
-                const result = this.evaluateLensOperation(operation, input, args);
-                
-                if (result !== undefined) {
-                    this.constantCache.set(instruction.result, result);
-                    
-                    return {
-                        opcode: 'CONSTANT',
-                        operands: [result],
-                        result: instruction.result,
-                        metadata: {
-                            ...instruction.metadata,
-                            folded: true,
-                            originalOpcode: instruction.opcode
-                        }
-                    };
-                }
-            } catch (error) {
-                console.warn(`Lens constant folding failed for ${operation}:`, error.message);
-            }
+        let value;
+        try {
+            value = standaloneOperators[operator](structuredClone(this.constantCache.get(input)), structuredClone(args), {});
+        } catch (error) {
+            return instruction;
         }
-
-        return instruction;
-    }
-
-    foldStreamCreation(instruction) {
-        const [values, streamType] = instruction.operands;
-        
-        // Fold constant array streams
-        if (Array.isArray(values) && values.every(v => this.isConstant(v))) {
-            // For finite streams with constant values, we can pre-compute
-            if (streamType === 'FINITE') {
-                this.constantCache.set(instruction.result, values);
+        if (!this.isConstant(value)) return instruction;
+
+        const line = instruction.metadata?.line ?? null;
+        this.folded.push({ result: instruction.result, operator, value, line });
+        this.rewrites.push({
+            pass: 'constant folding',
+            lines: line == null ? [] : [line],
+            description: `${operator}(${args.map(arg => JSON.stringify(arg)).join(', ')}) of ${JSON.stringify(this.constantCache.get(input))} folded to ${JSON.stringify(value)}`
+        });
+        return {
+            ...instruction,
+            opcode: 'CONSTANT',
+            operands: [value],
+            metadata: {
+                ...instruction.metadata,
+                folded: true,
+                originalOpcode: instruction.opcode,
+                originalOperands: instruction.operands
             }
-        }
-
-        return instruction;
+        };
     }
 
+    // Plain data only: FUNC parameters (ParamRef) and anything NaN-like stay for run time
     isConstant(value) {
-        if (typeof value === 'number' || typeof value === 'string' || typeof value === 'boolean') {
-            return true;
-        }
-        
-        if (Array.isArray(value)) {
-            return value.every(item => this.isConstant(item));
+        if (value === null || typeof value === 'string' || typeof value === 'boolean') return true;
+        if (typeof value === 'number') return Number.isFinite(value);
+        if (Array.isArray(value)) return value.every(item => this.isConstant(item));
+        if (typeof value === 'object' && Object.getPrototypeOf(value) === Object.prototype) {
+            return Object.values(value).every(item => this.isConstant(item));
         }
-        
-        if (typeof value === 'string' && value.startsWith('sym_')) {
-            return this.constantCache.has(value);
-        }
-        
         return false;
     }
 
-    evaluateOperator(operator, input, args) {
-        const inputValue = this.getConstantValue(input);
-        
-        switch (operator) {
-            case 'add':
-                return inputValue + this.getConstantValue(args[0]);
-            case 'subtract':
-                return inputValue - this.getConstantValue(args[0]);
-            case 'multiply':
-                return inputValue * this.getConstantValue(args[0]);
-            case 'divide':
-                const divisor = this.getConstantValue(args[0]);
-                if (divisor === 0) throw new Error('Division by zero');
-                return inputValue / divisor;
-            case 'to_upper':
-                return String(inputValue).toUpperCase();
-            case 'to_lower':
-                return String(inputValue).toLowerCase();
-            case 'trim':
-                return String(inputValue).trim();
-            default:
-                return undefined;
-        }
-    }
-
-    evaluateLensOperation(operation, input, args) {
-        const inputValue = this.getConstantValue(input);
-        
-        switch (operation) {
-            case 'value_access':
-                return inputValue && typeof inputValue === 'object' ? inputValue.value : inputValue;
-            default:
-                return undefined;
-        }
-    }
-
-    getConstantValue(value) {
-        if (typeof value === 'string' && value.startsWith('sym_')) {
-            return this.constantCache.get(value);
-        }
-        return value;
-    }
-
     getOptimizationReport() {
         return {
             type: 'constant_folding',
-            constantsFolded: this.constantCache.size,
-            cache: Object.fromEntries(this.constantCache)
+            constantsFolded: this.folded.length,
+            folded: this.folded,
+            rewrites: this.rewrites
         };
     }
 }
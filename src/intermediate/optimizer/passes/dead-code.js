@@ -1,37 +1,49 @@
 // FILENAME: src/intermediate/optimizer/passes/dead-code.js
 // Dead Code Elimination Optimization Pass
 
+// Control flow leaves the section (RETURN) or jumps within it (JUMP)
+const EXIT_OPCODES = new Set(['RETURN', 'JUMP']);
+
+/**
+ * Removes instructions that cannot change what a program does:
+ *
+ * - CONSTANTs nobody reads, left behind when constant folding folded the
+ *   stage after them as well;
+ * - instructions after a RETURN or JUMP that no label leads to.
+ *
+ * A removed stage still counts in a runtime error's path: its `steps` move
+ * to the next instruction that runs. Declarations, section entries, pool
+ * writes and operator calls always stay, whether their result is used or not.
+ */
 export class DeadCodeEliminator {
     constructor(config = {}) {
         this.config = {
-            removeUnusedPools: config.removeUnusedPools !== false,
-            removeUnusedStreams: config.removeUnusedStreams !== false,
             aggressive: config.aggressive || false,
             ...config
         };
-        
+
         this.usedSymbols = new Set();
-        this.removedCount = 0;
+        this.removed = [];
+        this.rewrites = [];
     }
 
     optimize(irProgram) {
         this.usedSymbols.clear();
-        this.removedCount = 0;
-
-        // First pass: mark used symbols
-        this.markUsedSymbols(irProgram);
+        this.removed = [];
 
-        // Second pass: remove dead code
-        const optimizedInstructions = this.removeDeadCode(irProgram.instructions);
+        this.markUsedSymbols(irProgram.instructions);
+        const instructions = this.removeDeadCode(irProgram.instructions);
+        this.rewrites = this.removed.map(instruction => this.describeRemoval(instruction));
 
         return {
             ...irProgram,
-            instructions: optimizedInstructions,
+            instructions,
             metadata: {
                 ...irProgram.metadata,
                 optimizations: {
+                    ...irProgram.metadata?.optimizations,
                     deadCodeElimination: {
-                        removedInstructions: this.removedCount,
+                        removedInstructions: this.removed.length,
                         usedSymbols: this.usedSymbols.size
                     }
                 }
@@ -39,164 +51,77 @@ export class DeadCodeEliminator {
         };
     }
 
-    markUsedSymbols(irProgram) {
-        // Mark all symbols that are used as operands
-        for (const instruction of irProgram.instructions) {
-            this.markInstructionOperands(instruction);
-        }
-
-        // Mark terminal operations as used (they produce output)
-        this.markTerminalOperations(irProgram.instructions);
-    }
-
-    markInstructionOperands(instruction) {
-        for (const operand of instruction.operands) {
-            if (this.isSymbol(operand)) {
-                this.usedSymbols.add(operand);
-            } else if (Array.isArray(operand)) {
-                this.markArrayOperands(operand);
-            } else if (typeof operand === 'object' && operand !== null) {
-                this.markObjectOperands(operand);
-            }
-        }
-    }
-
-    markArrayOperands(array) {
-        for (const item of array) {
-            if (this.isSymbol(item)) {
-                this.usedSymbols.add(item);
-            }
-        }
-    }
-
-    markObjectOperands(obj) {
-        for (const value of Object.values(obj)) {
-            if (this.isSymbol(value)) {
-                this.usedSymbols.add(value);
-            } else if (Array.isArray(value)) {
-                this.markArrayOperands(value);
-            }
+    // Register operands: the input of every stage and what RETURN/JUMP hand on
+    markUsedSymbols(instructions) {
+        for (const { opcode, operands } of instructions) {
+            if (opcode === 'JUMP') this.usedSymbols.add(operands[1]);
+            else if (typeof operands[0] === 'string') this.usedSymbols.add(operands[0]);
         }
     }
 
-    markTerminalOperations(instructions) {
-        // Mark the last instruction's result as used (program output)
-        if (instructions.length > 0) {
-            const lastInstruction = instructions[instructions.length - 1];
-            if (lastInstruction.result) {
-                this.usedSymbols.add(lastInstruction.result);
-            }
-        }
+    removeDeadCode(instructions) {
+        const live = [];
+        let pendingSteps = [];
+        let reachable = true;
+        let section = null;
 
-        // Mark sink operations as used
         for (const instruction of instructions) {
-            if (this.isSinkOperation(instruction)) {
-                if (instruction.result) {
-                    this.usedSymbols.add(instruction.result);
-                }
+            if (instruction.section !== section) {
+                section = instruction.section;
+                reachable = true;
+                pendingSteps = [];
             }
-        }
-    }
+            if (instruction.opcode === 'LABEL') reachable = true;
 
-    removeDeadCode(instructions) {
-        const liveInstructions = [];
-        const symbolDefinitions = new Map();
-
-        // First pass: build definition map
-        for (const instruction of instructions) {
-            if (instruction.result) {
-                symbolDefinitions.set(instruction.result, instruction);
+            if (!reachable || this.isUnusedConstant(instruction)) {
+                this.removed.push(instruction);
+                if (reachable) pendingSteps.push(...(instruction.metadata?.steps || []));
+                continue;
             }
-        }
 
-        // Second pass: keep only live instructions
-        for (const instruction of instructions) {
-            if (this.isInstructionLive(instruction, symbolDefinitions)) {
-                liveInstructions.push(instruction);
+            if (pendingSteps.length > 0 && !EXIT_OPCODES.has(instruction.opcode)) {
+                live.push(this.withSteps(instruction, pendingSteps));
+                pendingSteps = [];
             } else {
-                this.removedCount++;
+                live.push(instruction);
+            }
+            if (EXIT_OPCODES.has(instruction.opcode)) {
+                reachable = false;
+                pendingSteps = [];
             }
         }
 
-        return liveInstructions;
-    }
-
-    isInstructionLive(instruction, symbolDefinitions) {
-        // Always keep these instruction types
-        if (this.isAlwaysLive(instruction)) {
-            return true;
-        }
-
-        // Keep if result is used
-        if (instruction.result && this.usedSymbols.has(instruction.result)) {
-            return true;
-        }
-
-        // Keep if it has side effects
-        if (this.hasSideEffects(instruction)) {
-            return true;
-        }
-
-        // Keep if it's a pool declaration (stateful)
-        if (instruction.opcode === 'DECLARE_POOL') {
-            return true;
-        }
-
-        // Keep if aggressive mode is off and it's a stream operation
-        if (!this.config.aggressive && instruction.opcode.startsWith('CREATE_')) {
-            return true;
-        }
-
-        return false;
+        return live;
     }
 
-    isAlwaysLive(instruction) {
-        const alwaysLiveOpcodes = [
-            'PRINT',
-            'TO_POOL',
-            'UI_RENDER',
-            'WRITE_FILE'
-        ];
-
-        return alwaysLiveOpcodes.includes(instruction.opcode);
+    describeRemoval(instruction) {
+        const line = instruction.metadata?.line;
+        const what = instruction.opcode === 'CONSTANT'
+            ? `constant ${JSON.stringify(instruction.operands[0])} removed: only folded stages read it`
+            : `unreachable ${instruction.opcode} removed`;
+        return { pass: 'dead code', lines: line == null ? [] : [line], description: what };
     }
 
-    hasSideEffects(instruction) {
-        const sideEffectOpcodes = [
-            'PRINT',
-            'TO_POOL',
-            'UI_RENDER',
-            'WRITE_FILE',
-            'CREATE_LIVE_STREAM',
-            'DECLARE_POOL'
-        ];
-
-        return sideEffectOpcodes.includes(instruction.opcode);
+    isUnusedConstant(instruction) {
+        return instruction.opcode === 'CONSTANT' && !this.usedSymbols.has(instruction.result);
     }
 
-    isSinkOperation(instruction) {
-        const sinkOpcodes = [
-            'PRINT',
-            'TO_POOL',
-            'UI_RENDER',
-            'WRITE_FILE'
-        ];
-
-        return sinkOpcodes.includes(instruction.opcode);
-    }
-
-    isSymbol(value) {
-        return typeof value === 'string' && 
-               (value.startsWith('sym_') || 
-                value.startsWith('stream_') || 
-                value.startsWith('pool_'));
+    withSteps(instruction, steps) {
+        return {
+            ...instruction,
+            metadata: {
+                ...instruction.metadata,
+                steps: [...steps, ...(instruction.metadata?.steps || [])]
+            }
+        };
     }
 
     getOptimizationReport() {
         return {
             type: 'dead_code_elimination',
-            removedInstructions: this.removedCount,
-            usedSymbols: this.usedSymbols.size
+            removedInstructions: this.removed.length,
+            usedSymbols: this.usedSymbols.size,
+            rewrites: this.rewrites
         };
     }
 }
@@ -1,228 +1,146 @@
 // FILENAME: src/intermediate/optimizer/passes/stream-fusion.js
 // Stream Fusion Optimization Pass
 
+import { programContext, isPureLens } from '../purity.js';
+
+// What a fused filter hands on for an item it drops
+export const DROPPED = Symbol('fluxus.fusion.dropped');
+
+const LENS_KINDS = { LENS_MAP: 'map', LENS_FILTER: 'filter' };
+
+/**
+ * Compose fused lens stages into one callable, `(item, evaluate) => value`,
+ * that takes an item through every stage in turn. `evaluate(lens, value)`
+ * runs one lens; a filter that rejects the item returns DROPPED and the
+ * stages after it never see it.
+ */
+export function composeLenses(stages) {
+    const done = async item => item;
+    return stages.reduceRight((next, { kind, lens }) => kind === 'map'
+        ? async (item, evaluate) => next(await evaluate(lens, item), evaluate)
+        : async (item, evaluate) => (await evaluate(lens, item)) ? next(item, evaluate) : DROPPED,
+    done);
+}
+
+/**
+ * Fuses chains of `map { }` and `filter { }` stages into one LENS_FUSED
+ * instruction, `[input, [{ kind, lens }, ...]]`, so an array is walked once
+ * instead of once per stage and no intermediate arrays are built. The
+ * engine composes the stages with composeLenses when it loads the program.
+ *
+ * Only pure lenses fuse (see purity.js): running them item by item instead
+ * of stage by stage cannot change what they return. The instructions a
+ * fused one replaces stay in `metadata.fusedFrom`; the engine runs those
+ * when the input is not an array, or when a lens throws, so errors surface
+ * at the same stage as without fusion.
+ */
 export class StreamFusionOptimizer {
     constructor(config = {}) {
         this.config = {
-            fusionThreshold: config.fusionThreshold || 3,
             enableMapFusion: config.enableMapFusion !== false,
             enableFilterFusion: config.enableFilterFusion !== false,
             enableMapFilterFusion: config.enableMapFilterFusion !== false,
+            enableFilterMapFusion: config.enableFilterMapFusion !== false,
             ...config
         };
-        
-        this.fusionPatterns = this.initializeFusionPatterns();
-        this.fusionCount = 0;
-    }
 
-    initializeFusionPatterns() {
-        return {
-            'MAP_MAP': this.fuseMapMap.bind(this),
-            'FILTER_FILTER': this.fuseFilterFilter.bind(this),
-            'MAP_FILTER': this.fuseMapFilter.bind(this),
-            'FILTER_MAP': this.fuseFilterMap.bind(this)
-        };
+        this.fusionCount = 0;
+        this.rewrites = [];
     }
 
     optimize(irProgram) {
         this.fusionCount = 0;
-        let currentIR = { ...irProgram };
-        let changed = true;
-        let iterations = 0;
-
-        while (changed && iterations < 10) {
-            changed = false;
-            iterations++;
-
-            const newInstructions = [];
-            let i = 0;
-
-            while (i < currentIR.instructions.length) {
-                const current = currentIR.instructions[i];
-                const next = currentIR.instructions[i + 1];
-
-                if (next && this.canFuse(current, next)) {
-                    const fused = this.fuseInstructions(current, next);
-                    if (fused) {
-                        newInstructions.push(fused);
-                        i += 2; // Skip both original instructions
-                        changed = true;
-                        this.fusionCount++;
-                        continue;
-                    }
-                }
-
-                newInstructions.push(current);
-                i++;
+        this.rewrites = [];
+        this.context = programContext(irProgram);
+        const uses = this.countUses(irProgram.instructions);
+
+        const instructions = [];
+        const created = new Set();
+        for (const instruction of irProgram.instructions) {
+            const previous = instructions[instructions.length - 1];
+            if (previous && this.canFuse(previous, instruction, uses)) {
+                const fused = this.fuseInstructions(previous, instruction);
+                instructions[instructions.length - 1] = fused;
+                created.delete(previous);
+                created.add(fused);
+                this.fusionCount++;
+            } else {
+                instructions.push(instruction);
             }
-
-            currentIR.instructions = newInstructions;
         }
+        this.rewrites = [...created].map(instruction => this.describeFusion(instruction));
 
         return {
-            ...currentIR,
+            ...irProgram,
+            instructions,
             metadata: {
-                ...currentIR.metadata,
+                ...irProgram.metadata,
                 optimizations: {
+                    ...irProgram.metadata?.optimizations,
                     streamFusion: {
-                        fusionsApplied: this.fusionCount,
-                        iterations
+                        fusionsApplied: this.fusionCount
                     }
                 }
             }
         };
     }
 
-    canFuse(instr1, instr2) {
-        const fusionKey = `${this.getInstructionType(instr1)}_${this.getInstructionType(instr2)}`;
-        
-        if (!this.fusionPatterns[fusionKey]) {
-            return false;
+    // How many instructions read each register; a fused stage's result must have no other reader
+    countUses(instructions) {
+        const uses = new Map();
+        const use = symbol => uses.set(symbol, (uses.get(symbol) || 0) + 1);
+        for (const { opcode, operands } of instructions) {
+            if (opcode === 'JUMP') use(operands[1]);
+            else if (typeof operands[0] === 'string') use(operands[0]);
         }
-
-        // Check if fusion is enabled in config
-        if (!this.isFusionEnabled(fusionKey)) {
-            return false;
-        }
-
-        // Check if instructions operate on the same stream
-        if (instr1.result !== instr2.operands[0]) {
-            return false;
-        }
-
-        return true;
+        return uses;
     }
 
-    fuseInstructions(instr1, instr2) {
-        const fusionKey = `${this.getInstructionType(instr1)}_${this.getInstructionType(instr2)}`;
-        const fusionFn = this.fusionPatterns[fusionKey];
-        
-        if (fusionFn) {
-            return fusionFn(instr1, instr2);
-        }
+    canFuse(first, second, uses) {
+        const kinds = [this.lastKind(first), this.lastKind(second)];
+        if (!kinds[0] || !kinds[1] || second.opcode === 'LENS_FUSED') return false;
+        if (!this.isFusionEnabled(kinds.join('_').toUpperCase())) return false;
+        if (first.section !== second.section || second.operands[0] !== first.result || uses.get(first.result) !== 1) return false;
 
-        return null;
+        return this.stagesOf(first).every(stage => isPureLens(stage.lens, this.context)) && isPureLens(second.operands[1], this.context);
     }
 
-    fuseMapMap(map1, map2) {
-        if (!this.config.enableMapFusion) return null;
-
-        // Compose the two mapping functions
-        const map1Fn = this.extractFunction(map1);
-        const map2Fn = this.extractFunction(map2);
-        
-        const composedFn = `(x) => ${this.wrapFunction(map2Fn)}(${this.wrapFunction(map1Fn)}(x))`;
-
-        return {
-            opcode: 'STREAM_MAP_ADVANCED',
-            operands: [
-                map1.operands[0], // Original stream
-                composedFn
-            ],
-            result: map2.result,
-            metadata: {
-                ...map1.metadata,
-                fused: true,
-                originalInstructions: [map1.opcode, map2.opcode],
-                fusionType: 'MAP_MAP'
-            }
-        };
+    // map or filter for the stage a chain ends with
+    lastKind(instruction) {
+        if (instruction.opcode === 'LENS_FUSED') return instruction.operands[1][instruction.operands[1].length - 1].kind;
+        return LENS_KINDS[instruction.opcode] ?? null;
     }
 
-    fuseFilterFilter(filter1, filter2) {
-        if (!this.config.enableFilterFusion) return null;
-
-        // Combine the two filter predicates with AND
-        const pred1 = this.extractFunction(filter1);
-        const pred2 = this.extractFunction(filter2);
-        
-        const combinedPred = `(x) => ${this.wrapFunction(pred1)}(x) && ${this.wrapFunction(pred2)}(x)`;
-
-        return {
-            opcode: 'STREAM_FILTER_ADVANCED',
-            operands: [
-                filter1.operands[0], // Original stream
-                combinedPred
-            ],
-            result: filter2.result,
-            metadata: {
-                ...filter1.metadata,
-                fused: true,
-                originalInstructions: [filter1.opcode, filter2.opcode],
-                fusionType: 'FILTER_FILTER'
-            }
-        };
+    stagesOf(instruction) {
+        if (instruction.opcode === 'LENS_FUSED') return instruction.operands[1];
+        return [{ kind: LENS_KINDS[instruction.opcode], lens: instruction.operands[1] }];
     }
 
-    fuseMapFilter(mapInstr, filterInstr) {
-        if (!this.config.enableMapFilterFusion) return null;
-
-        const mapFn = this.extractFunction(mapInstr);
-        const filterFn = this.extractFunction(filterInstr);
-
+    fuseInstructions(first, second) {
+        const fusedFrom = [...(first.metadata?.fusedFrom ?? [first]), second];
         return {
-            opcode: 'STREAM_MAP_FILTER_FUSED',
-            operands: [
-                mapInstr.operands[0], // Original stream
-                mapFn,
-                filterFn
-            ],
-            result: filterInstr.result,
+            opcode: 'LENS_FUSED',
+            operands: [first.operands[0], [...this.stagesOf(first), ...this.stagesOf(second)]],
+            result: second.result,
+            section: first.section,
             metadata: {
-                ...mapInstr.metadata,
+                ...first.metadata,
+                steps: fusedFrom.flatMap(instruction => instruction.metadata?.steps || []),
                 fused: true,
-                originalInstructions: [mapInstr.opcode, filterInstr.opcode],
-                fusionType: 'MAP_FILTER'
+                fusedFrom
             }
         };
     }
 
-    fuseFilterMap(filterInstr, mapInstr) {
-        if (!this.config.enableFilterMapFusion) return null;
-
-        const filterFn = this.extractFunction(filterInstr);
-        const mapFn = this.extractFunction(mapInstr);
-
+    describeFusion(instruction) {
+        const stages = instruction.operands[1].map(({ kind, lens }) => `${kind} { ${lens} }`);
         return {
-            opcode: 'STREAM_FILTER_MAP_FUSED',
-            operands: [
-                filterInstr.operands[0], // Original stream
-                filterFn,
-                mapFn
-            ],
-            result: mapInstr.result,
-            metadata: {
-                ...filterInstr.metadata,
-                fused: true,
-                originalInstructions: [filterInstr.opcode, mapInstr.opcode],
-                fusionType: 'FILTER_MAP'
-            }
+            pass: 'stream fusion',
+            lines: [...new Set(instruction.metadata.fusedFrom.map(original => original.metadata?.line).filter(line => line != null))],
+            description: `${stages.join(' | ')} fused into one pass over the items`
         };
     }
 
-    getInstructionType(instruction) {
-        if (instruction.opcode.includes('MAP')) return 'MAP';
-        if (instruction.opcode.includes('FILTER')) return 'FILTER';
-        return 'OTHER';
-    }
-
-    extractFunction(instruction) {
-        // Extract the function from instruction operands
-        // This is simplified - real implementation would parse the function
-        if (instruction.operands.length >= 2) {
-            return instruction.operands[1];
-        }
-        return 'x => x'; // Identity function as fallback
-    }
-
-    wrapFunction(fnStr) {
-        // Ensure the function string is properly wrapped
-        if (typeof fnStr === 'string' && !fnStr.includes('=>')) {
-            return `(${fnStr})`;
-        }
-        return fnStr;
-    }
-
     isFusionEnabled(fusionType) {
         const enabledMap = {
             'MAP_MAP': this.config.enableMapFusion,
@@ -238,7 +156,7 @@ export class StreamFusionOptimizer {
         return {
             type: 'stream_fusion',
             fusionsApplied: this.fusionCount,
-            patterns: Object.keys(this.fusionPatterns)
+            rewrites: this.rewrites
         };
     }
 }
@@ -0,0 +1,84 @@
+// FILENAME: src/intermediate/optimizer/purity.js
+// Which operators and lenses the optimizer may evaluate early or reorder
+
+import { LensEvaluator } from '../../runtime/lens/lens-evaluator.js';
+
+// Core operators without side effects or state; the standalone versions compute the engine's results
+export const PURE_OPERATORS = new Set([
+    'add', 'subtract', 'multiply', 'divide',
+    'sin', 'cos', 'tan', 'log', 'exp', 'sqrt', 'pow',
+    'max', 'min', 'mean', 'sum', 'median', 'floor', 'ceil', 'round', 'abs',
+    'is_string', 'is_number', 'is_boolean', 'is_array', 'is_object', 'is_function', 'is_null', 'type_of',
+    'to_string', 'to_number', 'to_boolean', 'to_array',
+    'length', 'keys', 'values', 'entries', 'has_key', 'get', 'identity', 'constant'
+]);
+
+const lensEvaluator = new LensEvaluator();
+
+/**
+ * What the optimizer needs to know about a program before it rewrites
+ * operator calls: FUNC names shadow operators, and FLOW imports may
+ * register operators under core names, so programs with imports are
+ * never rewritten.
+ */
+export function programContext(irProgram) {
+    const functions = new Set();
+    let imports = false;
+    for (const { opcode, operands } of irProgram.instructions) {
+        if (opcode === 'FUNC_ENTRY') functions.add(operands[0]);
+        if (opcode === 'IMPORT') imports = true;
+    }
+    return { functions, imports };
+}
+
+export function isPureOperator(name, context) {
+    return !context.imports && PURE_OPERATORS.has(name) && !context.functions.has(name);
+}
+
+/**
+ * A lens is pure when everything it calls is a pure operator: running it
+ * earlier, later or item by item cannot change what the program prints.
+ * Bare names in pipe stages count as calls unless the lens binds them.
+ */
+export function isPureLens(expression, context) {
+    if (context.imports) return false;
+
+    let lens;
+    try {
+        lens = lensEvaluator.compile(expression);
+    } catch (error) {
+        return false;
+    }
+
+    const bound = new Set(lens.params);
+    const visit = (node, stage = false) => {
+        switch (node.type) {
+            case 'literal':
+            case 'input':
+            case 'path':
+                return true;
+            case 'name':
+                return !stage || bound.has(node.name) || isPureOperator(node.name, context);
+            case 'member':
+                return visit(node.object) && (!node.computed || visit(node.property));
+            case 'array':
+                return node.items.every(item => visit(item));
+            case 'object':
+                return node.entries.every(entry => visit(entry.value));
+            case 'unary':
+                return visit(node.operand);
+            case 'binary':
+                return visit(node.left) && visit(node.right);
+            case 'pipe':
+                return visit(node.head) && node.stages.every(item => visit(item, true));
+            case 'call':
+                return isPureOperator(node.name, context) && node.args.every(arg => visit(arg));
+            default:
+                return false;
+        }
+    };
+
+    return visit(lens.body);
+}
+
+export default { PURE_OPERATORS, programContext, isPureOperator, isPureLens };
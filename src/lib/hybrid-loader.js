@@ -22,6 +22,8 @@ export class FluxusLibraryLoader extends EventEmitter {
             debugMode: config.debugMode || false,
             autoDiscoverDomains: true,
             quietMode: config.quietMode || false,
+            // Names of the libraries a program binds; null registers and discovers all of them
+            libraries: null,
             ...config
         };
 
@@ -154,12 +156,20 @@ const coreLibraries = [
     {
         name: 'network',
         paths: [
+            './network/index.js',            // ✅ EXISTS: src/lib/network/index.js
             './network/http.js',             // ✅ EXISTS: src/lib/network/http.js
             './network/mqtt.js',             // ✅ EXISTS: src/lib/network/mqtt.js
             './network/websocket.js'         // ✅ EXISTS: src/lib/network/websocket.js
         ],
         category: 'domain'
     },
+    {
+        name: 'io',
+        paths: [
+            './io/index.js'                  // ✅ EXISTS: src/lib/io/index.js
+        ],
+        category: 'standard'
+    },
     {
         name: 'reactive',
         paths: [
@@ -201,6 +211,7 @@ const coreLibraries = [
 
         // Discover and register libraries
         for (const lib of coreLibraries) {
+            if (!this.isBound(lib.name)) continue;
             const resolvedPath = await this.resolveLibraryPath(lib);
             if (resolvedPath) {
                 registry.set(lib.name, {
@@ -238,7 +249,7 @@ const coreLibraries = [
             }
 
             const files = await fs.readdir(domainsDir);
-            const domainFiles = files.filter(f => f.endsWith('.js') && !f.startsWith('.'));
+            const domainFiles = files.filter(f => f.endsWith('.js') && !f.startsWith('.') && this.isBound(f.replace('.js', '')));
 
             for (const domainFile of domainFiles) {
                 const domainName = domainFile.replace('.js', '');
@@ -272,6 +283,14 @@ const coreLibraries = [
         }
     }
 
+    /**
+     * Whether a library is one the program binds. The core library is
+     * always loaded; without bindings every library is.
+     */
+    isBound(libraryName) {
+        return !this.config.libraries || libraryName === 'core' || this.config.libraries.includes(libraryName);
+    }
+
     /**
      * INTELLIGENT PATH RESOLUTION - LIB ONLY WITH FALLBACKS
      */
@@ -323,8 +342,8 @@ const coreLibraries = [
 
         this.metrics.loads++;
 
-        // Wait for initialization
-        if (!this.initialized && this.initializationPromise) {
+        // Wait for initialization (preloads run as part of it and must not wait on themselves)
+        if (!this.initialized && this.initializationPromise && !options.preload) {
             await this.initializationPromise;
         }
 
@@ -461,7 +480,7 @@ const coreLibraries = [
         for (const libName of coreLibraries) {
             if (this.libraryRegistry.has(libName)) {
                 preloadPromises.push(
-                    this.loadLibrary(libName).catch(error => {
+                    this.loadLibrary(libName, { preload: true }).catch(error => {
                         // Log but don't fail initialization for non-critical errors
                         if (!this.config.quietMode) {
                             console.warn(`⚠️  Preload failed for ${libName}:`, error.message);
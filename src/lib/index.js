@@ -76,12 +76,16 @@ export {
 
 export { 
   MQTT_OPERATORS,
+  MQTT_SOURCES,
+  MqttClient,
+  MqttBroker,
   mqtt_connect, mqtt_subscribe, mqtt_publish, mqtt_unsubscribe,
   mqtt_disconnect, mqtt_status, mqtt_stream
 } from './network/mqtt.js';
 
 export { 
-  WEBSOCKET_OPERATORS
+  WEBSOCKET_OPERATORS,
+  WEBSOCKET_SOURCES
 } from './network/websocket.js';
 
 // ==================== REACTIVE SYSTEM ====================
@@ -795,8 +799,8 @@ export class FluxusLibrary {
                     }},
                     'repeat': FLUXUS_STRING_OPERATORS.repeat,
                     'encode_base64': FLUXUS_STRING_OPERATORS.encode_base64,
-                    'decode_base64': FLUXUS_STRING_OPERATORS.decode_base64,
-                    'length': FLUXUS_STRING_OPERATORS.length
+                    'decode_base64': FLUXUS_STRING_OPERATORS.decode_base64
+                    // length is a core operator (strings, arrays and objects)
                 })
             },
             time: { 
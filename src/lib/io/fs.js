@@ -1,61 +1,210 @@
 // FILENAME: src/lib/io/fs.js
-// File System Operations
+// File System Operations - scoped to an allow-listed project root
 
 import fs from 'fs';
 import path from 'path';
+import { securityManager, SecurityError } from '../security-manager.js';
 
-export const FS_OPERATORS = {
-    'read_file': (input, args) => {
-        const filename = args[0] || input;
-        try {
-            console.log(`📖 Reading file: ${filename}`);
-            // Mock implementation
-            return {
-                success: true,
-                filename: filename,
-                content: `Mock content of ${filename}`,
-                size: 1024,
-                exists: true
-            };
-        } catch (error) {
-            return { error: error.message, exists: false };
-        }
-    },
-    
-    'write_file': (input, args) => {
-        const filename = args[0];
-        const content = args[1] || input;
-        try {
-            console.log(`📝 Writing file: ${filename}`);
-            return {
-                success: true,
-                filename: filename,
-                content: content,
-                bytesWritten: content.length,
-                timestamp: Date.now()
-            };
-        } catch (error) {
-            return { error: error.message };
+/**
+ * Every path is resolved against the project root and must stay inside one
+ * of the allowed roots (checked by LibrarySecurityManager.isPathAllowed after
+ * resolving symlinks). The root comes from the engine config (`fsRoot`),
+ * then FLUXUS_FS_ROOT, then the working directory; `fsAllowedPaths` adds
+ * extra roots.
+ */
+export function getFileSystemRoots(context = {}) {
+    const config = context.engine?.config || {};
+    const root = path.resolve(config.fsRoot || process.env.FLUXUS_FS_ROOT || process.cwd());
+    const extra = (config.fsAllowedPaths || []).map(allowed => path.resolve(root, allowed));
+    return { root, allowedPaths: [root, ...extra] };
+}
+
+export function resolveScopedPath(target, context = {}, operation = 'access') {
+    if (typeof target !== 'string' || target.trim() === '') {
+        throw new Error(`${operation}: expected a file path, got ${JSON.stringify(target)}`);
+    }
+
+    const { root, allowedPaths } = getFileSystemRoots(context);
+    const resolved = path.resolve(root, target);
+    const realAllowed = allowedPaths.map(realpathOfExisting);
+
+    if (!securityManager.isPathAllowed(realpathOfExisting(resolved), realAllowed)) {
+        securityManager.recordAuditEvent('fs_access_denied', { operation, path: resolved });
+        throw new SecurityError(`${operation}: path '${target}' is outside the allowed root ${root}`, 'FS_PATH_DENIED');
+    }
+    return resolved;
+}
+
+// Resolve symlinks through the deepest existing ancestor so links cannot escape the root
+function realpathOfExisting(target) {
+    let existing = target;
+    const rest = [];
+    while (!fs.existsSync(existing)) {
+        const parent = path.dirname(existing);
+        if (parent === existing) break;
+        rest.unshift(path.basename(existing));
+        existing = parent;
+    }
+    try {
+        return path.join(fs.realpathSync(existing), ...rest);
+    } catch {
+        return target;
+    }
+}
+
+function formatContent(content, format, operation) {
+    switch (format) {
+        case 'json':
+            try {
+                return JSON.parse(content);
+            } catch (error) {
+                throw new Error(`${operation}: invalid JSON - ${error.message}`);
+            }
+        case 'lines':
+            return content.split(/\r?\n/).filter((line, index, lines) => index < lines.length - 1 || line !== '');
+        default:
+            return content;
+    }
+}
+
+function serialize(content) {
+    if (typeof content === 'string') return content;
+    if (Buffer.isBuffer(content)) return content;
+    return JSON.stringify(content, null, 2);
+}
+
+async function readScoped(input, args, context, format, operation) {
+    const filePath = resolveScopedPath(args[0] ?? input, context, operation);
+    try {
+        const content = await fs.promises.readFile(filePath, 'utf8');
+        return formatContent(content, format, operation);
+    } catch (error) {
+        if (error.code === 'ENOENT') throw new Error(`${operation}: file not found: ${args[0] ?? input}`);
+        throw error;
+    }
+}
+
+/**
+ * Write through a temporary sibling and rename, so readers never observe a
+ * partially written file.
+ */
+async function writeAtomic(filePath, data) {
+    const tempPath = path.join(path.dirname(filePath), `.${path.basename(filePath)}.${process.pid}.${Date.now()}.tmp`);
+    try {
+        await fs.promises.writeFile(tempPath, data);
+        await fs.promises.rename(tempPath, filePath);
+    } catch (error) {
+        await fs.promises.rm(tempPath, { force: true });
+        throw error;
+    }
+}
+
+function writer(mode) {
+    const operation = { write: 'write_file', append: 'append_file', atomic: 'write_file_atomic' }[mode];
+
+    return async (input, args, context) => {
+        const filePath = resolveScopedPath(args[0], context, operation);
+        const data = serialize(args.length > 1 ? args[1] : input);
+
+        await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+        if (mode === 'append') {
+            await fs.promises.appendFile(filePath, data);
+        } else if (mode === 'atomic') {
+            await writeAtomic(filePath, data);
+        } else {
+            await fs.promises.writeFile(filePath, data);
         }
-    },
-    
-    'file_exists': (input, args) => {
-        const filename = args[0] || input;
-        console.log(`🔍 Checking file: ${filename}`);
+
         return {
-            exists: true, // Mock
-            filename: filename,
-            checkTime: Date.now()
+            success: true,
+            path: path.relative(getFileSystemRoots(context).root, filePath) || '.',
+            bytesWritten: Buffer.byteLength(data),
+            timestamp: Date.now()
         };
+    };
+}
+
+// A failed write may have written part of its data: the engine runs no fallback for it
+const NOT_RETRYABLE = { retryable: false };
+
+export const FS_OPERATORS = {
+    'read_file': (input, args, context) => readScoped(input, args, context, args[1] || 'text', 'read_file'),
+
+    'read_json': (input, args, context) => readScoped(input, args, context, 'json', 'read_json'),
+
+    'read_lines': (input, args, context) => readScoped(input, args, context, 'lines', 'read_lines'),
+
+    'write_file': { implementation: writer('write'), metadata: NOT_RETRYABLE },
+
+    'append_file': { implementation: writer('append'), metadata: NOT_RETRYABLE },
+
+    'write_file_atomic': { implementation: writer('atomic'), metadata: NOT_RETRYABLE },
+
+    'file_exists': (input, args, context) => {
+        const filePath = resolveScopedPath(args[0] ?? input, context, 'file_exists');
+        return fs.existsSync(filePath);
     },
-    
-    'list_files': (input, args) => {
-        const directory = args[0] || '.';
-        console.log(`📁 Listing files in: ${directory}`);
-        return {
-            directory: directory,
-            files: ['file1.flux', 'file2.flux', 'data.json'],
-            count: 3
-        };
+
+    'list_files': async (input, args, context) => {
+        const directory = args[0] ?? (typeof input === 'string' ? input : '.');
+        const dirPath = resolveScopedPath(directory, context, 'list_files');
+        const entries = await fs.promises.readdir(dirPath, { withFileTypes: true });
+        return entries
+            .map(entry => entry.isDirectory() ? `${entry.name}/` : entry.name)
+            .sort();
+    }
+};
+
+/**
+ * Live sources, registered with the engine's LiveSourceRuntime on import.
+ * `~? watch_file("config.json", "json")` emits the file contents whenever it
+ * changes. The directory is watched so atomic replaces are seen as well.
+ */
+export const FS_SOURCES = {
+    'watch_file': {
+        description: 'Emit the contents of a file whenever it changes',
+        factory: (args, source) => {
+            const context = { engine: source.engine };
+            const filePath = resolveScopedPath(args[0], context, 'watch_file');
+            const format = args[1] || 'text';
+            const debounceMs = Number(args[2]) || 50;
+            let timer = null;
+            let lastContent = null;
+
+            const emitChange = async () => {
+                timer = null;
+                let content;
+                try {
+                    content = await fs.promises.readFile(filePath, 'utf8');
+                } catch (error) {
+                    if (error.code === 'ENOENT') return;
+                    source.fail(error);
+                    return;
+                }
+                if (content === lastContent) return;
+                lastContent = content;
+                try {
+                    source.emit(formatContent(content, format, 'watch_file'));
+                } catch (error) {
+                    source.fail(error);
+                }
+            };
+
+            if (fs.existsSync(filePath)) {
+                lastContent = fs.readFileSync(filePath, 'utf8');
+            }
+
+            const watcher = fs.watch(path.dirname(filePath), (eventType, filename) => {
+                if (filename && filename !== path.basename(filePath)) return;
+                clearTimeout(timer);
+                timer = setTimeout(emitChange, debounceMs);
+            });
+            watcher.on('error', error => source.fail(error));
+
+            return () => {
+                clearTimeout(timer);
+                watcher.close();
+            };
+        }
     }
 };
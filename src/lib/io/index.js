@@ -1,10 +1,16 @@
 // FILENAME: src/lib/io/index.js
 // IO Library Main Exports
 
-export { FS_OPERATORS } from './fs.js';
-export { PATH_OPERATORS } from './path.js';
+import { FS_OPERATORS, FS_SOURCES } from './fs.js';
+import { PATH_OPERATORS } from './path.js';
+
+export { FS_OPERATORS, FS_SOURCES, PATH_OPERATORS };
 
 export const IO_OPERATORS = {
     ...FS_OPERATORS,
     ...PATH_OPERATORS
 };
+
+export const IO_SOURCES = {
+    ...FS_SOURCES
+};
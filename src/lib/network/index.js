@@ -1,9 +1,11 @@
 // FILENAME: src/lib/network/index.js
 // Fluxus Network Library - Production Grade
 
-export { HTTP_OPERATORS } from './http.js';
-export { WEBSOCKET_OPERATORS } from './websocket.js';
-export { MQTT_OPERATORS } from './mqtt.js';
+import { HTTP_OPERATORS } from './http.js';
+import { WEBSOCKET_OPERATORS, WEBSOCKET_SOURCES } from './websocket.js';
+import { MQTT_OPERATORS, MQTT_SOURCES } from './mqtt.js';
+
+export { HTTP_OPERATORS, WEBSOCKET_OPERATORS, WEBSOCKET_SOURCES, MQTT_OPERATORS, MQTT_SOURCES };
 
 // Combined network operators
 export const NETWORK_OPERATORS = {
@@ -12,6 +14,12 @@ export const NETWORK_OPERATORS = {
     ...MQTT_OPERATORS
 };
 
+// Live sources, registered with the engine's LiveSourceRuntime on import
+export const NETWORK_SOURCES = {
+    ...WEBSOCKET_SOURCES,
+    ...MQTT_SOURCES
+};
+
 // Domain registration for Fluxus engine
 export const registerNetworkDomain = (engine) => {
     const operators = NETWORK_OPERATORS;
@@ -77,4 +85,10 @@ export const NetworkUtils = {
 };
 export const NetworkManager = NETWORK_OPERATORS;
 
-export default NETWORK_OPERATORS;
+// `FLOW network` registers every operator and source map below
+export default {
+    HTTP_OPERATORS,
+    WEBSOCKET_OPERATORS,
+    MQTT_OPERATORS,
+    NETWORK_SOURCES
+};
@@ -0,0 +1,307 @@
+// FILENAME: src/lib/network/mqtt-broker.js
+// Fluxus MQTT Broker - tiny in-process MQTT 3.1.1 broker for offline testing
+
+import { EventEmitter } from 'events';
+import net from 'net';
+import {
+    encodePacket,
+    PacketParser,
+    topicMatches,
+    isValidTopicFilter,
+    isValidTopicName
+} from './mqtt-protocol.js';
+
+/**
+ * Supports QoS 0/1, retained messages, last will, wildcard subscriptions,
+ * keepalive enforcement and persistent sessions (clean = false) kept in
+ * memory. Emits 'client:connected', 'client:disconnected' and 'publish'.
+ */
+export class MqttBroker extends EventEmitter {
+    constructor(options = {}) {
+        super();
+        this.options = {
+            connectTimeoutMs: 5000,
+            retryMs: 5000,
+            authenticate: null,
+            ...options
+        };
+        this.sessions = new Map();
+        this.retained = new Map();
+        this.sockets = new Set();
+        this.generatedIds = 0;
+        this.server = net.createServer(socket => this.handleSocket(socket));
+        this.server.on('error', error => this.emit('error', error));
+    }
+
+    listen(port = 1883, host) {
+        return new Promise((resolve, reject) => {
+            const onError = error => reject(error);
+            this.server.once('error', onError);
+            this.server.listen(port, host, () => {
+                this.server.off('error', onError);
+                resolve(this.server.address());
+            });
+        });
+    }
+
+    address() {
+        return this.server.address();
+    }
+
+    handleSocket(socket) {
+        const parser = new PacketParser();
+        const client = { socket, session: null, will: null, graceful: false, keepaliveTimer: null, keepaliveMs: 0 };
+        this.sockets.add(socket);
+        socket.setNoDelay(true);
+
+        const connectTimer = setTimeout(() => socket.destroy(), this.options.connectTimeoutMs);
+
+        socket.on('data', chunk => {
+            let packets;
+            try {
+                packets = parser.push(chunk);
+            } catch (error) {
+                socket.destroy();
+                return;
+            }
+            for (const packet of packets) {
+                if (socket.destroyed) return;
+                this.touch(client);
+                if (!client.session) {
+                    clearTimeout(connectTimer);
+                    this.handleConnect(client, packet);
+                } else {
+                    this.handlePacket(client, packet);
+                }
+            }
+        });
+
+        socket.on('error', () => {});
+        socket.on('close', () => {
+            clearTimeout(connectTimer);
+            this.sockets.delete(socket);
+            this.handleClose(client);
+        });
+    }
+
+    handleConnect(client, packet) {
+        const reply = returnCode => client.socket.end(encodePacket({ type: 'connack', sessionPresent: false, returnCode }));
+
+        if (packet.type !== 'connect') {
+            client.socket.destroy();
+            return;
+        }
+        if (packet.protocol !== 'MQTT' || packet.protocolLevel !== 4) {
+            reply(1);
+            return;
+        }
+        if (!packet.clientId && !packet.clean) {
+            reply(2);
+            return;
+        }
+        const password = packet.password ? packet.password.toString('utf8') : undefined;
+        if (this.options.authenticate && !this.options.authenticate(packet.clientId, packet.username, password)) {
+            reply(5);
+            return;
+        }
+
+        const clientId = packet.clientId || `fluxus_broker_${++this.generatedIds}`;
+        let session = this.sessions.get(clientId);
+
+        // A second connection with the same client id takes over the session
+        if (session?.client) {
+            session.client.graceful = true;
+            session.client.socket.destroy();
+            session.client = null;
+        }
+
+        const sessionPresent = Boolean(session) && !packet.clean && !session.clean;
+        if (!sessionPresent) {
+            session = {
+                clientId,
+                clean: packet.clean,
+                subscriptions: new Map(),
+                queue: [],
+                inflight: new Map(),
+                nextMessageId: 1,
+                client: null
+            };
+            this.sessions.set(clientId, session);
+        }
+
+        session.clean = packet.clean;
+        session.client = client;
+        client.session = session;
+        client.will = packet.will || null;
+        client.keepaliveMs = packet.keepalive * 1000;
+        this.touch(client);
+
+        client.socket.write(encodePacket({ type: 'connack', sessionPresent, returnCode: 0 }));
+        this.emit('client:connected', { clientId, clean: packet.clean, sessionPresent });
+
+        for (const entry of session.inflight.values()) this.sendInflight(session, entry, true);
+        session.queue.splice(0).forEach(message => this.deliver(session, message));
+    }
+
+    handlePacket(client, packet) {
+        const session = client.session;
+
+        switch (packet.type) {
+            case 'publish':
+                if (!isValidTopicName(packet.topic)) {
+                    client.socket.destroy();
+                    return;
+                }
+                if (packet.qos === 1) {
+                    client.socket.write(encodePacket({ type: 'puback', messageId: packet.messageId }));
+                }
+                this.publish(packet.topic, packet.payload, { qos: packet.qos, retain: packet.retain, from: session.clientId });
+                return;
+
+            case 'puback': {
+                const entry = session.inflight.get(packet.messageId);
+                if (entry) {
+                    clearTimeout(entry.timer);
+                    session.inflight.delete(packet.messageId);
+                }
+                return;
+            }
+
+            case 'subscribe': {
+                const granted = packet.subscriptions.map(({ topic, qos }) => {
+                    if (!isValidTopicFilter(topic)) return 0x80;
+                    const grantedQos = Math.min(qos, 1);
+                    session.subscriptions.set(topic, grantedQos);
+                    return grantedQos;
+                });
+                client.socket.write(encodePacket({ type: 'suback', messageId: packet.messageId, granted }));
+
+                packet.subscriptions.forEach(({ topic }, index) => {
+                    if (granted[index] === 0x80) return;
+                    for (const [retainedTopic, message] of this.retained) {
+                        if (topicMatches(retainedTopic, topic)) {
+                            this.deliver(session, { ...message, qos: Math.min(message.qos, granted[index]), retain: true });
+                        }
+                    }
+                });
+                return;
+            }
+
+            case 'unsubscribe':
+                packet.topics.forEach(topic => session.subscriptions.delete(topic));
+                client.socket.write(encodePacket({ type: 'unsuback', messageId: packet.messageId }));
+                return;
+
+            case 'pingreq':
+                client.socket.write(encodePacket({ type: 'pingresp' }));
+                return;
+
+            case 'disconnect':
+                client.graceful = true;
+                client.will = null;
+                client.socket.end();
+                return;
+
+            default:
+                client.socket.destroy();
+        }
+    }
+
+    /**
+     * Route a message to every matching subscription. Subscribers receive it
+     * at the lower of the publish and subscription QoS.
+     */
+    publish(topic, payload, options = {}) {
+        const message = { topic, payload: Buffer.isBuffer(payload) ? payload : Buffer.from(String(payload)), qos: options.qos || 0 };
+
+        if (options.retain) {
+            if (message.payload.length === 0) this.retained.delete(topic);
+            else this.retained.set(topic, message);
+        }
+
+        let delivered = 0;
+        for (const session of this.sessions.values()) {
+            let subscriptionQos = -1;
+            for (const [filter, qos] of session.subscriptions) {
+                if (topicMatches(topic, filter)) subscriptionQos = Math.max(subscriptionQos, qos);
+            }
+            if (subscriptionQos < 0) continue;
+            this.deliver(session, { ...message, qos: Math.min(message.qos, subscriptionQos), retain: false });
+            delivered++;
+        }
+
+        this.emit('publish', { topic, qos: message.qos, retain: Boolean(options.retain), from: options.from, subscribers: delivered });
+        return delivered;
+    }
+
+    deliver(session, message) {
+        if (!session.client) {
+            // Offline persistent sessions keep their QoS 1 messages
+            if (message.qos > 0) session.queue.push(message);
+            return;
+        }
+
+        if (message.qos === 0) {
+            session.client.socket.write(encodePacket({ type: 'publish', ...message }));
+            return;
+        }
+
+        const messageId = this.allocateMessageId(session);
+        const entry = { packet: { type: 'publish', ...message, messageId }, timer: null };
+        session.inflight.set(messageId, entry);
+        this.sendInflight(session, entry, false);
+    }
+
+    sendInflight(session, entry, dup) {
+        clearTimeout(entry.timer);
+        if (!session.client) return;
+        session.client.socket.write(encodePacket({ ...entry.packet, dup }));
+        entry.timer = setTimeout(() => this.sendInflight(session, entry, true), this.options.retryMs);
+    }
+
+    allocateMessageId(session) {
+        do {
+            session.nextMessageId = session.nextMessageId === 65535 ? 1 : session.nextMessageId + 1;
+        } while (session.inflight.has(session.nextMessageId));
+        return session.nextMessageId;
+    }
+
+    touch(client) {
+        clearTimeout(client.keepaliveTimer);
+        if (client.keepaliveMs > 0) {
+            client.keepaliveTimer = setTimeout(() => client.socket.destroy(), client.keepaliveMs * 1.5);
+        }
+    }
+
+    handleClose(client) {
+        clearTimeout(client.keepaliveTimer);
+        const session = client.session;
+        if (!session || session.client !== client) return;
+
+        session.client = null;
+        for (const entry of session.inflight.values()) clearTimeout(entry.timer);
+
+        if (client.will && !client.graceful) {
+            const will = client.will;
+            this.publish(will.topic, will.payload, { qos: Math.min(will.qos, 1), retain: will.retain, from: session.clientId });
+        }
+
+        if (session.clean) {
+            this.sessions.delete(session.clientId);
+        }
+        this.emit('client:disconnected', { clientId: session.clientId, graceful: client.graceful });
+    }
+
+    close() {
+        return new Promise(resolve => {
+            for (const session of this.sessions.values()) {
+                for (const entry of session.inflight.values()) clearTimeout(entry.timer);
+                if (session.client) session.client.graceful = true;
+            }
+            for (const socket of this.sockets) socket.destroy();
+            this.server.close(() => resolve());
+        });
+    }
+}
+
+export default MqttBroker;
@@ -0,0 +1,337 @@
+// FILENAME: src/lib/network/mqtt-client.js
+// Fluxus MQTT Client - MQTT 3.1.1 over TCP
+
+import { EventEmitter } from 'events';
+import net from 'net';
+import tls from 'tls';
+import {
+    encodePacket,
+    PacketParser,
+    CONNACK_CODES,
+    isValidTopicFilter,
+    isValidTopicName
+} from './mqtt-protocol.js';
+
+/**
+ * One MQTT session. Emits 'connect' (connack), 'message' (topic, payload,
+ * packet), 'close', 'error' and 'offline'. Packets written before the
+ * CONNACK are queued; unacknowledged QoS 1 publishes are resent with the
+ * DUP flag after `ackTimeoutMs` and after a reconnect.
+ */
+export class MqttClient extends EventEmitter {
+    constructor(url, options = {}) {
+        super();
+        const target = new URL(url.includes('://') ? url : `mqtt://${url}`);
+        if (!['mqtt:', 'mqtts:', 'tcp:'].includes(target.protocol)) {
+            throw new Error(`Unsupported MQTT protocol: ${target.protocol}`);
+        }
+
+        this.url = target.toString();
+        this.host = target.hostname;
+        this.port = Number(target.port) || (target.protocol === 'mqtts:' ? 8883 : 1883);
+        this.secure = target.protocol === 'mqtts:';
+        this.options = {
+            clientId: 'fluxus_' + Math.random().toString(16).slice(2, 10),
+            clean: true,
+            keepalive: 60,
+            connectTimeoutMs: 10000,
+            ackTimeoutMs: 5000,
+            reconnectPeriodMs: 1000,
+            username: target.username ? decodeURIComponent(target.username) : undefined,
+            password: target.password ? decodeURIComponent(target.password) : undefined,
+            ...options
+        };
+
+        this.socket = null;
+        this.connected = false;
+        this.closing = false;
+        this.nextMessageId = 1;
+        this.pending = new Map();
+        this.outgoing = [];
+        this.subscriptions = new Map();
+        this.keepaliveTimer = null;
+        this.pingTimeout = null;
+        this.reconnectTimer = null;
+        this.everConnected = false;
+        this.lastSent = 0;
+    }
+
+    connect() {
+        return new Promise((resolve, reject) => {
+            const onConnect = connack => {
+                this.off('error', onError);
+                resolve(connack);
+            };
+            const onError = error => {
+                this.off('connect', onConnect);
+                reject(error);
+            };
+            this.once('connect', onConnect);
+            this.once('error', onError);
+            this.openSocket();
+        });
+    }
+
+    openSocket() {
+        const parser = new PacketParser();
+        const socket = this.secure
+            ? tls.connect({ host: this.host, port: this.port, servername: this.host })
+            : net.connect({ host: this.host, port: this.port });
+        this.socket = socket;
+
+        const connectTimer = setTimeout(() => {
+            socket.destroy(new Error(`MQTT connection to ${this.url} timed out`));
+        }, this.options.connectTimeoutMs);
+
+        socket.on(this.secure ? 'secureConnect' : 'connect', () => {
+            socket.setNoDelay(true);
+            this.writePacket({
+                type: 'connect',
+                clientId: this.options.clientId,
+                clean: this.options.clean,
+                keepalive: this.options.keepalive,
+                username: this.options.username,
+                password: this.options.password,
+                will: this.options.will
+            }, true);
+        });
+
+        socket.on('data', chunk => {
+            let packets;
+            try {
+                packets = parser.push(chunk);
+            } catch (error) {
+                this.emit('error', error);
+                socket.destroy();
+                return;
+            }
+            for (const packet of packets) {
+                if (packet.type === 'connack') clearTimeout(connectTimer);
+                this.handlePacket(packet);
+            }
+        });
+
+        socket.on('error', error => this.emit('error', error));
+        socket.on('close', () => {
+            clearTimeout(connectTimer);
+            this.handleSocketClose(socket);
+        });
+    }
+
+    handlePacket(packet) {
+        switch (packet.type) {
+            case 'connack':
+                if (packet.returnCode !== 0) {
+                    this.closing = true;
+                    this.emit('error', new Error(`MQTT connection refused: ${CONNACK_CODES[packet.returnCode] || packet.returnCode}`));
+                    this.socket.destroy();
+                    return;
+                }
+                this.connected = true;
+                this.everConnected = true;
+                this.startKeepalive();
+                this.resendPending();
+                if (!packet.sessionPresent) this.restoreSubscriptions();
+                this.outgoing.splice(0).forEach(queued => this.writePacket(queued));
+                this.emit('connect', packet);
+                return;
+
+            case 'publish':
+                if (packet.qos === 1) this.writePacket({ type: 'puback', messageId: packet.messageId });
+                this.emit('message', packet.topic, packet.payload, packet);
+                return;
+
+            case 'puback':
+            case 'suback':
+            case 'unsuback': {
+                const entry = this.pending.get(packet.messageId);
+                if (!entry) return;
+                this.pending.delete(packet.messageId);
+                clearTimeout(entry.timer);
+                entry.resolve(packet);
+                return;
+            }
+
+            case 'pingresp':
+                clearTimeout(this.pingTimeout);
+                this.pingTimeout = null;
+                return;
+
+            default:
+                this.emit('error', new Error(`Unexpected MQTT packet from broker: ${packet.type}`));
+        }
+    }
+
+    writePacket(packet, force = false) {
+        if (!force && (!this.connected || !this.socket)) {
+            this.outgoing.push(packet);
+            return;
+        }
+        this.lastSent = Date.now();
+        this.socket.write(encodePacket(packet));
+    }
+
+    /**
+     * Send a packet that is acknowledged by the broker (QoS 1 PUBLISH,
+     * SUBSCRIBE, UNSUBSCRIBE) and resolve with the acknowledgement.
+     */
+    request(packet) {
+        if (this.closing) {
+            return Promise.reject(new Error('MQTT client is disconnected'));
+        }
+        return new Promise((resolve, reject) => {
+            const messageId = this.allocateMessageId();
+            const entry = { packet: { ...packet, messageId }, resolve, reject, timer: null };
+            this.pending.set(messageId, entry);
+            this.sendPending(entry);
+        });
+    }
+
+    sendPending(entry) {
+        clearTimeout(entry.timer);
+        if (!this.connected) return;
+        if (entry.sent && entry.packet.type === 'publish') entry.packet.dup = true;
+        entry.sent = true;
+        this.writePacket(entry.packet);
+        entry.timer = setTimeout(() => {
+            if (this.pending.has(entry.packet.messageId)) this.sendPending(entry);
+        }, this.options.ackTimeoutMs);
+    }
+
+    resendPending() {
+        for (const entry of this.pending.values()) this.sendPending(entry);
+    }
+
+    allocateMessageId() {
+        for (let attempts = 0; attempts < 65535; attempts++) {
+            const messageId = this.nextMessageId;
+            this.nextMessageId = this.nextMessageId === 65535 ? 1 : this.nextMessageId + 1;
+            if (!this.pending.has(messageId)) return messageId;
+        }
+        throw new Error('No free MQTT message ids');
+    }
+
+    publish(topic, payload, options = {}) {
+        if (!isValidTopicName(topic)) {
+            return Promise.reject(new Error(`Invalid MQTT topic name: ${topic}`));
+        }
+        const qos = Number(options.qos) || 0;
+        if (qos > 1) {
+            return Promise.reject(new Error('MQTT QoS 2 is not supported'));
+        }
+
+        const packet = { type: 'publish', topic, payload, qos, retain: Boolean(options.retain) };
+        if (qos === 0) {
+            if (this.closing) return Promise.reject(new Error('MQTT client is disconnected'));
+            this.writePacket(packet);
+            return Promise.resolve({ qos: 0 });
+        }
+        return this.request(packet).then(ack => ({ qos: 1, messageId: ack.messageId }));
+    }
+
+    async subscribe(filter, qos = 0) {
+        if (!isValidTopicFilter(filter)) {
+            throw new Error(`Invalid MQTT topic filter: ${filter}`);
+        }
+        const requested = Math.min(Number(qos) || 0, 1);
+        const suback = await this.request({ type: 'subscribe', subscriptions: [{ topic: filter, qos: requested }] });
+        const granted = suback.granted[0];
+        if (granted === 0x80) {
+            throw new Error(`MQTT subscription to '${filter}' was rejected`);
+        }
+        this.subscriptions.set(filter, granted);
+        return granted;
+    }
+
+    async unsubscribe(filter) {
+        await this.request({ type: 'unsubscribe', topics: [filter] });
+        this.subscriptions.delete(filter);
+    }
+
+    // A clean session forgets subscriptions when the connection drops
+    restoreSubscriptions() {
+        for (const [filter, qos] of this.subscriptions) {
+            if ([...this.pending.values()].some(entry => entry.packet.subscriptions?.[0]?.topic === filter)) continue;
+            this.request({ type: 'subscribe', subscriptions: [{ topic: filter, qos }] })
+                .catch(error => this.emit('error', error));
+        }
+    }
+
+    startKeepalive() {
+        clearInterval(this.keepaliveTimer);
+        const intervalMs = this.options.keepalive * 1000;
+        if (intervalMs <= 0) return;
+
+        this.keepaliveTimer = setInterval(() => {
+            if (!this.connected || this.pingTimeout) return;
+            if (Date.now() - this.lastSent < intervalMs * 0.9) return;
+            this.writePacket({ type: 'pingreq' });
+            this.pingTimeout = setTimeout(() => {
+                this.emit('error', new Error('MQTT keepalive timeout'));
+                this.socket?.destroy();
+            }, intervalMs);
+        }, Math.max(100, intervalMs / 2));
+    }
+
+    handleSocketClose(socket) {
+        if (socket !== this.socket) return;
+        this.connected = false;
+        this.socket = null;
+        clearInterval(this.keepaliveTimer);
+        clearTimeout(this.pingTimeout);
+        this.pingTimeout = null;
+        for (const entry of this.pending.values()) clearTimeout(entry.timer);
+
+        if (this.closing || !this.everConnected || !this.options.reconnectPeriodMs) {
+            this.closing = true;
+            this.rejectPending(new Error('MQTT connection closed'));
+            this.emit('close');
+            return;
+        }
+
+        // Session state (pending publishes, subscriptions on clean=false) survives the reconnect
+        this.emit('offline');
+        this.reconnectTimer = setTimeout(() => this.openSocket(), this.options.reconnectPeriodMs);
+    }
+
+    rejectPending(error) {
+        for (const entry of this.pending.values()) entry.reject(error);
+        this.pending.clear();
+        this.outgoing = [];
+    }
+
+    /**
+     * Graceful DISCONNECT: the broker discards the last will.
+     */
+    end() {
+        if (this.closing) return Promise.resolve();
+        this.closing = true;
+        clearTimeout(this.reconnectTimer);
+
+        return new Promise(resolve => {
+            if (!this.socket) {
+                this.rejectPending(new Error('MQTT connection closed'));
+                this.emit('close');
+                resolve();
+                return;
+            }
+            this.once('close', resolve);
+            if (this.connected) {
+                this.socket.end(encodePacket({ type: 'disconnect' }));
+            } else {
+                this.socket.destroy();
+            }
+        });
+    }
+
+    /**
+     * Drop the connection without DISCONNECT, as a crashed client would.
+     */
+    destroy() {
+        this.closing = true;
+        clearTimeout(this.reconnectTimer);
+        this.socket?.destroy();
+    }
+}
+
+export default MqttClient;
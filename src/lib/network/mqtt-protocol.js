@@ -0,0 +1,355 @@
+// FILENAME: src/lib/network/mqtt-protocol.js
+// Fluxus MQTT 3.1.1 Protocol - packet codec and topic matching
+
+/**
+ * Packets are plain objects: `{ type: 'publish', topic, payload, qos, ... }`.
+ * QoS 2 flows (PUBREC/PUBREL/PUBCOMP) are not supported; QoS is capped at 1.
+ */
+
+export const PACKET_TYPES = {
+    connect: 1,
+    connack: 2,
+    publish: 3,
+    puback: 4,
+    subscribe: 8,
+    suback: 9,
+    unsubscribe: 10,
+    unsuback: 11,
+    pingreq: 12,
+    pingresp: 13,
+    disconnect: 14
+};
+
+const TYPE_NAMES = Object.fromEntries(Object.entries(PACKET_TYPES).map(([name, code]) => [code, name]));
+
+export const CONNACK_CODES = {
+    0: 'Connection accepted',
+    1: 'Unacceptable protocol version',
+    2: 'Identifier rejected',
+    3: 'Server unavailable',
+    4: 'Bad user name or password',
+    5: 'Not authorized'
+};
+
+export const MAX_PACKET_SIZE = 256 * 1024 * 1024 - 1;
+
+export class MqttProtocolError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'MqttProtocolError';
+    }
+}
+
+function encodeString(value) {
+    const buffer = Buffer.from(String(value), 'utf8');
+    const length = Buffer.alloc(2);
+    length.writeUInt16BE(buffer.length);
+    return Buffer.concat([length, buffer]);
+}
+
+function encodeBinary(value) {
+    const buffer = toPayload(value);
+    const length = Buffer.alloc(2);
+    length.writeUInt16BE(buffer.length);
+    return Buffer.concat([length, buffer]);
+}
+
+function encodeUInt16(value) {
+    const buffer = Buffer.alloc(2);
+    buffer.writeUInt16BE(value);
+    return buffer;
+}
+
+export function encodeRemainingLength(length) {
+    if (length > MAX_PACKET_SIZE) throw new MqttProtocolError('Packet too large');
+    const bytes = [];
+    do {
+        let byte = length % 128;
+        length = Math.floor(length / 128);
+        if (length > 0) byte |= 0x80;
+        bytes.push(byte);
+    } while (length > 0);
+    return Buffer.from(bytes);
+}
+
+/**
+ * Stream values become payload bytes: buffers as-is, strings as UTF-8,
+ * everything else as JSON.
+ */
+export function toPayload(value) {
+    if (Buffer.isBuffer(value)) return value;
+    if (value === undefined || value === null) return Buffer.alloc(0);
+    if (typeof value === 'string') return Buffer.from(value, 'utf8');
+    return Buffer.from(JSON.stringify(value), 'utf8');
+}
+
+export function encodePacket(packet) {
+    let flags = 0;
+    const parts = [];
+
+    switch (packet.type) {
+        case 'connect': {
+            const will = packet.will;
+            let connectFlags = 0;
+            if (packet.clean !== false) connectFlags |= 0x02;
+            if (will) {
+                connectFlags |= 0x04 | ((will.qos || 0) << 3);
+                if (will.retain) connectFlags |= 0x20;
+            }
+            if (packet.password !== undefined) connectFlags |= 0x40;
+            if (packet.username !== undefined) connectFlags |= 0x80;
+
+            parts.push(encodeString('MQTT'), Buffer.from([4, connectFlags]), encodeUInt16(packet.keepalive ?? 60));
+            parts.push(encodeString(packet.clientId || ''));
+            if (will) parts.push(encodeString(will.topic), encodeBinary(will.payload));
+            if (packet.username !== undefined) parts.push(encodeString(packet.username));
+            if (packet.password !== undefined) parts.push(encodeBinary(packet.password));
+            break;
+        }
+        case 'connack':
+            parts.push(Buffer.from([packet.sessionPresent ? 1 : 0, packet.returnCode || 0]));
+            break;
+        case 'publish': {
+            const qos = packet.qos || 0;
+            flags = (packet.dup ? 0x08 : 0) | (qos << 1) | (packet.retain ? 0x01 : 0);
+            parts.push(encodeString(packet.topic));
+            if (qos > 0) parts.push(encodeUInt16(packet.messageId));
+            parts.push(toPayload(packet.payload));
+            break;
+        }
+        case 'puback':
+        case 'unsuback':
+            parts.push(encodeUInt16(packet.messageId));
+            break;
+        case 'subscribe':
+            flags = 0x02;
+            parts.push(encodeUInt16(packet.messageId));
+            for (const { topic, qos } of packet.subscriptions) {
+                parts.push(encodeString(topic), Buffer.from([qos || 0]));
+            }
+            break;
+        case 'suback':
+            parts.push(encodeUInt16(packet.messageId), Buffer.from(packet.granted));
+            break;
+        case 'unsubscribe':
+            flags = 0x02;
+            parts.push(encodeUInt16(packet.messageId));
+            for (const topic of packet.topics) parts.push(encodeString(topic));
+            break;
+        case 'pingreq':
+        case 'pingresp':
+        case 'disconnect':
+            break;
+        default:
+            throw new MqttProtocolError(`Cannot encode packet type '${packet.type}'`);
+    }
+
+    const body = Buffer.concat(parts);
+    return Buffer.concat([
+        Buffer.from([(PACKET_TYPES[packet.type] << 4) | flags]),
+        encodeRemainingLength(body.length),
+        body
+    ]);
+}
+
+class PacketReader {
+    constructor(buffer) {
+        this.buffer = buffer;
+        this.offset = 0;
+    }
+
+    get remaining() {
+        return this.buffer.length - this.offset;
+    }
+
+    byte() {
+        if (this.remaining < 1) throw new MqttProtocolError('Truncated packet');
+        return this.buffer[this.offset++];
+    }
+
+    uint16() {
+        if (this.remaining < 2) throw new MqttProtocolError('Truncated packet');
+        const value = this.buffer.readUInt16BE(this.offset);
+        this.offset += 2;
+        return value;
+    }
+
+    binary() {
+        const length = this.uint16();
+        if (this.remaining < length) throw new MqttProtocolError('Truncated packet');
+        const value = this.buffer.subarray(this.offset, this.offset + length);
+        this.offset += length;
+        return value;
+    }
+
+    string() {
+        return this.binary().toString('utf8');
+    }
+
+    rest() {
+        const value = this.buffer.subarray(this.offset);
+        this.offset = this.buffer.length;
+        return value;
+    }
+}
+
+export function decodePacket(header, body) {
+    const type = TYPE_NAMES[header >> 4];
+    const flags = header & 0x0F;
+    const reader = new PacketReader(body);
+
+    switch (type) {
+        case 'connect': {
+            const protocol = reader.string();
+            const level = reader.byte();
+            const connectFlags = reader.byte();
+            const keepalive = reader.uint16();
+            const packet = {
+                type,
+                protocol,
+                protocolLevel: level,
+                clean: (connectFlags & 0x02) !== 0,
+                keepalive,
+                clientId: reader.string()
+            };
+            if (connectFlags & 0x04) {
+                packet.will = {
+                    topic: reader.string(),
+                    payload: Buffer.from(reader.binary()),
+                    qos: (connectFlags >> 3) & 0x03,
+                    retain: (connectFlags & 0x20) !== 0
+                };
+            }
+            if (connectFlags & 0x80) packet.username = reader.string();
+            if (connectFlags & 0x40) packet.password = Buffer.from(reader.binary());
+            return packet;
+        }
+        case 'connack':
+            return { type, sessionPresent: (reader.byte() & 0x01) !== 0, returnCode: reader.byte() };
+        case 'publish': {
+            const qos = (flags >> 1) & 0x03;
+            if (qos > 1) throw new MqttProtocolError('QoS 2 is not supported');
+            const topic = reader.string();
+            const messageId = qos > 0 ? reader.uint16() : undefined;
+            return {
+                type,
+                topic,
+                messageId,
+                qos,
+                dup: (flags & 0x08) !== 0,
+                retain: (flags & 0x01) !== 0,
+                payload: Buffer.from(reader.rest())
+            };
+        }
+        case 'puback':
+        case 'unsuback':
+            return { type, messageId: reader.uint16() };
+        case 'subscribe': {
+            const messageId = reader.uint16();
+            const subscriptions = [];
+            while (reader.remaining > 0) {
+                subscriptions.push({ topic: reader.string(), qos: reader.byte() & 0x03 });
+            }
+            if (subscriptions.length === 0) throw new MqttProtocolError('SUBSCRIBE without topics');
+            return { type, messageId, subscriptions };
+        }
+        case 'suback':
+            return { type, messageId: reader.uint16(), granted: [...reader.rest()] };
+        case 'unsubscribe': {
+            const messageId = reader.uint16();
+            const topics = [];
+            while (reader.remaining > 0) topics.push(reader.string());
+            return { type, messageId, topics };
+        }
+        case 'pingreq':
+        case 'pingresp':
+        case 'disconnect':
+            return { type };
+        default:
+            throw new MqttProtocolError(`Unsupported packet type ${header >> 4}`);
+    }
+}
+
+/**
+ * Incremental decoder for a TCP byte stream.
+ */
+export class PacketParser {
+    constructor(options = {}) {
+        this.maxPacketSize = options.maxPacketSize || MAX_PACKET_SIZE;
+        this.buffer = Buffer.alloc(0);
+    }
+
+    push(chunk) {
+        this.buffer = this.buffer.length === 0 ? chunk : Buffer.concat([this.buffer, chunk]);
+        const packets = [];
+
+        while (this.buffer.length >= 2) {
+            let length = 0;
+            let multiplier = 1;
+            let offset = 1;
+            let complete = false;
+
+            while (offset < this.buffer.length && offset <= 4) {
+                const byte = this.buffer[offset++];
+                length += (byte & 0x7F) * multiplier;
+                multiplier *= 128;
+                if ((byte & 0x80) === 0) {
+                    complete = true;
+                    break;
+                }
+            }
+
+            if (!complete) {
+                if (offset > 4) throw new MqttProtocolError('Malformed remaining length');
+                break;
+            }
+            if (length > this.maxPacketSize) throw new MqttProtocolError('Packet too large');
+            if (this.buffer.length < offset + length) break;
+
+            const header = this.buffer[0];
+            const body = this.buffer.subarray(offset, offset + length);
+            this.buffer = this.buffer.subarray(offset + length);
+            packets.push(decodePacket(header, body));
+        }
+
+        return packets;
+    }
+}
+
+/**
+ * MQTT topic filter matching with `+` (one level) and `#` (remaining levels).
+ * Topics starting with `$` are not matched by leading wildcards.
+ */
+export function topicMatches(topic, filter) {
+    const topicLevels = topic.split('/');
+    const filterLevels = filter.split('/');
+
+    if (topic.startsWith('$') && (filterLevels[0] === '+' || filterLevels[0] === '#')) {
+        return false;
+    }
+
+    for (let i = 0; i < filterLevels.length; i++) {
+        const level = filterLevels[i];
+        if (level === '#') return true;
+        if (i >= topicLevels.length) return false;
+        if (level !== '+' && level !== topicLevels[i]) return false;
+    }
+
+    return topicLevels.length === filterLevels.length;
+}
+
+export function isValidTopicFilter(filter) {
+    if (typeof filter !== 'string' || filter.length === 0) return false;
+    const levels = filter.split('/');
+    return levels.every((level, index) => {
+        if (level.includes('#')) return level === '#' && index === levels.length - 1;
+        if (level.includes('+')) return level === '+';
+        return true;
+    });
+}
+
+export function isValidTopicName(topic) {
+    return typeof topic === 'string' && topic.length > 0 && !/[+#]/.test(topic);
+}
+
+export default { encodePacket, decodePacket, PacketParser, topicMatches };
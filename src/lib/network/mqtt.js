@@ -1,59 +1,40 @@
 // FILENAME: src/lib/network/mqtt.js
 // Fluxus MQTT Protocol Operators - Production Grade
 
+import { MqttClient } from './mqtt-client.js';
+import { MqttBroker } from './mqtt-broker.js';
+import { topicMatches } from './mqtt-protocol.js';
+
 /**
  * ENTERPRISE MQTT OPERATORS FOR FLUXUS
- * Production-ready MQTT client for IoT and real-time messaging
+ * MQTT 3.1.1 over TCP (QoS 0/1, retained messages, last will, wildcards,
+ * keepalive). Connections live in `engine._mqttConnections`; operators use
+ * the connection named by `input.connectionId` or the first one.
  */
 
 export const MQTT_OPERATORS = {
     'mqtt_connect': {
         type: 'mqtt',
-        implementation: (input, args, context) => {
-            const brokerUrl = args[0] || 'ws://localhost:8883';
-            const options = args[1] ? parseMqttOptions(args[1]) : {
-                clientId: 'fluxus_client_' + Math.random().toString(16).substr(2, 8),
-                clean: true,
-                connectTimeout: 4000,
-                reconnectPeriod: 1000
-            };
-            
-            // Mock implementation for browser/Node.js compatibility
-            const connectionId = 'mqtt_' + Date.now();
-            
-            if (!context.engine._mqttConnections) {
-                context.engine._mqttConnections = new Map();
+        implementation: async (input, args, context) => {
+            const brokerUrl = args[0] || 'mqtt://localhost:1883';
+            const options = parseMqttOptions(args[1]);
+            const connections = getConnections(context.engine);
+            const connectionId = options.connectionId || `mqtt_${connections.size + 1}_${Date.now()}`;
+
+            const existing = connections.get(connectionId);
+            if (existing?.client.connected) {
+                return connectionResult(existing, false);
             }
-            
-            const connection = {
-                id: connectionId,
-                url: brokerUrl,
-                options: options,
-                connected: false,
-                subscriptions: new Map(),
-                messageQueue: [],
-                mock: true,
-                createdAt: Date.now()
-            };
-            
-            context.engine._mqttConnections.set(connectionId, connection);
-            
-            // Simulate connection process
-            setTimeout(() => {
-                connection.connected = true;
+
+            try {
+                const connection = await openConnection(context.engine, brokerUrl, connectionId, options);
                 if (context.engine.debugMode) {
                     console.log(`🔗 MQTT connected to ${brokerUrl}`);
                 }
-            }, 100);
-            
-            return {
-                connectionId: connectionId,
-                status: 'connecting',
-                url: brokerUrl,
-                clientId: options.clientId,
-                mock: true,
-                timestamp: Date.now()
-            };
+                return connectionResult(connection, connection.sessionPresent);
+            } catch (error) {
+                return { error: `MQTT connect to ${brokerUrl} failed: ${error.message}`, success: false };
+            }
         },
         metadata: {
             name: 'mqtt_connect',
@@ -62,57 +43,41 @@ export const MQTT_OPERATORS = {
             timeout: 10000
         }
     },
-    
+
     'mqtt_subscribe': {
         type: 'mqtt',
-        implementation: (input, args, context) => {
+        implementation: async (input, args, context) => {
             const topic = args[0];
             const qos = parseInt(args[1]) || 0;
-            
-            if (!context.engine._mqttConnections) {
-                return { error: 'No MQTT connections available', success: false };
-            }
-            
-            let connection;
-            
-            // Find connection
-            if (input && input.connectionId) {
-                connection = context.engine._mqttConnections.get(input.connectionId);
-            } else {
-                // Use first available connection
-                connection = context.engine._mqttConnections.values().next().value;
-            }
-            
+
+            const connection = findConnection(input, context);
             if (!connection) {
                 return { error: 'MQTT connection not found', success: false };
             }
-            
-            if (!connection.connected) {
-                return { error: 'MQTT connection not established', success: false };
-            }
-            
-            // Add subscription
-            connection.subscriptions.set(topic, {
-                qos: qos,
-                subscribedAt: Date.now(),
-                messageCount: 0
-            });
-            
-            console.log(`📡 MQTT subscribed to: ${topic} (QoS: ${qos})`);
-            
-            // For mock implementation, simulate incoming messages
-            if (connection.mock) {
-                simulateMQTTMessages(connection, topic, context);
+
+            try {
+                const granted = await connection.client.subscribe(topic, qos);
+                connection.subscriptions.set(topic, {
+                    qos: granted,
+                    subscribedAt: Date.now(),
+                    messageCount: 0
+                });
+
+                if (context.engine.debugMode) {
+                    console.log(`📡 MQTT subscribed to: ${topic} (QoS: ${granted})`);
+                }
+
+                return {
+                    subscribed: true,
+                    topic: topic,
+                    qos: granted,
+                    connectionId: connection.id,
+                    success: true,
+                    timestamp: Date.now()
+                };
+            } catch (error) {
+                return { error: error.message, topic, success: false };
             }
-            
-            return {
-                subscribed: true,
-                topic: topic,
-                qos: qos,
-                connectionId: connection.id,
-                success: true,
-                timestamp: Date.now()
-            };
         },
         metadata: {
             name: 'mqtt_subscribe',
@@ -120,64 +85,43 @@ export const MQTT_OPERATORS = {
             streamSafe: true
         }
     },
-    
+
     'mqtt_publish': {
         type: 'mqtt',
-        implementation: (input, args, context) => {
+        implementation: async (input, args, context) => {
             const topic = args[0];
             const qos = parseInt(args[1]) || 0;
-            const retain = args[2] === 'true';
-            
+            const retain = args[2] === true || args[2] === 'true';
+
             if (!topic) {
                 return { error: 'Topic is required for MQTT publish', success: false };
             }
-            
-            if (!context.engine._mqttConnections) {
-                return { error: 'No MQTT connections available', success: false };
-            }
-            
-            let connection;
-            
-            // Find connection from input or use first available
-            if (input && input.connectionId) {
-                connection = context.engine._mqttConnections.get(input.connectionId);
-            } else {
-                connection = context.engine._mqttConnections.values().next().value;
-            }
-            
+
+            const connection = findConnection(input, context);
             if (!connection) {
                 return { error: 'MQTT connection not found', success: false };
             }
-            
-            if (!connection.connected) {
-                return { error: 'MQTT connection not established', success: false };
-            }
-            
-            const message = {
-                topic: topic,
-                payload: input,
-                qos: qos,
-                retain: retain,
-                timestamp: Date.now(),
-                messageId: 'msg_' + Date.now()
-            };
-            
-            console.log(`📤 MQTT publish to ${topic}:`, input);
-            
-            // Simulate message delivery to subscribers
-            if (connection.mock) {
-                deliverMQTTMessage(connection, message, context);
+
+            try {
+                const ack = await connection.client.publish(topic, input, { qos, retain });
+
+                if (context.engine.debugMode) {
+                    console.log(`📤 MQTT publish to ${topic}:`, input);
+                }
+
+                return {
+                    published: true,
+                    topic: topic,
+                    messageId: ack.messageId,
+                    qos: qos,
+                    retain: retain,
+                    connectionId: connection.id,
+                    timestamp: Date.now(),
+                    success: true
+                };
+            } catch (error) {
+                return { error: error.message, topic, success: false };
             }
-            
-            return {
-                published: true,
-                topic: topic,
-                messageId: message.messageId,
-                qos: qos,
-                retain: retain,
-                timestamp: message.timestamp,
-                success: true
-            };
         },
         metadata: {
             name: 'mqtt_publish',
@@ -185,41 +129,27 @@ export const MQTT_OPERATORS = {
             streamSafe: true
         }
     },
-    
+
     'mqtt_unsubscribe': {
         type: 'mqtt',
-        implementation: (input, args, context) => {
+        implementation: async (input, args, context) => {
             const topic = args[0];
-            
-            if (!context.engine._mqttConnections) {
-                return { error: 'No MQTT connections available', success: false };
-            }
-            
-            let connection;
-            
-            if (input && input.connectionId) {
-                connection = context.engine._mqttConnections.get(input.connectionId);
-            } else {
-                connection = context.engine._mqttConnections.values().next().value;
-            }
-            
+
+            const connection = findConnection(input, context);
             if (!connection) {
                 return { error: 'MQTT connection not found', success: false };
             }
-            
+
             const wasSubscribed = connection.subscriptions.has(topic);
             const subscription = connection.subscriptions.get(topic);
-            connection.subscriptions.delete(topic);
-            
-            // Clean up mock intervals
-            if (connection.mockIntervals) {
-                const interval = connection.mockIntervals.get(topic);
-                if (interval) {
-                    clearInterval(interval);
-                    connection.mockIntervals.delete(topic);
-                }
+
+            try {
+                await connection.client.unsubscribe(topic);
+            } catch (error) {
+                return { error: error.message, topic, success: false };
             }
-            
+            connection.subscriptions.delete(topic);
+
             return {
                 unsubscribed: wasSubscribed,
                 topic: topic,
@@ -235,66 +165,46 @@ export const MQTT_OPERATORS = {
             streamSafe: true
         }
     },
-    
+
     'mqtt_disconnect': {
         type: 'mqtt',
-        implementation: (input, args, context) => {
+        implementation: async (input, args, context) => {
             const connectionId = args[0] || (input && input.connectionId);
-            
-            if (!context.engine._mqttConnections) {
-                return { error: 'No MQTT connections available', success: false };
-            }
-            
+            const connections = getConnections(context.engine);
+
             if (connectionId) {
-                // Disconnect specific connection
-                const connection = context.engine._mqttConnections.get(connectionId);
-                if (connection) {
-                    // Clean up all intervals
-                    if (connection.mockIntervals) {
-                        connection.mockIntervals.forEach(interval => clearInterval(interval));
-                        connection.mockIntervals.clear();
-                    }
-                    
-                    connection.connected = false;
-                    context.engine._mqttConnections.delete(connectionId);
-                    
-                    return {
-                        disconnected: true,
-                        connectionId: connectionId,
-                        subscriptions: connection.subscriptions.size,
-                        duration: Date.now() - connection.createdAt,
-                        success: true
-                    };
+                const connection = connections.get(connectionId);
+                if (!connection) {
+                    return { error: 'Connection not found', success: false };
                 }
-            } else {
-                // Disconnect all connections
-                const disconnected = [];
-                context.engine._mqttConnections.forEach((connection, id) => {
-                    // Clean up intervals
-                    if (connection.mockIntervals) {
-                        connection.mockIntervals.forEach(interval => clearInterval(interval));
-                        connection.mockIntervals.clear();
-                    }
-                    
-                    connection.connected = false;
-                    disconnected.push({
-                        connectionId: id,
-                        subscriptions: connection.subscriptions.size,
-                        duration: Date.now() - connection.createdAt
-                    });
-                });
-                
-                context.engine._mqttConnections.clear();
-                
+
+                await closeConnection(context.engine, connection);
                 return {
                     disconnected: true,
-                    connections: disconnected,
-                    total: disconnected.length,
+                    connectionId: connectionId,
+                    subscriptions: connection.subscriptions.size,
+                    duration: Date.now() - connection.createdAt,
                     success: true
                 };
             }
-            
-            return { error: 'Connection not found', success: false };
+
+            // Disconnect all connections
+            const disconnected = [];
+            for (const connection of [...connections.values()]) {
+                await closeConnection(context.engine, connection);
+                disconnected.push({
+                    connectionId: connection.id,
+                    subscriptions: connection.subscriptions.size,
+                    duration: Date.now() - connection.createdAt
+                });
+            }
+
+            return {
+                disconnected: true,
+                connections: disconnected,
+                total: disconnected.length,
+                success: true
+            };
         },
         metadata: {
             name: 'mqtt_disconnect',
@@ -302,20 +212,20 @@ export const MQTT_OPERATORS = {
             streamSafe: true
         }
     },
-    
+
     'mqtt_status': {
         type: 'mqtt',
         implementation: (input, args, context) => {
             const connectionId = args[0] || (input && input.connectionId);
-            
+
             if (!context.engine._mqttConnections) {
-                return { 
-                    connections: 0, 
+                return {
+                    connections: 0,
                     status: 'no_connections',
-                    success: true 
+                    success: true
                 };
             }
-            
+
             if (connectionId) {
                 const connection = context.engine._mqttConnections.get(connectionId);
                 if (connection) {
@@ -325,35 +235,35 @@ export const MQTT_OPERATORS = {
                         messageCount: sub.messageCount,
                         subscribedAt: sub.subscribedAt
                     }));
-                    
+
                     return {
                         connectionId: connectionId,
-                        connected: connection.connected,
+                        connected: connection.client.connected,
                         url: connection.url,
-                        clientId: connection.options.clientId,
+                        clientId: connection.client.options.clientId,
                         subscriptions: subscriptions,
                         subscriptionCount: connection.subscriptions.size,
-                        messageCount: connection.messageQueue.length,
+                        messageCount: connection.messageCount,
                         uptime: Date.now() - connection.createdAt,
                         success: true
                     };
                 }
                 return { error: 'Connection not found', success: false };
             }
-            
+
             // Return status of all connections
             const connections = [];
             context.engine._mqttConnections.forEach((connection, id) => {
                 connections.push({
                     connectionId: id,
-                    connected: connection.connected,
+                    connected: connection.client.connected,
                     url: connection.url,
-                    clientId: connection.options.clientId,
+                    clientId: connection.client.options.clientId,
                     subscriptions: connection.subscriptions.size,
                     uptime: Date.now() - connection.createdAt
                 });
             });
-            
+
             return {
                 totalConnections: connections.length,
                 connectedConnections: connections.filter(c => c.connected).length,
@@ -366,33 +276,88 @@ export const MQTT_OPERATORS = {
             category: 'mqtt',
             streamSafe: true
         }
-    },
-    
+    }
+};
+
+/**
+ * Live sources, registered with the engine's LiveSourceRuntime on import.
+ */
+export const MQTT_SOURCES = {
+    /**
+     * `~? mqtt_stream("sensors/+/temperature", "mqtt://localhost:1883", { qos: 1 })`
+     * emits `{ topic, payload, qos, retain, connectionId }` for every message.
+     * The second argument may name an existing connection instead of a URL.
+     * Options: qos, format ("auto" parses JSON payloads, "text", "buffer"),
+     * limit (complete after N messages) and any mqtt_connect option.
+     */
     'mqtt_stream': {
-        type: 'mqtt',
-        implementation: (input, args, context) => {
+        description: 'Emit the messages of an MQTT topic filter',
+        factory: async (args, source) => {
             const topic = args[0];
-            const transformLens = args[1];
-            
-            if (!topic) {
-                return { error: 'Topic is required for MQTT stream', success: false };
-            }
-            
-            return {
-                streamType: 'mqtt_topic',
-                topic: topic,
-                transform: transformLens,
-                connected: true,
-                mock: true,
-                description: `MQTT message stream from topic: ${topic}`,
-                success: true,
-                timestamp: Date.now()
+            if (!topic) throw new Error('mqtt_stream: a topic filter is required');
+
+            const target = args[1] || 'mqtt://localhost:1883';
+            const options = parseMqttOptions(args[2]);
+            const engine = source.engine;
+            const connections = getConnections(engine);
+            const limit = options.limit ?? Infinity;
+
+            const shared = connections.get(target);
+            const connection = shared || await openConnection(
+                engine,
+                target,
+                options.connectionId || `mqtt_stream_${topic}_${Date.now()}`,
+                options
+            );
+
+            let received = 0;
+            const listener = (messageTopic, payload, packet) => {
+                if (received >= limit) return;
+                received++;
+                source.emit({
+                    topic: messageTopic,
+                    payload: decodePayload(payload, options.format),
+                    qos: packet.qos,
+                    retain: packet.retain,
+                    connectionId: connection.id,
+                    timestamp: Date.now()
+                });
+                if (received >= limit) source.complete();
+            };
+
+            connection.listeners.add({ filter: topic, listener });
+            const granted = await connection.client.subscribe(topic, options.qos || 0);
+            connection.subscriptions.set(topic, { qos: granted, subscribedAt: Date.now(), messageCount: 0 });
+
+            return () => {
+                for (const entry of connection.listeners) {
+                    if (entry.listener === listener) connection.listeners.delete(entry);
+                }
+                if (!shared) closeConnection(engine, connection);
             };
-        },
-        metadata: {
-            name: 'mqtt_stream',
-            category: 'mqtt',
-            streamSafe: true
+        }
+    },
+
+    /**
+     * `~? mqtt_broker(1883)` runs the in-process broker and emits its
+     * connected/disconnected/published events. The broker stops once the
+     * program has no other live sources left.
+     */
+    'mqtt_broker': {
+        description: 'Run an in-process MQTT broker',
+        dependent: true,
+        factory: async (args, source) => {
+            const port = args[0] === undefined ? 1883 : Number(args[0]);
+            const options = parseMqttOptions(args[1]);
+            const broker = new MqttBroker(options);
+
+            broker.on('client:connected', details => source.emit({ event: 'connected', ...details, timestamp: Date.now() }));
+            broker.on('client:disconnected', details => source.emit({ event: 'disconnected', ...details, timestamp: Date.now() }));
+            broker.on('publish', details => source.emit({ event: 'published', ...details, timestamp: Date.now() }));
+            broker.on('error', error => source.fail(error));
+
+            await broker.listen(port, options.host);
+            return () => broker.close();
         }
     }
 };
@@ -409,91 +374,88 @@ function parseMqttOptions(optionsString) {
     }
 }
 
-function simulateMQTTMessages(connection, topic, context) {
-    const messageTypes = {
-        'sensors/temperature': () => ({
-            temperature: 20 + Math.random() * 10,
-            humidity: 40 + Math.random() * 30,
-            timestamp: Date.now(),
-            unit: 'celsius',
-            sensorId: 'sensor_' + Math.random().toString(36).substr(2, 5)
-        }),
-        'sensors/motion': () => ({
-            motion: Math.random() > 0.7,
-            intensity: Math.random(),
-            timestamp: Date.now(),
-            sensorId: 'motion_' + Math.random().toString(36).substr(2, 5)
-        }),
-        'device/status': () => ({
-            status: Math.random() > 0.1 ? 'online' : 'offline',
-            battery: Math.floor(20 + Math.random() * 80),
-            uptime: Math.floor(Math.random() * 10000),
-            deviceId: 'device_' + Math.random().toString(36).substr(2, 5)
-        })
-    };
-    
-    const messageGenerator = messageTypes[topic] || (() => ({
-        data: `Mock message for ${topic}`,
-        value: Math.random(),
-        timestamp: Date.now(),
-        messageId: 'mock_' + Math.random().toString(36).substr(2, 8)
-    }));
-    
-    // Periodically generate mock messages
-    const interval = setInterval(() => {
-        if (!connection.connected) {
-            clearInterval(interval);
-            return;
-        }
-        
-        const message = messageGenerator();
-        const mqttMessage = {
-            topic: topic,
-            payload: message,
-            timestamp: Date.now(),
-            qos: 0,
-            messageId: 'msg_' + Date.now()
-        };
-        
-        // Store message
-        connection.messageQueue.push(mqttMessage);
-        
-        // Update subscription count
-        const subscription = connection.subscriptions.get(topic);
-        if (subscription) {
-            subscription.messageCount++;
-        }
-        
-        // Notify subscribers
-        if (context.engine.debugMode) {
-            console.log(`📨 MQTT message received on ${topic}:`, message);
-        }
-        
-    }, 3000 + Math.random() * 7000);
-    
-    // Store interval for cleanup
-    if (!connection.mockIntervals) {
-        connection.mockIntervals = new Map();
+function getConnections(engine) {
+    if (!engine._mqttConnections) {
+        engine._mqttConnections = new Map();
+        engine.once?.('shutdown', () => {
+            for (const connection of [...engine._mqttConnections.values()]) {
+                closeConnection(engine, connection);
+            }
+        });
     }
-    connection.mockIntervals.set(topic, interval);
+    return engine._mqttConnections;
 }
 
-function deliverMQTTMessage(connection, message, context) {
-    // Deliver to matching subscriptions
-    connection.subscriptions.forEach((subscription, topic) => {
-        if (topicMatches(message.topic, topic)) {
-            subscription.messageCount++;
-            
-            if (context.engine.debugMode) {
-                console.log(`📨 MQTT message delivered to subscriber ${topic}:`, message.payload);
-            }
+function findConnection(input, context) {
+    const connections = getConnections(context.engine);
+    if (input && input.connectionId) {
+        return connections.get(input.connectionId);
+    }
+    return connections.values().next().value;
+}
+
+async function openConnection(engine, brokerUrl, connectionId, options) {
+    const { connectionId: _, limit, format, qos, ...clientOptions } = options;
+    const client = new MqttClient(brokerUrl, clientOptions);
+    const connection = {
+        id: connectionId,
+        url: client.url,
+        client,
+        subscriptions: new Map(),
+        listeners: new Set(),
+        messageCount: 0,
+        sessionPresent: false,
+        createdAt: Date.now()
+    };
+
+    client.on('message', (topic, payload, packet) => {
+        connection.messageCount++;
+        for (const [filter, subscription] of connection.subscriptions) {
+            if (topicMatches(topic, filter)) subscription.messageCount++;
+        }
+        for (const { filter, listener } of connection.listeners) {
+            if (topicMatches(topic, filter)) listener(topic, payload, packet);
         }
     });
+    client.on('error', error => {
+        if (engine.debugMode) console.warn(`⚠️ MQTT ${connectionId}: ${error.message}`);
+    });
+    client.on('close', () => engine._mqttConnections?.delete(connectionId));
+
+    const connack = await client.connect();
+    connection.sessionPresent = connack.sessionPresent;
+    getConnections(engine).set(connectionId, connection);
+    return connection;
 }
 
-function topicMatches(publishTopic, subscriptionTopic) {
-    // Simple topic matching (in real implementation, this would handle MQTT wildcards)
-    return publishTopic === subscriptionTopic;
+async function closeConnection(engine, connection) {
+    connection.listeners.clear();
+    engine._mqttConnections?.delete(connection.id);
+    await connection.client.end();
+}
+
+function connectionResult(connection, sessionPresent) {
+    return {
+        connectionId: connection.id,
+        status: 'connected',
+        url: connection.url,
+        clientId: connection.client.options.clientId,
+        sessionPresent,
+        success: true,
+        timestamp: Date.now()
+    };
+}
+
+function decodePayload(payload, format = 'auto') {
+    if (format === 'buffer') return payload;
+    const text = payload.toString('utf8');
+    if (format === 'text') return text;
+    if (format === 'json') return JSON.parse(text);
+    try {
+        return JSON.parse(text);
+    } catch {
+        return text;
+    }
 }
 
 // Export individual operators for direct import
@@ -503,6 +465,8 @@ export const mqtt_publish = MQTT_OPERATORS.mqtt_publish.implementation;
 export const mqtt_unsubscribe = MQTT_OPERATORS.mqtt_unsubscribe.implementation;
 export const mqtt_disconnect = MQTT_OPERATORS.mqtt_disconnect.implementation;
 export const mqtt_status = MQTT_OPERATORS.mqtt_status.implementation;
-export const mqtt_stream = MQTT_OPERATORS.mqtt_stream.implementation;
+export const mqtt_stream = MQTT_SOURCES.mqtt_stream.factory;
+
+export { MqttClient, MqttBroker };
 
 export default MQTT_OPERATORS;
@@ -1,34 +1,328 @@
 // FILENAME: src/lib/network/websocket.js
-// WebSocket Operations
+// WebSocket Operations - live client/server sources and named connections
+
+import { connectWebSocket, WebSocketServer } from './ws-protocol.js';
+
+/**
+ * Connections are named per engine: `~? websocket_stream(url, "chat")`
+ * registers "chat", and `| websocket_send("chat")` writes to it. Each entry
+ * exposes `send(data, clientId)` and `close()`.
+ */
+const registries = new WeakMap();
+
+function connectionsFor(engine) {
+    const key = engine || connectionsFor;
+    if (!registries.has(key)) {
+        const connections = new Map();
+        registries.set(key, connections);
+        // Connections opened by operators are not owned by a live source
+        engine?.once?.('shutdown', () => {
+            for (const entry of [...connections.values()]) entry.close();
+        });
+    }
+    return registries.get(key);
+}
+
+function getConnection(context, name, operation) {
+    const entry = connectionsFor(context?.engine).get(name);
+    if (!entry) {
+        throw new Error(`${operation}: no WebSocket connection named '${name}'`);
+    }
+    return entry;
+}
+
+function decodeMessage(data, format) {
+    if (format !== 'json' || typeof data !== 'string') return data;
+    try {
+        return JSON.parse(data);
+    } catch {
+        return data;
+    }
+}
+
+function event(type, name, details = {}) {
+    return { event: type, connection: name, ...details, timestamp: Date.now() };
+}
+
+/**
+ * Reconnect delay for the given attempt: exponential from `backoffMs`,
+ * capped at `maxBackoffMs`.
+ */
+export function backoffDelay(attempt, options = {}) {
+    const base = options.backoffMs ?? 100;
+    const max = options.maxBackoffMs ?? 5000;
+    return Math.min(max, base * 2 ** attempt);
+}
+
+/**
+ * A client connection that reconnects with backoff until closed locally or
+ * out of retries. Messages sent while disconnected are queued.
+ */
+class ManagedClient {
+    constructor(url, name, options, onEvent, onEnd) {
+        this.url = url;
+        this.name = name;
+        this.options = {
+            reconnect: true,
+            maxRetries: Infinity,
+            maxQueue: 1000,
+            ...options
+        };
+        this.onEvent = onEvent;
+        this.onEnd = onEnd;
+        this.connection = null;
+        this.attempt = 0;
+        this.closedLocally = false;
+        this.timer = null;
+        this.queue = [];
+        this.kind = 'client';
+    }
+
+    start() {
+        this.connect();
+        return this;
+    }
+
+    async connect() {
+        let connection;
+        try {
+            connection = await connectWebSocket(this.url, this.options);
+        } catch (error) {
+            if (this.closedLocally) return;
+            this.onEvent(event('error', this.name, { error: error.message }));
+            this.scheduleReconnect();
+            return;
+        }
+
+        if (this.closedLocally) {
+            connection.close(1000, 'Closed');
+            return;
+        }
+
+        this.connection = connection;
+        this.attempt = 0;
+        connection.on('message', data => {
+            this.onEvent(event('message', this.name, { data: decodeMessage(data, this.options.format) }));
+        });
+        connection.on('error', error => this.onEvent(event('error', this.name, { error: error.message })));
+        connection.on('close', (code, reason) => {
+            this.connection = null;
+            this.onEvent(event('close', this.name, { code, reason }));
+            if (this.closedLocally) {
+                this.onEnd();
+            } else {
+                this.scheduleReconnect();
+            }
+        });
+
+        this.onEvent(event('open', this.name, { url: this.url }));
+        this.flushQueue();
+    }
+
+    scheduleReconnect() {
+        if (!this.options.reconnect || this.attempt >= this.options.maxRetries) {
+            this.closedLocally = true;
+            this.onEnd();
+            return;
+        }
+
+        const delayMs = backoffDelay(this.attempt, this.options);
+        this.attempt++;
+        this.onEvent(event('reconnecting', this.name, { attempt: this.attempt, delayMs }));
+        this.timer = setTimeout(() => this.connect(), delayMs);
+    }
+
+    send(data) {
+        if (this.connection?.isOpen) {
+            this.connection.send(data);
+            return true;
+        }
+        if (this.closedLocally) {
+            throw new Error(`WebSocket connection '${this.name}' is closed`);
+        }
+        if (this.queue.length >= this.options.maxQueue) {
+            throw new Error(`WebSocket connection '${this.name}' send queue is full`);
+        }
+        this.queue.push(data);
+        return false;
+    }
+
+    flushQueue() {
+        const pending = this.queue.splice(0);
+        pending.forEach(data => this.connection.send(data));
+    }
+
+    close() {
+        if (this.closedLocally && !this.connection) return;
+        this.closedLocally = true;
+        clearTimeout(this.timer);
+        if (this.connection) {
+            this.connection.close(1000, 'Closed');
+        } else {
+            this.onEnd();
+        }
+    }
+}
+
+class ManagedServer {
+    constructor(port, name, options, onEvent, onEnd) {
+        this.port = port;
+        this.name = name;
+        this.options = options;
+        this.onEvent = onEvent;
+        this.onEnd = onEnd;
+        this.server = new WebSocketServer(options);
+        this.clients = new Map();
+        this.nextClientId = 1;
+        this.closed = false;
+        this.kind = 'server';
+    }
+
+    async start() {
+        this.server.on('connection', (connection, request) => {
+            const clientId = `${this.name}#${this.nextClientId++}`;
+            this.clients.set(clientId, connection);
+
+            connection.on('message', data => {
+                this.onEvent(event('message', this.name, { clientId, data: decodeMessage(data, this.options.format) }));
+            });
+            connection.on('error', error => this.onEvent(event('error', this.name, { clientId, error: error.message })));
+            connection.on('close', (code, reason) => {
+                this.clients.delete(clientId);
+                this.onEvent(event('close', this.name, { clientId, code, reason }));
+            });
+
+            this.onEvent(event('open', this.name, { clientId, remoteAddress: request.socket.remoteAddress }));
+        });
+        this.server.on('error', error => this.onEvent(event('error', this.name, { error: error.message })));
+
+        const address = await this.server.listen(this.port, this.options.host);
+        this.onEvent(event('listening', this.name, { port: address.port }));
+        return this;
+    }
+
+    send(data, clientId) {
+        if (this.closed) {
+            throw new Error(`WebSocket server '${this.name}' is closed`);
+        }
+        if (clientId === undefined) {
+            return this.server.broadcast(data) > 0;
+        }
+        const client = this.clients.get(clientId);
+        if (!client || !client.isOpen) {
+            throw new Error(`WebSocket server '${this.name}' has no open client '${clientId}'`);
+        }
+        client.send(data);
+        return true;
+    }
+
+    close() {
+        if (this.closed) return;
+        this.closed = true;
+        this.server.close().then(() => this.onEnd());
+    }
+}
 
 export const WEBSOCKET_OPERATORS = {
-    'websocket_connect': (input, args) => {
+    /**
+     * Open a send-only client connection under a name. Incoming messages are
+     * only observable through `~? websocket_stream`.
+     */
+    'websocket_connect': (input, args, context) => {
         const url = args[0] || input;
-        console.log(`🔌 WebSocket connecting to: ${url}`);
-        return {
-            connected: true,
-            url: url,
-            sessionId: Math.random().toString(36).substr(2, 9),
-            message: 'Mock WebSocket connection established'
-        };
+        const name = args[1] || url;
+        const connections = connectionsFor(context?.engine);
+
+        if (!connections.has(name)) {
+            const client = new ManagedClient(url, name, args[2] || {}, () => {}, () => connections.delete(name));
+            connections.set(name, client.start());
+        }
+        return { connected: true, connection: name, url, timestamp: Date.now() };
     },
-    
-    'websocket_send': (input, args) => {
-        const message = args[0] || input;
-        console.log(`📤 WebSocket send:`, message);
-        return {
-            sent: true,
-            message: message,
-            timestamp: Date.now()
-        };
+
+    /**
+     * Sink: send the stream value on a named connection. On a server, a
+     * message event (`{ clientId, data }`) is answered to its client, any
+     * other value is broadcast unless a client id is given.
+     */
+    'websocket_send': (input, args, context) => {
+        const name = args[0];
+        const entry = getConnection(context, name, 'websocket_send');
+        let data = input;
+        let clientId = args[1];
+
+        if (entry.kind === 'server' && clientId === undefined && input && typeof input === 'object' && 'clientId' in input && 'data' in input) {
+            clientId = input.clientId;
+            data = input.data;
+        }
+
+        const delivered = entry.send(data, clientId);
+        return { sent: true, queued: !delivered, connection: name, message: data, timestamp: Date.now() };
     },
-    
-    'websocket_close': (input, args) => {
-        console.log(`🔌 WebSocket closing connection`);
-        return {
-            connected: false,
-            closed: true,
-            message: 'Connection closed'
-        };
+
+    /**
+     * Close a named connection or server; the stream value passes through.
+     */
+    'websocket_close': (input, args, context) => {
+        const name = args[0];
+        getConnection(context, name, 'websocket_close').close();
+        return input;
+    }
+};
+
+/**
+ * Live sources. Both emit `{ event, connection, ... }` values where event is
+ * one of open, message, close, error, reconnecting (client) or listening
+ * (server).
+ */
+export const WEBSOCKET_SOURCES = {
+    'websocket_stream': {
+        description: 'Emit connection events and incoming messages of a WebSocket client',
+        factory: (args, source) => {
+            const url = args[0];
+            const name = args[1] || url;
+            const options = args[2] || {};
+            const connections = connectionsFor(source.engine);
+
+            if (connections.has(name)) {
+                throw new Error(`websocket_stream: connection '${name}' already exists`);
+            }
+
+            const client = new ManagedClient(url, name, options, value => source.emit(value), () => {
+                connections.delete(name);
+                source.complete();
+            });
+            connections.set(name, client.start());
+
+            return () => client.close();
+        }
+    },
+
+    'websocket_server': {
+        description: 'Listen on a port and emit per-client connection events and messages',
+        factory: async (args, source) => {
+            const port = Number(args[0]) || 0;
+            const name = args[1] || `ws:${port}`;
+            const options = args[2] || {};
+            const connections = connectionsFor(source.engine);
+
+            if (connections.has(name)) {
+                throw new Error(`websocket_server: connection '${name}' already exists`);
+            }
+
+            const server = new ManagedServer(port, name, options, value => source.emit(value), () => {
+                connections.delete(name);
+                source.complete();
+            });
+            connections.set(name, server);
+            try {
+                await server.start();
+            } catch (error) {
+                connections.delete(name);
+                throw error;
+            }
+
+            return () => server.close();
+        }
     }
 };
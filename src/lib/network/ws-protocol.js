@@ -0,0 +1,409 @@
+// FILENAME: src/lib/network/ws-protocol.js
+// Fluxus WebSocket Protocol - RFC 6455 framing, client handshake and server
+
+import { EventEmitter } from 'events';
+import crypto from 'crypto';
+import http from 'http';
+import https from 'https';
+
+const GUID = '258EAFA5-E914-47DA-95CA-C5AB0DC85B11';
+
+const OPCODES = {
+    CONTINUATION: 0x0,
+    TEXT: 0x1,
+    BINARY: 0x2,
+    CLOSE: 0x8,
+    PING: 0x9,
+    PONG: 0xA
+};
+
+export const DEFAULT_MAX_PAYLOAD = 16 * 1024 * 1024;
+
+export function computeAcceptKey(key) {
+    return crypto.createHash('sha1').update(key + GUID).digest('base64');
+}
+
+export function encodeFrame(opcode, payload, mask = false) {
+    const length = payload.length;
+    let headerLength = 2;
+    if (length >= 65536) headerLength += 8;
+    else if (length >= 126) headerLength += 2;
+    if (mask) headerLength += 4;
+
+    const frame = Buffer.alloc(headerLength + length);
+    frame[0] = 0x80 | opcode;
+
+    let offset = 2;
+    if (length >= 65536) {
+        frame[1] = 127;
+        frame.writeBigUInt64BE(BigInt(length), 2);
+        offset += 8;
+    } else if (length >= 126) {
+        frame[1] = 126;
+        frame.writeUInt16BE(length, 2);
+        offset += 2;
+    } else {
+        frame[1] = length;
+    }
+
+    if (mask) {
+        const maskKey = crypto.randomBytes(4);
+        frame[1] |= 0x80;
+        maskKey.copy(frame, offset);
+        offset += 4;
+        for (let i = 0; i < length; i++) {
+            frame[offset + i] = payload[i] ^ maskKey[i % 4];
+        }
+    } else {
+        payload.copy(frame, offset);
+    }
+
+    return frame;
+}
+
+/**
+ * One open WebSocket over an upgraded socket. Clients mask their frames,
+ * servers do not. Emits 'message' (string for text frames, Buffer for
+ * binary), 'close' (code, reason) and 'error'.
+ */
+export class WebSocketConnection extends EventEmitter {
+    constructor(socket, options = {}) {
+        super();
+        this.socket = socket;
+        this.isClient = options.isClient || false;
+        this.maxPayload = options.maxPayload || DEFAULT_MAX_PAYLOAD;
+        this.buffer = Buffer.alloc(0);
+        this.fragments = null;
+        this.fragmentOpcode = null;
+        this.state = 'open';
+        this.closeCode = null;
+        this.closeReason = '';
+
+        socket.setNoDelay(true);
+        socket.on('data', chunk => this.handleData(chunk));
+        socket.on('error', error => this.emit('error', error));
+        socket.on('close', () => this.finalize());
+
+        if (options.head && options.head.length > 0) {
+            this.handleData(options.head);
+        }
+    }
+
+    get isOpen() {
+        return this.state === 'open';
+    }
+
+    send(data) {
+        if (!this.isOpen) {
+            throw new Error('WebSocket is not open');
+        }
+        if (Buffer.isBuffer(data)) {
+            this.socket.write(encodeFrame(OPCODES.BINARY, data, this.isClient));
+        } else {
+            const text = typeof data === 'string' ? data : JSON.stringify(data);
+            this.socket.write(encodeFrame(OPCODES.TEXT, Buffer.from(text, 'utf8'), this.isClient));
+        }
+    }
+
+    ping(data = Buffer.alloc(0)) {
+        if (this.isOpen) {
+            this.socket.write(encodeFrame(OPCODES.PING, data, this.isClient));
+        }
+    }
+
+    close(code = 1000, reason = '') {
+        if (this.state !== 'open') return;
+        this.state = 'closing';
+        this.closeCode = code;
+        this.closeReason = reason;
+
+        const reasonBuffer = Buffer.from(reason, 'utf8');
+        const payload = Buffer.alloc(2 + reasonBuffer.length);
+        payload.writeUInt16BE(code, 0);
+        reasonBuffer.copy(payload, 2);
+        this.socket.write(encodeFrame(OPCODES.CLOSE, payload, this.isClient));
+
+        // Give the peer a moment to answer the close frame
+        this.closeTimer = setTimeout(() => this.socket.destroy(), 1000);
+        this.closeTimer.unref?.();
+    }
+
+    terminate() {
+        this.socket.destroy();
+    }
+
+    handleData(chunk) {
+        this.buffer = this.buffer.length === 0 ? chunk : Buffer.concat([this.buffer, chunk]);
+
+        while (this.buffer.length >= 2) {
+            const frame = this.readFrame();
+            if (!frame) return;
+            try {
+                this.handleFrame(frame);
+            } catch (error) {
+                this.fail(1002, error.message);
+                return;
+            }
+        }
+    }
+
+    readFrame() {
+        const buffer = this.buffer;
+        const fin = (buffer[0] & 0x80) !== 0;
+        const opcode = buffer[0] & 0x0F;
+        const masked = (buffer[1] & 0x80) !== 0;
+        let length = buffer[1] & 0x7F;
+        let offset = 2;
+
+        if (length === 126) {
+            if (buffer.length < 4) return null;
+            length = buffer.readUInt16BE(2);
+            offset = 4;
+        } else if (length === 127) {
+            if (buffer.length < 10) return null;
+            const bigLength = buffer.readBigUInt64BE(2);
+            if (bigLength > BigInt(this.maxPayload)) {
+                this.fail(1009, 'Message too big');
+                return null;
+            }
+            length = Number(bigLength);
+            offset = 10;
+        }
+
+        if (length > this.maxPayload) {
+            this.fail(1009, 'Message too big');
+            return null;
+        }
+
+        const maskLength = masked ? 4 : 0;
+        if (buffer.length < offset + maskLength + length) return null;
+
+        let payload = buffer.subarray(offset + maskLength, offset + maskLength + length);
+        if (masked) {
+            const maskKey = buffer.subarray(offset, offset + 4);
+            payload = Buffer.from(payload);
+            for (let i = 0; i < payload.length; i++) {
+                payload[i] ^= maskKey[i % 4];
+            }
+        }
+
+        this.buffer = buffer.subarray(offset + maskLength + length);
+        return { fin, opcode, payload };
+    }
+
+    handleFrame({ fin, opcode, payload }) {
+        switch (opcode) {
+            case OPCODES.TEXT:
+            case OPCODES.BINARY:
+                if (this.fragments) throw new Error('Expected a continuation frame');
+                if (fin) {
+                    this.deliver(opcode, payload);
+                } else {
+                    this.fragments = [payload];
+                    this.fragmentOpcode = opcode;
+                }
+                return;
+
+            case OPCODES.CONTINUATION: {
+                if (!this.fragments) throw new Error('Unexpected continuation frame');
+                this.fragments.push(payload);
+                const size = this.fragments.reduce((total, part) => total + part.length, 0);
+                if (size > this.maxPayload) {
+                    this.fail(1009, 'Message too big');
+                    return;
+                }
+                if (fin) {
+                    const message = Buffer.concat(this.fragments);
+                    const messageOpcode = this.fragmentOpcode;
+                    this.fragments = null;
+                    this.fragmentOpcode = null;
+                    this.deliver(messageOpcode, message);
+                }
+                return;
+            }
+
+            case OPCODES.PING:
+                if (this.isOpen) this.socket.write(encodeFrame(OPCODES.PONG, payload, this.isClient));
+                return;
+
+            case OPCODES.PONG:
+                this.emit('pong', payload);
+                return;
+
+            case OPCODES.CLOSE: {
+                const code = payload.length >= 2 ? payload.readUInt16BE(0) : 1005;
+                const reason = payload.length > 2 ? payload.subarray(2).toString('utf8') : '';
+                if (this.state === 'open') {
+                    this.closeCode = code;
+                    this.closeReason = reason;
+                    this.state = 'closing';
+                    this.socket.write(encodeFrame(OPCODES.CLOSE, payload.subarray(0, 2), this.isClient));
+                }
+                this.socket.end();
+                return;
+            }
+
+            default:
+                throw new Error(`Unknown opcode ${opcode}`);
+        }
+    }
+
+    deliver(opcode, payload) {
+        this.emit('message', opcode === OPCODES.TEXT ? payload.toString('utf8') : payload);
+    }
+
+    fail(code, reason) {
+        this.emit('error', new Error(`WebSocket protocol error: ${reason}`));
+        this.close(code, reason);
+        this.buffer = Buffer.alloc(0);
+    }
+
+    finalize() {
+        if (this.state === 'closed') return;
+        this.state = 'closed';
+        clearTimeout(this.closeTimer);
+        this.emit('close', this.closeCode ?? 1006, this.closeReason);
+    }
+}
+
+/**
+ * Open a client connection to a ws:// or wss:// URL.
+ */
+export function connectWebSocket(url, options = {}) {
+    return new Promise((resolve, reject) => {
+        let target;
+        try {
+            target = new URL(url);
+        } catch {
+            reject(new Error(`Invalid WebSocket URL: ${url}`));
+            return;
+        }
+        if (target.protocol !== 'ws:' && target.protocol !== 'wss:') {
+            reject(new Error(`Unsupported WebSocket protocol: ${target.protocol}`));
+            return;
+        }
+
+        const key = crypto.randomBytes(16).toString('base64');
+        const transport = target.protocol === 'wss:' ? https : http;
+        const request = transport.request({
+            hostname: target.hostname,
+            port: target.port || (target.protocol === 'wss:' ? 443 : 80),
+            path: `${target.pathname}${target.search}`,
+            headers: {
+                ...options.headers,
+                'Connection': 'Upgrade',
+                'Upgrade': 'websocket',
+                'Sec-WebSocket-Key': key,
+                'Sec-WebSocket-Version': '13'
+            }
+        });
+
+        const timeout = setTimeout(() => {
+            request.destroy(new Error(`WebSocket connection to ${url} timed out`));
+        }, options.timeoutMs || 10000);
+
+        request.on('upgrade', (response, socket, head) => {
+            clearTimeout(timeout);
+            if (response.headers['sec-websocket-accept'] !== computeAcceptKey(key)) {
+                socket.destroy();
+                reject(new Error('WebSocket handshake failed: invalid Sec-WebSocket-Accept'));
+                return;
+            }
+            resolve(new WebSocketConnection(socket, { isClient: true, head, maxPayload: options.maxPayload }));
+        });
+
+        request.on('response', response => {
+            clearTimeout(timeout);
+            response.resume();
+            reject(new Error(`WebSocket handshake failed: HTTP ${response.statusCode}`));
+        });
+
+        request.on('error', error => {
+            clearTimeout(timeout);
+            reject(error);
+        });
+
+        request.end();
+    });
+}
+
+/**
+ * Minimal WebSocket server. Emits 'connection' (connection, request),
+ * 'listening' and 'error'.
+ */
+export class WebSocketServer extends EventEmitter {
+    constructor(options = {}) {
+        super();
+        this.options = options;
+        this.clients = new Set();
+        this.server = http.createServer((request, response) => {
+            response.writeHead(426, { 'Content-Type': 'text/plain' });
+            response.end('Upgrade Required');
+        });
+        this.server.on('upgrade', (request, socket, head) => this.handleUpgrade(request, socket, head));
+        this.server.on('error', error => this.emit('error', error));
+    }
+
+    listen(port, host) {
+        return new Promise((resolve, reject) => {
+            const onError = error => reject(error);
+            this.server.once('error', onError);
+            this.server.listen(port, host, () => {
+                this.server.off('error', onError);
+                this.emit('listening', this.address());
+                resolve(this.address());
+            });
+        });
+    }
+
+    address() {
+        return this.server.address();
+    }
+
+    handleUpgrade(request, socket, head) {
+        const key = request.headers['sec-websocket-key'];
+        const upgrade = (request.headers.upgrade || '').toLowerCase();
+
+        if (upgrade !== 'websocket' || !key || request.headers['sec-websocket-version'] !== '13') {
+            socket.end('HTTP/1.1 400 Bad Request\r\n\r\n');
+            return;
+        }
+
+        socket.write([
+            'HTTP/1.1 101 Switching Protocols',
+            'Upgrade: websocket',
+            'Connection: Upgrade',
+            `Sec-WebSocket-Accept: ${computeAcceptKey(key)}`,
+            '', ''
+        ].join('\r\n'));
+
+        const connection = new WebSocketConnection(socket, { head, maxPayload: this.options.maxPayload });
+        this.clients.add(connection);
+        connection.on('close', () => this.clients.delete(connection));
+        this.emit('connection', connection, request);
+    }
+
+    broadcast(data) {
+        let sent = 0;
+        for (const client of this.clients) {
+            if (client.isOpen) {
+                client.send(data);
+                sent++;
+            }
+        }
+        return sent;
+    }
+
+    close() {
+        return new Promise(resolve => {
+            for (const client of this.clients) client.close(1001, 'Server shutting down');
+            this.server.close(() => resolve());
+            // Sockets that ignore the close frame must not keep the server open
+            setTimeout(() => {
+                for (const client of this.clients) client.terminate();
+            }, 500).unref?.();
+        });
+    }
+}
+
+export default { WebSocketConnection, WebSocketServer, connectWebSocket };
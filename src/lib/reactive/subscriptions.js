@@ -1,6 +1,11 @@
 // FILENAME: src/lib/reactive/subscriptions.js
 // Fluxus Advanced Subscription Management and Reactive Patterns
 
+import { systemClock } from '../../runtime/scheduler/clock.js';
+
+// Timers and timestamps follow the engine's clock, so virtual time covers these too
+const clockOf = (context) => context.engine?.clock || systemClock;
+
 /**
  * Advanced subscription operators for managing complex reactive relationships
  * and controlling data flow in reactive systems
@@ -38,13 +43,13 @@ export const ReactiveSubscriptions = {
         
         // Clear existing timer
         if (debounceData.timer) {
-            clearTimeout(debounceData.timer);
+            clockOf(context).clearTimeout(debounceData.timer);
         }
         
         // Set new timer
         return new Promise((resolve) => {
-            debounceData.timer = setTimeout(() => {
-                debounceData.lastEmitTime = Date.now();
+            debounceData.timer = clockOf(context).setTimeout(() => {
+                debounceData.lastEmitTime = clockOf(context).now();
                 resolve(debounceData.lastValue);
             }, delayMs);
         });
@@ -67,7 +72,7 @@ export const ReactiveSubscriptions = {
         const throttleId = `throttle_${args.join('_')}`;
         let throttleState = context.engine._throttleStates.get(throttleId);
         
-        const now = Date.now();
+        const now = clockOf(context).now();
         
         if (!throttleState) {
             throttleState = {
@@ -110,7 +115,7 @@ export const ReactiveSubscriptions = {
         const bufferId = `buffer_${args.join('_')}`;
         let bufferState = context.engine._subscriptionBuffers.get(bufferId);
         
-        const now = Date.now();
+        const now = clockOf(context).now();
         
         if (!bufferState) {
             bufferState = {
@@ -121,7 +126,7 @@ export const ReactiveSubscriptions = {
             context.engine._subscriptionBuffers.set(bufferId, bufferState);
             
             // Set timeout for partial buffer emission
-            bufferState.timer = setTimeout(() => {
+            bufferState.timer = clockOf(context).setTimeout(() => {
                 const currentBuffer = bufferState.buffer;
                 if (currentBuffer.length > 0) {
                     // Emission handled by next call
@@ -143,9 +148,9 @@ export const ReactiveSubscriptions = {
             
             // Reset timer
             if (bufferState.timer) {
-                clearTimeout(bufferState.timer);
+                clockOf(context).clearTimeout(bufferState.timer);
             }
-            bufferState.timer = setTimeout(() => {
+            bufferState.timer = clockOf(context).setTimeout(() => {
                 // Handle empty timeout
             }, timeoutMs);
             
@@ -176,12 +181,12 @@ export const ReactiveSubscriptions = {
             sharedState = {
                 value: input,
                 subscribers: new Set(),
-                lastUpdated: Date.now()
+                lastUpdated: clockOf(context).now()
             };
             context.engine._sharedSubscriptions.set(sharedId, sharedState);
         } else {
             sharedState.value = input;
-            sharedState.lastUpdated = Date.now();
+            sharedState.lastUpdated = clockOf(context).now();
         }
         
         // Return the shared value
@@ -210,7 +215,7 @@ export const ReactiveSubscriptions = {
         }
         
         const cacheId = `cache_${cacheKey}`;
-        const now = Date.now();
+        const now = clockOf(context).now();
         let cacheEntry = context.engine._subscriptionCache.get(cacheId);
         
         // Check if cached value is still valid
@@ -277,7 +282,7 @@ export const ReactiveSubscriptions = {
             console.warn(`⚠️ Retry ${retryState.retryCount}/${maxRetries} after ${backoffMs}ms`);
             
             // Wait before retry
-            await new Promise(resolve => setTimeout(resolve, backoffMs));
+            await new Promise(resolve => clockOf(context).setTimeout(resolve, backoffMs));
             
             // Signal retry (return special object)
             return {
@@ -315,7 +320,7 @@ export const ReactiveSubscriptions = {
         const sampleId = `sample_${args.join('_')}`;
         let sampleState = context.engine._sampleStates.get(sampleId);
         
-        const now = Date.now();
+        const now = clockOf(context).now();
         
         if (!sampleState) {
             sampleState = {
@@ -432,7 +437,7 @@ export const ReactiveSubscriptions = {
     'delay_subscription': async (input, args, context) => {
         const delayMs = parseInt(args[0]) || 1000;
         
-        await new Promise(resolve => setTimeout(resolve, delayMs));
+        await new Promise(resolve => clockOf(context).setTimeout(resolve, delayMs));
         return input;
     },
     
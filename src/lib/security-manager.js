@@ -4,6 +4,7 @@
 import { performance } from 'perf_hooks';
 import { createHash } from 'crypto';
 import { readFileSync } from 'fs';
+import path from 'path';
 
 /**
  * ENTERPRISE LIBRARY SECURITY MANAGER
@@ -605,8 +606,11 @@ export class LibrarySecurityManager {
     }
 
     getGrantedPermissions(libraryName) {
+        // Registered libraries declare their permissions; others get their trust level's
+        const info = this.getLibraryInfo(libraryName);
+        if (info?.permissions) return [...info.permissions];
         const trustLevel = this.getLibraryTrustLevel(libraryName);
-        return this.trustLevels[trustLevel]?.permissions || [];
+        return [...(this.trustLevels[trustLevel]?.permissions || [])];
     }
 
     getPermissionConstraints(permissions) {
@@ -636,7 +640,13 @@ export class LibrarySecurityManager {
     }
 
     isPathAllowed(filePath, allowedPaths) {
-        return allowedPaths.some(allowedPath => filePath.startsWith(allowedPath));
+        // Compare resolved paths segment-wise: '/tmp' must not allow '/tmpfoo' or '/tmp/../etc'
+        const resolved = path.resolve(filePath);
+        return allowedPaths.some(allowedPath => {
+            const relative = path.relative(path.resolve(allowedPath), resolved);
+            return relative === '' ||
+                (relative !== '..' && !relative.startsWith(`..${path.sep}`) && !path.isAbsolute(relative));
+        });
     }
 
     async verifyPublisherSignature(libraryName, libraryInfo) {
@@ -3,14 +3,17 @@
 
 import fs from 'fs';
 import path from 'path';
-import { fileURLToPath, pathToFileURL } from 'url';
+import { fileURLToPath } from 'url';
+import { FFI } from './runtime/ffi/index.js';
 
 const __dirname = path.dirname(fileURLToPath(import.meta.url));
 
 export class FluxusPackageManager {
-    constructor(engine = null) {
+    constructor(engine = null, options = {}) {
         this.engine = engine;
-        this.packagesDir = path.join(process.cwd(), 'fluxus_packages');
+        this.packagesDir = options.packagesDir || path.join(process.cwd(), 'fluxus_packages');
+        // Limit overrides (timeLimit, memoryLimit, isolation) for the package sandbox
+        this.sandboxOptions = options.sandbox || {};
         this.installedPackages = new Map();
         this.loadedOperators = new Map();
         this.domainPackages = new Map(); // NEW: Track domain packages
@@ -349,7 +352,27 @@ function getOperatorDescription(operator) {
     }
 
     /**
-     * Dynamically loads all operators from a package's index.js file.
+     * Package code is untrusted: a package's index.js is evaluated in the FFI
+     * sandbox, never imported into the host, and each function it exports is
+     * bound as a sandboxed function. The package runs with the limits of an
+     * untrusted library and can only reach the host through the capabilities
+     * that grants.
+     * @param {string} packageName
+     * @returns {Promise<object | null>} The package's exports, or null without an index.js.
+     */
+    async importPackage(packageName) {
+        const packageIndexPath = path.join(this.packagesDir, packageName, 'index.js');
+        if (!fs.existsSync(packageIndexPath)) return null;
+
+        return FFI.bindSandboxedModule(`package:${packageName}`, fs.readFileSync(packageIndexPath, 'utf8'), {
+            ...this.sandboxOptions,
+            library: `package:${packageName}`,
+            filename: packageIndexPath
+        });
+    }
+
+    /**
+     * Loads all operators from a package's index.js file.
      * @param {string} packageName 
      */
     async loadPackageImplementation(packageName) {
@@ -358,44 +381,32 @@ function getOperatorDescription(operator) {
             return;
         }
 
-        const packageIndexPath = path.join(this.packagesDir, packageName, 'index.js');
-        if (fs.existsSync(packageIndexPath)) {
-            try {
-                // Use dynamic import with file URL path for reliable loading in ES Modules
-                const packageUrl = pathToFileURL(packageIndexPath).href;
-                const module = await import(packageUrl);
-                
-                // Expects the file to export FLUXUS_OPERATORS or HTTP_OPERATORS (using OR for flexibility)
-                const ops = module.FLUXUS_OPERATORS || module.HTTP_OPERATORS; 
-                
-                for (const [opName, opDef] of Object.entries(ops)) {
-                    this.loadedOperators.set(opName, opDef);
-                }
-                
-                if (!this.loadedPackages) {
-                    this.loadedPackages = new Set();
-                }
-                this.loadedPackages.add(packageName);
-                
-                console.log(`   📦 Package loaded: ${packageName} (${Object.keys(ops).length} ops)`);
-                
-            } catch (error) {
-                console.error(`❌ Failed to dynamically load package '${packageName}': ${error.message}`);
+        try {
+            const module = await this.importPackage(packageName);
+            if (!module) return;
+
+            const ops = selectOperators(module);
+            for (const [opName, opDef] of Object.entries(ops)) {
+                this.loadedOperators.set(opName, opDef);
+            }
+
+            if (!this.loadedPackages) {
+                this.loadedPackages = new Set();
             }
+            this.loadedPackages.add(packageName);
+
+            console.log(`   📦 Package loaded: ${packageName} (${Object.keys(ops).length} ops)`);
+
+        } catch (error) {
+            console.error(`❌ Failed to load package '${packageName}': ${error.message}`);
         }
     }
 
     // FIXED: Added missing loadPackageOperators method
     async loadPackageOperators(packageName) {
         try {
-            const packagePath = path.join(this.packagesDir, packageName, 'index.js');
-            if (fs.existsSync(packagePath)) {
-                const packageUrl = pathToFileURL(packagePath).href;
-                const module = await import(packageUrl);
-                
-                // Look for standard operator exports
-                return module.FLUXUS_OPERATORS || module.HTTP_OPERATORS || module.default || {};
-            }
+            const module = await this.importPackage(packageName);
+            if (module) return selectOperators(module);
         } catch (error) {
             console.error(`❌ Failed to load package operators for ${packageName}:`, error.message);
         }
@@ -405,22 +416,23 @@ function getOperatorDescription(operator) {
     // NEW: DOMAIN PACKAGE LOADING
     async loadDomainPackage(packageName) {
         try {
-            const packagePath = path.join(this.packagesDir, packageName, 'index.js');
-            if (fs.existsSync(packagePath)) {
-                const packageUrl = pathToFileURL(packagePath).href;
-                const module = await import(packageUrl);
-                
-                if (module.registerWithEngine && this.engine) {
-                    const operators = module.registerWithEngine(this.engine);
-                    this.domainPackages.set(packageName, {
-                        module,
-                        operators,
-                        loadedAt: Date.now()
-                    });
-                    
-                    console.log(`✅ Domain package loaded: ${packageName} (${operators.length} operators)`);
-                    return true;
+            const module = await this.importPackage(packageName);
+
+            // registerWithEngine would need the engine inside the sandbox; the operators are registered here instead
+            if (module && this.engine) {
+                const operators = Object.entries(selectOperators(module))
+                    .filter(([, opDef]) => typeof (opDef?.implementation || opDef) === 'function');
+                for (const [opName, opDef] of operators) {
+                    this.engine.operators.set(opName, opDef.implementation || opDef);
                 }
+                this.domainPackages.set(packageName, {
+                    module,
+                    operators: operators.map(([opName]) => opName),
+                    loadedAt: Date.now()
+                });
+
+                console.log(`✅ Domain package loaded: ${packageName} (${operators.length} operators)`);
+                return true;
             }
         } catch (error) {
             console.error(`❌ Failed to load domain package ${packageName}:`, error.message);
@@ -473,4 +485,28 @@ function getOperatorDescription(operator) {
     }
 }
 
+/**
+ * The operator table of a package module: FLUXUS_OPERATORS or
+ * HTTP_OPERATORS, then any other *_OPERATORS export, then the default
+ * export. Implementations are sandboxed, so only the plain fields of the
+ * engine's call context (flags, names) are passed on to them.
+ */
+function selectOperators(module) {
+    const ops = module.FLUXUS_OPERATORS || module.HTTP_OPERATORS ||
+        Object.entries(module).find(([name]) => name.endsWith('_OPERATORS'))?.[1] ||
+        module.default || {};
+
+    return Object.fromEntries(Object.entries(ops).map(([opName, opDef]) => {
+        if (typeof opDef === 'function') return [opName, sandboxedOperator(opDef)];
+        if (typeof opDef?.implementation === 'function') return [opName, { ...opDef, implementation: sandboxedOperator(opDef.implementation) }];
+        return [opName, opDef];
+    }));
+}
+
+function sandboxedOperator(implementation) {
+    return (input, args, context = {}) => implementation(input, args, Object.fromEntries(
+        Object.entries(context || {}).filter(([, value]) => value === null || (typeof value !== 'object' && typeof value !== 'function'))
+    ));
+}
+
 export default FluxusPackageManager;
@@ -2,24 +2,36 @@
 // Fluxus Language REPL v7.1 - STANDARD LIBRARY INTEGRATED
 
 import readline from 'readline';
-import { GraphParser } from './core/parser.js';
+import { FluxusParser } from './frontend/index.js';
+import { Formatter } from './frontend/formatter.js';
+import { formatDiagnostic } from './frontend/diagnostics.js';
 import { RuntimeEngine } from './core/engine.js';
 import { Compiler } from './core/compiler.js';
 import fs from 'fs';
+import os from 'os';
 import path from 'path';
 import { fileURLToPath } from 'url';
 
 const __dirname = path.dirname(fileURLToPath(import.meta.url));
 
+const HISTORY_SIZE = 1000;
+
 export class FluxusREPL {
     constructor(config = {}) {
-        this.parser = new GraphParser();
-        this.engine = new RuntimeEngine({
-            debugMode: config.debugMode || false,
-            performanceTracking: true
-        });
+        this.config = config;
+        this.engine = this.createEngine();
         this.compiler = new Compiler();
 
+        // Statements run so far, as source, for .save; a re-declared pool, FUNC or import replaces its entry
+        this.session = [];
+        // Input is handled one line at a time, in order, even when it arrives faster than it runs
+        this.queue = Promise.resolve();
+        this.historyFile = config.historyFile !== undefined
+            ? config.historyFile
+            : path.join(os.homedir(), '.fluxus_history');
+        // Lines submitted in this and earlier sessions, oldest first, as ~/.fluxus_history keeps them
+        this.savedHistory = this.loadHistory();
+
         // Enhanced state management with Standard Library awareness
         this.history = [];
         this.currentInput = '';
@@ -61,7 +73,8 @@ export class FluxusREPL {
             input: process.stdin,
             output: process.stdout,
             prompt: '🚀 fluxus> ',
-            historySize: 1000,
+            history: [...this.savedHistory].reverse(),
+            historySize: HISTORY_SIZE,
             removeHistoryDuplicates: true,
             completer: (line) => this.autoComplete(line),
             tabSize: 2
@@ -87,6 +100,14 @@ export class FluxusREPL {
         this.memorySnapshots = [];
     }
 
+    createEngine() {
+        return new RuntimeEngine({
+            debugMode: this.config.debugMode || false,
+            replMode: true,
+            performanceTracking: true
+        });
+    }
+
     // Enhanced autocomplete with Standard Library awareness
     autoComplete(line) {
         const hits = new Set();
@@ -106,7 +127,7 @@ export class FluxusREPL {
                 if (op.startsWith(currentWord)) hits.add(op);
             });
         } else if (context.isPoolOperation) {
-            Object.keys(this.engine.pools).forEach(pool => {
+            [...this.engine.pools.keys()].forEach(pool => {
                 if (pool.startsWith(currentWord)) hits.add(pool);
             });
         } else {
@@ -123,7 +144,7 @@ export class FluxusREPL {
         }
 
         // Add pool names
-        Object.keys(this.engine.pools).forEach(pool => {
+        [...this.engine.pools.keys()].forEach(pool => {
             if (pool.startsWith(currentWord)) hits.add(pool);
         });
 
@@ -175,7 +196,7 @@ export class FluxusREPL {
     }
 
     // Enhanced execution with Standard Library tracking
-    execute(code) {
+    async execute(code) {
         if (!this.inMultiLine) {
             this.history.push(code);
             this.sessionMetrics.commandsExecuted++;
@@ -210,7 +231,8 @@ export class FluxusREPL {
             } else if (this.isPoolInspection(processedCode)) {
                 this.inspectPool(processedCode);
                 return;
-            } else if (!processedCode.startsWith('~') && !processedCode.startsWith('FLOW') && 
+            } else if (!processedCode.startsWith('~') && !processedCode.startsWith('FLOW') &&
+                       !this.isDeclaration(processedCode) &&
                        (processedCode.includes('|') || this.isOperator(processedCode))) {
                 processedCode = `~ ${processedCode}`;
             }
@@ -222,7 +244,7 @@ export class FluxusREPL {
                 console.log(this.color(`🔧 Parsing: ${processedCode}`, '90'));
             }
 
-            const ast = this.parser.parse(processedCode);
+            const { ast, statements } = this.parseSource(processedCode, '<repl>');
             
             // Update session metrics with Standard Library info
             if (ast.metadata?.standardLibrary?.usedLibraries) {
@@ -235,25 +257,11 @@ export class FluxusREPL {
                 this.visualizeStream(ast, code);
             }
             
-            this.engine.replMode = true;
-            const originalLog = console.log;
-            const outputs = [];
-            
-            console.log = (...args) => {
-                const message = args.join(' ');
-                if (message.includes('Output:') || message.includes('Updated pool') ||
-                    message.includes('Result:') || message.includes('result:') ||
-                    message.includes('Fluxus Stream Output:') || message.includes('→') ||
-                    message.includes('✅') || message.includes('❌')) {
-                    outputs.push(message);
-                }
-                if (this.debugMode && !this.isNoisyLog(message)) {
-                    originalLog(...args);
-                }
-            };
-
-            this.engine.start(ast);
-            console.log = originalLog;
+            const outputs = await this.captureOutput(async () => {
+                await this.redeclarePools(ast, statements);
+                await this.engine.extend(ast);
+            });
+            this.recordStatements(statements, processedCode);
             
             const executionTime = performance.now() - startTime;
             this.executionTimes.push(executionTime);
@@ -270,6 +278,197 @@ export class FluxusREPL {
         }
     }
 
+    // Syntax errors are thrown; the parser's validation chatter only shows in debug mode
+    parseSource(source, filename) {
+        const parser = new FluxusParser({ filename, quiet: true });
+        const ast = this.debugMode ? parser.parse(source) : this.muted(() => parser.parse(source));
+        if (parser.errors.length > 0) throw parser.errors[0];
+        return { ast, statements: parser.syntaxTree?.statements || [] };
+    }
+
+    muted(run) {
+        const { log, error } = console;
+        console.log = console.error = () => {};
+        try {
+            return run();
+        } finally {
+            console.log = log;
+            console.error = error;
+        }
+    }
+
+    // Collects the engine's output while `run` settles; processOutputs shows the results
+    async captureOutput(run) {
+        const originalLog = console.log;
+        const outputs = [];
+
+        console.log = (...args) => {
+            const message = args.join(' ');
+            if (message.includes('Output:') || message.includes('Updated pool') ||
+                message.includes('Result:') || message.includes('result:') ||
+                message.includes('Fluxus Stream Output:') || message.includes('→') ||
+                message.startsWith('📝') || message.includes('✅') || message.includes('❌')) {
+                outputs.push(message);
+            }
+            if (this.debugMode && !this.isNoisyLog(message)) {
+                originalLog(...args);
+            }
+        };
+
+        try {
+            await run();
+        } finally {
+            console.log = originalLog;
+        }
+        return outputs;
+    }
+
+    // Typing `let name = <|> value` again for a pool that exists resets it; its subscribers see the new value
+    async redeclarePools(ast, statements) {
+        for (const statement of statements) {
+            if (statement.type !== 'PoolDeclaration' || !this.engine.pools.has(statement.name)) continue;
+            await this.engine.updatePool(statement.name, this.engine.parseLiteralValue(ast.pools[statement.name].initial));
+        }
+    }
+
+    recordStatements(statements, source) {
+        statements.forEach((statement, index) => {
+            if (statement.type === 'TestDeclaration') return;
+
+            const end = statements[index + 1]?.location.start ?? source.length;
+            const entry = {
+                key: {
+                    ImportDeclaration: `import:${statement.library}`,
+                    PoolDeclaration: `pool:${statement.name}`,
+                    FunctionDeclaration: `func:${statement.name}`
+                }[statement.type] || null,
+                source: source.slice(statement.location.start, end).trim()
+            };
+
+            const existing = entry.key ? this.session.findIndex(recorded => recorded.key === entry.key) : -1;
+            if (existing === -1) this.session.push(entry);
+            else this.session[existing] = entry;
+        });
+    }
+
+    isDeclaration(code) {
+        return /^(FUNC|import)\b/.test(code) || /^[a-zA-Z_][a-zA-Z0-9_]*\s*->/.test(code);
+    }
+
+    // .save file.flux: the session as a program that `fluxus run` reproduces
+    saveSession(file) {
+        if (!file) {
+            console.log(this.color('❌ Usage: .save <file.flux>', '31'));
+            return;
+        }
+        if (this.session.length === 0) {
+            console.log(this.color('💡 Nothing to save yet: no declarations or pipelines have run', '90'));
+            return;
+        }
+
+        const program = [
+            `# Fluxus REPL session saved ${new Date().toISOString()}`,
+            '',
+            ...this.session.map(entry => `${entry.source}\n`)
+        ].join('\n');
+        const formatter = new Formatter({ filename: file });
+        const formatted = formatter.format(program);
+        if (formatted === null) {
+            console.log(this.color(`❌ Session is not a valid program: ${formatter.errors[0]?.message}`, '31'));
+            return;
+        }
+
+        try {
+            fs.writeFileSync(file, formatted);
+            console.log(this.color(`💾 Saved ${this.session.length} statements to ${file}`, '32'));
+        } catch (error) {
+            console.log(this.color(`❌ Cannot write ${file}: ${error.message}`, '31'));
+        }
+    }
+
+    // .load file.flux: runs the file into this session; pools that already exist keep their values
+    async loadFile(file) {
+        if (!file) {
+            console.log(this.color('❌ Usage: .load <file.flux>', '31'));
+            return;
+        }
+
+        let source;
+        try {
+            source = fs.readFileSync(file, 'utf-8');
+        } catch (error) {
+            console.log(this.color(`❌ Cannot read ${file}: ${error.message}`, '31'));
+            return;
+        }
+
+        const parser = new FluxusParser({ filename: file, quiet: true });
+        const ast = this.muted(() => parser.parse(source));
+        if (parser.errors.length > 0) {
+            parser.errors.forEach(error => console.log(formatDiagnostic(error, source)));
+            console.log(this.color(`❌ ${file} not loaded: ${parser.errors.length} error(s)`, '31'));
+            return;
+        }
+
+        try {
+            const outputs = await this.captureOutput(() => this.engine.extend(ast));
+            const statements = parser.syntaxTree?.statements || [];
+            this.recordStatements(statements, source);
+            this.processOutputs(outputs);
+            console.log(this.color(`📂 Loaded ${file}: ${statements.length} statements, ${Object.keys(ast.pools).length} pools`, '32'));
+        } catch (error) {
+            this.sessionMetrics.errorsEncountered++;
+            this.handleExecutionError(error, source, performance.now());
+        }
+    }
+
+    // .set pool value: updates the pool the way to_pool does, so its subscribers run
+    async setPool(args) {
+        const match = args.match(/^([a-zA-Z_][a-zA-Z0-9_]*)\s+(.+)$/);
+        if (!match) {
+            console.log(this.color('❌ Usage: .set <pool> <value>', '31'));
+            return;
+        }
+
+        const [, poolName, valueText] = match;
+        if (!this.engine.pools.has(poolName)) {
+            console.log(this.color(`❌ Pool '${poolName}' not found`, '31'));
+            return;
+        }
+
+        const value = this.engine.parseLiteralValue(valueText.trim());
+        const outputs = await this.captureOutput(() => this.engine.updatePool(poolName, value));
+        // .save writes it as the pipeline that does the same
+        this.session.push({ key: null, source: `~ ${JSON.stringify(value)} | to_pool(${poolName})` });
+        console.log(this.color(`🔄 ${poolName} = ${JSON.stringify(value)}`, '36'));
+        this.processOutputs(outputs);
+    }
+
+    loadHistory() {
+        if (!this.historyFile) return [];
+        try {
+            return fs.readFileSync(this.historyFile, 'utf-8').split('\n').filter(Boolean).slice(-HISTORY_SIZE);
+        } catch (error) {
+            return [];
+        }
+    }
+
+    // Every submitted line goes to the history file at once, piped input included
+    recordHistory(line) {
+        const entry = line.trim();
+        if (!entry) return;
+        this.savedHistory = [...this.savedHistory.filter(saved => saved !== entry), entry].slice(-HISTORY_SIZE);
+        this.saveHistory();
+    }
+
+    saveHistory() {
+        if (!this.historyFile) return;
+        try {
+            fs.writeFileSync(this.historyFile, this.savedHistory.join('\n') + '\n', { mode: 0o600 });
+        } catch (error) {
+            // History is a convenience; a read-only home directory must not break the session
+        }
+    }
+
     // Track Standard Library usage in code
     trackStandardLibraryUsage(code) {
         // Check for import statements
@@ -369,6 +568,9 @@ export class FluxusREPL {
         console.log('  .help       - Show this complete help');
         console.log('  .examples   - Show production-ready examples');
         console.log('  .pools      - Show all Tidal Pools and values');
+        console.log('  .set        - Set a pool: .set count 42 (subscribers run)');
+        console.log('  .save       - Save declarations and pipelines: .save app.flux');
+        console.log('  .load       - Run a file into this session: .load app.flux');
         console.log('  .stats      - Show runtime statistics');
         console.log('  .reset      - Reset runtime engine');
         console.log('  .exit       - Exit REPL');
@@ -376,7 +578,7 @@ export class FluxusREPL {
         console.log('  .debug      - Toggle debug mode');
         console.log('  .viz        - Toggle stream visualization');
         console.log('  .production - Toggle production mode');
-        console.log('  .history    - Show command history');
+        console.log('  .history    - Show command history (kept across sessions in ~/.fluxus_history)');
         console.log('  .clear      - Clear screen');
         console.log(this.color('📚 STANDARD LIBRARY:', '1;33'));
         console.log('  .operators  - List all available operators');
@@ -422,8 +624,8 @@ export class FluxusREPL {
 
     // Enhanced stats with Standard Library metrics
     showRuntimeStats() {
-        const pools = Object.keys(this.engine.pools);
-        const totalUpdates = pools.reduce((sum, poolName) => sum + (this.engine.pools[poolName]._updates || 0), 0);
+        const pools = [...this.engine.pools.keys()];
+        const totalUpdates = pools.reduce((sum, poolName) => sum + (this.engine.pools.get(poolName)._updates || 0), 0);
         const duration = Math.round((new Date() - this.sessionMetrics.startTime) / 1000);
         const avgExecutionTime = this.executionTimes.length > 0 
             ? (this.executionTimes.reduce((a, b) => a + b, 0) / this.executionTimes.length).toFixed(2)
@@ -462,23 +664,32 @@ export class FluxusREPL {
         console.log('');
         
         this.rl.prompt();
-        this.rl.on('line', this.handleInput);
+        this.rl.on('line', (line) => {
+            this.recordHistory(line);
+            this.queue = this.queue.then(() => this.handleInput(line));
+        });
         this.rl.on('close', () => {
-            this.showSessionSummary();
-            console.log('\n👋 Fluxus session completed. Goodbye!');
-            process.exit(0);
+            this.queue.then(() => {
+                this.showSessionSummary();
+                console.log('\n👋 Fluxus session completed. Goodbye!');
+                process.exit(0);
+            });
         });
     }
 
     // Enhanced command handler
-    handleCommand(cmd) {
-        const [command, arg] = cmd.split(' ');
+    async handleCommand(cmd) {
+        const command = cmd.split(/\s+/)[0];
+        const arg = cmd.slice(command.length).trim();
         
         switch (command) {
             case '.help': this.showCompleteHelp(); break;
             case '.clear': console.clear(); console.log(this.color('🌊 FLUXUS LANGUAGE REPL v7.1', '1;36')); break;
             case '.examples': this.showProductionExamples(); break;
             case '.pools': this.showPools(); break;
+            case '.set': await this.setPool(arg); break;
+            case '.save': this.saveSession(arg); break;
+            case '.load': await this.loadFile(arg); break;
             case '.history': arg ? this.searchAndShowHistory(arg) : this.showHistory(); break;
             case '.debug': 
                 this.debugMode = !this.debugMode;
@@ -499,7 +710,9 @@ export class FluxusREPL {
             case '.stats': this.showRuntimeStats(); break;
             case '.spec': this.showLanguageSpec(); break;
             case '.reset': 
-                this.engine = new RuntimeEngine(); 
+                await this.engine.shutdown();
+                this.engine = this.createEngine();
+                this.session = [];
                 this.sessionMetrics.poolsCreated = 0;
                 console.log(this.color('🔄 Runtime engine reset', '32')); 
                 break;
@@ -565,17 +778,17 @@ export class FluxusREPL {
             .replace(/\{([^}]+)\}/g, `${colors.orange}{$1}${colors.reset}`);
     }
 
-    handleInput(line) {
+    async handleInput(line) {
         const input = line.trim();
 
-        if (input.startsWith('.')) {
-            this.handleCommand(input);
-            this.rl.prompt();
+        if (input === 'exit' || input === 'quit' || input === '.exit') {
+            this.rl.close();
             return;
         }
 
-        if (input === 'exit' || input === 'quit') {
-            this.rl.close();
+        if (input.startsWith('.')) {
+            await this.handleCommand(input);
+            this.rl.prompt();
             return;
         }
 
@@ -594,7 +807,7 @@ export class FluxusREPL {
             const lastCommand = this.history[this.history.length - 1];
             if (lastCommand) {
                 console.log(this.color(`↻ Replaying: ${this.highlightSyntax(lastCommand)}`, '90'));
-                this.execute(lastCommand);
+                await this.execute(lastCommand);
             } else {
                 console.log(this.color('❌ No previous command found', '31'));
             }
@@ -607,7 +820,7 @@ export class FluxusREPL {
             const found = this.searchHistory(searchTerm);
             if (found) {
                 console.log(this.color(`↻ Replaying: ${this.highlightSyntax(found)}`, '90'));
-                this.execute(found);
+                await this.execute(found);
             } else {
                 console.log(this.color(`❌ No command matching "${searchTerm}" found`, '31'));
             }
@@ -622,7 +835,7 @@ export class FluxusREPL {
             if (this.isMultiLineComplete(this.currentInput)) {
                 const highlighted = this.highlightSyntax(this.currentInput);
                 console.log(this.color(`🔍 Executing: ${highlighted}`, '90'));
-                this.execute(this.currentInput);
+                await this.execute(this.currentInput);
                 this.currentInput = '';
                 this.inMultiLine = false;
                 this.multiLineDelimiter = '';
@@ -644,7 +857,7 @@ export class FluxusREPL {
             return;
         }
 
-        this.execute(input);
+        await this.execute(input);
         this.rl.prompt();
     }
 
@@ -713,11 +926,11 @@ export class FluxusREPL {
             trimmed === 'help' || trimmed === '!!') {
             return false;
         }
-        return /^[a-zA-Z_][a-zA-Z0-9_]*$/.test(trimmed) && this.engine.pools[trimmed] !== undefined;
+        return /^[a-zA-Z_][a-zA-Z0-9_]*$/.test(trimmed) && this.engine.pools.has(trimmed);
     }
 
     inspectPool(poolName) {
-        const pool = this.engine.pools[poolName];
+        const pool = this.engine.pools.get(poolName);
         if (pool) {
             const valueStr = this.formatPoolValue(pool.value);
             console.log(this.color(`🏊 ${poolName} = ${valueStr}`, '36'));
@@ -823,11 +1036,11 @@ export class FluxusREPL {
         console.log('\n' + this.color('📊 ACTIVE STREAMS:', '1;33'));
         console.log(this.color(`  Finite Streams: ${finiteCount}`, '90'));
         console.log(this.color(`  Live Streams: ${liveCount}`, '90'));
-        console.log(this.color(`  Tidal Pools: ${Object.keys(this.engine.pools).length}`, '90'));
+        console.log(this.color(`  Tidal Pools: ${this.engine.pools.size}`, '90'));
     }
 
     showPools() {
-        const pools = Object.keys(this.engine.pools);
+        const pools = [...this.engine.pools.keys()];
         if (pools.length === 0) {
             console.log(this.color('💧 NO TIDAL POOLS DEFINED', '90'));
             console.log(this.color('💡 Create pools with: let name = <|> value', '90'));
@@ -835,7 +1048,7 @@ export class FluxusREPL {
         }
         console.log('\n' + this.color('🏊 TIDAL POOLS:', '1;33'));
         pools.forEach(poolName => {
-            const pool = this.engine.pools[poolName];
+            const pool = this.engine.pools.get(poolName);
             const valueDisplay = this.formatPoolValue(pool.value);
             const updateCount = pool._updates || 0;
             console.log(`  ${this.color(poolName, '36')} = ${valueDisplay} ${this.color(`(${updateCount} updates)`, '90')}`);
@@ -847,7 +1060,7 @@ export class FluxusREPL {
         console.log('\n' + this.color('📊 SESSION SUMMARY', '1;33'));
         console.log(this.color(`  Duration: ${duration} seconds`, '90'));
         console.log(this.color(`  Commands: ${this.sessionMetrics.commandsExecuted} executed`, '90'));
-        console.log(this.color(`  Pools: ${Object.keys(this.engine.pools).length} active`, '90'));
+        console.log(this.color(`  Pools: ${this.engine.pools.size} active`, '90'));
         console.log(this.color(`  Libraries: ${this.sessionMetrics.standardLibrariesUsed.size} used`, '90'));
         console.log(this.color(`  Errors: ${this.sessionMetrics.errorsEncountered} encountered`, '90'));
     }
@@ -878,7 +1091,9 @@ export class FluxusREPL {
 
     processOutputs(outputs) {
         outputs.forEach(output => {
-            if (output.includes('Fluxus Stream Output:')) {
+            if (output.startsWith('📝')) {
+                console.log(this.color(`➡️  ${output.slice('📝'.length).trim()}`, '32'));
+            } else if (output.includes('Fluxus Stream Output:')) {
                 const value = output.replace('✅ Fluxus Stream Output:', '').trim();
                 console.log(this.color(`➡️  ${value}`, '32'));
             } else if (output.includes('Updated pool')) {
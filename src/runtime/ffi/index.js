@@ -1,17 +1,21 @@
 // FILENAME: src/runtime/ffi/index.js
 // Fluxus Foreign Function Interface - Production Grade
 
+import { FluxusSandbox } from './sandbox.js';
+
 export class FluxusFFI {
     constructor(config = {}) {
         this.config = {
             enableNativeBindings: config.enableNativeBindings !== false,
             sandboxMode: config.sandboxMode !== false,
+            isolation: config.isolation || 'worker',
             timeout: config.timeout || 5000,
             ...config
         };
 
         this.nativeModules = new Map();
         this.boundFunctions = new Map();
+        this.sandboxedModules = new Map();
         this.sandbox = this.config.sandboxMode ? this.createSandbox() : null;
         
         this.initializeCoreBindings();
@@ -50,6 +54,46 @@ export class FluxusFFI {
         };
     }
 
+    /**
+     * Bind untrusted code. It runs isolated with the limits and capabilities
+     * of `options.library` (an untrusted library by default).
+     */
+    bindSandboxedFunction(name, fn, options = {}) {
+        if (!this.sandbox) {
+            throw new Error(`Cannot bind sandboxed function '${name}': sandbox mode is disabled`);
+        }
+        // An export of a sandboxed module is called in the module's own sandbox
+        if (!options.module) FluxusSandbox.toSource(fn);
+        return this.bindFunction(name, fn, { ...options, sandboxed: true });
+    }
+
+    /**
+     * Load untrusted module source (a package's index.js) into the sandbox
+     * and bind each function it exports as `<name>.<export path>`. Resolves
+     * with the module's exports, its functions replaced by those bindings.
+     * A module loaded again with the same source and options is reused
+     * until it exceeds one of its limits.
+     */
+    async bindSandboxedModule(name, source, options = {}) {
+        if (!this.sandbox) {
+            throw new Error(`Cannot bind sandboxed module '${name}': sandbox mode is disabled`);
+        }
+
+        const key = JSON.stringify([source, options.library, options.isolation, options.timeLimit, options.memoryLimit]);
+        const cached = this.sandboxedModules.get(name);
+        if (cached && cached.key === key && !cached.module.failed) {
+            return cached.exports;
+        }
+
+        const module = await this.sandbox.loadModule(source, { ...options, library: options.library || name });
+        for (const path of module.functions) {
+            this.bindSandboxedFunction([name, ...path].join('.'), null, { ...options, module, export: path });
+        }
+        const exports = bindExports(module.exports, path => this.boundFunctions.get([name, ...path].join('.')));
+        this.sandboxedModules.set(name, { key, module, exports });
+        return exports;
+    }
+
     wrapFunction(fn, options = {}) {
         return (...args) => {
             // Validate arguments
@@ -60,16 +104,16 @@ export class FluxusFFI {
                 }
             }
 
+            // Untrusted code is isolated; the sandbox enforces its own time limit
+            if (options.sandboxed) {
+                return this.executeInSandbox(fn, args, options);
+            }
+
             // Apply timeout for long-running operations
             if (this.config.timeout > 0) {
                 return this.executeWithTimeout(fn, args, this.config.timeout);
             }
 
-            // Execute in sandbox if enabled
-            if (this.config.sandboxMode && this.sandbox) {
-                return this.executeInSandbox(fn, args);
-            }
-
             // Direct execution
             return fn.apply(null, args);
         };
@@ -101,64 +145,28 @@ export class FluxusFFI {
         });
     }
 
-    executeInSandbox(fn, args) {
-        // Create isolated execution context
-        const sandboxContext = {
-            ...this.sandbox,
-            __args: args,
-            __result: null
-        };
-
-        // Execute function in isolated context
-        const sandboxCode = `
-            try {
-                __result = (${fn.toString()}).apply(null, __args);
-            } catch (error) {
-                __result = { __error: error.message };
-            }
-        `;
-
-        try {
-            // In a real implementation, this would use vm module or similar
-            // For now, we'll use a simplified approach
-            const wrappedFn = new Function('__args', `return (${fn.toString()}).apply(null, __args)`);
-            return wrappedFn(args);
-        } catch (error) {
-            throw new Error(`Sandbox execution failed: ${error.message}`);
+    executeInSandbox(fn, args, options = {}) {
+        if (!this.sandbox) {
+            return Promise.reject(new Error('Sandbox mode is disabled'));
+        }
+        if (options.module) {
+            return options.module.call(options.export, args);
         }
+        return this.sandbox.execute(fn, args, {
+            library: options.library,
+            isolation: options.isolation,
+            timeLimit: options.timeLimit,
+            memoryLimit: options.memoryLimit
+        });
     }
 
     createSandbox() {
-        // Create a safe execution environment
-        return {
-            // Safe Math functions
-            Math: {
-                random: Math.random,
-                floor: Math.floor,
-                ceil: Math.ceil,
-                round: Math.round,
-                max: Math.max,
-                min: Math.min,
-                abs: Math.abs,
-                sqrt: Math.sqrt,
-                pow: Math.pow
-            },
-            // Safe Date functions
-            Date: {
-                now: Date.now
-            },
-            // Safe JSON functions
-            JSON: {
-                stringify: JSON.stringify,
-                parse: JSON.parse
-            },
-            // Restricted console
-            console: {
-                log: (...args) => console.log('[SANDBOX]', ...args),
-                warn: (...args) => console.warn('[SANDBOX]', ...args),
-                error: (...args) => console.error('[SANDBOX]', ...args)
-            }
-        };
+        return new FluxusSandbox({
+            isolation: this.config.isolation,
+            securityManager: this.config.securityManager,
+            fsRoot: this.config.fsRoot,
+            allowedPaths: this.config.allowedPaths
+        });
     }
 
     createFileReader() {
@@ -263,10 +271,21 @@ export class FluxusFFI {
     dispose() {
         this.nativeModules.clear();
         this.boundFunctions.clear();
+        for (const { module } of this.sandboxedModules.values()) module.dispose();
+        this.sandboxedModules.clear();
+        this.sandbox?.dispose();
         this.sandbox = null;
     }
 }
 
+// A module outline with each { $function: path } replaced by its binding
+function bindExports(shape, bound) {
+    if (!shape || typeof shape !== 'object') return shape;
+    if (Array.isArray(shape.$function)) return bound(shape.$function);
+    if (Array.isArray(shape)) return shape.map(value => bindExports(value, bound));
+    return Object.fromEntries(Object.entries(shape).map(([key, value]) => [key, bindExports(value, bound)]));
+}
+
 // Singleton instance
 export const FFI = new FluxusFFI();
 
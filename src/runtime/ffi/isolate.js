@@ -0,0 +1,513 @@
+// FILENAME: src/runtime/ffi/isolate.js
+// Fluxus FFI Isolate - runs untrusted function source inside a vm context
+
+import vm from 'vm';
+
+/**
+ * Nothing from the host realm is handed to sandboxed code: host objects
+ * (functions, errors, promises) would expose the host `Function` through
+ * `.constructor` and let the code escape. The bridge below is created inside
+ * the context and only exchanges primitives (JSON strings) with the host.
+ * String code generation (eval, new Function) is disabled in the context.
+ */
+const BOOTSTRAP = `(function (hostCall, hostDone, hostLog, methodList, hostTimer, hostSettle) {
+    'use strict';
+    const stringify = JSON.stringify;
+    const parse = JSON.parse;
+    const apply = Reflect.apply;
+    const freeze = Object.freeze;
+    const keys = Object.keys;
+    const isArray = Array.isArray;
+    const PromiseCtor = Promise;
+    const ErrorCtor = Error;
+    const asyncIterator = Symbol.asyncIterator;
+    const pending = new Map();
+    let nextId = 0;
+
+    const describe = error => {
+        try {
+            return String(error && error.message !== undefined ? error.message : error);
+        } catch (e) {
+            return 'Unknown error';
+        }
+    };
+
+    const capabilities = {};
+    for (const path of methodList ? methodList.split(',') : []) {
+        const [group, method] = path.split('.');
+        capabilities[group] = capabilities[group] || {};
+        capabilities[group][method] = (...args) => new PromiseCtor((resolve, reject) => {
+            const id = ++nextId;
+            pending.set(id, { resolve, reject });
+            hostCall(id, path, stringify(args));
+        });
+    }
+    for (const group of Object.keys(capabilities)) freeze(capabilities[group]);
+    freeze(capabilities);
+
+    const log = level => (...values) => hostLog(level, values.map(value => {
+        if (typeof value === 'string') return value;
+        try { return stringify(value); } catch (e) { return String(value); }
+    }).join(' '));
+
+    // Timers are kept here; the host only schedules when each one fires
+    const timers = new Map();
+    let nextTimer = 0;
+    const schedule = repeat => (callback, delay, ...args) => {
+        if (typeof callback !== 'function') throw new ErrorCtor('Timer callback must be a function');
+        const id = ++nextTimer;
+        const ms = +delay > 0 ? +delay : 0;
+        timers.set(id, { callback, args, repeat, ms });
+        hostTimer(id, ms);
+        return id;
+    };
+    const cancel = id => {
+        if (timers.delete(id)) hostTimer(id, -1);
+    };
+
+    globalThis.capabilities = capabilities;
+    globalThis.console = freeze({ log: log('log'), info: log('info'), warn: log('warn'), error: log('error') });
+    globalThis.setTimeout = schedule(false);
+    globalThis.setInterval = schedule(true);
+    globalThis.clearTimeout = cancel;
+    globalThis.clearInterval = cancel;
+
+    // Module sessions: the evaluated exports and the async iterators handed out
+    let moduleExports = null;
+    const iterators = new Map();
+    let nextIterator = 0;
+
+    const outline = (value, path, depth) => {
+        if (typeof value === 'function') return { $function: path };
+        if (typeof value === 'bigint' || typeof value === 'symbol') return String(value);
+        if (value === null || typeof value !== 'object') return value;
+        if (depth >= 4) return null;
+        const shape = isArray(value) ? [] : {};
+        for (const key of keys(value)) shape[key] = outline(value[key], path.concat([key]), depth + 1);
+        return shape;
+    };
+
+    const settle = (id, produce, shape) => {
+        let result;
+        try {
+            result = produce();
+        } catch (error) {
+            hostSettle(id, false, describe(error));
+            return;
+        }
+        PromiseCtor.resolve(result).then(value => {
+            let json;
+            try {
+                json = stringify(shape(value));
+            } catch (error) {
+                hostSettle(id, false, 'Sandboxed result is not serializable: ' + describe(error));
+                return;
+            }
+            hostSettle(id, true, json);
+        }, error => hostSettle(id, false, describe(error)));
+    };
+
+    return freeze({
+        deliver(id, ok, json) {
+            const entry = pending.get(id);
+            if (!entry) return;
+            pending.delete(id);
+            if (ok) entry.resolve(json === undefined ? undefined : parse(json));
+            else entry.reject(new ErrorCtor(json));
+        },
+        fire(id) {
+            const timer = timers.get(id);
+            if (!timer) return;
+            if (timer.repeat) hostTimer(id, timer.ms);
+            else timers.delete(id);
+            try {
+                apply(timer.callback, undefined, timer.args);
+            } catch (error) {
+                hostLog('error', 'Uncaught error in timer: ' + describe(error));
+            }
+        },
+        run(fn, argsJson) {
+            let result;
+            try {
+                if (typeof fn !== 'function') throw new ErrorCtor('Sandboxed source is not a function');
+                result = apply(fn, undefined, parse(argsJson));
+            } catch (error) {
+                hostDone(false, describe(error));
+                return;
+            }
+            PromiseCtor.resolve(result).then(value => {
+                let json;
+                try {
+                    json = value === undefined ? undefined : stringify(value);
+                } catch (error) {
+                    hostDone(false, 'Sandboxed result is not serializable: ' + describe(error));
+                    return;
+                }
+                hostDone(true, json);
+            }, error => hostDone(false, describe(error)));
+        },
+        load(factory) {
+            try {
+                const exports = {};
+                apply(factory, undefined, [exports]);
+                moduleExports = exports;
+                return stringify({ exports: outline(exports, [], 0) });
+            } catch (error) {
+                return stringify({ error: describe(error) });
+            }
+        },
+        call(id, pathJson, argsJson) {
+            settle(id, () => {
+                const path = parse(pathJson);
+                let owner;
+                let target = moduleExports;
+                for (const key of path) {
+                    owner = target;
+                    target = target === null || target === undefined ? undefined : target[key];
+                }
+                if (typeof target !== 'function') throw new ErrorCtor('Not a function: ' + path.join('.'));
+                // Arguments arrive one JSON text each; null stands for undefined
+                const args = parse(argsJson).map(arg => arg === null ? undefined : parse(arg));
+                return apply(target, owner, args);
+            }, value => {
+                if (value !== null && typeof value === 'object' && typeof value[asyncIterator] === 'function') {
+                    const iterator = ++nextIterator;
+                    iterators.set(iterator, value[asyncIterator]());
+                    return { iterator };
+                }
+                return { value };
+            });
+        },
+        next(id, iterator) {
+            settle(id, () => {
+                const entry = iterators.get(iterator);
+                if (!entry) throw new ErrorCtor('Iterator is closed');
+                return entry.next();
+            }, step => ({ done: !!step.done, value: step.value }));
+        },
+        close(iterator) {
+            const entry = iterators.get(iterator);
+            iterators.delete(iterator);
+            if (!entry || typeof entry.return !== 'function') return;
+            try {
+                PromiseCtor.resolve(apply(entry.return, entry, [])).then(undefined, () => {});
+            } catch (error) {
+                // A failing return() still closes the iterator
+            }
+        }
+    });
+})`;
+
+const bootstrapScript = new vm.Script(BOOTSTRAP, { filename: 'fluxus-sandbox-bootstrap.js' });
+const runScript = new vm.Script('__fluxusBridge.run(__fluxusFn, __fluxusArgs)', { filename: 'fluxus-sandbox-run.js' });
+const deliverScript = new vm.Script(
+    '__fluxusBridge.deliver(__fluxusDeliveryId, __fluxusDeliveryOk, __fluxusDeliveryJson)',
+    { filename: 'fluxus-sandbox-deliver.js' }
+);
+const fireScript = new vm.Script('__fluxusBridge.fire(__fluxusTimerId)', { filename: 'fluxus-sandbox-timer.js' });
+const loadScript = new vm.Script('__fluxusBridge.load(__fluxusFactory)', { filename: 'fluxus-sandbox-load.js' });
+const requestScripts = {
+    call: new vm.Script('__fluxusBridge.call(__fluxusRequestId, __fluxusPath, __fluxusArgs)', { filename: 'fluxus-sandbox-call.js' }),
+    next: new vm.Script('__fluxusBridge.next(__fluxusRequestId, __fluxusIterator)', { filename: 'fluxus-sandbox-next.js' }),
+    close: new vm.Script('__fluxusBridge.close(__fluxusIterator)', { filename: 'fluxus-sandbox-close.js' })
+};
+
+export class SandboxTimeoutError extends Error {
+    constructor(timeLimit) {
+        super(`Sandboxed execution exceeded the time limit of ${timeLimit}ms`);
+        this.name = 'SandboxTimeoutError';
+        this.code = 'TIME_LIMIT_EXCEEDED';
+    }
+}
+
+/**
+ * A fresh context with the bridge installed. Every entry into it runs with
+ * `budget()` milliseconds, which also bounds the microtasks it queues;
+ * `onFault` receives errors raised outside of a request (a capability
+ * delivery or a timer that ran out of time). release() cancels the
+ * context's timers and ignores anything that arrives afterwards.
+ */
+function openContext(options) {
+    const {
+        timeLimit,
+        budget,
+        capabilityMethods = [],
+        callCapability = async () => { throw new Error('No capabilities granted'); },
+        log = () => {},
+        onDone = () => {},
+        onSettle = () => {},
+        onFault = () => {}
+    } = options;
+
+    const context = vm.createContext(Object.create(null), {
+        name: 'fluxus-sandbox',
+        codeGeneration: { strings: false, wasm: false },
+        microtaskMode: 'afterEvaluate'
+    });
+    const timers = new Map();
+    let released = false;
+
+    const enter = (script, values = {}) => {
+        const remaining = budget();
+        if (remaining <= 0) throw new SandboxTimeoutError(timeLimit);
+        Object.assign(context, values);
+        try {
+            return script.runInContext(context, { timeout: remaining });
+        } catch (error) {
+            if (error && error.code === 'ERR_SCRIPT_EXECUTION_TIMEOUT') throw new SandboxTimeoutError(timeLimit);
+            throw error;
+        }
+    };
+
+    const enterQuietly = (script, values) => {
+        if (released) return;
+        try {
+            enter(script, values);
+        } catch (error) {
+            onFault(error);
+        }
+    };
+
+    const hostDone = (ok, json) => onDone(Boolean(ok), json === undefined ? undefined : String(json));
+    const hostSettle = (id, ok, json) => onSettle(Number(id), Boolean(ok), String(json));
+    const hostLog = (level, text) => log(String(level), String(text));
+
+    const hostCall = (id, method, argsJson) => {
+        Promise.resolve()
+            .then(() => callCapability(String(method), JSON.parse(String(argsJson))))
+            .then(
+                value => [true, value === undefined ? undefined : JSON.stringify(value)],
+                error => [false, String(error?.message || error)]
+            )
+            .then(([ok, json]) => enterQuietly(deliverScript, {
+                __fluxusDeliveryId: Number(id),
+                __fluxusDeliveryOk: ok,
+                __fluxusDeliveryJson: json
+            }));
+    };
+
+    const hostTimer = (id, ms) => {
+        const timerId = Number(id);
+        clearTimeout(timers.get(timerId));
+        timers.delete(timerId);
+        if (released || Number(ms) < 0) return;
+        timers.set(timerId, setTimeout(() => {
+            timers.delete(timerId);
+            enterQuietly(fireScript, { __fluxusTimerId: timerId });
+        }, Number(ms)));
+    };
+
+    const bootstrap = bootstrapScript.runInContext(context);
+    context.__fluxusBridge = bootstrap(hostCall, hostDone, hostLog, capabilityMethods.join(','), hostTimer, hostSettle);
+
+    return {
+        context,
+        enter,
+        release() {
+            released = true;
+            for (const timer of timers.values()) clearTimeout(timer);
+            timers.clear();
+        }
+    };
+}
+
+/**
+ * Run `source` (a function expression) with JSON-serializable `args`.
+ *
+ * `callCapability(method, args)` performs a granted capability call on the
+ * host ('io.readFile', ...) and resolves with a JSON-serializable value.
+ * The whole run, timers and capability calls included, has `timeLimit`
+ * milliseconds.
+ */
+export function runSandboxedSource(source, args = [], options = {}) {
+    const { timeLimit = 5000 } = options;
+
+    return new Promise((resolve, reject) => {
+        const deadline = Date.now() + timeLimit;
+        let settled = false;
+        let isolate = null;
+
+        const finish = (error, value) => {
+            if (settled) return;
+            settled = true;
+            clearTimeout(wallClock);
+            isolate?.release();
+            if (error) reject(error);
+            else resolve(value);
+        };
+
+        const wallClock = setTimeout(() => finish(new SandboxTimeoutError(timeLimit)), timeLimit);
+
+        try {
+            isolate = openContext({
+                ...options,
+                timeLimit,
+                budget: () => deadline - Date.now(),
+                onDone: (ok, json) => {
+                    if (!ok) finish(new Error(json));
+                    else finish(null, json === undefined ? undefined : JSON.parse(json));
+                },
+                onFault: error => finish(error)
+            });
+            isolate.context.__fluxusArgs = JSON.stringify(args) ?? '[]';
+            isolate.context.__fluxusFn = vm.runInContext(`(${source})`, isolate.context, {
+                filename: 'fluxus-sandboxed-function.js',
+                timeout: Math.max(1, deadline - Date.now())
+            });
+            isolate.enter(runScript);
+        } catch (error) {
+            finish(error instanceof SandboxTimeoutError ? error : new Error(`Sandbox execution failed: ${error?.message || error}`));
+        }
+    });
+}
+
+/**
+ * ES module source as a script that fills an exports object. Only what a
+ * package's index.js needs is supported: `export` in front of a
+ * declaration, `export { a, b as c }` and `export default <expression>`.
+ * Imports are refused; sandboxed code reaches the host through its
+ * `capabilities` global only.
+ */
+export function moduleToScript(source) {
+    const exported = [];
+    const body = String(source).split('\n').map(line => {
+        const imported = line.match(/^\s*import\b.*?['"]([^'"]+)['"]/) || line.match(/^\s*import\s/);
+        if (imported) {
+            throw new Error(`Sandboxed modules cannot import${imported[1] ? ` '${imported[1]}'` : ''}; use the capabilities global`);
+        }
+
+        const declaration = line.match(/^export\s+((?:async\s+)?function\*?\s*([\w$]+)|class\s+([\w$]+)|(?:const|let|var)\s+([\w$]+))/);
+        if (declaration) {
+            exported.push(declaration[2] || declaration[3] || declaration[4]);
+            return line.replace(/^export\s+/, '');
+        }
+
+        const list = line.match(/^export\s*\{([^}]*)\}\s*;?\s*$/);
+        if (list) {
+            for (const entry of list[1].split(',').map(item => item.trim()).filter(Boolean)) {
+                const [local, name = local] = entry.split(/\s+as\s+/);
+                exported.push([local, name]);
+            }
+            return '';
+        }
+
+        if (/^export\s+default\s/.test(line)) return line.replace(/^export\s+default\s+/, '__exports.default = ');
+        if (/^\s*export\b/.test(line)) throw new Error(`Unsupported export in sandboxed module: ${line.trim()}`);
+        return line;
+    });
+
+    const assignments = exported.map(entry => {
+        const [local, name] = Array.isArray(entry) ? entry : [entry, entry];
+        return `__exports[${JSON.stringify(name)}] = ${local};`;
+    });
+
+    // The wrapper opens on the first line, so line numbers match the source
+    return `(function (__exports) { 'use strict'; ${body.join('\n')}\n${assignments.join('\n')}\n})`;
+}
+
+/**
+ * Arguments for a call into a sandboxed module, one JSON text each so that
+ * `undefined` (null here) survives and default parameters still apply.
+ */
+export function encodeArguments(args = []) {
+    try {
+        return JSON.stringify(args.map(arg => arg === undefined ? null : JSON.stringify(arg) ?? null));
+    } catch (error) {
+        throw new Error(`Arguments of a sandboxed call must be JSON-serializable: ${error.message}`);
+    }
+}
+
+/**
+ * Evaluate module `source` (see moduleToScript) in a context that stays
+ * open for calls into its exports.
+ *
+ * `exports` outlines the module: plain values as they are, functions as
+ * { $function: path }. call(path, encodeArguments(args)) resolves with
+ * { value } or, when the function produced an async iterable, { iterator }
+ * for next(iterator) and close(iterator). Each entry into the context has `timeLimit`
+ * milliseconds; exceeding it fails the session and every request pending
+ * on it, as the module may be left half way through a change.
+ */
+export function createSandboxedModule(source, options = {}) {
+    const { timeLimit = 5000, filename = 'fluxus-sandboxed-module.js' } = options;
+    const factorySource = moduleToScript(source);
+    const pending = new Map();
+    let nextId = 0;
+    let failure = null;
+
+    const fail = error => {
+        if (failure) return;
+        failure = error instanceof SandboxTimeoutError ? error : new Error(`Sandbox execution failed: ${error?.message || error}`);
+        isolate.release();
+        for (const entry of pending.values()) entry.reject(failure);
+        pending.clear();
+        options.onFailure?.(failure);
+    };
+
+    const isolate = openContext({
+        ...options,
+        timeLimit,
+        budget: () => timeLimit,
+        onSettle: (id, ok, json) => {
+            const entry = pending.get(id);
+            if (!entry) return;
+            pending.delete(id);
+            if (ok) entry.resolve(JSON.parse(json));
+            else entry.reject(new Error(json));
+        },
+        onFault: fail
+    });
+
+    let loaded;
+    try {
+        isolate.context.__fluxusFactory = vm.runInContext(factorySource, isolate.context, { filename, timeout: timeLimit });
+        loaded = JSON.parse(isolate.enter(loadScript));
+    } catch (error) {
+        isolate.release();
+        throw error instanceof SandboxTimeoutError ? error : new Error(`Sandboxed module failed to load: ${error?.message || error}`);
+    }
+    if (loaded.error) {
+        isolate.release();
+        throw new Error(`Sandboxed module failed to load: ${loaded.error}`);
+    }
+
+    const request = (type, values) => new Promise((resolve, reject) => {
+        if (failure) {
+            reject(failure);
+            return;
+        }
+        const id = ++nextId;
+        pending.set(id, { resolve, reject });
+        try {
+            isolate.enter(requestScripts[type], { __fluxusRequestId: id, ...values });
+        } catch (error) {
+            fail(error);
+        }
+    });
+
+    return {
+        exports: loaded.exports,
+        get pending() {
+            return pending.size;
+        },
+        call(path, argsJson) {
+            return request('call', { __fluxusPath: JSON.stringify(path), __fluxusArgs: String(argsJson) });
+        },
+        next(iterator) {
+            return request('next', { __fluxusIterator: Number(iterator) });
+        },
+        close(iterator) {
+            if (failure) return;
+            try {
+                isolate.enter(requestScripts.close, { __fluxusIterator: Number(iterator) });
+            } catch (error) {
+                fail(error);
+            }
+        },
+        dispose() {
+            fail(new Error('Sandboxed module was disposed'));
+        }
+    };
+}
+
+export default runSandboxedSource;
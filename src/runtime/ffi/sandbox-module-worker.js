@@ -0,0 +1,63 @@
+// FILENAME: src/runtime/ffi/sandbox-module-worker.js
+// Fluxus FFI Sandbox Module Worker - one sandboxed module per worker thread
+
+import { parentPort, workerData } from 'worker_threads';
+import { createSandboxedModule } from './isolate.js';
+
+/**
+ * The worker evaluates the module once and then answers requests for its
+ * exports until the host terminates it. As in sandbox-worker.js, capability
+ * calls are forwarded to the host thread.
+ */
+const pendingCalls = new Map();
+let nextCallId = 0;
+
+const callCapability = (method, args) => new Promise((resolve, reject) => {
+    const id = ++nextCallId;
+    pendingCalls.set(id, { resolve, reject });
+    parentPort.postMessage({ type: 'capability', id, method, args });
+});
+
+const log = (level, text) => parentPort.postMessage({ type: 'log', level, text });
+
+const failed = error => parentPort.postMessage({ type: 'failed', error: error.message, code: error.code });
+
+let session = null;
+try {
+    session = createSandboxedModule(workerData.source, {
+        timeLimit: workerData.timeLimit,
+        filename: workerData.filename,
+        capabilityMethods: workerData.capabilityMethods,
+        callCapability,
+        log,
+        onFailure: failed
+    });
+    parentPort.postMessage({ type: 'loaded', exports: session.exports });
+} catch (error) {
+    failed(error);
+}
+
+parentPort.on('message', message => {
+    switch (message.type) {
+        case 'capability:result': {
+            const entry = pendingCalls.get(message.id);
+            if (!entry) return;
+            pendingCalls.delete(message.id);
+            if (message.ok) entry.resolve(message.value);
+            else entry.reject(new Error(message.error));
+            return;
+        }
+        case 'call':
+        case 'next': {
+            const answer = message.type === 'call' ? session.call(message.path, message.argsJson) : session.next(message.iterator);
+            answer.then(
+                value => parentPort.postMessage({ type: 'result', id: message.id, ok: true, value }),
+                error => parentPort.postMessage({ type: 'result', id: message.id, ok: false, error: error.message, code: error.code })
+            );
+            return;
+        }
+        case 'close':
+            session.close(message.iterator);
+            return;
+    }
+});
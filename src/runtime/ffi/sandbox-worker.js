@@ -0,0 +1,39 @@
+// FILENAME: src/runtime/ffi/sandbox-worker.js
+// Fluxus FFI Sandbox Worker - one sandboxed call per worker thread
+
+import { parentPort, workerData } from 'worker_threads';
+import { runSandboxedSource } from './isolate.js';
+
+/**
+ * Capability calls are forwarded to the host thread, which owns the
+ * permission checks; the worker itself never touches fs or the network.
+ */
+const pendingCalls = new Map();
+let nextCallId = 0;
+
+parentPort.on('message', message => {
+    if (message.type !== 'capability:result') return;
+    const entry = pendingCalls.get(message.id);
+    if (!entry) return;
+    pendingCalls.delete(message.id);
+    if (message.ok) entry.resolve(message.value);
+    else entry.reject(new Error(message.error));
+});
+
+const callCapability = (method, args) => new Promise((resolve, reject) => {
+    const id = ++nextCallId;
+    pendingCalls.set(id, { resolve, reject });
+    parentPort.postMessage({ type: 'capability', id, method, args });
+});
+
+const log = (level, text) => parentPort.postMessage({ type: 'log', level, text });
+
+runSandboxedSource(workerData.source, workerData.args, {
+    timeLimit: workerData.timeLimit,
+    capabilityMethods: workerData.capabilityMethods,
+    callCapability,
+    log
+}).then(
+    value => parentPort.postMessage({ type: 'done', ok: true, value }),
+    error => parentPort.postMessage({ type: 'done', ok: false, error: error.message, code: error.code })
+).finally(() => parentPort.close());
@@ -0,0 +1,490 @@
+// FILENAME: src/runtime/ffi/sandbox.js
+// Fluxus FFI Sandbox - isolated execution with per-library limits and capabilities
+
+import { Worker } from 'worker_threads';
+import vm from 'vm';
+import fs from 'fs';
+import path from 'path';
+import { securityManager as defaultSecurityManager, SecurityError } from '../../lib/security-manager.js';
+import { runSandboxedSource, createSandboxedModule, encodeArguments, SandboxTimeoutError } from './isolate.js';
+
+const WORKER_URL = new URL('./sandbox-worker.js', import.meta.url);
+const MODULE_WORKER_URL = new URL('./sandbox-module-worker.js', import.meta.url);
+const MB = 1024 * 1024;
+
+function isExpression(source) {
+    try {
+        new vm.Script(`(${source})`);
+        return true;
+    } catch {
+        return false;
+    }
+}
+
+/**
+ * Untrusted functions run from source in a fresh vm context, by default
+ * inside a dedicated worker thread:
+ *
+ * - isolation 'worker': CPU time and memory are bounded
+ *   (LibrarySecurityManager.getTimeLimit / getMemoryLimit); a runaway worker
+ *   is terminated.
+ * - isolation 'vm': same context in-process, time-bounded only.
+ *
+ * The function sees a frozen `capabilities` global exposing only the
+ * permissions granted to its library (io, network, system). Closures are not
+ * carried over; arguments and results must be JSON-serializable.
+ */
+export class FluxusSandbox {
+    constructor(config = {}) {
+        this.config = {
+            isolation: 'worker',
+            securityManager: defaultSecurityManager,
+            fsRoot: process.cwd(),
+            allowedPaths: [],
+            log: (level, text) => console.log('[SANDBOX]', text),
+            ...Object.fromEntries(Object.entries(config).filter(([, value]) => value !== undefined))
+        };
+        this.securityManager = this.config.securityManager;
+        this.workers = new Set();
+    }
+
+    getLimits(libraryName, overrides = {}) {
+        return {
+            timeLimit: overrides.timeLimit ?? this.securityManager.getTimeLimit(libraryName),
+            memoryLimit: overrides.memoryLimit ?? this.securityManager.getMemoryLimit(libraryName)
+        };
+    }
+
+    /**
+     * Capability methods for the permissions granted to a library, keyed by
+     * 'group.method'. Memory is implied and has no methods.
+     */
+    createCapabilities(libraryName) {
+        const permissions = this.securityManager.getGrantedPermissions(libraryName);
+        const constraints = this.securityManager.getPermissionConstraints(permissions);
+        const methods = {};
+
+        if (permissions.includes('io')) {
+            const ioConstraints = constraints.io || {};
+            const roots = [...(ioConstraints.allowedPaths || []), ...this.config.allowedPaths]
+                .map(allowed => path.resolve(this.config.fsRoot, allowed));
+            const maxFileSize = ioConstraints.maxFileSize ?? Infinity;
+
+            const resolvePath = (target, operation) => {
+                const resolved = path.resolve(this.config.fsRoot, String(target));
+                if (!this.securityManager.isPathAllowed(resolved, roots)) {
+                    this.deny(libraryName, `io.${operation}`, `path '${target}' is not allowed`);
+                }
+                return resolved;
+            };
+
+            methods['io.readFile'] = async ([target]) => {
+                const filePath = resolvePath(target, 'readFile');
+                const stats = await fs.promises.stat(filePath);
+                if (stats.size > maxFileSize) this.deny(libraryName, 'io.readFile', `file exceeds ${maxFileSize} bytes`);
+                return fs.promises.readFile(filePath, 'utf8');
+            };
+            methods['io.writeFile'] = async ([target, content]) => {
+                const filePath = resolvePath(target, 'writeFile');
+                const data = typeof content === 'string' ? content : JSON.stringify(content);
+                if (Buffer.byteLength(data) > maxFileSize) this.deny(libraryName, 'io.writeFile', `content exceeds ${maxFileSize} bytes`);
+                await fs.promises.writeFile(filePath, data);
+                return { path: filePath, bytes: Buffer.byteLength(data) };
+            };
+            methods['io.listFiles'] = async ([target]) => {
+                const dirPath = resolvePath(target ?? '.', 'listFiles');
+                return (await fs.promises.readdir(dirPath)).sort();
+            };
+        }
+
+        if (permissions.includes('network')) {
+            const allowedHosts = constraints.network?.allowedHosts || [];
+
+            methods['network.fetch'] = async ([url, options = {}]) => {
+                const target = new URL(String(url));
+                if (!allowedHosts.includes(target.hostname)) {
+                    this.deny(libraryName, 'network.fetch', `host '${target.hostname}' is not allowed`);
+                }
+                const response = await fetch(target, {
+                    method: options.method || 'GET',
+                    headers: options.headers,
+                    body: options.body === undefined ? undefined : String(options.body)
+                });
+                return {
+                    status: response.status,
+                    headers: Object.fromEntries(response.headers.entries()),
+                    body: await response.text()
+                };
+            };
+        }
+
+        if (permissions.includes('system')) {
+            const allowed = constraints.system?.allowedOperations || [];
+            if (allowed.includes('get_time')) {
+                methods['system.now'] = async () => Date.now();
+            }
+            if (allowed.includes('get_env')) {
+                methods['system.env'] = async ([name]) => process.env[String(name)] ?? null;
+            }
+        }
+
+        return { permissions, methods };
+    }
+
+    deny(libraryName, capability, reason) {
+        this.securityManager.recordAuditEvent('sandbox_capability_denied', { library: libraryName, capability, reason });
+        throw new SecurityError(`${capability} denied for library '${libraryName}': ${reason}`, 'CAPABILITY_DENIED');
+    }
+
+    static toSource(fn) {
+        const source = typeof fn === 'function' ? fn.toString() : String(fn);
+        if (/\{\s*\[native code\]\s*\}\s*$/.test(source)) {
+            throw new Error('Native functions cannot be sandboxed');
+        }
+        if (typeof fn !== 'function' || isExpression(source)) {
+            return source;
+        }
+        // Method shorthand (`name(a) {}`) is not an expression on its own
+        return source.startsWith('async ') ? `async function ${source.slice(6)}` : `function ${source}`;
+    }
+
+    async execute(fn, args = [], options = {}) {
+        const libraryName = options.library || 'untrusted';
+        const source = FluxusSandbox.toSource(fn);
+        const limits = this.getLimits(libraryName, options);
+        const { methods } = this.createCapabilities(libraryName);
+        const isolation = options.isolation || this.config.isolation;
+
+        this.securityManager.recordAuditEvent('sandbox_execution', { library: libraryName, isolation, ...limits });
+
+        const callCapability = async (method, callArgs) => {
+            const handler = methods[method];
+            if (!handler) this.deny(libraryName, method, 'permission not granted');
+            return handler(callArgs);
+        };
+
+        try {
+            if (isolation === 'vm') {
+                return await runSandboxedSource(source, args, {
+                    timeLimit: limits.timeLimit,
+                    capabilityMethods: Object.keys(methods),
+                    callCapability,
+                    log: this.config.log
+                });
+            }
+            return await this.runInWorker(source, args, limits, Object.keys(methods), callCapability);
+        } catch (error) {
+            throw this.limitError(error, libraryName, limits);
+        }
+    }
+
+    limitError(error, libraryName, limits) {
+        if (error instanceof SandboxTimeoutError || error.code === 'TIME_LIMIT_EXCEEDED') {
+            return new SecurityError(`Library '${libraryName}' exceeded its time limit of ${limits.timeLimit}ms`, 'TIME_LIMIT_EXCEEDED');
+        }
+        return error;
+    }
+
+    /**
+     * Evaluate an ES module (a package's index.js) in a sandbox that stays
+     * open, and return it as a SandboxedModule. With worker isolation the
+     * module gets a worker of its own, bounded by the library's memory limit
+     * for as long as it is loaded; the time limit applies to each call (and
+     * each timer or stream step) rather than to the module's lifetime.
+     */
+    async loadModule(source, options = {}) {
+        const libraryName = options.library || 'untrusted';
+        const limits = this.getLimits(libraryName, options);
+        const { methods } = this.createCapabilities(libraryName);
+        const isolation = options.isolation || this.config.isolation;
+
+        this.securityManager.recordAuditEvent('sandbox_module_loaded', { library: libraryName, isolation, ...limits });
+
+        const callCapability = async (method, callArgs) => {
+            const handler = methods[method];
+            if (!handler) this.deny(libraryName, method, 'permission not granted');
+            return handler(callArgs);
+        };
+        const settings = {
+            timeLimit: limits.timeLimit,
+            filename: options.filename,
+            capabilityMethods: Object.keys(methods),
+            callCapability,
+            log: this.config.log
+        };
+
+        try {
+            const channel = isolation === 'vm'
+                ? createSandboxedModule(source, settings)
+                : await this.openModuleWorker(source, limits, settings);
+            return new SandboxedModule(channel, { sandbox: this, library: libraryName, limits });
+        } catch (error) {
+            throw this.limitError(error, libraryName, limits);
+        }
+    }
+
+    /**
+     * The worker counterpart of createSandboxedModule: the same requests as
+     * messages. The worker only keeps the process alive while a request is
+     * pending on it.
+     */
+    openModuleWorker(source, limits, settings) {
+        return new Promise((resolve, reject) => {
+            const memoryMb = Math.max(4, Math.floor(limits.memoryLimit / MB));
+            const worker = new Worker(MODULE_WORKER_URL, {
+                workerData: {
+                    source,
+                    timeLimit: settings.timeLimit,
+                    filename: settings.filename,
+                    capabilityMethods: settings.capabilityMethods
+                },
+                resourceLimits: {
+                    maxOldGenerationSizeMb: memoryMb,
+                    maxYoungGenerationSizeMb: Math.max(1, Math.floor(memoryMb / 4))
+                },
+                env: {},
+                stdout: false,
+                stderr: false
+            });
+            this.workers.add(worker);
+
+            const pending = new Map();
+            let nextId = 0;
+            let failure = null;
+            let loaded = false;
+
+            const updateRef = () => (pending.size > 0 ? worker.ref() : worker.unref());
+
+            const fail = error => {
+                if (failure) return;
+                failure = error;
+                this.workers.delete(worker);
+                worker.terminate();
+                for (const entry of pending.values()) entry.reject(error);
+                pending.clear();
+                if (!loaded) reject(error);
+            };
+
+            const request = (message) => new Promise((resolveRequest, rejectRequest) => {
+                if (failure) {
+                    rejectRequest(failure);
+                    return;
+                }
+                const id = ++nextId;
+                pending.set(id, { resolve: resolveRequest, reject: rejectRequest });
+                updateRef();
+                worker.postMessage({ ...message, id });
+            });
+
+            const channel = {
+                exports: null,
+                call: (path, argsJson) => request({ type: 'call', path, argsJson }),
+                next: iterator => request({ type: 'next', iterator }),
+                close: iterator => {
+                    if (!failure) worker.postMessage({ type: 'close', iterator });
+                },
+                dispose: () => fail(new Error('Sandboxed module was disposed'))
+            };
+
+            worker.on('message', message => {
+                switch (message.type) {
+                    case 'loaded':
+                        loaded = true;
+                        channel.exports = message.exports;
+                        updateRef();
+                        resolve(channel);
+                        return;
+                    case 'result': {
+                        const entry = pending.get(message.id);
+                        if (!entry) return;
+                        pending.delete(message.id);
+                        updateRef();
+                        if (message.ok) entry.resolve(message.value);
+                        else entry.reject(Object.assign(new Error(message.error), message.code ? { code: message.code } : {}));
+                        return;
+                    }
+                    case 'capability':
+                        Promise.resolve()
+                            .then(() => settings.callCapability(message.method, message.args))
+                            .then(
+                                value => worker.postMessage({ type: 'capability:result', id: message.id, ok: true, value }),
+                                error => worker.postMessage({ type: 'capability:result', id: message.id, ok: false, error: error.message })
+                            )
+                            .catch(() => {});
+                        return;
+                    case 'log':
+                        settings.log(message.level, message.text);
+                        return;
+                    case 'failed':
+                        fail(Object.assign(new Error(message.error), message.code ? { code: message.code } : {}));
+                        return;
+                }
+            });
+
+            worker.on('error', error => {
+                if (error.code === 'ERR_WORKER_OUT_OF_MEMORY') {
+                    fail(new SecurityError(`Sandboxed module exceeded the memory limit of ${memoryMb}MB`, 'MEMORY_LIMIT_EXCEEDED'));
+                } else {
+                    fail(new Error(`Sandbox worker failed: ${error.message}`));
+                }
+            });
+
+            worker.on('exit', code => {
+                fail(new Error(`Sandbox worker exited unexpectedly (code ${code})`));
+            });
+        });
+    }
+
+    runInWorker(source, args, limits, capabilityMethods, callCapability) {
+        return new Promise((resolve, reject) => {
+            const memoryMb = Math.max(4, Math.floor(limits.memoryLimit / MB));
+            const worker = new Worker(WORKER_URL, {
+                workerData: { source, args, timeLimit: limits.timeLimit, capabilityMethods },
+                resourceLimits: {
+                    maxOldGenerationSizeMb: memoryMb,
+                    maxYoungGenerationSizeMb: Math.max(1, Math.floor(memoryMb / 4))
+                },
+                env: {},
+                stdout: false,
+                stderr: false
+            });
+            this.workers.add(worker);
+            let settled = false;
+
+            const finish = (error, value) => {
+                if (settled) return;
+                settled = true;
+                clearTimeout(hardLimit);
+                this.workers.delete(worker);
+                worker.terminate();
+                if (error) reject(error);
+                else resolve(value);
+            };
+
+            // The isolate enforces the limit itself; this catches a worker stuck outside of it
+            const hardLimit = setTimeout(() => {
+                finish(Object.assign(new Error('Sandboxed worker did not stop in time'), { code: 'TIME_LIMIT_EXCEEDED' }));
+            }, limits.timeLimit + 250);
+
+            worker.on('message', message => {
+                switch (message.type) {
+                    case 'capability':
+                        Promise.resolve()
+                            .then(() => callCapability(message.method, message.args))
+                            .then(
+                                value => worker.postMessage({ type: 'capability:result', id: message.id, ok: true, value }),
+                                error => worker.postMessage({ type: 'capability:result', id: message.id, ok: false, error: error.message })
+                            )
+                            .catch(() => {});
+                        return;
+                    case 'log':
+                        this.config.log(message.level, message.text);
+                        return;
+                    case 'done':
+                        if (message.ok) finish(null, message.value);
+                        else finish(Object.assign(new Error(message.error), message.code ? { code: message.code } : {}));
+                        return;
+                }
+            });
+
+            worker.on('error', error => {
+                if (error.code === 'ERR_WORKER_OUT_OF_MEMORY') {
+                    finish(new SecurityError(`Sandboxed execution exceeded the memory limit of ${memoryMb}MB`, 'MEMORY_LIMIT_EXCEEDED'));
+                } else {
+                    finish(new Error(`Sandbox worker failed: ${error.message}`));
+                }
+            });
+
+            worker.on('exit', code => {
+                finish(new Error(`Sandbox worker exited unexpectedly (code ${code})`));
+            });
+        });
+    }
+
+    dispose() {
+        for (const worker of this.workers) worker.terminate();
+        this.workers.clear();
+    }
+}
+
+/**
+ * A module loaded by FluxusSandbox.loadModule. `exports` outlines what the
+ * module exports, with functions as { $function: path }; call() runs one of
+ * them in the sandbox. Arguments and results cross as JSON, except that an
+ * async iterable result (a stream) comes back as an async iterable whose
+ * steps are pulled from the sandbox one at a time.
+ *
+ * Once a limit is exceeded the module is unloaded: `failed` is set and every
+ * later call rejects.
+ */
+export class SandboxedModule {
+    constructor(channel, { sandbox, library, limits }) {
+        this.channel = channel;
+        this.sandbox = sandbox;
+        this.library = library;
+        this.limits = limits;
+        this.exports = channel.exports;
+        this.failed = null;
+    }
+
+    // Paths of the exported functions, e.g. ['SENSORS_OPERATORS', 'gps', 'implementation']
+    get functions() {
+        const paths = [];
+        const visit = value => {
+            if (!value || typeof value !== 'object') return;
+            if (Array.isArray(value.$function)) paths.push(value.$function);
+            else Object.values(value).forEach(visit);
+        };
+        visit(this.exports);
+        return paths;
+    }
+
+    async call(path, args = []) {
+        const result = await this.request(() => this.channel.call(path, encodeArguments(args)));
+        return 'iterator' in result ? this.stream(result.iterator) : result.value;
+    }
+
+    async request(send) {
+        try {
+            return await send();
+        } catch (error) {
+            const reported = this.sandbox.limitError(error, this.library, this.limits);
+            if (reported.code === 'TIME_LIMIT_EXCEEDED' || reported.code === 'MEMORY_LIMIT_EXCEEDED') {
+                this.failed = reported;
+                this.channel.dispose();
+            }
+            throw reported;
+        }
+    }
+
+    stream(iterator) {
+        let closed = false;
+        const close = () => {
+            if (closed) return;
+            closed = true;
+            this.channel.close(iterator);
+        };
+        const steps = {
+            next: async () => {
+                if (closed) return { done: true, value: undefined };
+                const step = await this.request(() => this.channel.next(iterator));
+                if (step.done) closed = true;
+                return step;
+            },
+            return: async value => {
+                close();
+                return { done: true, value };
+            },
+            [Symbol.asyncIterator]() {
+                return this;
+            }
+        };
+        return { [Symbol.asyncIterator]: () => steps, stop: close };
+    }
+
+    dispose() {
+        this.channel.dispose();
+    }
+}
+
+export default FluxusSandbox;
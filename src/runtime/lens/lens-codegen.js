@@ -0,0 +1,99 @@
+// FILENAME: src/runtime/lens/lens-codegen.js
+// Fluxus Lens Code Generator - compiles `{ ... }` lenses to JavaScript ahead of time
+
+import { LensEvaluator } from './lens-evaluator.js';
+
+const BINARY_OPERATORS = new Set(['+', '-', '*', '/', '%', '<', '<=', '>', '>=', '==', '!=', '===', '!==', '&&', '||']);
+
+/**
+ * Compile a lens to the source of `async (input, $) => ...`, the form the
+ * standalone runtime calls (see LensScope in runtime/standalone/program.js).
+ * The result evaluates exactly like LensEvaluator.evaluate:
+ *
+ *   `.a.b`       $.path(input, ["a", "b"])       `.value` on primitives is the input
+ *   `name`       $.name("name")                 FUNC and lambda parameters
+ *   `f(x, y)`    await $.call("f", x, [y])      first argument is the operator input
+ *   `a | f(y)`   await $.pipe(a, [...])         stages run on the previous value
+ *
+ * `bound` lists the names the enclosing FUNC binds; like the evaluator, a
+ * bare pipe stage that is not a bound name is an operator call. Syntax
+ * errors throw LensSyntaxError at build time.
+ */
+export function compileLens(expression, options = {}) {
+    const { params, body } = new LensEvaluator().compile(expression);
+    const bound = new Set([...(options.bound || []), ...params]);
+    const code = generate(body, bound);
+
+    if (params.length === 0) return `async (input, $) => ${code}`;
+    return `async (input, $) => { $ = $.bind(${JSON.stringify(params)}, input); return ${code}; }`;
+}
+
+function generate(node, bound) {
+    switch (node.type) {
+        case 'literal':
+            return JSON.stringify(node.value);
+        case 'input':
+            return 'input';
+        case 'path':
+            return `$.path(input, ${JSON.stringify(node.path)})`;
+        case 'name':
+            return `$.name(${JSON.stringify(node.name)})`;
+        case 'member': {
+            const key = node.computed ? generate(node.property, bound) : JSON.stringify(node.property);
+            return `$.member(${generate(node.object, bound)}, ${key})`;
+        }
+        case 'array':
+            return `[${node.items.map(item => generate(item, bound)).join(', ')}]`;
+        case 'object':
+            return `({ ${node.entries.map(({ key, value }) => `${JSON.stringify(key)}: ${generate(value, bound)}`).join(', ')} })`;
+        case 'unary':
+            return `(${node.operator}${generate(node.operand, bound)})`;
+        case 'binary':
+            if (!BINARY_OPERATORS.has(node.operator)) throw new Error(`Unsupported lens operator: ${node.operator}`);
+            return `(${generate(node.left, bound)} ${node.operator} ${generate(node.right, bound)})`;
+        case 'pipe':
+            return `await $.pipe(${generate(node.head, bound)}, [${node.stages.map(stage => `async (input) => ${generateStage(stage, bound)}`).join(', ')}])`;
+        case 'call': {
+            const args = node.args.map(arg => generate(arg, bound));
+            return `await $.call(${JSON.stringify(node.name)}, ${args[0] ?? 'undefined'}, [${args.slice(1).join(', ')}])`;
+        }
+        default:
+            throw new Error(`Unsupported lens node: ${node.type}`);
+    }
+}
+
+// Pipe stages pass the current value as the operator input
+function generateStage(stage, bound) {
+    if (stage.type === 'call' || (stage.type === 'name' && !bound.has(stage.name))) {
+        const args = (stage.args || []).map(arg => generate(arg, bound));
+        return `await $.call(${JSON.stringify(stage.name)}, input, [${args.join(', ')}])`;
+    }
+    return generate(stage, bound);
+}
+
+/**
+ * Operator names a lens calls, for the imports of a built module.
+ */
+export function lensOperators(expression, options = {}) {
+    const { params, body } = new LensEvaluator().compile(expression);
+    const bound = new Set([...(options.bound || []), ...params]);
+    const names = new Set();
+
+    const visit = (node, isStage = false) => {
+        if (!node || typeof node !== 'object') return;
+        if (node.type === 'call' || (isStage && node.type === 'name' && !bound.has(node.name))) names.add(node.name);
+        if (node.type === 'pipe') {
+            visit(node.head);
+            node.stages.forEach(stage => visit(stage, true));
+            return;
+        }
+        for (const value of Object.values(node)) {
+            if (Array.isArray(value)) value.forEach(item => visit(item));
+            else if (value && typeof value === 'object') visit(value);
+        }
+    };
+    visit(body);
+    return [...names];
+}
+
+export default compileLens;
@@ -0,0 +1,437 @@
+// FILENAME: src/runtime/lens/lens-evaluator.js
+// Fluxus Lens Evaluator - parses and evaluates `{ ... }` lens expressions
+
+/**
+ * Lens grammar (lowest to highest precedence):
+ *
+ *   lens    := [name (',' name)* '->'] pipe
+ *   pipe    := expr ('|' stage)*          stages are operator calls or expressions on `.`
+ *   expr    := or
+ *   or      := and ('||' and)*
+ *   and     := eq ('&&' eq)*
+ *   eq      := cmp (('==' | '!=' | '===' | '!==') cmp)*
+ *   cmp     := add (('<' | '<=' | '>' | '>=') add)*
+ *   add     := mul (('+' | '-') mul)*
+ *   mul     := unary (('*' | '/' | '%') unary)*
+ *   unary   := ('!' | '-') unary | postfix
+ *   postfix := primary ('.' name | '[' expr ']' | '(' args ')')*
+ *   primary := number | string | true | false | null | '.' [path] | name
+ *            | '(' pipe ')' | '[' items ']' | '{' key ':' expr, ... '}'
+ *
+ * `.path` reads from the lens input. `.value` on a primitive input is the
+ * input itself, so `{ .value > 40 }` works for raw numbers and wrapped events.
+ * Calls outside a pipe stage pass their first argument as the operator input:
+ * `{ x -> multiply(x, 2) }` is `{ x -> x | multiply(2) }`.
+ */
+
+const PUNCTUATION = ['===', '!==', '==', '!=', '<=', '>=', '&&', '||', '->',
+    '<', '>', '+', '-', '*', '/', '%', '!', '|', '.', ',', ':', '(', ')', '[', ']', '{', '}'];
+
+export class LensSyntaxError extends Error {
+    constructor(message, expression) {
+        super(`${message} in lens { ${expression} }`);
+        this.name = 'LensSyntaxError';
+        this.expression = expression;
+    }
+}
+
+export class LensEvaluator {
+    constructor(options = {}) {
+        this.cache = new Map();
+        this.maxCacheSize = options.maxCacheSize || 500;
+    }
+
+    /**
+     * Evaluate a lens against a value.
+     * @param {string} expression - Lens source without the surrounding braces
+     * @param {any} input - Value the lens is applied to
+     * @param {Object} env - { bindings, callOperator(name, input, args), arguments }
+     *   `arguments` feeds multi-parameter lambdas such as `{ acc, x -> ... }`
+     */
+    async evaluate(expression, input, env = {}) {
+        const ast = this.compile(expression);
+        const bindings = { ...(env.bindings || {}) };
+        const positional = ast.params.length > 1 && env.arguments ? env.arguments : [input];
+        ast.params.forEach((param, index) => {
+            bindings[param] = positional[index];
+        });
+        return await this.evaluateNode(ast.body, input, { ...env, bindings });
+    }
+
+    /**
+     * Evaluate a constant literal such as `[1, 2]` or `{ kind: "alert" }`
+     * without an input value. Throws if the expression is not constant.
+     */
+    evaluateLiteral(expression) {
+        const { params, body } = this.compile(expression);
+        if (params.length > 0) throw new Error('Lambda lenses are not literals');
+        return this.evaluateConstant(body);
+    }
+
+    evaluateConstant(node) {
+        switch (node.type) {
+            case 'literal':
+                return node.value;
+            case 'array':
+                return node.items.map(item => this.evaluateConstant(item));
+            case 'object':
+                return Object.fromEntries(node.entries.map(({ key, value }) => [key, this.evaluateConstant(value)]));
+            case 'unary':
+                return node.operator === '-' ? -this.evaluateConstant(node.operand) : !this.evaluateConstant(node.operand);
+            default:
+                throw new Error(`Not a constant literal: ${node.type}`);
+        }
+    }
+
+    compile(expression) {
+        const source = String(expression ?? '').trim();
+        if (this.cache.has(source)) return this.cache.get(source);
+
+        const parser = new LensParser(source);
+        const ast = parser.parseLens();
+
+        if (this.cache.size >= this.maxCacheSize) {
+            this.cache.delete(this.cache.keys().next().value);
+        }
+        this.cache.set(source, ast);
+        return ast;
+    }
+
+    async evaluateNode(node, input, env) {
+        switch (node.type) {
+            case 'literal':
+                return node.value;
+            case 'input':
+                return input;
+            case 'path':
+                return this.readPath(input, node.path);
+            case 'name':
+                if (Object.hasOwn(env.bindings, node.name)) return env.bindings[node.name];
+                throw new Error(`Unknown name '${node.name}' in lens`);
+            case 'member': {
+                const target = await this.evaluateNode(node.object, input, env);
+                const key = node.computed ? await this.evaluateNode(node.property, input, env) : node.property;
+                return target == null ? undefined : target[key];
+            }
+            case 'array':
+                return Promise.all(node.items.map(item => this.evaluateNode(item, input, env)));
+            case 'object': {
+                const result = {};
+                for (const { key, value } of node.entries) {
+                    result[key] = await this.evaluateNode(value, input, env);
+                }
+                return result;
+            }
+            case 'unary': {
+                const operand = await this.evaluateNode(node.operand, input, env);
+                return node.operator === '!' ? !operand : -operand;
+            }
+            case 'binary':
+                return await this.evaluateBinary(node, input, env);
+            case 'pipe': {
+                let current = await this.evaluateNode(node.head, input, env);
+                for (const stage of node.stages) {
+                    current = await this.evaluateStage(stage, current, env);
+                }
+                return current;
+            }
+            case 'call': {
+                if (!env.callOperator) {
+                    throw new Error(`Operator '${node.name}' is not available in this lens`);
+                }
+                const args = [];
+                for (const arg of node.args) {
+                    args.push(await this.evaluateNode(arg, input, env));
+                }
+                return await env.callOperator(node.name, args[0], args.slice(1));
+            }
+            default:
+                throw new Error(`Unsupported lens node: ${node.type}`);
+        }
+    }
+
+    async evaluateBinary(node, input, env) {
+        const left = await this.evaluateNode(node.left, input, env);
+
+        if (node.operator === '&&') return left && await this.evaluateNode(node.right, input, env);
+        if (node.operator === '||') return left || await this.evaluateNode(node.right, input, env);
+
+        const right = await this.evaluateNode(node.right, input, env);
+        switch (node.operator) {
+            case '+': return left + right;
+            case '-': return left - right;
+            case '*': return left * right;
+            case '/': return left / right;
+            case '%': return left % right;
+            case '<': return left < right;
+            case '<=': return left <= right;
+            case '>': return left > right;
+            case '>=': return left >= right;
+            case '==': return left == right;
+            case '!=': return left != right;
+            case '===': return left === right;
+            case '!==': return left !== right;
+            default:
+                throw new Error(`Unsupported lens operator: ${node.operator}`);
+        }
+    }
+
+    /**
+     * A stage is an operator call when it is `name(args)` or a bare name that
+     * is not bound; anything else is an expression evaluated on the current value.
+     */
+    async evaluateStage(stage, current, env) {
+        if (stage.type === 'call' || (stage.type === 'name' && !Object.hasOwn(env.bindings, stage.name))) {
+            if (!env.callOperator) {
+                throw new Error(`Operator '${stage.name}' is not available in this lens`);
+            }
+            const args = [];
+            for (const arg of stage.args || []) {
+                args.push(await this.evaluateNode(arg, current, env));
+            }
+            return await env.callOperator(stage.name, current, args);
+        }
+        return await this.evaluateNode(stage, current, env);
+    }
+
+    readPath(input, path) {
+        let current = input;
+        for (let i = 0; i < path.length; i++) {
+            const key = path[i];
+            if (i === 0 && key === 'value' && (current === null || typeof current !== 'object' || !('value' in current))) {
+                continue;
+            }
+            if (current == null) return undefined;
+            current = current[key];
+        }
+        return current;
+    }
+}
+
+class LensParser {
+    constructor(source) {
+        this.source = source;
+        this.tokens = this.tokenize(source);
+        this.position = 0;
+    }
+
+    tokenize(source) {
+        const tokens = [];
+        let i = 0;
+
+        while (i < source.length) {
+            const char = source[i];
+
+            if (/\s/.test(char)) {
+                i++;
+                continue;
+            }
+
+            if (/[0-9]/.test(char)) {
+                const match = source.slice(i).match(/^\d+(\.\d+)?([eE][+-]?\d+)?/);
+                tokens.push({ type: 'number', value: parseFloat(match[0]) });
+                i += match[0].length;
+                continue;
+            }
+
+            if (char === '"' || char === "'") {
+                let value = '';
+                let j = i + 1;
+                while (j < source.length && source[j] !== char) {
+                    if (source[j] === '\\' && j + 1 < source.length) j++;
+                    value += source[j++];
+                }
+                if (j >= source.length) throw new LensSyntaxError('Unterminated string', source);
+                tokens.push({ type: 'string', value });
+                i = j + 1;
+                continue;
+            }
+
+            if (/[A-Za-z_$]/.test(char)) {
+                const match = source.slice(i).match(/^[A-Za-z_$][\w$]*/);
+                tokens.push({ type: 'name', value: match[0] });
+                i += match[0].length;
+                continue;
+            }
+
+            const punct = PUNCTUATION.find(p => source.startsWith(p, i));
+            if (!punct) throw new LensSyntaxError(`Unexpected character '${char}'`, source);
+            tokens.push({ type: 'punct', value: punct });
+            i += punct.length;
+        }
+
+        tokens.push({ type: 'eof', value: null });
+        return tokens;
+    }
+
+    peek(offset = 0) {
+        return this.tokens[this.position + offset];
+    }
+
+    next() {
+        return this.tokens[this.position++];
+    }
+
+    match(value) {
+        const token = this.peek();
+        if (token.type === 'punct' && token.value === value) {
+            this.position++;
+            return true;
+        }
+        return false;
+    }
+
+    expect(value) {
+        if (!this.match(value)) {
+            const token = this.peek();
+            throw new LensSyntaxError(`Expected '${value}' but found '${token.value ?? 'end of lens'}'`, this.source);
+        }
+    }
+
+    parseLens() {
+        if (this.peek().type === 'eof') {
+            return { params: [], body: { type: 'input' } };
+        }
+
+        const params = this.parseLambdaParams();
+        const body = this.parsePipe();
+        if (this.peek().type !== 'eof') {
+            throw new LensSyntaxError(`Unexpected '${this.peek().value}'`, this.source);
+        }
+        return { params, body };
+    }
+
+    parseLambdaParams() {
+        const params = [];
+        let offset = 0;
+        while (this.peek(offset).type === 'name') {
+            params.push(this.peek(offset).value);
+            const separator = this.peek(offset + 1);
+            if (separator.type === 'punct' && separator.value === '->') {
+                this.position += offset + 2;
+                return params;
+            }
+            if (separator.type !== 'punct' || separator.value !== ',') break;
+            offset += 2;
+        }
+        return [];
+    }
+
+    parsePipe() {
+        const head = this.parseExpression();
+        const stages = [];
+        while (this.match('|')) {
+            stages.push(this.parseExpression());
+        }
+        return stages.length > 0 ? { type: 'pipe', head, stages } : head;
+    }
+
+    parseExpression() {
+        return this.parseBinary(0);
+    }
+
+    parseBinary(level) {
+        const levels = [['||'], ['&&'], ['==', '!=', '===', '!=='], ['<', '<=', '>', '>='], ['+', '-'], ['*', '/', '%']];
+        if (level >= levels.length) return this.parseUnary();
+
+        let left = this.parseBinary(level + 1);
+        while (this.peek().type === 'punct' && levels[level].includes(this.peek().value)) {
+            const operator = this.next().value;
+            const right = this.parseBinary(level + 1);
+            left = { type: 'binary', operator, left, right };
+        }
+        return left;
+    }
+
+    parseUnary() {
+        if (this.match('!')) return { type: 'unary', operator: '!', operand: this.parseUnary() };
+        if (this.match('-')) return { type: 'unary', operator: '-', operand: this.parseUnary() };
+        return this.parsePostfix();
+    }
+
+    parsePostfix() {
+        let node = this.parsePrimary();
+
+        while (true) {
+            if (this.peek().type === 'punct' && this.peek().value === '.' && this.peek(1).type === 'name') {
+                this.next();
+                const property = this.next().value;
+                node = node.type === 'path'
+                    ? { type: 'path', path: [...node.path, property] }
+                    : { type: 'member', object: node, property, computed: false };
+            } else if (this.match('[')) {
+                const property = this.parseExpression();
+                this.expect(']');
+                node = { type: 'member', object: node, property, computed: true };
+            } else if (node.type === 'name' && this.match('(')) {
+                const args = this.parseList(')');
+                node = { type: 'call', name: node.name, args };
+            } else {
+                return node;
+            }
+        }
+    }
+
+    parsePrimary() {
+        const token = this.next();
+
+        if (token.type === 'number' || token.type === 'string') {
+            return { type: 'literal', value: token.value };
+        }
+
+        if (token.type === 'name') {
+            if (token.value === 'true') return { type: 'literal', value: true };
+            if (token.value === 'false') return { type: 'literal', value: false };
+            if (token.value === 'null') return { type: 'literal', value: null };
+            return { type: 'name', name: token.value };
+        }
+
+        if (token.type === 'punct') {
+            switch (token.value) {
+                case '.':
+                    if (this.peek().type === 'name') {
+                        return { type: 'path', path: [this.next().value] };
+                    }
+                    return { type: 'input' };
+                case '(': {
+                    const inner = this.parsePipe();
+                    this.expect(')');
+                    return inner;
+                }
+                case '[':
+                    return { type: 'array', items: this.parseList(']') };
+                case '{':
+                    return this.parseObject();
+            }
+        }
+
+        throw new LensSyntaxError(`Unexpected '${token.value ?? 'end of lens'}'`, this.source);
+    }
+
+    parseList(closing) {
+        const items = [];
+        if (this.match(closing)) return items;
+        do {
+            items.push(this.parseExpression());
+        } while (this.match(','));
+        this.expect(closing);
+        return items;
+    }
+
+    parseObject() {
+        const entries = [];
+        if (this.match('}')) return { type: 'object', entries };
+        do {
+            const keyToken = this.next();
+            if (keyToken.type !== 'name' && keyToken.type !== 'string') {
+                throw new LensSyntaxError(`Invalid object key '${keyToken.value}'`, this.source);
+            }
+            this.expect(':');
+            entries.push({ key: keyToken.value, value: this.parseExpression() });
+        } while (this.match(','));
+        this.expect('}');
+        return { type: 'object', entries };
+    }
+}
+
+export default LensEvaluator;
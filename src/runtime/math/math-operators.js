@@ -0,0 +1,166 @@
+// FILENAME: src/runtime/math/math-operators.js
+// Fluxus Math Operators - arithmetic and math that never produce NaN
+
+/**
+ * The engine's core math operators. Input that is not a number counts as 0
+ * (cos and exp answer for 0 as well), so `"abc" | add(1)` is 1 and
+ * `-4 | sqrt()` is 0. `fluxus run` registers them as core operators and
+ * modules built by `fluxus build` import them from the runtime copy, so both
+ * compute the same values.
+ */
+
+const toNumber = (value) => {
+    const num = Number(value);
+    return isNaN(num) ? 0 : num;
+};
+
+const numbersOf = (input) => input.map(Number).filter(n => !isNaN(n));
+
+// ==================== ARITHMETIC ====================
+
+export const add = (input, args = []) => {
+    const base = Array.isArray(input) ? input.reduce((a, b) => a + toNumber(b), 0) : toNumber(input);
+    return args.reduce((total, arg) => total + toNumber(arg), base);
+};
+
+export const subtract = (input, args = []) => {
+    return args.reduce((total, arg) => total - toNumber(arg), toNumber(input));
+};
+
+export const multiply = (input, args = []) => {
+    const base = Array.isArray(input) ? input.reduce((a, b) => a * toNumber(b), 1) : toNumber(input);
+    return args.reduce((total, arg) => total * toNumber(arg), base);
+};
+
+export const divide = (input, args = []) => {
+    return args.reduce((total, arg) => {
+        const divisor = toNumber(arg);
+        if (divisor === 0) throw new Error('Division by zero');
+        return total / divisor;
+    }, toNumber(input));
+};
+
+// ==================== MATH ====================
+
+export const sin = (input) => {
+    const num = Number(input);
+    return isNaN(num) ? 0 : Math.sin(num);
+};
+
+export const cos = (input) => {
+    const num = Number(input);
+    return isNaN(num) ? 1 : Math.cos(num);
+};
+
+export const tan = (input) => {
+    const num = Number(input);
+    return isNaN(num) ? 0 : Math.tan(num);
+};
+
+export const log = (input) => {
+    const num = Number(input);
+    return isNaN(num) || num <= 0 ? 0 : Math.log(num);
+};
+
+export const exp = (input) => {
+    const num = Number(input);
+    return isNaN(num) ? 1 : Math.exp(num);
+};
+
+export const sqrt = (input) => {
+    const num = Number(input);
+    return isNaN(num) || num < 0 ? 0 : Math.sqrt(num);
+};
+
+export const pow = (input, [exponent] = []) => {
+    const base = Number(input);
+    const power = Number(exponent) || 1;
+    return isNaN(base) ? 0 : Math.pow(base, power);
+};
+
+export const random = (input) => {
+    const max = Number(input) || 1;
+    return Math.random() * max;
+};
+
+export const max = (input) => {
+    if (Array.isArray(input) && input.length > 0) {
+        const numbers = numbersOf(input);
+        return numbers.length > 0 ? Math.max(...numbers) : 0;
+    }
+    return toNumber(input);
+};
+
+export const min = (input) => {
+    if (Array.isArray(input) && input.length > 0) {
+        const numbers = numbersOf(input);
+        return numbers.length > 0 ? Math.min(...numbers) : 0;
+    }
+    return toNumber(input);
+};
+
+export const mean = (input) => {
+    if (Array.isArray(input) && input.length > 0) {
+        const numbers = numbersOf(input);
+        return numbers.length > 0 ? numbers.reduce((a, b) => a + b, 0) / numbers.length : 0;
+    }
+    return toNumber(input);
+};
+
+export const sum = (input) => {
+    if (Array.isArray(input)) return numbersOf(input).reduce((a, b) => a + b, 0);
+    return toNumber(input);
+};
+
+export const median = (input) => {
+    if (!Array.isArray(input) || input.length === 0) return 0;
+    const numbers = numbersOf(input);
+    if (numbers.length === 0) return 0;
+    const sorted = [...numbers].sort((a, b) => a - b);
+    const mid = Math.floor(sorted.length / 2);
+    return sorted.length % 2 !== 0 ? sorted[mid] : (sorted[mid - 1] + sorted[mid]) / 2;
+};
+
+export const floor = (input) => {
+    const num = Number(input);
+    return isNaN(num) ? 0 : Math.floor(num);
+};
+
+export const ceil = (input) => {
+    const num = Number(input);
+    return isNaN(num) ? 0 : Math.ceil(num);
+};
+
+export const round = (input) => {
+    const num = Number(input);
+    return isNaN(num) ? 0 : Math.round(num);
+};
+
+export const abs = (input) => {
+    const num = Number(input);
+    return isNaN(num) ? 0 : Math.abs(num);
+};
+
+export const MATH_OPERATORS = {
+    sin,
+    cos,
+    tan,
+    log,
+    exp,
+    sqrt,
+    pow,
+    random,
+    max,
+    min,
+    mean,
+    sum,
+    median,
+    floor,
+    ceil,
+    round,
+    abs,
+    add,
+    subtract,
+    multiply,
+    divide
+};
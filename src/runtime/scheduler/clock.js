@@ -0,0 +1,175 @@
+// FILENAME: src/runtime/scheduler/clock.js
+// Fluxus Clocks - the time source behind live sources and temporal operators
+
+/**
+ * The engine reads time and schedules timers through `engine.clock`, so a
+ * program can run on wall time (SystemClock, the default) or on a
+ * VirtualClock that tests advance by hand or let run as fast as possible.
+ *
+ * Both clocks expose now(), setTimeout/clearTimeout, setInterval/clearInterval
+ * and sleep(ms).
+ */
+export class SystemClock {
+    constructor() {
+        this.virtual = false;
+    }
+
+    now() {
+        return Date.now();
+    }
+
+    setTimeout(callback, ms) {
+        return setTimeout(callback, ms);
+    }
+
+    clearTimeout(timer) {
+        clearTimeout(timer);
+    }
+
+    setInterval(callback, ms) {
+        return setInterval(callback, ms);
+    }
+
+    clearInterval(timer) {
+        clearInterval(timer);
+    }
+
+    sleep(ms) {
+        return new Promise(resolve => setTimeout(resolve, ms));
+    }
+}
+
+/**
+ * Virtual time: timers fire only when the clock is advanced, in due-time
+ * order (ties in scheduling order), and now() jumps to each timer's due time.
+ * The pending promise work of a callback settles before the next timer fires,
+ * so a pipeline started by one timer runs up to its next wait first.
+ *
+ * With `autoAdvance` the clock advances itself whenever the process is idle:
+ * a program on virtual time runs to completion without waiting, while
+ * every timestamp it observes stays exact.
+ */
+export class VirtualClock {
+    constructor(options = {}) {
+        this.virtual = true;
+        this.time = options.startTime ?? 0;
+        this.autoAdvance = options.autoAdvance || false;
+        // setImmediate turns without new work that count as idle
+        this.idleTurns = options.idleTurns ?? 3;
+        this.timers = [];
+        this.nextId = 1;
+        this.sequence = 0;
+        this.driving = false;
+    }
+
+    now() {
+        return this.time;
+    }
+
+    setTimeout(callback, ms = 0) {
+        return this.schedule(callback, ms, null);
+    }
+
+    clearTimeout(timer) {
+        this.timers = this.timers.filter(entry => entry.id !== timer);
+    }
+
+    setInterval(callback, ms = 0) {
+        return this.schedule(callback, ms, Math.max(1, Number(ms) || 0));
+    }
+
+    clearInterval(timer) {
+        this.clearTimeout(timer);
+    }
+
+    sleep(ms) {
+        return new Promise(resolve => this.setTimeout(resolve, ms));
+    }
+
+    get pending() {
+        return this.timers.length;
+    }
+
+    schedule(callback, ms, period, id = this.nextId++) {
+        const delay = Math.max(0, Number(ms) || 0);
+        this.insert({ id, callback, due: this.time + delay, period });
+        this.drive();
+        return id;
+    }
+
+    insert(entry) {
+        entry.sequence = this.sequence++;
+        const index = this.timers.findIndex(timer => timer.due > entry.due);
+        if (index === -1) this.timers.push(entry);
+        else this.timers.splice(index, 0, entry);
+    }
+
+    /**
+     * Fire every timer due within `ms` from now, then leave the clock at now + ms.
+     */
+    async advanceBy(ms) {
+        await this.advanceTo(this.time + Math.max(0, Number(ms) || 0));
+    }
+
+    async advanceTo(target) {
+        await this.settle();
+        while (this.timers.length > 0 && this.timers[0].due <= target) {
+            this.fireNext();
+            await this.settle();
+        }
+        this.time = Math.max(this.time, target);
+    }
+
+    /**
+     * Fire timers until none are left. Intervals never run out, so `limit`
+     * bounds the number of firings.
+     */
+    async runAll(limit = 100000) {
+        await this.settle();
+        let fired = 0;
+        while (this.timers.length > 0) {
+            if (++fired > limit) {
+                throw new Error(`VirtualClock.runAll: still ${this.timers.length} timers after ${limit} firings`);
+            }
+            this.fireNext();
+            await this.settle();
+        }
+    }
+
+    fireNext() {
+        const entry = this.timers.shift();
+        this.time = Math.max(this.time, entry.due);
+        if (entry.period !== null) {
+            this.insert({ ...entry, due: this.time + entry.period });
+        }
+        entry.callback();
+    }
+
+    // Let promise chains and setImmediate callbacks started so far run out
+    async settle() {
+        for (let turn = 0; turn < this.idleTurns; turn++) {
+            await new Promise(resolve => setImmediate(resolve));
+        }
+    }
+
+    drive() {
+        if (!this.autoAdvance || this.driving) return;
+        this.driving = true;
+
+        (async () => {
+            try {
+                await this.settle();
+                while (this.timers.length > 0) {
+                    this.fireNext();
+                    await this.settle();
+                }
+            } finally {
+                this.driving = false;
+            }
+        })();
+    }
+}
+
+export const systemClock = new SystemClock();
+
+export default { SystemClock, VirtualClock, systemClock };
@@ -0,0 +1,105 @@
+// FILENAME: src/runtime/scheduler/temporal-operators.js
+// Fluxus Temporal Operators - delay, debounce, throttle, sample, audit, timeout on engine.clock
+
+/**
+ * Stateful time operators for live streams. State is kept per pipeline stage
+ * (the operator node), timing comes from `engine.clock`, so the same pipeline
+ * behaves identically on wall time and on a VirtualClock.
+ *
+ *   | delay(ms)      every value, ms later
+ *   | debounce(ms)   the last value of a burst, once ms passed without a new one
+ *   | throttle(ms)   the first value, then nothing for ms
+ *   | sample(ms)     the latest value at every ms tick (ticks without new values emit nothing)
+ *   | audit(ms)      the latest value ms after the first value of a window
+ *   | timeout(ms)    fails a value arriving more than ms after the previous one
+ *                  (the first value starts the timer)
+ *
+ * Operators that wait hand their emission's ordering slot back to the live
+ * source (`liveSources.detach()`), so later emissions keep flowing meanwhile.
+ * Suppressed values resolve to `filtered`, which stops their pipeline.
+ */
+export function createTemporalOperators(engine, filtered) {
+    const states = new Map();
+    const origin = engine.clock.now();
+
+    const clock = () => engine.clock;
+    const stateFor = (context, initial) => {
+        const key = context?.streamId ?? context?.operator;
+        if (!states.has(key)) states.set(key, initial());
+        return states.get(key);
+    };
+    const duration = (args) => Math.max(0, Number(args?.[0] ?? 1000) || 0);
+    const detach = () => engine.liveSources.detach();
+
+    // Keep only the newest value of a stage; the first one starts the timer that releases it
+    const holdLatest = (context, input, delayAt) => {
+        const state = stateFor(context, () => ({ timer: null, resolve: null }));
+        detach();
+        if (state.resolve) state.resolve(filtered);
+        return new Promise(resolve => {
+            state.resolve = resolve;
+            if (state.timer !== null) return;
+
+            state.timer = clock().setTimeout(() => {
+                const latest = state.resolve;
+                state.timer = null;
+                state.resolve = null;
+                latest(true);
+            }, delayAt(clock().now()));
+        }).then(outcome => outcome === filtered ? filtered : input);
+    };
+
+    return {
+        delay: async (input, args) => {
+            detach();
+            await clock().sleep(duration(args));
+            return input;
+        },
+
+        debounce: (input, args, context) => {
+            const state = stateFor(context, () => ({ timer: null, resolve: null }));
+            detach();
+            if (state.timer !== null) {
+                clock().clearTimeout(state.timer);
+                state.resolve(filtered);
+            }
+            return new Promise(resolve => {
+                state.resolve = resolve;
+                state.timer = clock().setTimeout(() => {
+                    state.timer = null;
+                    resolve(input);
+                }, duration(args));
+            });
+        },
+
+        throttle: (input, args, context) => {
+            const state = stateFor(context, () => ({ until: -Infinity }));
+            const now = clock().now();
+            if (now < state.until) return filtered;
+            state.until = now + duration(args);
+            return input;
+        },
+
+        sample: (input, args, context) => {
+            const period = Math.max(1, duration(args));
+            return holdLatest(context, input, now => origin + (Math.floor((now - origin) / period) + 1) * period - now);
+        },
+
+        audit: (input, args, context) => holdLatest(context, input, () => duration(args)),
+
+        timeout: (input, args, context) => {
+            const state = stateFor(context, () => ({ last: null }));
+            const now = clock().now();
+            const gap = state.last === null ? 0 : now - state.last;
+            state.last = now;
+            if (gap > duration(args)) {
+                throw new Error(`timeout: no value for ${gap}ms (limit ${duration(args)}ms)`);
+            }
+            return input;
+        }
+    };
+}
+
+export const TEMPORAL_OPERATORS = ['delay', 'debounce', 'throttle', 'sample', 'audit', 'timeout'];
+
+export default createTemporalOperators;
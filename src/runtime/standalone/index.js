@@ -0,0 +1,5 @@
+// FILENAME: src/runtime/standalone/index.js
+// Fluxus Standalone Runtime - everything a module built by `fluxus build` imports
+
+export { Program, ProgramError, Param, param, FILTERED } from './program.js';
+export * from './operators.js';
@@ -0,0 +1,92 @@
+// FILENAME: src/runtime/standalone/operators.js
+// Fluxus Standalone Operators - the operators a built program can import
+
+/**
+ * Operator implementations for modules generated by `fluxus build`. They
+ * behave like the engine's core, math and time operators, with the same
+ * `(input, args, context)` signature, so a built program prints what
+ * `fluxus run` prints. A generated module imports only the ones it uses.
+ *
+ * Domain, package and library operators are not here: `fluxus build`
+ * reports them as unsupported instead of emitting a module that fails.
+ * Arithmetic and math are the engine's own (`../math/math-operators.js`).
+ */
+
+const isObject = (value) => typeof value === 'object' && value !== null && !Array.isArray(value);
+
+// ==================== ARITHMETIC & MATH ====================
+
+export {
+    add, subtract, multiply, divide,
+    sin, cos, tan, log, exp, sqrt, pow, random,
+    max, min, mean, sum, median, floor, ceil, round, abs
+} from '../math/math-operators.js';
+
+// ==================== TYPES ====================
+
+export const is_string = (input) => typeof input === 'string';
+export const is_number = (input) => typeof input === 'number' && !isNaN(input);
+export const is_boolean = (input) => typeof input === 'boolean';
+export const is_array = (input) => Array.isArray(input);
+export const is_object = (input) => isObject(input);
+export const is_function = (input) => typeof input === 'function';
+export const is_null = (input) => input === null;
+
+export const type_of = (input) => {
+    if (input === null) return 'null';
+    if (input === undefined) return 'undefined';
+    if (Array.isArray(input)) return 'array';
+    return typeof input;
+};
+
+export const to_string = (input) => String(input);
+export const to_number = (input) => Number(input);
+export const to_boolean = (input) => Boolean(input);
+export const to_array = (input) => Array.isArray(input) ? input : [input];
+
+// ==================== COLLECTIONS ====================
+
+export const length = (input) => {
+    if (Array.isArray(input) || typeof input === 'string') return input.length;
+    if (isObject(input)) return Object.keys(input).length;
+    return 0;
+};
+
+export const keys = (input) => isObject(input) ? Object.keys(input) : [];
+export const values = (input) => isObject(input) ? Object.values(input) : [];
+export const entries = (input) => isObject(input) ? Object.entries(input) : [];
+
+export const has_key = (input, [key] = []) => isObject(input) && key ? key in input : false;
+
+export const get = (input, [key, defaultValue] = []) => {
+    if (isObject(input) && key) {
+        return input[key] !== undefined ? input[key] : defaultValue;
+    }
+    return defaultValue;
+};
+
+// ==================== UTILITIES ====================
+
+export const identity = (input) => input;
+
+export const constant = (input, args = []) => args[0];
+
+export const print = (input, args = []) => {
+    const message = args.length > 0 ? args[0] : input;
+    console.log('📝', message);
+    return message;
+};
+
+export const throw_error = (input, args = []) => {
+    throw new Error(args[0] || 'Error thrown by operator');
+};
+
+// ==================== TIME ====================
+
+// Time operators keep per-stage state on the program that runs them
+export const delay = (input, args, context) => context.program.temporal.delay(input, args, context);
+export const debounce = (input, args, context) => context.program.temporal.debounce(input, args, context);
+export const throttle = (input, args, context) => context.program.temporal.throttle(input, args, context);
+export const sample = (input, args, context) => context.program.temporal.sample(input, args, context);
+export const audit = (input, args, context) => context.program.temporal.audit(input, args, context);
+export const timeout = (input, args, context) => context.program.temporal.timeout(input, args, context);
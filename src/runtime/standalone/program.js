@@ -0,0 +1,378 @@
+// FILENAME: src/runtime/standalone/program.js
+// Fluxus Standalone Program - runs the modules generated by `fluxus build`
+
+import { EventEmitter } from 'events';
+import { LiveSourceRuntime } from '../streams/live-sources.js';
+import { systemClock } from '../scheduler/clock.js';
+import { createTemporalOperators } from '../scheduler/temporal-operators.js';
+
+// Returned by a scalar filter (or a suppressing time operator) to stop the emission
+export const FILTERED = Symbol('fluxus.filtered');
+
+/**
+ * A FUNC parameter used as an operator argument, `| divide(max)`.
+ * Resolved against the bindings of the FUNC call that runs the stage.
+ */
+export class Param {
+    constructor(name) {
+        this.name = name;
+    }
+}
+
+export const param = (name) => new Param(name);
+
+/**
+ * A runtime error with the source location of the stage that failed.
+ */
+export class ProgramError extends Error {
+    constructor(message, stage = {}, cause = null) {
+        super(message);
+        this.name = 'RuntimeError';
+        this.line = stage.line ?? null;
+        this.column = stage.column ?? null;
+        this.operator = stageName(stage);
+        this.cause = cause;
+    }
+}
+
+/**
+ * A program is its pools, FUNCs and pipelines, declared by the generated
+ * module before `run()`. Pipelines are lists of stages, already resolved
+ * by `fluxus build`; lenses arrive compiled to functions:
+ *
+ *   { op, args }                          operator call
+ *   { call, args }                        FUNC call
+ *   { lens: 'map'|'filter'|'reduce', fn } lens, reduce `seeded` by its first item
+ *   { write: pool }                       to_pool
+ *   { branch: 'split'|'switch', fn, flows: { label: stages }, merge }
+ *
+ * Every stage carries its `line` and `column`; `terminal` ends the pipeline
+ * after the stage. Scheduling follows the engine: finite streams start
+ * first, then live sources, then pool subscriptions with the current value,
+ * and run() settles once every live source completed.
+ */
+export class Program extends EventEmitter {
+    constructor(options = {}) {
+        super();
+        this.name = options.name || 'program';
+        this.operators = options.operators || {};
+        this.clock = options.clock || systemClock;
+        this.config = {
+            quietMode: false,
+            maxCallDepth: options.maxCallDepth ?? 64
+        };
+
+        this.pools = new Map();
+        this.functions = new Map();
+        this.streams = [];
+        this.liveStreams = [];
+        this.subscriptions = [];
+        this.metrics = { errors: 0 };
+        // Read by the live source runtime when it reports activations
+        this.domainStreams = new Map();
+
+        this.liveSources = new LiveSourceRuntime(this);
+        // Literal live sources (`~? "text"`), resolved by the build
+        this.liveSources.registerSource('value', (args, source) => {
+            source.emit(args[0]);
+            source.complete();
+        }, { description: 'Emit one value, then complete' });
+        this.temporal = createTemporalOperators(this, FILTERED);
+    }
+
+    // ========== DECLARATIONS ==========
+
+    pool(name, initial) {
+        this.pools.set(name, { value: initial, subscriptions: new Set() });
+        return this;
+    }
+
+    func(name, parameters, stages) {
+        this.functions.set(name, { name, parameters, stages });
+        return this;
+    }
+
+    // `~ value | stages`
+    stream(value, stages, location = {}) {
+        this.streams.push({ value, stages, ...location });
+        return this;
+    }
+
+    // `~? source(args) | stages`
+    live(source, stages, location = {}) {
+        this.liveStreams.push({ id: `live_${this.liveStreams.length + 1}`, source, stages, ...location });
+        return this;
+    }
+
+    // `pool -> | stages`
+    subscribe(poolName, stages, location = {}) {
+        this.subscriptions.push({ pool: poolName, stages, ...location });
+        return this;
+    }
+
+    // ========== EXECUTION ==========
+
+    async run() {
+        const finite = this.streams.map(stream => this.runPipeline(stream.stages, stream.value).catch(error => {
+            this.metrics.errors++;
+            this.reportRuntimeError(error, 'Finite stream execution failed');
+        }));
+
+        for (const node of this.liveStreams) {
+            await this.liveSources.activateNode(node);
+        }
+
+        const initialRuns = this.subscriptions.map(subscription => this.startSubscription(subscription));
+
+        await Promise.all([...finite, ...initialRuns]);
+        await this.liveSources.whenComplete();
+        this.liveSources.stopAll();
+
+        if (this.metrics.errors > 0) process.exitCode = 1;
+        return { errors: this.metrics.errors };
+    }
+
+    startSubscription({ pool: poolName, stages }) {
+        const pool = this.pools.get(poolName);
+        if (!pool) return null;
+
+        const subscriber = async (state) => {
+            try {
+                await this.runPipeline(stages, state.value);
+            } catch (error) {
+                this.metrics.errors++;
+                this.reportRuntimeError(error, `Subscription to pool '${poolName}' failed`);
+            }
+        };
+
+        pool.subscriptions.add(subscriber);
+        return subscriber(pool);
+    }
+
+    updatePool(poolName, value) {
+        const pool = this.pools.get(poolName);
+        if (!pool) return Promise.resolve([]);
+
+        pool.value = value;
+        const runs = [...pool.subscriptions].map(subscriber => subscriber({ value, pool: poolName }));
+        return Promise.all(runs);
+    }
+
+    // Called by the live source runtime for every emission
+    processLiveEmission(node, value) {
+        return this.runPipeline(node.stages, value);
+    }
+
+    async runPipeline(stages, input, scope = null) {
+        const run = { stopped: false };
+        const value = await this.runStages(stages, input, scope, run);
+        // FUNC bodies hand a filtered emission back so the caller stops as well
+        return value === FILTERED && !scope ? undefined : value;
+    }
+
+    async runStages(stages, value, scope, run) {
+        for (const stage of stages) {
+            value = await this.runStage(stage, value, scope, run);
+            if (stage.terminal) run.stopped = true;
+            if (value === FILTERED || run.stopped) break;
+        }
+        return value;
+    }
+
+    async runStage(stage, input, scope, run) {
+        try {
+            if ('op' in stage) {
+                return await this.callOperator(stage.op, input, this.resolveArguments(stage.args, scope), stage);
+            }
+            if ('call' in stage) {
+                return await this.callFunction(stage.call, input, this.resolveArguments(stage.args, scope), scope, stage);
+            }
+            if ('lens' in stage) {
+                return await this.applyLens(stage, input, scope);
+            }
+            if ('write' in stage) {
+                this.updatePool(stage.write, input);
+                return input;
+            }
+            if ('branch' in stage) {
+                const selector = await this.evaluate(stage.fn, input, scope);
+                const label = stage.branch === 'split' ? String(Boolean(selector)) : String(selector);
+                const flow = stage.flows[label] ?? stage.flows['*'];
+                return flow ? await this.runStages(flow, input, scope, run) : input;
+            }
+            return input;
+        } catch (error) {
+            if (!(error instanceof ProgramError)) throw new ProgramError(error.message, stage, error);
+            // FUNCs called from a lens fail at the lens stage
+            if (error.line === null) Object.assign(error, { line: stage.line, column: stage.column, operator: stageName(stage) });
+            throw error;
+        }
+    }
+
+    resolveArguments(args = [], scope) {
+        return args.map(arg => {
+            if (!(arg instanceof Param)) return arg;
+            return scope && Object.hasOwn(scope.bindings, arg.name) ? scope.bindings[arg.name] : arg.name;
+        });
+    }
+
+    async callOperator(name, input, args, stage = null) {
+        const operator = this.operators[name];
+        if (!operator) throw new Error(`Unknown operator: ${name}`);
+        // Stateful operators (debounce, throttle, ...) keep their state per stage
+        return await operator(input, args, { program: this, operator: name, streamId: stage ?? undefined });
+    }
+
+    /**
+     * Run a FUNC body with its parameters bound to the call arguments.
+     * Errors surface once, at the outermost call, with the caller's line.
+     */
+    async callFunction(name, input, args, callerScope = null, stage = {}) {
+        const definition = this.functions.get(name);
+        const depth = callerScope ? callerScope.depth + 1 : 0;
+        const scope = { function: name, bindings: {}, depth };
+
+        try {
+            if (depth >= this.config.maxCallDepth) {
+                throw new Error(`Maximum FUNC call depth of ${this.config.maxCallDepth} exceeded`);
+            }
+            if (args.length !== definition.parameters.length) {
+                throw new Error(`FUNC '${name}' expects ${definition.parameters.length} argument(s), got ${args.length}`);
+            }
+            definition.parameters.forEach((parameter, index) => {
+                scope.bindings[parameter] = args[index];
+            });
+            return await this.runPipeline(definition.stages, input, scope);
+        } catch (error) {
+            if (callerScope) throw error;
+
+            const message = `Error in FUNC '${name}' called at line ${stage.line}: ${error.message}`;
+            if (error instanceof ProgramError) {
+                error.message = message;
+                throw error;
+            }
+            throw new ProgramError(message, stage, error);
+        }
+    }
+
+    // Operator calls inside lenses: FUNCs first, like pipeline stages
+    async callByName(name, input, args, scope = null) {
+        if (this.functions.has(name)) {
+            return await this.callFunction(name, input, args, scope, { line: null });
+        }
+        return await this.callOperator(name, input, args);
+    }
+
+    /**
+     * map/filter/reduce apply their lens per item on arrays and to the value
+     * itself otherwise; a failing scalar filter stops the emission.
+     */
+    async applyLens(stage, input, scope) {
+        switch (stage.lens) {
+            case 'map':
+                if (Array.isArray(input)) {
+                    const mapped = [];
+                    for (const item of input) mapped.push(await this.evaluate(stage.fn, item, scope));
+                    return mapped;
+                }
+                return await this.evaluate(stage.fn, input, scope);
+            case 'filter':
+                if (Array.isArray(input)) {
+                    const kept = [];
+                    for (const item of input) {
+                        if (await this.evaluate(stage.fn, item, scope)) kept.push(item);
+                    }
+                    return kept;
+                }
+                return await this.evaluate(stage.fn, input, scope) ? input : FILTERED;
+            case 'reduce': {
+                if (!Array.isArray(input)) return input;
+                let acc = stage.seeded ? input[0] : 0;
+                for (let index = stage.seeded ? 1 : 0; index < input.length; index++) {
+                    const item = input[index];
+                    acc = await this.evaluate(stage.fn, { acc, item, index }, scope, [acc, item, index]);
+                }
+                return acc;
+            }
+            default:
+                return input;
+        }
+    }
+
+    evaluate(fn, input, scope, lambdaArguments = null) {
+        return fn(input, new LensScope(this, scope, lambdaArguments));
+    }
+
+    reportRuntimeError(error, context) {
+        const location = error.line ? `\n   at ${this.name}:${error.line}:${error.column}` : '';
+        console.error(`❌ ${context}: ${error.message}${location}`);
+    }
+}
+
+/**
+ * What a compiled lens sees as `$`: its bindings (FUNC parameters and
+ * lambda parameters), operator calls, and the path rules of the lens
+ * evaluator, so `{ .value > 40 }` reads raw numbers and wrapped events alike.
+ */
+class LensScope {
+    constructor(program, scope, lambdaArguments, bindings = scope?.bindings || {}) {
+        this.program = program;
+        this.scope = scope;
+        this.lambdaArguments = lambdaArguments;
+        this.bindings = bindings;
+    }
+
+    // `{ acc, x -> ... }` takes reduce's positional arguments, `{ x -> ... }` the input
+    bind(parameters, input) {
+        const positional = parameters.length > 1 && this.lambdaArguments ? this.lambdaArguments : [input];
+        const bindings = { ...this.bindings };
+        parameters.forEach((parameter, index) => {
+            bindings[parameter] = positional[index];
+        });
+        return new LensScope(this.program, this.scope, this.lambdaArguments, bindings);
+    }
+
+    name(name) {
+        if (Object.hasOwn(this.bindings, name)) return this.bindings[name];
+        throw new Error(`Unknown name '${name}' in lens`);
+    }
+
+    call(name, input, args) {
+        return this.program.callByName(name, input, args, this.scope);
+    }
+
+    path(input, path) {
+        let current = input;
+        for (let i = 0; i < path.length; i++) {
+            const key = path[i];
+            if (i === 0 && key === 'value' && (current === null || typeof current !== 'object' || !('value' in current))) {
+                continue;
+            }
+            if (current == null) return undefined;
+            current = current[key];
+        }
+        return current;
+    }
+
+    member(target, key) {
+        return target == null ? undefined : target[key];
+    }
+
+    async pipe(value, stages) {
+        for (const stage of stages) {
+            value = await stage(value);
+        }
+        return value;
+    }
+}
+
+function stageName(stage) {
+    if (stage.op) return stage.op;
+    if (stage.call) return stage.call;
+    if (stage.lens) return stage.lens;
+    if (stage.branch) return stage.branch;
+    if (stage.write) return 'to_pool';
+    return null;
+}
+
+export default Program;
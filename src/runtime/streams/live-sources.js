@@ -0,0 +1,477 @@
+// FILENAME: src/runtime/streams/live-sources.js
+// Fluxus Live Source Runtime - drives `~?` streams through their pipelines
+
+import { AsyncLocalStorage } from 'async_hooks';
+import { parseMarble } from './marbles.js';
+
+/**
+ * Every `~? source(args)` node is resolved to an emitter. Each emission runs
+ * the downstream pipeline through the engine; emissions of one source are
+ * processed in order, up to the first stage that waits on time (see detach).
+ * The runtime settles once every live source completed and its emissions ran.
+ *
+ * A source factory has the signature `(args, source) => stop | void` where
+ * `source` exposes `emit(value)`, `complete()`, `fail(error)` and `engine`.
+ */
+export class LiveSourceRuntime {
+    constructor(engine) {
+        this.engine = engine;
+        this.factories = new Map();
+        this.sources = new Map();
+        this.draining = false;
+        this.settleWaiters = [];
+        this.emissions = new AsyncLocalStorage();
+
+        this.registerBuiltinSources();
+    }
+
+    registerBuiltinSources() {
+        this.registerSource('interval', (args, source) => {
+            const periodMs = Math.max(0, Number(args[0]) || 1000);
+            const count = args.length > 1 ? Number(args[1]) : Infinity;
+            const clock = this.engine.clock;
+            let tick = 0;
+
+            const timer = clock.setInterval(() => {
+                source.emit(tick++);
+                if (tick >= count) source.complete();
+            }, periodMs);
+
+            return () => clock.clearInterval(timer);
+        }, { description: 'Emit an increasing counter every N milliseconds' });
+
+        this.registerSource('timer', (args, source) => {
+            const delayMs = Math.max(0, Number(args[0]) || 0);
+            const periodMs = args.length > 1 ? Number(args[1]) : null;
+            const clock = this.engine.clock;
+            let tick = 0;
+            let periodic = null;
+
+            const timeout = clock.setTimeout(() => {
+                source.emit(tick++);
+                if (!periodMs) {
+                    source.complete();
+                    return;
+                }
+                periodic = clock.setInterval(() => source.emit(tick++), periodMs);
+            }, delayMs);
+
+            return () => {
+                clock.clearTimeout(timeout);
+                if (periodic) clock.clearInterval(periodic);
+            };
+        }, { description: 'Emit once after a delay, then optionally every period' });
+
+        this.registerSource('marble', (args, source) => {
+            const clock = this.engine.clock;
+            const events = parseMarble(args[0] ?? '', args[1] ?? null);
+
+            const timers = events.map(event => clock.setTimeout(() => {
+                if (event.kind === 'next') source.emit(event.value);
+                else if (event.kind === 'complete') source.complete();
+                else source.fail(new Error(`marble error: ${event.value}`));
+            }, event.time));
+
+            return () => timers.forEach(timer => clock.clearTimeout(timer));
+        }, { description: 'Emit the values of a marble diagram ("-a--b-|") at their frames, 1ms each' });
+
+        this.registerSource('pool', (args, source) => {
+            return this.subscribeToPools([String(args[0])], source, values => values[0]);
+        }, { description: 'Emit the new value of a tidal pool on every update', dependent: true });
+
+        this.registerSource('combine_latest', (args, source) => {
+            return this.subscribeToPools(args.map(String), source, values => values);
+        }, { description: 'Emit the latest values of several pools whenever one changes', dependent: true });
+    }
+
+    /**
+     * Register a live source factory. Dependent sources (pool listeners) only
+     * react to other sources, so they complete once no independent source is left.
+     */
+    registerSource(name, factory, metadata = {}) {
+        this.factories.set(name, {
+            name,
+            factory,
+            metadata: {
+                description: metadata.description || '',
+                dependent: metadata.dependent || false,
+                ...metadata
+            }
+        });
+        return this;
+    }
+
+    hasSource(name) {
+        return this.factories.has(name);
+    }
+
+    subscribeToPools(poolNames, source, project) {
+        const pools = poolNames.map(name => {
+            const pool = this.engine.pools.get(name);
+            if (!pool) throw new Error(`Unknown tidal pool: ${name}`);
+            return pool;
+        });
+
+        const subscriber = () => source.emit(project(pools.map(pool => pool.value)));
+        pools.forEach(pool => pool.subscriptions.add(subscriber));
+
+        return () => pools.forEach(pool => pool.subscriptions.delete(subscriber));
+    }
+
+    /**
+     * Start every live source node of the program.
+     */
+    async activate(streamNodes) {
+        const activated = [];
+        for (const node of streamNodes) {
+            const source = await this.activateNode(node);
+            if (source) activated.push(source);
+        }
+        return activated;
+    }
+
+    // Built programs (`fluxus build`) carry their source already parsed as node.source
+    async activateNode(node) {
+        const { name, args } = node.source || this.parseSourceExpression(node.value ?? node.name);
+        const definition = await this.resolveSource(name, args);
+
+        const source = {
+            id: node.id,
+            node,
+            name,
+            args,
+            dependent: definition.metadata.dependent,
+            active: true,
+            emitted: 0,
+            queue: Promise.resolve(),
+            inflight: new Set(),
+            stop: null
+        };
+        this.sources.set(node.id, source);
+
+        const handle = {
+            engine: this.engine,
+            node,
+            emit: (value) => this.enqueueEmission(source, value),
+            complete: () => this.completeSource(source),
+            fail: (error) => this.failSource(source, error)
+        };
+
+        try {
+            const stop = await definition.factory(args, handle);
+            source.stop = typeof stop === 'function' ? stop : null;
+        } catch (error) {
+            this.failSource(source, error);
+            return null;
+        }
+
+        if (!source.active && source.stop) {
+            source.stop();
+        }
+
+        this.engine.emit('stream:activated', {
+            streamId: node.id,
+            type: 'live',
+            source: name,
+            domain: this.engine.domainStreams.get(node.id) || 'core',
+            timestamp: Date.now()
+        });
+
+        return source;
+    }
+
+    /**
+     * Resolution order: registered sources, pool names, package operators,
+     * then literal values which emit once.
+     */
+    async resolveSource(name, args) {
+        if (this.factories.has(name)) {
+            return this.factories.get(name);
+        }
+
+        if (this.engine.pools.has(name) && args.length === 0) {
+            return {
+                factory: (_, source) => this.subscribeToPools([name], source, values => values[0]),
+                metadata: { dependent: true }
+            };
+        }
+
+        const packageOperator = await this.resolvePackageOperator(name);
+        if (packageOperator) {
+            return {
+                factory: (sourceArgs, source) => this.adaptOperatorSource(packageOperator, sourceArgs, source),
+                metadata: { dependent: false, package: true }
+            };
+        }
+
+        if (!/^[A-Za-z_][\w-]*$/.test(name)) {
+            const value = this.engine.parseLiteralValue(name);
+            return {
+                factory: (_, source) => {
+                    source.emit(value);
+                    source.complete();
+                },
+                metadata: { dependent: false, literal: true }
+            };
+        }
+
+        throw new Error(`Unknown live source: ${name}`);
+    }
+
+    async resolvePackageOperator(name) {
+        try {
+            const definition = await this.engine.packageManager.getOperator(name);
+            if (!definition) return null;
+            return typeof definition === 'function' ? definition : definition.implementation;
+        } catch (error) {
+            return null;
+        }
+    }
+
+    /**
+     * Package operators may return an async iterable, an object with
+     * `subscribe`, a promise or a plain value. Sandboxed package code always
+     * answers with a promise, which may resolve to a stream.
+     */
+    adaptOperatorSource(implementation, args, source) {
+        const produced = implementation(undefined, args, { engine: this.engine, isLiveSource: true });
+
+        if (produced && typeof produced.then === 'function') {
+            let stopped = false;
+            let stop = null;
+            produced.then(
+                value => {
+                    if (!stopped) stop = this.adaptProduced(value, source);
+                    else if (typeof value?.stop === 'function') value.stop();
+                },
+                error => source.fail(error)
+            );
+            return () => {
+                stopped = true;
+                if (stop) stop();
+            };
+        }
+
+        return this.adaptProduced(produced, source);
+    }
+
+    adaptProduced(produced, source) {
+        if (produced && typeof produced[Symbol.asyncIterator] === 'function') {
+            let stopped = false;
+            (async () => {
+                try {
+                    for await (const value of produced) {
+                        if (stopped) break;
+                        source.emit(value);
+                    }
+                    source.complete();
+                } catch (error) {
+                    source.fail(error);
+                }
+            })();
+            return () => {
+                stopped = true;
+                if (typeof produced.stop === 'function') produced.stop();
+            };
+        }
+
+        if (produced && typeof produced.subscribe === 'function') {
+            const subscription = produced.subscribe(
+                value => source.emit(value),
+                error => source.fail(error),
+                () => source.complete()
+            );
+            return () => {
+                if (typeof subscription === 'function') subscription();
+                else if (subscription && typeof subscription.unsubscribe === 'function') subscription.unsubscribe();
+            };
+        }
+
+        Promise.resolve(produced).then(
+            value => {
+                source.emit(value);
+                source.complete();
+            },
+            error => source.fail(error)
+        );
+        return null;
+    }
+
+    enqueueEmission(source, value) {
+        if (!source.active) return;
+
+        source.emitted++;
+        source.queue = source.queue.then(() => new Promise(release => {
+            const run = this.emissions.run({ release }, () => this.runEmission(source, value));
+            source.inflight.add(run);
+            run.then(() => {
+                source.inflight.delete(run);
+                release();
+            });
+        }));
+    }
+
+    /**
+     * Push a value into a running source from outside the program, e.g. the
+     * dashboard's REST API. Returns false when the source is not running.
+     */
+    inject(streamId, value) {
+        const source = this.sources.get(streamId);
+        if (!source?.active) return false;
+        this.enqueueEmission(source, value);
+        return true;
+    }
+
+    async runEmission(source, value) {
+        try {
+            await this.engine.processLiveEmission(source.node, value);
+        } catch (error) {
+            this.engine.metrics.errors++;
+            this.engine.emit('stream:failed', { streamId: source.id, type: 'live', error: error.message });
+            this.engine.reportRuntimeError(error, `Live stream '${source.name}' pipeline failed`);
+        }
+    }
+
+    /**
+     * Called by a stage that waits on time (delay, debounce, ...): the source's
+     * next emission may start while the current one waits, as it would in wall
+     * time. Outside a live emission this does nothing.
+     */
+    detach() {
+        this.emissions.getStore()?.release();
+    }
+
+    completeSource(source) {
+        if (!source.active) return;
+        source.active = false;
+        if (source.stop) source.stop();
+
+        this.engine.emit('stream:completed', {
+            streamId: source.id,
+            type: 'live',
+            emitted: source.emitted,
+            success: true
+        });
+
+        this.checkSettled();
+    }
+
+    failSource(source, error) {
+        if (!source.active) return;
+
+        this.engine.metrics.errors++;
+        this.engine.emit('stream:failed', { streamId: source.id, type: 'live', error: error.message });
+        if (!this.engine.config.quietMode) {
+            console.error(`❌ Live stream '${source.name}' failed: ${error.message}`);
+        }
+        this.completeSource(source);
+    }
+
+    get activeCount() {
+        let count = 0;
+        for (const source of this.sources.values()) {
+            if (source.active) count++;
+        }
+        return count;
+    }
+
+    /**
+     * Resolves once every live source completed and its pending emissions ran.
+     */
+    whenComplete() {
+        this.draining = true;
+        const settled = new Promise(resolve => this.settleWaiters.push(resolve));
+        this.checkSettled();
+        return settled;
+    }
+
+    checkSettled() {
+        if (!this.draining) return;
+
+        const active = [...this.sources.values()].filter(source => source.active);
+        if (active.length > 0 && active.every(source => source.dependent)) {
+            active.forEach(source => this.completeSource(source));
+            return;
+        }
+        if (active.length > 0) return;
+
+        this.drained().then(() => {
+            if (this.activeCount > 0) return;
+            const waiters = this.settleWaiters.splice(0);
+            waiters.forEach(resolve => resolve());
+        });
+    }
+
+    // Queued emissions, then detached ones still waiting on time
+    async drained() {
+        const sources = [...this.sources.values()];
+        await Promise.all(sources.map(source => source.queue));
+        while (sources.some(source => source.inflight.size > 0)) {
+            await Promise.all(sources.flatMap(source => [...source.inflight]));
+        }
+    }
+
+    stopAll() {
+        for (const source of this.sources.values()) {
+            if (source.active) {
+                source.active = false;
+                if (source.stop) source.stop();
+            }
+        }
+        this.draining = true;
+        this.checkSettled();
+    }
+
+    parseSourceExpression(expression) {
+        const text = String(expression).trim();
+        const call = text.match(/^([A-Za-z_][\w-]*)\s*\(([\s\S]*)\)$/);
+        if (!call) {
+            return { name: text, args: [] };
+        }
+        return {
+            name: call[1],
+            args: this.splitArguments(call[2]).map(arg => this.engine.parseLiteralValue(arg))
+        };
+    }
+
+    splitArguments(argString) {
+        const args = [];
+        let current = '';
+        let depth = 0;
+        let quote = null;
+
+        for (const char of argString) {
+            if (quote) {
+                if (char === quote) quote = null;
+            } else if (char === '"' || char === "'") {
+                quote = char;
+            } else if ('([{'.includes(char)) {
+                depth++;
+            } else if (')]}'.includes(char)) {
+                depth--;
+            } else if (char === ',' && depth === 0) {
+                if (current.trim()) args.push(current.trim());
+                current = '';
+                continue;
+            }
+            current += char;
+        }
+        if (current.trim()) args.push(current.trim());
+        return args;
+    }
+
+    getStats() {
+        const sources = {};
+        for (const source of this.sources.values()) {
+            sources[source.id] = {
+                name: source.name,
+                active: source.active,
+                dependent: source.dependent,
+                emitted: source.emitted
+            };
+        }
+        return { active: this.activeCount, total: this.sources.size, sources };
+    }
+}
+
+export default LiveSourceRuntime;
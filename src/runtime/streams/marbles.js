@@ -0,0 +1,121 @@
+// FILENAME: src/runtime/streams/marbles.js
+// Marble diagrams - text notation for timed emissions
+
+/**
+ * A marble diagram describes a stream over time, one frame (1ms) per
+ * character, the notation RxJS marble tests use:
+ *
+ *   -          one frame passes
+ *   a          emits values.a if given, else the character itself
+ *   (ab)       a and b in the same frame; the group then spans its width
+ *   |          completes
+ *   #          fails
+ *   20ms, 1s   time progression, written between spaces ("a 20ms b")
+ *
+ * Other spaces are ignored. parseMarble returns the events with their time
+ * in milliseconds from the start of the diagram.
+ */
+export function parseMarble(diagram, values = null, frame = 1) {
+    const text = String(diagram);
+    if (values !== null && typeof values !== 'object') {
+        throw new Error(`Marble "${text}": values must be an object such as { a: 1 }, got ${JSON.stringify(values)}`);
+    }
+    const events = [];
+    let time = 0;
+    let groupTime = null;
+
+    for (let index = 0; index < text.length; index++) {
+        const char = text[index];
+        const at = groupTime ?? time;
+
+        if (char === ' ') continue;
+
+        if (/\d/.test(char) && (index === 0 || text[index - 1] === ' ')) {
+            const progression = text.slice(index).match(/^(\d+(?:\.\d+)?)(ms|s|m)(?=\s|$)/);
+            if (progression) {
+                time += Number(progression[1]) * { ms: 1, s: 1000, m: 60000 }[progression[2]];
+                index += progression[0].length - 1;
+                continue;
+            }
+        }
+
+        switch (char) {
+            case '-':
+                break;
+            case '(':
+                if (groupTime !== null) throw new Error(`Marble "${text}": groups cannot be nested (column ${index + 1})`);
+                groupTime = time;
+                break;
+            case ')':
+                if (groupTime === null) throw new Error(`Marble "${text}": ')' without '(' (column ${index + 1})`);
+                groupTime = null;
+                break;
+            case '|':
+                events.push({ time: at, kind: 'complete' });
+                break;
+            case '#':
+                events.push({ time: at, kind: 'error', value: values && Object.hasOwn(values, '#') ? values['#'] : 'error' });
+                break;
+            case '^':
+            case '!':
+                throw new Error(`Marble "${text}": subscription markers ('${char}') are not supported`);
+            default:
+                events.push({ time: at, kind: 'next', value: values && Object.hasOwn(values, char) ? values[char] : char });
+        }
+        time += frame;
+    }
+
+    if (groupTime !== null) throw new Error(`Marble "${text}": unclosed '('`);
+    return events;
+}
+
+/**
+ * Draw events as a diagram, naming values by their key in `values` (or by
+ * themselves when they are single characters). Returns null when a value
+ * has no name or groups overlap, so callers can fall back to listEvents.
+ */
+export function renderMarble(events, values = null, equals = Object.is) {
+    const byTime = new Map();
+    for (const event of events) {
+        if (!byTime.has(event.time)) byTime.set(event.time, []);
+        byTime.get(event.time).push(event);
+    }
+
+    let diagram = '';
+    let position = 0;
+    for (const [time, group] of [...byTime].sort((a, b) => a[0] - b[0])) {
+        const symbols = group.map(event => marbleSymbol(event, values, equals));
+        if (symbols.includes(null) || time < position) return null;
+
+        const gap = time - position;
+        diagram += gap > 10 ? `${diagram ? ' ' : ''}${gap}ms ` : '-'.repeat(gap);
+        diagram += symbols.length > 1 ? `(${symbols.join('')})` : symbols[0];
+        position = time + (symbols.length > 1 ? symbols.length + 2 : 1);
+    }
+    return diagram;
+}
+
+// "a@1ms, 5@4ms": always readable, whatever the values are
+export function listEvents(events) {
+    if (events.length === 0) return 'no values';
+    return events.map(event => {
+        if (event.kind === 'complete') return `|@${event.time}ms`;
+        if (event.kind === 'error') return `#@${event.time}ms`;
+        return `${JSON.stringify(event.value) ?? 'undefined'}@${event.time}ms`;
+    }).join(', ');
+}
+
+function marbleSymbol(event, values, equals) {
+    if (event.kind === 'complete') return '|';
+    if (event.kind === 'error') return '#';
+    if (values) {
+        const key = Object.keys(values).find(name => equals(values[name], event.value));
+        if (key !== undefined && key.length === 1) return key;
+    }
+    if (typeof event.value === 'string' && event.value.length === 1 && !'-()|#^! '.includes(event.value) && !Object.hasOwn(values || {}, event.value)) {
+        return event.value;
+    }
+    return null;
+}
+
+export default { parseMarble, renderMarble, listEvents };
@@ -4,33 +4,86 @@
  * 
  * Runs all examples to verify the language is working correctly.
  * Useful for contributors and users to validate their installation.
+ *
+ *   node test-run.js                  examples and TEST blocks on the graph engine
+ *   node test-run.js --backend=ir     the same on the IR engine
+ *   node test-run.js --differential   every example on both engines, outputs compared
+ *   node test-run.js --differential --corpus=examples/optimizer -O0 -O1 -O2
+ *                                     the optimizer corpus, the IR engine at each level
+ *   node test-run.js --update-golden  rewrite the expected .fir files in examples/ir
  */
 
-import { readdirSync } from 'fs';
-import { join } from 'path';
-import { fileURLToPath } from 'url';
+import { readdirSync, readFileSync, writeFileSync, existsSync, mkdtempSync, rmSync } from 'fs';
+import { tmpdir } from 'os';
+import { EventEmitter } from 'events';
+import { join, basename } from 'path';
+import { fileURLToPath, pathToFileURL } from 'url';
 import { dirname } from 'path';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = dirname(__filename);
 
 // Import Fluxus components
-import { GraphParser } from './src/core/parser.js';
+import { createParser } from './src/frontend/index.js';
 import { Compiler } from './src/core/compiler.js';
 import { RuntimeEngine } from './src/core/engine.js';
+import { TestRunner, summarize, formatConsole } from './src/cli/tools/testing/index.js';
+import { captureProgram, compareRuns, printCapture } from './src/cli/tools/testing/differential.js';
+import { parseIR, printIR } from './src/intermediate/ir/text/index.js';
+import { optimizeProgram } from './src/core/ir-engine.js';
+import { FluxusPackageManager } from './src/package-manager.js';
+import { MessageTransport } from './src/cli/tools/protocol/MessageTransport.js';
+import { spawn, spawnSync } from 'child_process';
+import { Scanner } from './src/frontend/lexer/scanner.js';
+import { Parser } from './src/frontend/parser/parser.js';
+import { formatSource, withoutLayout } from './src/frontend/formatter.js';
+import { ArtifactCache } from './src/cli/tools/cache/index.js';
+import { toFoldedStacks } from './src/cli/tools/profiler/index.js';
+import { VirtualClock } from './src/runtime/scheduler/clock.js';
+import { WebSocketServer } from './src/lib/network/ws-protocol.js';
+import { WEBSOCKET_OPERATORS, WEBSOCKET_SOURCES } from './src/lib/network/websocket.js';
+import { MqttBroker } from './src/lib/network/mqtt-broker.js';
+import { MqttClient } from './src/lib/network/mqtt-client.js';
+import * as ioLibrary from './src/lib/io/index.js';
+import { FluxusDashboard } from './src/dashboard.js';
+
+const option = (name) => process.argv.find(arg => arg.startsWith(`${name}=`))?.split('=')[1];
+const backend = option('--backend') || 'graph';
+const optimizationLevels = process.argv.filter(arg => /^-O[0-2]$/.test(arg));
+
+// Examples on the IR engine run for real, on virtual time, to catch lowering and execution failures
+async function runTestOnBackend(filePath) {
+    console.log(`\n🧪 Testing: ${filePath} (${backend} backend)`);
+    try {
+        const output = await captureProgram(filePath, { backend });
+        console.log(`✅ ${filePath} - SUCCESS (${output.length} line(s) of output)`);
+        return true;
+    } catch (error) {
+        console.log(`❌ ${filePath} - ERROR: ${error.message}`);
+        return false;
+    }
+}
 
 async function runTest(filePath) {
+    if (backend !== 'graph') return runTestOnBackend(filePath);
+
     try {
         const { readFileSync } = await import('fs');
         const source = readFileSync(filePath, 'utf-8');
         
         console.log(`\n🧪 Testing: ${filePath}`);
         
-        // Parse
-        const parser = new GraphParser();
+        // Parse (token frontend; `node test-run.js --legacy-parser` for GraphParser)
+        const parser = createParser({ filename: filePath, legacy: process.argv.includes('--legacy-parser') });
         const ast = parser.parse(source);
-        
-        // Compile  
+
+        // The parser recovers and keeps going; a statement it skipped is still a failure
+        if (parser.errors?.length > 0) {
+            console.log(`❌ ${filePath} - ${parser.errors.length} parse error(s): ${parser.errors[0].message}`);
+            return false;
+        }
+
+        // Compile
         const compiler = new Compiler();
         const compiledAst = compiler.compile(ast);
         
@@ -61,9 +114,22 @@ async function runTest(filePath) {
     }
 }
 
+// TEST blocks of a .test.flux file, each on its own engine
+async function runTestFile(filePath) {
+    console.log(`\n🧪 Testing: ${filePath}`);
+    const result = await new TestRunner({ backend }).runFile(filePath);
+    const summary = summarize([result]);
+    console.log(formatConsole(result));
+
+    const success = summary.failed === 0 && summary.tests > 0;
+    console.log(success ? `✅ ${filePath} - ${summary.passed} TEST blocks passed` : `❌ ${filePath} - ${summary.failed} of ${summary.tests} TEST blocks failed`);
+    return success;
+}
+
 async function runAllTests() {
     console.log('🚀 Fluxus Language Test Suite');
     console.log('=' .repeat(50));
+    if (process.argv.includes('--differential')) return runDifferential();
     
     const examplesDir = join(__dirname, 'examples');
     const files = readdirSync(examplesDir)
@@ -75,11 +141,61 @@ async function runAllTests() {
     
     for (const file of files) {
         const filePath = join(examplesDir, file);
-        const success = await runTest(filePath);
+        const success = file.endsWith('.test.flux') ? await runTestFile(filePath) : await runTest(filePath);
         
         if (success) passed++;
         else failed++;
     }
+
+    const goldens = runIRGoldens();
+    passed += goldens.passed;
+    failed += goldens.failed;
+
+    const formatting = runFormatterChecks(examplesDir);
+    passed += formatting.passed;
+    failed += formatting.failed;
+
+    if (await runCacheCheck()) passed++;
+    else failed++;
+
+    if (runFoldedStackCheck()) passed++;
+    else failed++;
+
+    if (await runTimeoutCheck()) passed++;
+    else failed++;
+
+    if (await runFallbackCheck()) passed++;
+    else failed++;
+
+    const builds = runBuildChecks(examplesDir);
+    passed += builds.passed;
+    failed += builds.failed;
+
+    const cliErrors = runCliErrorChecks();
+    passed += cliErrors.passed;
+    failed += cliErrors.failed;
+
+    const sandbox = await runSandboxChecks();
+    passed += sandbox.passed;
+    failed += sandbox.failed;
+
+    if (await runDapSession()) passed++;
+    else failed++;
+
+    if (await runLspSession()) passed++;
+    else failed++;
+
+    if (await runWebSocketCheck()) passed++;
+    else failed++;
+
+    if (await runMqttBrokerCheck()) passed++;
+    else failed++;
+
+    if (await runDashboardCheck()) passed++;
+    else failed++;
+
+    if (runReplCheck()) passed++;
+    else failed++;
     
     console.log('\n' + '=' .repeat(50));
     console.log(`📊 RESULTS: ${passed} passed, ${failed} failed`);
@@ -93,9 +209,1104 @@ async function runAllTests() {
     }
 }
 
+/**
+ * `fluxus fmt` over every .flux file under examples/: the shipped file is
+ * already formatted, formatting again changes nothing, and the program
+ * parses to the same syntax tree (layout aside) before and after. Each
+ * `examples/fmt/X.flux.in` must format to exactly `X.flux`;
+ * `--update-golden` writes the expected files instead of comparing.
+ */
+function runFormatterChecks(examplesDir) {
+    const fluxFiles = (dir) => readdirSync(dir, { withFileTypes: true }).flatMap(entry => {
+        const path = join(dir, entry.name);
+        if (entry.isDirectory()) return fluxFiles(path);
+        return entry.name.endsWith('.flux') ? [path] : [];
+    });
+    const syntaxTree = (source, filePath) => {
+        const scanned = new Scanner(source, filePath).scanTokens();
+        return JSON.stringify(withoutLayout(new Parser(scanned.tokens, filePath).parse().ast));
+    };
+
+    let passed = 0;
+    let failed = 0;
+    console.log('\n🧪 Testing: fluxus fmt over examples/');
+    for (const filePath of fluxFiles(examplesDir).sort()) {
+        const name = filePath.slice(__dirname.length + 1);
+        try {
+            const source = readFileSync(filePath, 'utf-8');
+            const first = formatSource(source, { filename: filePath });
+            if (first.formatted === null) throw new Error(first.errors[0]?.message || 'could not be formatted');
+            const second = formatSource(first.formatted, { filename: filePath });
+            if (second.formatted !== first.formatted) throw new Error('formatting is not idempotent');
+            if (syntaxTree(first.formatted, filePath) !== syntaxTree(source, filePath)) throw new Error('formatting changed the syntax tree');
+            if (first.changed) throw new Error('is not formatted (run `fluxus fmt examples`)');
+            passed++;
+        } catch (error) {
+            failed++;
+            console.log(`❌ ${name} - ${error.message}`);
+        }
+    }
+    console.log(`${failed === 0 ? '✅' : '❌'} fluxus fmt - ${passed} of ${passed + failed} file(s) formatted, stable and unchanged in meaning`);
+
+    const fixturesDir = join(examplesDir, 'fmt');
+    const fixtures = existsSync(fixturesDir) ? readdirSync(fixturesDir).filter(file => file.endsWith('.flux.in')).sort() : [];
+    const update = process.argv.includes('--update-golden');
+    for (const input of fixtures) {
+        const expectedPath = join(fixturesDir, input.slice(0, -'.in'.length));
+        const name = `examples/fmt/${input}`;
+        const { formatted, errors } = formatSource(readFileSync(join(fixturesDir, input), 'utf-8'), { filename: input });
+        if (formatted === null) {
+            failed++;
+            console.log(`❌ ${name} - ${errors[0]?.message || 'could not be formatted'}`);
+        } else if (update) {
+            writeFileSync(expectedPath, formatted);
+            passed++;
+            console.log(`📝 ${name} - wrote ${basename(expectedPath)}`);
+        } else if (!existsSync(expectedPath) || readFileSync(expectedPath, 'utf-8') !== formatted) {
+            failed++;
+            console.log(`❌ ${name} - does not format to ${basename(expectedPath)}`);
+            console.log(formatted.split('\n').map(line => `   ${line}`).join('\n'));
+        } else {
+            passed++;
+            console.log(`✅ ${name} - formats to ${basename(expectedPath)}`);
+        }
+    }
+    return { passed, failed };
+}
+
+/**
+ * A program loaded from .fluxus-cache/ brings its library bindings, and an
+ * engine started with them registers and loads only those libraries: no
+ * scan of the domain libraries it does not use.
+ */
+async function runCacheCheck() {
+    const filePath = join(__dirname, 'examples', 'iot_monitor.flux');
+    const root = mkdtempSync(join(tmpdir(), 'fluxus-cache-'));
+    console.log(`\n🧪 Testing: ${filePath} (artifact cache)`);
+    try {
+        const cache = new ArtifactCache({ root, version: 'test' });
+        const source = readFileSync(filePath, 'utf-8');
+        const ast = createParser({ filename: filePath }).parse(source);
+        cache.store(filePath, source, {}, { graph: ast, bindings: new Compiler().compile(ast).bindings });
+
+        const artifact = cache.load(filePath, source);
+        if (!artifact) throw new Error('the stored artifact was not loaded');
+
+        const bound = new RuntimeEngine({ quietMode: true, libraryBindings: artifact.bindings }).libraryLoader;
+        const unbound = new RuntimeEngine({ quietMode: true }).libraryLoader;
+        await Promise.all([bound.initializationPromise, unbound.initializationPromise]);
+
+        const domains = [...bound.domainLibraries.keys()];
+        const registered = [...bound.libraryRegistry.keys()];
+        if (domains.join() !== 'iot') throw new Error(`loaded domains ${domains.join(', ')}, expected only iot`);
+        if (registered.join() !== 'core,iot') throw new Error(`registered ${registered.join(', ')}, expected core, iot`);
+        if (unbound.domainLibraries.size <= 1) throw new Error('without bindings every domain should load');
+
+        console.log(`✅ ${filePath} - a cache hit loads only ${[...new Set([...registered, ...domains])].join(', ')}`);
+        return true;
+    } catch (error) {
+        console.log(`❌ ${filePath} - ${error.message}`);
+        return false;
+    } finally {
+        rmSync(root, { recursive: true, force: true });
+    }
+}
+
+/**
+ * `fluxus profile --folded`: every stage is stacked on the chain that led
+ * to it, FUNC body stages on the calling stage's chain. Spans as
+ * SpanRecorder records them for `~ 1 | add(1) | bump(3) | print()` with
+ * `FUNC bump(n): | add(n) | multiply(2)`, times in ms.
+ */
+function runFoldedStackCheck() {
+    const span = (id, parentId, name, start, end) => ({ id, parentId, name, start, end });
+    const spans = [
+        span(1, null, '~ 1', 0, 10),
+        span(2, 1, 'add(1)', 1, 2),
+        span(3, 1, 'bump(3)', 2, 7),
+        span(4, 3, 'add(n)', 3, 4),
+        span(5, 3, 'multiply(2)', 4, 6),
+        span(6, 1, 'print()', 7, 9)
+    ];
+    const expected = [
+        '~ 1 2000',
+        '~ 1;add(1) 1000',
+        '~ 1;add(1);bump(3) 2000',
+        '~ 1;add(1);bump(3);add(n) 1000',
+        '~ 1;add(1);bump(3);add(n);multiply(2) 2000',
+        '~ 1;add(1);bump(3);print() 2000'
+    ];
+
+    console.log('\n🧪 Testing: folded stacks (profiler)');
+    const actual = toFoldedStacks(spans).trim().split('\n').sort();
+    if (JSON.stringify(actual) !== JSON.stringify(expected)) {
+        console.log(`❌ folded stacks - got ${JSON.stringify(actual)}`);
+        return false;
+    }
+    console.log('✅ folded stacks - each stage under the source and the stages before it');
+    return true;
+}
+
+/**
+ * timeout on a virtual clock when a value comes later than the limit: the
+ * late value is reported as a runtime error at the time it arrives (31ms:
+ * `a` at 0, 30ms of gap, `b` one frame later) and never reaches the sink;
+ * the values on either side of it pass.
+ */
+async function runTimeoutCheck() {
+    console.log('\n🧪 Testing: timeout past its limit (virtual clock)');
+    const source = '~? marble("a 30ms b c|", { a: 1, b: 2, c: 3 }) | timeout(10) | print()\n';
+    const original = console.log;
+    const printed = [];
+    try {
+        const program = createParser({ filename: 'timeout-check.flux' }).parse(source);
+        const clock = new VirtualClock();
+        const engine = new RuntimeEngine({ quietMode: true, clock });
+        await new Promise(resolve => engine.once('engine:initialized', resolve));
+        const errors = [];
+        engine.on('runtime:error', error => errors.push({ message: error.message, at: clock.now() }));
+
+        console.log = (...args) => printed.push(args.join(' '));
+        const started = engine.start(program);
+        await clock.advanceTo(100);
+        await engine.shutdown();
+        await started;
+        console.log = original;
+
+        const expected = { message: 'timeout: no value for 31ms (limit 10ms)', at: 31 };
+        if (JSON.stringify(printed) !== JSON.stringify(['📝 1', '📝 3'])) throw new Error(`printed ${JSON.stringify(printed)}, expected all but the late value`);
+        if (errors.length !== 1 || !errors[0].message.endsWith(expected.message) || errors[0].at !== expected.at) {
+            throw new Error(`errors ${JSON.stringify(errors)}, expected '${expected.message}' at ${expected.at}ms`);
+        }
+        console.log('✅ timeout - the late value fails at the time it arrives, the others pass');
+        return true;
+    } catch (error) {
+        console.log = original;
+        console.log(`❌ timeout - ${error.message}`);
+        return false;
+    }
+}
+
+/**
+ * A failing operator runs once. Non-retryable ones (the fs writers) skip
+ * every fallback and fail with their own error; others go through the
+ * fallbacks without the implementation that just failed. Nothing is
+ * logged on the way: the error is reported once, by its handler.
+ */
+async function runFallbackCheck() {
+    console.log('\n🧪 Testing: operator failures and fallbacks');
+    const root = mkdtempSync(join(tmpdir(), 'fluxus-fallback-'));
+    const original = { error: console.error, warn: console.warn };
+    const logged = [];
+    try {
+        const engine = new RuntimeEngine({ quietMode: true, fsRoot: root });
+        await new Promise(resolve => engine.once('engine:initialized', resolve));
+        const calls = { partial_write: 0, busy_read: 0 };
+        engine.registerLibraryExports('io', ioLibrary);
+        engine.registerLibraryExports('check', {
+            CHECK_OPERATORS: {
+                partial_write: {
+                    implementation: () => {
+                        calls.partial_write++;
+                        throw new Error('disk full after 3 bytes');
+                    },
+                    metadata: { retryable: false }
+                },
+                busy_read: () => {
+                    calls.busy_read++;
+                    throw new Error('busy');
+                }
+            }
+        });
+
+        console.error = console.warn = (...args) => logged.push(args.join(' '));
+        const failure = (name, args = []) => engine.applyOperator(name, { id: name }, 'data', args).then(
+            () => { throw new Error(`${name} did not fail`); },
+            error => error.message
+        );
+        const expected = {
+            partial_write: '[check.partial_write] disk full after 3 bytes',
+            write_file: "[io.write_file] write_file: path '../outside.txt' is outside the allowed root",
+            busy_read: "All fallbacks failed for 'busy_read': [check.busy_read] busy"
+        };
+        const messages = {
+            partial_write: await failure('partial_write'),
+            write_file: await failure('write_file', ['../outside.txt']),
+            busy_read: await failure('busy_read')
+        };
+        Object.assign(console, original);
+
+        for (const [name, message] of Object.entries(expected)) {
+            if (!messages[name].startsWith(message)) throw new Error(`${name} failed with '${messages[name]}', expected '${message}'`);
+        }
+        if (calls.partial_write !== 1 || calls.busy_read !== 1) throw new Error(`ran ${JSON.stringify(calls)}, expected each once`);
+        if (logged.length > 0) throw new Error(`logged on the way: ${JSON.stringify(logged)}`);
+
+        console.log('✅ operator failures - writers fail at once with their own error, others fall back without rerunning');
+        return true;
+    } catch (error) {
+        Object.assign(console, original);
+        console.log(`❌ operator failures - ${error.message}`);
+        return false;
+    } finally {
+        rmSync(root, { recursive: true, force: true });
+    }
+}
+
+/**
+ * `fluxus build` against `fluxus run`: every example that builds (not the
+ * .test.flux files) is built into a directory of its own, then both print
+ * the same values. Built programs run their pipelines like the engine but
+ * not in its exact interleaving, so lines may come in another order.
+ * Examples with build errors (domain or string operators) are skipped.
+ */
+function runBuildChecks(examplesDir) {
+    const cli = join(__dirname, 'src', 'cli.js');
+    const files = readdirSync(examplesDir).filter(file => file.endsWith('.flux') && !file.endsWith('.test.flux')).sort();
+    const root = mkdtempSync(join(tmpdir(), 'fluxus-build-'));
+    const printed = (result) => {
+        if (result.error) throw result.error;
+        return result.stdout.split('\n').filter(line => line.startsWith('📝'));
+    };
+    const node = (args) => spawnSync(process.execPath, args, { encoding: 'utf-8', timeout: 30000 });
+
+    let passed = 0;
+    let failed = 0;
+    let skipped = 0;
+    console.log('\n🧪 Testing: fluxus build against fluxus run over examples/');
+    try {
+        for (const file of files) {
+            const output = join(root, basename(file, '.flux'), 'app.mjs');
+            try {
+                if (node([cli, 'build', join(examplesDir, file), '-o', output]).status !== 0) {
+                    skipped++;
+                    continue;
+                }
+                const built = printed(node([output]));
+                const ran = printed(node([cli, 'run', join(examplesDir, file)]));
+                if (ran.length === 0) throw new Error('fluxus run printed nothing');
+                if (built.join('\n') === ran.join('\n')) {
+                    console.log(`✅ ${file} - the build prints what fluxus run prints (${ran.length} line(s))`);
+                } else if ([...built].sort().join('\n') === [...ran].sort().join('\n')) {
+                    console.log(`✅ ${file} - the build prints what fluxus run prints, interleaved differently (${ran.length} line(s))`);
+                } else {
+                    throw new Error(`outputs differ\n   run:   ${JSON.stringify(ran)}\n   build: ${JSON.stringify(built)}`);
+                }
+                passed++;
+            } catch (error) {
+                failed++;
+                console.log(`❌ ${file} - ${error.message}`);
+            }
+        }
+    } finally {
+        rmSync(root, { recursive: true, force: true });
+    }
+    console.log(`${failed === 0 ? '✅' : '❌'} fluxus build - ${passed} of ${passed + failed} built example(s) match fluxus run, ${skipped} not buildable`);
+    return { passed, failed };
+}
+
+/**
+ * The CLI on a file that does not exist and without its file argument: a
+ * missing file is one line on stderr and exit code 1, a usage error exits
+ * with 2. Neither prints a stack trace.
+ */
+function runCliErrorChecks() {
+    console.log('\n🧪 Testing: CLI errors (missing files, usage)');
+    const cli = join(__dirname, 'src', 'cli.js');
+    const missing = join(tmpdir(), 'fluxus-missing', 'nope.flux');
+    const cases = [
+        { args: ['check', missing], status: 1, stderr: `❌ File not found: ${missing}` },
+        { args: ['debug', missing], status: 1, stderr: `❌ File not found: ${missing}` },
+        { args: ['compile', '--emit-ir', missing], status: 1, stderr: `❌ File not found: ${missing}` },
+        { args: ['fmt', missing], status: 1, stderr: `❌ File not found: ${missing}` },
+        { args: ['fmt', '--check', missing], status: 1, stderr: `❌ File not found: ${missing}` },
+        { args: ['check'], status: 2, stderr: '❌ Usage: fluxus check <file.flux>' },
+        { args: ['debug'], status: 2, stderr: '❌ Usage: fluxus debug <file.flux>' },
+        { args: ['compile', '--emit-ir'], status: 2, stderr: '❌ Usage: fluxus compile <file.flux|file.fir> [-O0|-O1|-O2] [--emit-ir [-o out.fir]] [--explain-opt]' }
+    ];
+
+    let passed = 0;
+    let failed = 0;
+    for (const { args, status, stderr } of cases) {
+        const command = `fluxus ${args.map(arg => arg === missing ? 'nope.flux' : arg).join(' ')}`;
+        const result = spawnSync(process.execPath, [cli, ...args], { encoding: 'utf-8', timeout: 30000 });
+        if (result.status === status && result.stderr.trim() === stderr) {
+            console.log(`✅ ${command} - exit ${status}, ${status === 1 ? 'file not found' : 'usage'}`);
+            passed++;
+        } else {
+            console.log(`❌ ${command} - exit ${result.status}, stderr ${JSON.stringify(result.stderr.trim())}; expected exit ${status}, ${JSON.stringify(stderr)}`);
+            failed++;
+        }
+    }
+    return { passed, failed };
+}
+
+/**
+ * Optimizer passes as IR in, IR out: each `examples/ir/X.fir` optimized at
+ * -O<n> must print exactly as `X.O<n>.fir`, and every .fir there must print
+ * back as itself once parsed (comments and defaults aside). Each
+ * `examples/ir/invalid/X.fir` must be rejected with the error its
+ * `; error: line:column message` comment names.
+ * `--update-golden` writes the expected files instead of comparing.
+ */
+function runIRGoldens() {
+    const irDir = join(__dirname, 'examples', 'ir');
+    if (!existsSync(irDir)) return { passed: 0, failed: 0 };
+    const inputs = readdirSync(irDir).filter(file => file.endsWith('.fir') && !/\.O\d\.fir$/.test(file)).sort();
+    const update = process.argv.includes('--update-golden');
+
+    let passed = 0;
+    let failed = 0;
+    for (const file of inputs) {
+        const filePath = join(irDir, file);
+        console.log(`\n🧪 Testing: ${filePath} (IR goldens)`);
+        try {
+            const printed = printIR(parseIR(readFileSync(filePath, 'utf-8'), { filename: filePath }));
+            if (printIR(parseIR(printed, { filename: filePath })) !== printed) {
+                throw new Error('does not print back as itself after parsing');
+            }
+
+            const checked = [];
+            for (const level of [1, 2]) {
+                const goldenPath = join(irDir, file.replace(/\.fir$/, `.O${level}.fir`));
+                const actual = printIR(optimizeProgram(parseIR(printed, { filename: filePath }), level));
+                if (update) {
+                    writeFileSync(goldenPath, actual);
+                } else if (!existsSync(goldenPath)) {
+                    continue;
+                } else {
+                    const expected = readFileSync(goldenPath, 'utf-8').split('\n');
+                    const line = actual.split('\n').findIndex((text, index) => text !== expected[index]);
+                    if (line !== -1) throw new Error(`-O${level} differs from ${basename(goldenPath)} at line ${line + 1}: expected ${JSON.stringify(expected[line])}`);
+                }
+                checked.push(`-O${level}`);
+            }
+
+            passed++;
+            console.log(`✅ ${filePath} - ${update ? 'updated' : 'matches'} ${checked.join(', ') || 'its own round trip'}`);
+        } catch (error) {
+            failed++;
+            console.log(`❌ ${filePath} - ${error.message}`);
+        }
+    }
+
+    const invalidDir = join(irDir, 'invalid');
+    const invalid = existsSync(invalidDir) ? readdirSync(invalidDir).filter(file => file.endsWith('.fir')).sort() : [];
+    for (const file of invalid) {
+        const filePath = join(invalidDir, file);
+        const source = readFileSync(filePath, 'utf-8');
+        const expected = /^; error: (.*)$/m.exec(source)?.[1];
+        console.log(`\n🧪 Testing: ${filePath} (invalid IR)`);
+        try {
+            parseIR(source, { filename: filePath });
+            failed++;
+            console.log(`❌ ${filePath} - parsed, expected ${expected}`);
+        } catch (error) {
+            const actual = `${error.line}:${error.column} ${error.message}`;
+            if (actual === expected) {
+                passed++;
+                console.log(`✅ ${filePath} - rejected at ${actual}`);
+            } else {
+                failed++;
+                console.log(`❌ ${filePath} - rejected with ${actual}, expected ${expected}`);
+            }
+        }
+    }
+    return { passed, failed };
+}
+
+/**
+ * Package operators run in the FFI sandbox. The probe package in
+ * examples/packages tries to outlast its time limit, outgrow its memory
+ * limit, compile code from strings and reach the host; each attempt must
+ * fail with the sandbox's error.
+ */
+async function runSandboxChecks() {
+    const packagesDir = join(__dirname, 'examples', 'packages');
+    if (!existsSync(packagesDir)) return { passed: 0, failed: 0 };
+
+    // A package manager per check: exceeding a limit unloads the package
+    const packages = () => new FluxusPackageManager(null, {
+        packagesDir,
+        sandbox: { timeLimit: 500, memoryLimit: 16 * 1024 * 1024 }
+    });
+    const call = async (name, args = []) => (await packages().getOperator(name)).implementation(undefined, args, {});
+    const rejects = async (promise, pattern) => {
+        try {
+            await promise;
+        } catch (error) {
+            if (pattern.test(`${error.code || ''} ${error.message}`)) return;
+            throw new Error(`failed with "${error.message}", expected ${pattern}`);
+        }
+        throw new Error(`succeeded, expected a failure matching ${pattern}`);
+    };
+    const equals = (actual, expected) => {
+        if (JSON.stringify(actual) !== JSON.stringify(expected)) {
+            throw new Error(`got ${JSON.stringify(actual)}, expected ${JSON.stringify(expected)}`);
+        }
+    };
+
+    const checks = {
+        'operators run in the sandbox': async () => {
+            equals(await (await packages().getOperator('double')).implementation(21, [], {}), 42);
+            equals(globalThis.probeLoaded, undefined);
+        },
+        'the time limit stops a call that never returns': () => rejects(call('spin'), /^TIME_LIMIT_EXCEEDED /),
+        'the memory limit stops a call that keeps allocating': () => rejects(call('hoard'), /^MEMORY_LIMIT_EXCEEDED /),
+        'eval is disabled': () => rejects(call('generate', ['eval']), /Code generation from strings disallowed/),
+        'new Function is disabled': () => rejects(call('generate', ['function']), /Code generation from strings disallowed/),
+        'host globals are out of reach': async () => {
+            equals(await call('reach'), { process: 'undefined', require: 'undefined', fetch: 'undefined', capabilities: [] });
+        },
+        'capabilities an untrusted package was not granted are missing': () => rejects(call('read_file'), /reading 'readFile'/),
+        'importing at run time is refused': () => rejects(call('import_fs'), /dynamic import/),
+        'importing a host module is refused': () => rejects(packages().importPackage('importer'), /cannot import 'fs'/),
+        'streams are pulled from the sandbox step by step': async () => {
+            const ticks = [];
+            for await (const tick of await call('ticks', [3])) ticks.push(tick);
+            equals(ticks, [1, 2, 3]);
+        }
+    };
+
+    let passed = 0;
+    let failed = 0;
+    console.log(`\n🧪 Testing: ${packagesDir} (package sandbox)`);
+    for (const [name, check] of Object.entries(checks)) {
+        try {
+            await check();
+            passed++;
+            console.log(`✅ sandbox - ${name}`);
+        } catch (error) {
+            failed++;
+            console.log(`❌ sandbox - ${name}: ${error.message}`);
+        }
+    }
+    return { passed, failed };
+}
+
+/**
+ * A scripted editor session against `fluxus dap` over stdio: a breakpoint
+ * inside the FUNC of examples/dap/stages.flux, then the stack (every stage
+ * from the source to the paused one), the scopes and variables of two of
+ * its frames, and continuing to the end of the program.
+ */
+async function runDapSession() {
+    const program = join(__dirname, 'examples', 'dap', 'stages.flux');
+    console.log(`\n🧪 Testing: ${program} (debug adapter over stdio)`);
+
+    const child = spawn(process.execPath, [join(__dirname, 'src', 'cli.js'), 'dap'], { stdio: ['pipe', 'pipe', 'ignore'] });
+    const transport = new MessageTransport(child.stdout, child.stdin);
+    const responses = new Map();
+    const events = [];
+    const waiters = [];
+    let seq = 0;
+
+    transport.on('message', message => {
+        if (message.type === 'response') {
+            responses.get(message.request_seq)?.(message);
+            return;
+        }
+        events.push(message);
+        for (const waiter of [...waiters]) waiter();
+    });
+
+    const request = (command, args = {}) => new Promise((resolve, reject) => {
+        const id = ++seq;
+        responses.set(id, response => response.success ? resolve(response.body || {}) : reject(new Error(`${command}: ${response.message}`)));
+        transport.send({ seq: id, type: 'request', command, arguments: args });
+    });
+    const event = (name, matches = () => true) => new Promise(resolve => {
+        const check = () => {
+            const found = events.find(message => message.event === name && matches(message.body));
+            if (!found) return;
+            waiters.splice(waiters.indexOf(check), 1);
+            resolve(found.body);
+        };
+        waiters.push(check);
+        check();
+    });
+    const expect = (what, actual, expected) => {
+        if (JSON.stringify(actual) !== JSON.stringify(expected)) {
+            throw new Error(`${what}: got ${JSON.stringify(actual)}, expected ${JSON.stringify(expected)}`);
+        }
+    };
+    const variables = async (frameId, scopeName) => {
+        const { scopes } = await request('scopes', { frameId });
+        const scope = scopes.find(entry => entry.name === scopeName);
+        const body = await request('variables', { variablesReference: scope.variablesReference });
+        return Object.fromEntries(body.variables.map(variable => [variable.name, variable.value]));
+    };
+
+    const session = (async () => {
+        const capabilities = await request('initialize', { adapterID: 'fluxus' });
+        expect('configurationDone support', capabilities.supportsConfigurationDoneRequest, true);
+        await event('initialized');
+        await request('launch', { program });
+
+        const { breakpoints } = await request('setBreakpoints', { source: { path: program }, breakpoints: [{ line: 4 }] });
+        expect('breakpoints', breakpoints.map(bp => bp.verified), [true]);
+        await request('configurationDone');
+
+        const stopped = await event('stopped');
+        expect('stop reason', stopped.reason, 'breakpoint');
+
+        const { stackFrames } = await request('stackTrace', { threadId: stopped.threadId });
+        expect('stack', stackFrames.map(frame => `${frame.name} @${frame.line}`), [
+            'scale: map { . + 1 } @4',
+            'scale: multiply(factor) @3',
+            'scale(2) @8',
+            'add(1) @7',
+            '~ 5 @6'
+        ]);
+        expect('value at the breakpoint', await variables(stackFrames[0].id, 'Value'), { '.': '12' });
+        expect('FUNC parameters', await variables(stackFrames[0].id, 'Parameters'), { factor: '2' });
+        expect('value add(1) received', await variables(stackFrames[3].id, 'Value'), { '.': '5' });
+
+        await request('continue', { threadId: stopped.threadId });
+        await event('output', body => body.output === '📝 13\n');
+        expect('exit code', (await event('exited')).exitCode, 0);
+        await event('terminated');
+        await request('disconnect');
+    })();
+
+    let timer;
+    const timeout = new Promise((_, reject) => {
+        timer = setTimeout(() => reject(new Error('the session did not finish within 20s')), 20000);
+    });
+
+    try {
+        await Promise.race([session, timeout]);
+        console.log(`✅ ${program} - stopped, inspected the stage chain and ran to the end`);
+        return true;
+    } catch (error) {
+        console.log(`❌ ${program} - ${error.message}`);
+        return false;
+    } finally {
+        clearTimeout(timer);
+        transport.close();
+        child.kill();
+    }
+}
+
+/**
+ * `fluxus lsp` over stdio on examples/lsp/pools.flux: a broken edit gets a
+ * diagnostic and fixing it clears them, completion offers FUNCs and
+ * operators after `|` and pools inside to_pool(, hover describes a FUNC,
+ * an operator and a pool, and definition and references find the pool.
+ * Positions are 0-based, as the protocol has them.
+ */
+async function runLspSession() {
+    const program = join(__dirname, 'examples', 'lsp', 'pools.flux');
+    console.log(`\n🧪 Testing: ${program} (language server over stdio)`);
+
+    const child = spawn(process.execPath, [join(__dirname, 'src', 'cli.js'), 'lsp'], { stdio: ['pipe', 'pipe', 'ignore'] });
+    const transport = new MessageTransport(child.stdout, child.stdin);
+    const exited = new Promise(resolve => child.once('exit', resolve));
+    const responses = new Map();
+    const diagnostics = [];
+    const waiters = [];
+    let id = 0;
+
+    transport.on('message', message => {
+        if (message.id !== undefined) {
+            responses.get(message.id)?.(message);
+            return;
+        }
+        if (message.method === 'textDocument/publishDiagnostics') diagnostics.push(message.params.diagnostics);
+        for (const waiter of [...waiters]) waiter();
+    });
+
+    const request = (method, params = {}) => new Promise((resolve, reject) => {
+        const requestId = ++id;
+        responses.set(requestId, response => response.error ? reject(new Error(`${method}: ${response.error.message}`)) : resolve(response.result));
+        transport.send({ jsonrpc: '2.0', id: requestId, method, params });
+    });
+    const notify = (method, params) => transport.send({ jsonrpc: '2.0', method, params });
+    const published = count => new Promise(resolve => {
+        const check = () => {
+            if (diagnostics.length < count) return;
+            waiters.splice(waiters.indexOf(check), 1);
+            resolve(diagnostics[count - 1]);
+        };
+        waiters.push(check);
+        check();
+    });
+    const expect = (what, actual, expected) => {
+        if (JSON.stringify(actual) !== JSON.stringify(expected)) {
+            throw new Error(`${what}: got ${JSON.stringify(actual)}, expected ${JSON.stringify(expected)}`);
+        }
+    };
+    const range = (line, character, length) => ({ start: { line, character }, end: { line, character: character + length } });
+
+    const uri = pathToFileURL(program).href;
+    const text = readFileSync(program, 'utf-8');
+    const at = (line, character) => ({ textDocument: { uri }, position: { line, character } });
+
+    const session = (async () => {
+        const { capabilities } = await request('initialize', { rootUri: pathToFileURL(__dirname).href });
+        expect('capabilities', [capabilities.hoverProvider, capabilities.definitionProvider, capabilities.referencesProvider], [true, true, true]);
+        notify('initialized', {});
+
+        notify('textDocument/didOpen', { textDocument: { uri, languageId: 'fluxus', version: 1, text } });
+        expect('diagnostics on open', await published(1), []);
+        notify('textDocument/didChange', { textDocument: { uri, version: 2 }, contentChanges: [{ text: text + '~ 1 | add(\n' }] });
+        expect('diagnostics of a broken edit', (await published(2)).map(diagnostic => [diagnostic.range.start.line, diagnostic.severity]), [[11, 1]]);
+        notify('textDocument/didChange', { textDocument: { uri, version: 3 }, contentChanges: [{ text }] });
+        expect('diagnostics once fixed', await published(3), []);
+
+        const { items } = await request('textDocument/completion', at(7, 6));
+        const labels = items.map(item => item.label);
+        expect('completion after |', ['scale', 'multiply', 'to_pool'].map(label => labels.includes(label)), [true, true, true]);
+        expect('FUNC completion', items.find(item => item.label === 'scale').detail, 'FUNC scale(factor)');
+        expect('completion in to_pool(', (await request('textDocument/completion', at(8, 14))).items.map(item => item.label), ['count']);
+
+        expect('hover on a FUNC', (await request('textDocument/hover', at(7, 7))).contents.value, '```fluxus\nFUNC scale(factor)\n```\nDeclared on line 4');
+        const operator = await request('textDocument/hover', at(4, 8));
+        expect('hover on an operator', [operator.contents.value.split('\n')[0], operator.range], ['**multiply** — arithmetic', range(4, 6, 8)]);
+        expect('hover on a pool', (await request('textDocument/hover', at(10, 1))).contents.value.split('\n').at(-1), 'Tidal pool (number): 1 subscription(s), 1 writer(s)');
+
+        expect('definition of a pool', await request('textDocument/definition', at(8, 15)), { uri, range: range(1, 4, 5) });
+        expect('definition of a FUNC', (await request('textDocument/definition', at(7, 7))).range, range(3, 5, 5));
+        const references = await request('textDocument/references', { ...at(1, 5), context: { includeDeclaration: true } });
+        expect('references', references.map(reference => reference.range), [range(1, 4, 5), range(8, 14, 5), range(10, 0, 5)]);
+
+        await request('shutdown');
+        notify('exit');
+        expect('exit code', await exited, 0);
+    })();
+
+    let timer;
+    const timeout = new Promise((_, reject) => {
+        timer = setTimeout(() => reject(new Error('the session did not finish within 20s')), 20000);
+    });
+
+    try {
+        await Promise.race([session, timeout]);
+        console.log(`✅ ${program} - diagnosed, completed, hovered and followed the pool to its references`);
+        return true;
+    } catch (error) {
+        console.log(`❌ ${program} - ${error.message}`);
+        return false;
+    } finally {
+        clearTimeout(timer);
+        transport.close();
+        child.kill();
+    }
+}
+
+/**
+ * `websocket_stream` against an echo server on an ephemeral port: the echo
+ * of a sent message comes back, and when the server drops the connection
+ * the client reconnects after its backoff and echoes again.
+ */
+async function runWebSocketCheck() {
+    console.log('\n🧪 Testing: websocket_stream (echo server, reconnect)');
+    const server = new WebSocketServer();
+    const accepted = [];
+    server.on('connection', connection => {
+        accepted.push(connection);
+        connection.on('message', data => connection.send(data));
+    });
+
+    const context = { engine: new EventEmitter() };
+    const events = [];
+    const waiters = [];
+    let completed = false;
+    const source = {
+        engine: context.engine,
+        emit: value => {
+            events.push(value);
+            for (const waiter of [...waiters]) waiter();
+        },
+        complete: () => {
+            completed = true;
+        }
+    };
+    const next = (type, matches = () => true) => new Promise(resolve => {
+        const seen = events.length;
+        const check = () => {
+            const found = events.slice(seen).find(value => value.event === type && matches(value));
+            if (!found) return;
+            waiters.splice(waiters.indexOf(check), 1);
+            resolve(found);
+        };
+        waiters.push(check);
+    });
+
+    let stop = () => {};
+    let timer;
+    const timeout = new Promise((_, reject) => {
+        timer = setTimeout(() => reject(new Error('the session did not finish within 10s')), 10000);
+    });
+    const session = (async () => {
+        const { port } = await server.listen(0, '127.0.0.1');
+        const opened = next('open');
+        stop = WEBSOCKET_SOURCES.websocket_stream.factory([`ws://127.0.0.1:${port}`, 'client', { backoffMs: 50 }], source);
+        await opened;
+
+        let echoed = next('message');
+        WEBSOCKET_OPERATORS.websocket_send('hello', ['client'], context);
+        if ((await echoed).data !== 'hello') throw new Error('the echo did not carry the message');
+
+        const reconnecting = next('reconnecting');
+        const reopened = next('open');
+        accepted[0].terminate();
+        const { attempt, delayMs } = await reconnecting;
+        if (attempt !== 1 || delayMs !== 50) throw new Error(`reconnect attempt ${attempt} after ${delayMs}ms, expected 1 after 50ms`);
+        await reopened;
+        if (accepted.length !== 2) throw new Error(`the server accepted ${accepted.length} connection(s), expected 2`);
+
+        echoed = next('message');
+        WEBSOCKET_OPERATORS.websocket_send('again', ['client'], context);
+        if ((await echoed).data !== 'again') throw new Error('the echo after reconnecting did not carry the message');
+
+        const closed = next('close');
+        WEBSOCKET_OPERATORS.websocket_close(null, ['client'], context);
+        await closed;
+        if (!completed) throw new Error('closing the client did not complete its source');
+    })();
+
+    try {
+        await Promise.race([session, timeout]);
+        console.log('✅ websocket_stream - echoed on an ephemeral port, reconnected after the server dropped it');
+        return true;
+    } catch (error) {
+        console.log(`❌ websocket_stream - ${error.message}`);
+        return false;
+    } finally {
+        clearTimeout(timer);
+        stop();
+        await server.close();
+    }
+}
+
+/**
+ * The in-process MQTT broker on an ephemeral port with two clients: a QoS 1
+ * publish is acknowledged, a retained message reaches a later subscriber,
+ * `+` and `#` filters match exactly their topics, and the publisher's last
+ * will is published when it drops without DISCONNECT.
+ */
+async function runMqttBrokerCheck() {
+    console.log('\n🧪 Testing: MQTT broker (QoS 1, retained, wildcards, last will)');
+    const broker = new MqttBroker();
+    const clients = [];
+    const received = [];
+    const waiters = [];
+    const message = (topic) => new Promise(resolve => {
+        const check = () => {
+            const found = received.find(entry => entry.topic === topic);
+            if (!found) return;
+            waiters.splice(waiters.indexOf(check), 1);
+            resolve(found);
+        };
+        waiters.push(check);
+        check();
+    });
+    const connect = async (port, options) => {
+        const client = new MqttClient(`mqtt://127.0.0.1:${port}`, { reconnectPeriodMs: 0, ...options });
+        clients.push(client);
+        await client.connect();
+        return client;
+    };
+
+    let timer;
+    const timeout = new Promise((_, reject) => {
+        timer = setTimeout(() => reject(new Error('the session did not finish within 10s')), 10000);
+    });
+    const session = (async () => {
+        const { port } = await broker.listen(0, '127.0.0.1');
+        const publisher = await connect(port, {
+            clientId: 'publisher',
+            will: { topic: 'status/publisher', payload: 'offline', qos: 1, retain: false }
+        });
+        const ack = await publisher.publish('config/mode', 'eco', { qos: 1, retain: true });
+        if (ack.qos !== 1 || !ack.messageId) throw new Error(`the QoS 1 publish was acknowledged as ${JSON.stringify(ack)}`);
+
+        const subscriber = await connect(port, { clientId: 'subscriber' });
+        subscriber.on('message', (topic, payload, packet) => {
+            received.push({ topic, payload: payload.toString(), qos: packet.qos, retain: packet.retain });
+            for (const waiter of [...waiters]) waiter();
+        });
+        await subscriber.subscribe('config/#', 1);
+        await subscriber.subscribe('sensors/+/temp', 1);
+        await subscriber.subscribe('status/#', 1);
+
+        const retained = await message('config/mode');
+        if (retained.payload !== 'eco' || !retained.retain) throw new Error(`the retained message arrived as ${JSON.stringify(retained)}`);
+
+        // Published in order on one connection: the match arrives after the two that must not
+        await publisher.publish('sensors/kitchen/humidity', '40', { qos: 1 });
+        await publisher.publish('sensors/house/kitchen/temp', '19', { qos: 1 });
+        await publisher.publish('sensors/kitchen/temp', '21', { qos: 1 });
+        const reading = await message('sensors/kitchen/temp');
+        if (reading.payload !== '21' || reading.qos !== 1) throw new Error(`the wildcard match arrived as ${JSON.stringify(reading)}`);
+
+        publisher.destroy();
+        const will = await message('status/publisher');
+        if (will.payload !== 'offline') throw new Error(`the last will arrived as ${JSON.stringify(will)}`);
+
+        const topics = received.map(entry => entry.topic);
+        const expected = ['config/mode', 'sensors/kitchen/temp', 'status/publisher'];
+        if (JSON.stringify(topics) !== JSON.stringify(expected)) {
+            throw new Error(`received ${JSON.stringify(topics)}, expected ${JSON.stringify(expected)}`);
+        }
+    })();
+
+    try {
+        await Promise.race([session, timeout]);
+        console.log('✅ MQTT broker - acknowledged, retained, matched + and # and published the last will');
+        return true;
+    } catch (error) {
+        console.log(`❌ MQTT broker - ${error.message}`);
+        return false;
+    } finally {
+        clearTimeout(timer);
+        await Promise.all(clients.map(client => client.end()));
+        await broker.close();
+    }
+}
+
+/**
+ * The dashboard on an ephemeral port: changing a pool needs the bearer
+ * token (none and a wrong one get 401, the right one changes it), the
+ * change reaches /api/events as a `pool:updated` frame and GET reads it
+ * back, and a malformed percent-escape in a path is a 400 with the same
+ * JSON error body as every other rejected request.
+ */
+async function runDashboardCheck() {
+    console.log('\n🧪 Testing: dashboard API (bearer token, events, malformed paths)');
+    const engine = new RuntimeEngine({ quietMode: true, replMode: true });
+    const original = console.log;
+    const events = new AbortController();
+    let dashboard = null;
+    let timer;
+    const timeout = new Promise((_, reject) => {
+        timer = setTimeout(() => reject(new Error('the session did not finish within 10s')), 10000);
+    });
+    const session = (async () => {
+        await new Promise(resolve => engine.once('engine:initialized', resolve));
+        await engine.start(createParser({ filename: 'dashboard-check.flux' }).parse('let count = <|> 0\n'));
+
+        console.log = () => {};
+        dashboard = new FluxusDashboard(engine, 0, { token: 'secret' }).start();
+        await new Promise(resolve => dashboard.server.once('listening', resolve));
+        const base = `http://127.0.0.1:${dashboard.server.address().port}`;
+
+        const call = async (method, path, { token, body } = {}) => {
+            const headers = { 'Content-Type': 'application/json' };
+            if (token) headers.Authorization = `Bearer ${token}`;
+            const response = await fetch(base + path, { method, headers, body: body && JSON.stringify(body) });
+            return { status: response.status, type: response.headers.get('content-type'), body: await response.json() };
+        };
+        const expect = (label, { status, type, body }, expected) => {
+            if (status !== expected.status || type !== 'application/json' || body.error !== expected.error) {
+                throw new Error(`${label}: ${status} ${type} ${JSON.stringify(body)}, expected ${expected.status} ${JSON.stringify({ error: expected.error })}`);
+            }
+        };
+
+        const unauthorized = { status: 401, error: 'Missing or invalid bearer token' };
+        expect('PUT without a token', await call('PUT', '/api/pools/count', { body: { value: 5 } }), unauthorized);
+        expect('PUT with a wrong token', await call('PUT', '/api/pools/count', { token: 'guess', body: { value: 5 } }), unauthorized);
+        if (engine.pools.get('count').value !== 0) throw new Error('a rejected PUT changed the pool');
+
+        // Server-Sent Events: frames are `event: <name>` and `data: <json>` lines ending in a blank line
+        const stream = await fetch(`${base}/api/events`, { signal: events.signal });
+        if (stream.headers.get('content-type') !== 'text/event-stream') throw new Error(`/api/events is ${stream.headers.get('content-type')}`);
+        const reader = stream.body.pipeThrough(new TextDecoderStream()).getReader();
+        let buffered = '';
+        const nextFrame = async () => {
+            while (!buffered.includes('\n\n')) {
+                const { value, done } = await reader.read();
+                if (done) throw new Error('/api/events closed');
+                buffered += value;
+            }
+            const end = buffered.indexOf('\n\n');
+            const fields = Object.fromEntries(buffered.slice(0, end).split('\n').map(line => line.split(/: (.*)/s, 2)));
+            buffered = buffered.slice(end + 2);
+            return fields;
+        };
+        const frameOf = async event => {
+            for (let frame = await nextFrame(); ; frame = await nextFrame()) {
+                if (frame.event === event) return { event, data: JSON.parse(frame.data) };
+            }
+        };
+
+        const updated = await call('PUT', '/api/pools/count', { token: 'secret', body: { value: 5 } });
+        if (updated.status !== 200 || updated.body.value !== 5 || engine.pools.get('count').value !== 5) {
+            throw new Error(`PUT with the token: ${updated.status} ${JSON.stringify(updated.body)}, expected the pool at 5`);
+        }
+        const { data } = await frameOf('pool:updated');
+        if (data.pool !== 'count' || data.value !== 5) throw new Error(`pool:updated frame ${JSON.stringify(data)}, expected count at 5`);
+
+        const read = await call('GET', '/api/pools/count');
+        if (read.status !== 200 || read.body.value !== 5 || read.body.history.at(-1) !== 5) {
+            throw new Error(`GET: ${read.status} ${JSON.stringify(read.body)}, expected count at 5 and last in its history`);
+        }
+
+        expect('malformed escape', await call('GET', '/api/pools/%E0%A4%A'), { status: 400, error: "Malformed percent-encoding in '%E0%A4%A'" });
+        expect('malformed escape with the token', await call('PUT', '/api/pools/%ZZ', { token: 'secret', body: { value: 1 } }), { status: 400, error: "Malformed percent-encoding in '%ZZ'" });
+    })();
+
+    try {
+        await Promise.race([session, timeout]);
+        console.log = original;
+        console.log('✅ dashboard API - only the bearer token changes pools, the change is streamed and read back, malformed paths are a 400');
+        return true;
+    } catch (error) {
+        console.log = original;
+        console.log(`❌ dashboard API - ${error.message}`);
+        return false;
+    } finally {
+        clearTimeout(timer);
+        events.abort();
+        console.log = () => {};
+        dashboard?.stop();
+        await engine.shutdown();
+        console.log = original;
+    }
+}
+
+/**
+ * `fluxus repl` fed on stdin with HOME in a temporary directory: .set
+ * echoes the value as JSON, .load runs a file into the session, .save
+ * writes a program that `fluxus run` reproduces, and every submitted line
+ * is kept in ~/.fluxus_history, a repeated one moving to the end in the
+ * next session.
+ */
+function runReplCheck() {
+    console.log('\n🧪 Testing: REPL .set, .load, .save and history');
+    const home = mkdtempSync(join(tmpdir(), 'fluxus-repl-'));
+    const cli = join(__dirname, 'src', 'cli.js');
+    const session = lines => {
+        const result = spawnSync(process.execPath, [cli, 'repl'], {
+            input: lines.join('\n') + '\n',
+            env: { ...process.env, HOME: home },
+            encoding: 'utf-8',
+            timeout: 30000
+        });
+        if (result.status !== 0) throw new Error(`repl exited with ${result.status}: ${result.stderr || result.error?.message}`);
+        return result.stdout;
+    };
+    const expectLines = (label, output, expected) => {
+        const missing = expected.filter(line => !output.includes(line));
+        if (missing.length > 0) throw new Error(`${label} is missing ${JSON.stringify(missing)}`);
+    };
+
+    try {
+        const loaded = join(home, 'loaded.flux');
+        const saved = join(home, 'saved.flux');
+        writeFileSync(loaded, 'let total = <|> 10\n\n~ 3 | add(4) | print()\n');
+
+        const first = [
+            'let count = <|> 0',
+            '.set count "hi"',
+            '.set count {"a": [1, "x"]}',
+            `.load ${loaded}`,
+            `.save ${saved}`,
+            '.exit'
+        ];
+        expectLines('the session', session(first), [
+            '🔄 count = "hi"',
+            '🔄 count = {"a":[1,"x"]}',
+            '➡️  7',
+            `📂 Loaded ${loaded}: 2 statements, 1 pools`,
+            `💾 Saved 5 statements to ${saved}`
+        ]);
+
+        const rerun = spawnSync(process.execPath, [cli, 'run', saved], { encoding: 'utf-8', timeout: 30000 });
+        if (rerun.status !== 0) throw new Error(`the saved session does not run: ${rerun.stderr}`);
+        expectLines('the saved session', rerun.stdout, ['📝 7']);
+        expectLines('the saved file', readFileSync(saved, 'utf-8'), ['let count = <|> 0', '| to_pool(count)', 'let total = <|> 10']);
+
+        const history = () => readFileSync(join(home, '.fluxus_history'), 'utf-8').split('\n').filter(Boolean);
+        if (JSON.stringify(history()) !== JSON.stringify(first)) {
+            throw new Error(`history ${JSON.stringify(history())}, expected each line of the session`);
+        }
+        session(['let other = <|> 1', '.exit']);
+        const expected = [...first.slice(0, -1), 'let other = <|> 1', '.exit'];
+        if (JSON.stringify(history()) !== JSON.stringify(expected)) {
+            throw new Error(`history after a second session ${JSON.stringify(history())}, expected ${JSON.stringify(expected)}`);
+        }
+
+        console.log('✅ REPL - .set echoes JSON, .load and .save round-trip, history persists per line');
+        return true;
+    } catch (error) {
+        console.log(`❌ REPL - ${error.message}`);
+        return false;
+    } finally {
+        rmSync(home, { recursive: true, force: true });
+    }
+}
+
+/**
+ * Every example (not the .test.flux files) on the graph and the IR engine,
+ * each run in a process of its own. A program passes when each of its
+ * pipelines prints the same lines on both; how concurrent pipelines
+ * interleave may differ once the optimizer removed stages.
+ *
+ * `--corpus=dir` compares the programs in another directory, and `-O<n>`
+ * (repeatable) runs the IR engine at those optimization levels instead of
+ * its default. The .fir files of a corpus (not the X.O<n>.fir goldens) run
+ * on the IR engine at -O0 and at each level instead.
+ */
+async function runDifferential() {
+    const examplesDir = join(__dirname, option('--corpus') || 'examples');
+    const files = readdirSync(examplesDir)
+        .filter(file => (file.endsWith('.flux') && !file.endsWith('.test.flux')) || /^[^.]+\.fir$/.test(file))
+        .sort();
+    const levels = optimizationLevels.length > 0 ? optimizationLevels : [null];
+
+    let passed = 0;
+    let failed = 0;
+
+    for (const level of levels) {
+        if (level) console.log(`\n⚙️  IR engine at ${level}`);
+        for (const file of files) {
+            const filePath = join(examplesDir, file);
+            try {
+                const runs = file.endsWith('.fir')
+                    ? [{ name: '-O0', backend: 'ir', args: ['-O0'] }, { name: level || '-O1', backend: 'ir', args: [level || '-O1'] }]
+                    : [{ name: 'graph', backend: 'graph', args: level ? [level] : [] }, { name: 'ir', backend: 'ir', args: level ? [level] : [] }];
+                const result = compareRuns(filePath, runs, { entry: __filename });
+                const lines = result.outputs[runs[0].name].length;
+                if (result.status === 'same') {
+                    passed++;
+                    console.log(`✅ ${file} - same output on ${runs[0].name} and ${runs[1].name} (${lines} line(s))`);
+                } else if (result.status === 'reordered') {
+                    passed++;
+                    console.log(`✅ ${file} - same output per pipeline, interleaved differently (${lines} line(s))`);
+                } else {
+                    failed++;
+                    console.log(`❌ ${file} - outputs differ (- ${runs[0].name}, + ${runs[1].name})`);
+                    console.log(result.diff.map(line => `   ${line}`).join('\n'));
+                }
+            } catch (error) {
+                failed++;
+                console.log(`❌ ${file} - ERROR: ${error.message}`);
+            }
+        }
+    }
+
+    console.log('\n' + '=' .repeat(50));
+    console.log(`📊 DIFFERENTIAL: ${passed} matching, ${failed} different`);
+    process.exit(failed === 0 ? 0 : 1);
+}
+
 // Run if called directly
 if (import.meta.url === `file://${process.argv[1]}`) {
-    runAllTests().catch(console.error);
+    const capture = option('--capture');
+    if (capture) {
+        // A differential run's child: one program on one backend
+        const filePath = process.argv.slice(2).find(arg => !arg.startsWith('-'));
+        const engineOptions = optimizationLevels.length > 0 ? { optimizationLevel: Number(optimizationLevels[0].slice(2)) } : {};
+        printCapture(filePath, { backend: capture, horizon: Number(option('--horizon')) || undefined, engineOptions })
+            .then(() => process.exit(0), error => {
+                console.error(error);
+                process.exit(1);
+            });
+    } else {
+        runAllTests().catch(console.error);
+    }
 }
 
-export { runAllTests };
+export { runAllTests, runDifferential };